@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const AM43CLI = require("../lib/AM43CLI").AM43CLI
+
+new AM43CLI().runAsync(process.argv.slice(2)).then((exitCode) => {
+  // noble keeps the process running, so exit explicitly.
+  process.exit(exitCode)
+})
@@ -0,0 +1,241 @@
+const StaticVariables = {
+  PRIORITY_USER: 0, // Commands someone is waiting for, like moving a blind from HomeKit.
+  PRIORITY_BACKGROUND: 1, // Work nobody is waiting for, like polls and preparing motors after a scan.
+  DEFAULT_MAXIMUM_CONNECTIONS: 2, // The number of motors that are talked to and connected at the same time.
+  CONNECTION_RETRY_INTERVAL: 500, // How often a motor waiting for a connection checks whether a connected motor became idle. In milliseconds
+  ERROR_CODE_STOPPED: "STOPPED",
+}
+
+class AM43BLESchedulerError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = "AM43BLESchedulerError"
+    this.code = code
+  }
+}
+
+// Shares the Bluetooth adapters between the motors of the platform, so they don't choke on many connections at once.
+// At most maximumConnections tasks talk to motors at the same time. Waiting user commands run before waiting background work.
+// At most maximumConnections motors are connected at the same time, a motor holds its connection until it disconnects.
+// When all connections are held, the idle motor that has been connected the longest is disconnected to make room.
+// The polls of the motors are spread evenly over their interval, instead of all motors connecting at the same moment.
+class AM43BLEScheduler {
+  constructor(options) {
+    options = options || {}
+
+    this.maximumConnections =
+      options.maximumConnections != undefined
+        ? options.maximumConnections
+        : StaticVariables.DEFAULT_MAXIMUM_CONNECTIONS
+    this.debugLog = options.debugLog || (() => {})
+
+    this.runningTasks = 0
+    this.waitingTasks = [] // Ordered by priority, then by the time they were added.
+    this.polls = new Map() // The polls by the identifier they were added with.
+    this.connections = new Map() // The motors that hold a connection, by identifier.
+    this.waitingConnections = [] // The motors waiting for a connection, in the order they asked for it.
+    this.connectionRetryTimer = null
+    this.isStopped = false
+  }
+
+  // Runs the task once a connection is free, resolves or rejects with the result of the task.
+  runAsync(priority, task) {
+    if (this.isStopped) {
+      return Promise.reject(this.stoppedError())
+    }
+    return new Promise((resolve, reject) => {
+      const waitingTask = {
+        priority: priority,
+        task: task,
+        resolve: resolve,
+        reject: reject,
+      }
+      const index = this.waitingTasks.findIndex(
+        (other) => other.priority > priority
+      )
+      if (index == -1) {
+        this.waitingTasks.push(waitingTask)
+      } else {
+        this.waitingTasks.splice(index, 0, waitingTask)
+      }
+      this.runNext()
+    })
+  }
+
+  runNext() {
+    while (
+      this.runningTasks < this.maximumConnections &&
+      this.waitingTasks.length > 0
+    ) {
+      const waitingTask = this.waitingTasks.shift()
+      this.runningTasks++
+      Promise.resolve()
+        .then(waitingTask.task)
+        .then(waitingTask.resolve, waitingTask.reject)
+        .then(() => {
+          this.runningTasks--
+          this.runNext()
+        })
+    }
+  }
+
+  // Resolves once the motor may connect, it holds the connection until releaseConnection is called for it.
+  // The motor should have an isBusy property and a disconnectAsync method, an idle motor is disconnected when another motor needs its connection.
+  acquireConnectionAsync(id, motor) {
+    if (this.isStopped) {
+      return Promise.reject(this.stoppedError())
+    }
+    if (this.connections.has(id)) {
+      return Promise.resolve()
+    }
+    return new Promise((resolve, reject) => {
+      this.waitingConnections.push({
+        id: id,
+        motor: motor,
+        resolve: resolve,
+        reject: reject,
+      })
+      this.grantConnections()
+    })
+  }
+
+  // Called when the motor disconnected, or failed to connect. Does nothing when the motor doesn't hold a connection.
+  releaseConnection(id) {
+    if (this.connections.delete(id)) {
+      this.grantConnections()
+    }
+  }
+
+  grantConnections() {
+    while (
+      this.connections.size < this.maximumConnections &&
+      this.waitingConnections.length > 0
+    ) {
+      const waiting = this.waitingConnections.shift()
+      if (!this.connections.has(waiting.id)) {
+        this.connections.set(waiting.id, {
+          motor: waiting.motor,
+          isDisconnecting: false,
+        })
+      }
+      waiting.resolve()
+    }
+    if (this.waitingConnections.length > 0) {
+      this.disconnectIdleMotors()
+    }
+  }
+
+  // Disconnects an idle motor for every motor that is waiting, the connections are in the order they were made.
+  disconnectIdleMotors() {
+    const connections = Array.from(this.connections.entries())
+    let needed =
+      this.waitingConnections.length -
+      connections.filter(([, connection]) => connection.isDisconnecting).length
+    connections.forEach(([id, connection]) => {
+      if (
+        needed <= 0 ||
+        connection.isDisconnecting ||
+        connection.motor.isBusy
+      ) {
+        return
+      }
+      needed--
+      connection.isDisconnecting = true
+      this.debugLog(`Disconnecting idle motor ${id} to make room`)
+      connection.motor
+        .disconnectAsync()
+        .catch((error) =>
+          this.debugLog(`Disconnecting ${id} failed: ${error.message}`)
+        )
+        .then(() => this.releaseConnection(id))
+    })
+    if (needed > 0 && this.connectionRetryTimer == null) {
+      this.connectionRetryTimer = setTimeout(() => {
+        this.connectionRetryTimer = null
+        this.grantConnections()
+      }, StaticVariables.CONNECTION_RETRY_INTERVAL)
+    }
+  }
+
+  // Runs the task in the background every interval milliseconds until the poll is removed.
+  // Adding a poll spreads the next runs of all polls evenly over their interval again.
+  addPoll(id, interval, task) {
+    this.removePoll(id)
+    if (this.isStopped) {
+      return
+    }
+    this.polls.set(id, {
+      id: id,
+      interval: interval,
+      task: task,
+      timer: null,
+      isRunning: false,
+    })
+    this.staggerPolls()
+  }
+
+  removePoll(id) {
+    const poll = this.polls.get(id)
+    if (poll) {
+      clearTimeout(poll.timer)
+      this.polls.delete(id)
+    }
+  }
+
+  staggerPolls() {
+    const polls = Array.from(this.polls.values())
+    polls.forEach((poll, index) => {
+      // A running poll schedules its next run once it is done.
+      if (poll.isRunning) {
+        return
+      }
+      clearTimeout(poll.timer)
+      this.schedulePoll(poll, (poll.interval * (index + 1)) / polls.length)
+    })
+  }
+
+  schedulePoll(poll, delay) {
+    poll.timer = setTimeout(async () => {
+      poll.timer = null
+      poll.isRunning = true
+      try {
+        await this.runAsync(StaticVariables.PRIORITY_BACKGROUND, poll.task)
+      } catch (error) {
+        this.debugLog(`Poll ${poll.id} failed: ${error.message}`)
+      }
+      poll.isRunning = false
+      if (this.polls.get(poll.id) === poll) {
+        this.schedulePoll(poll, poll.interval)
+      }
+    }, delay)
+  }
+
+  // Stops every poll and rejects the tasks and connections that are still waiting. Tasks that are running finish.
+  stop() {
+    this.isStopped = true
+    Array.from(this.polls.keys()).forEach((id) => this.removePoll(id))
+    const waitingTasks = this.waitingTasks
+    this.waitingTasks = []
+    waitingTasks.forEach((waitingTask) =>
+      waitingTask.reject(this.stoppedError())
+    )
+    clearTimeout(this.connectionRetryTimer)
+    this.connectionRetryTimer = null
+    const waitingConnections = this.waitingConnections
+    this.waitingConnections = []
+    waitingConnections.forEach((waiting) => waiting.reject(this.stoppedError()))
+  }
+
+  stoppedError() {
+    return new AM43BLESchedulerError(
+      "The Bluetooth scheduler was stopped",
+      StaticVariables.ERROR_CODE_STOPPED
+    )
+  }
+}
+
+module.exports = {
+  AM43BLEScheduler: AM43BLEScheduler,
+  AM43BLESchedulerError: AM43BLESchedulerError,
+  StaticVariables: StaticVariables,
+}
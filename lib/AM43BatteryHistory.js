@@ -0,0 +1,105 @@
+const StaticVariables = {
+  MINIMUM_READING_INTERVAL: 60 * 60 * 1000, // An unchanged battery percentage is only stored again after this time. In milliseconds
+  MAXIMUM_HISTORY_AGE: 30 * 24 * 60 * 60 * 1000, // Older readings are forgotten. In milliseconds
+  MAXIMUM_READINGS: 500,
+  CHARGING_WINDOW: 6 * 60 * 60 * 1000, // A battery is charging while its percentage rose less than this time ago. In milliseconds
+  MINIMUM_DRAIN_DURATION: 24 * 60 * 60 * 1000, // The history needed before the drain rate is estimated. In milliseconds
+  DAY: 24 * 60 * 60 * 1000,
+}
+
+// Keeps the battery percentages a motor reported over time, to tell whether its solar panel is charging it and how long the battery will last.
+// The readings are plain objects, so they can be stored with the accessory and restored after a restart.
+class AM43BatteryHistory {
+  constructor(readings) {
+    this.readings = Array.isArray(readings)
+      ? readings.filter(
+          (reading) =>
+            reading != null &&
+            typeof reading.time === "number" &&
+            typeof reading.percentage === "number"
+        )
+      : []
+  }
+
+  get lastReading() {
+    return this.readings.length > 0
+      ? this.readings[this.readings.length - 1]
+      : null
+  }
+
+  // Stores a reading. Returns true when the history changed and should be saved.
+  addReading(percentage, time) {
+    time = time != undefined ? time : Date.now()
+    const lastReading = this.lastReading
+    if (
+      lastReading != null &&
+      lastReading.percentage == percentage &&
+      time - lastReading.time < StaticVariables.MINIMUM_READING_INTERVAL
+    ) {
+      return false
+    }
+    this.readings.push({ time: time, percentage: percentage })
+    this.readings = this.readings.filter(
+      (reading) => time - reading.time <= StaticVariables.MAXIMUM_HISTORY_AGE
+    )
+    if (this.readings.length > StaticVariables.MAXIMUM_READINGS) {
+      this.readings.splice(
+        0,
+        this.readings.length - StaticVariables.MAXIMUM_READINGS
+      )
+    }
+    return true
+  }
+
+  // Whether the percentage went up recently, which only happens while the solar panel (or a charger) charges the battery.
+  isCharging(time) {
+    time = time != undefined ? time : Date.now()
+    const lastReading = this.lastReading
+    if (lastReading == null) {
+      return false
+    }
+    for (let index = this.readings.length - 2; index >= 0; index--) {
+      const reading = this.readings[index]
+      if (reading.percentage != lastReading.percentage) {
+        const changeTime = this.readings[index + 1].time
+        return (
+          reading.percentage < lastReading.percentage &&
+          time - changeTime <= StaticVariables.CHARGING_WINDOW
+        )
+      }
+    }
+    return false
+  }
+
+  // The net percentage the battery loses per day over the history, including what the solar panel charged. Null while the history is too short.
+  drainRate() {
+    const firstReading = this.readings[0]
+    const lastReading = this.lastReading
+    if (
+      lastReading == null ||
+      lastReading.time - firstReading.time <
+        StaticVariables.MINIMUM_DRAIN_DURATION
+    ) {
+      return null
+    }
+    return (
+      ((firstReading.percentage - lastReading.percentage) *
+        StaticVariables.DAY) /
+      (lastReading.time - firstReading.time)
+    )
+  }
+
+  // The estimated number of days until the battery is empty, or null when it isn't draining or that isn't known yet.
+  estimatedDaysLeft() {
+    const drainRate = this.drainRate()
+    if (drainRate == null || drainRate <= 0) {
+      return null
+    }
+    return Math.floor(this.lastReading.percentage / drainRate)
+  }
+}
+
+module.exports = {
+  AM43BatteryHistory: AM43BatteryHistory,
+  StaticVariables: StaticVariables,
+}
@@ -0,0 +1,375 @@
+const AM43Device = require("./AM43Device").AM43Device
+const AM43Config = require("./AM43Config")
+const packageJSON = require("../package.json")
+
+const StaticVariables = {
+  DEFAULT_SCANNING_TIMEOUT: 8, // The time the CLI scans for motors. In seconds
+  EXIT_CODE_SUCCESS: 0,
+  EXIT_CODE_FAILURE: 1,
+  EXIT_CODE_USAGE: 2,
+}
+
+const usage = `Usage: am43 <command> [options]
+
+Commands:
+  scan                          List the motors in range with their ID, address and RSSI
+  status <identifier>           Show the position, battery and light level of a motor
+  open <identifier>             Fully open a motor
+  close <identifier>            Fully close a motor
+  stop <identifier>             Stop a moving motor
+  set <identifier> <percent>    Move a motor to a position, 100 is fully open like in HomeKit
+  watch <identifier>            Show the notifications of a motor until Ctrl+C is pressed
+
+The identifier is the ID or address of a motor, as shown by 'scan' and used in 'allowed_devices'.
+
+Options:
+  --timeout <seconds>   The time to scan for motors (default: ${StaticVariables.DEFAULT_SCANNING_TIMEOUT})
+  --password <pin>      The password of the motor
+  --simulate            Use a simulated motor instead of the Bluetooth adapter
+  --version             Show the version
+  --help                Show this help`
+
+class AM43UsageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "AM43UsageError"
+  }
+}
+
+// The commands, the number of arguments they take and the method that runs them.
+const commands = {
+  scan: { argumentCount: 0, run: (cli) => cli.scanCommandAsync() },
+  status: {
+    argumentCount: 1,
+    run: (cli, args) => cli.statusCommandAsync(args[0]),
+  },
+  open: {
+    argumentCount: 1,
+    run: (cli, args) => cli.moveCommandAsync(args[0], "open"),
+  },
+  close: {
+    argumentCount: 1,
+    run: (cli, args) => cli.moveCommandAsync(args[0], "close"),
+  },
+  stop: {
+    argumentCount: 1,
+    run: (cli, args) => cli.moveCommandAsync(args[0], "stop"),
+  },
+  set: {
+    argumentCount: 2,
+    run: (cli, args) => cli.setCommandAsync(args[0], args[1]),
+  },
+  watch: {
+    argumentCount: 1,
+    run: (cli, args) => cli.watchCommandAsync(args[0]),
+  },
+}
+
+function parseArguments(argv) {
+  const options = {
+    timeout: StaticVariables.DEFAULT_SCANNING_TIMEOUT,
+    password: null,
+    simulate: false,
+    help: false,
+    version: false,
+  }
+  const positional = []
+  for (let index = 0; index < argv.length; index++) {
+    const argument = argv[index]
+    switch (argument) {
+      case "--timeout": {
+        const timeout = Number(argv[++index])
+        if (!(timeout > 0)) {
+          throw new AM43UsageError("--timeout requires a number of seconds")
+        }
+        options.timeout = timeout
+        break
+      }
+      case "--password":
+        options.password = AM43Config.parsePassword(argv[++index])
+        if (options.password == null) {
+          throw new AM43UsageError(
+            "--password requires a PIN of up to 4 digits"
+          )
+        }
+        break
+      case "--simulate":
+        options.simulate = true
+        break
+      case "-h":
+      case "--help":
+        options.help = true
+        break
+      case "--version":
+        options.version = true
+        break
+      default:
+        if (argument.startsWith("--")) {
+          throw new AM43UsageError(`Unknown option '${argument}'`)
+        }
+        positional.push(argument)
+    }
+  }
+  return {
+    command: positional.length > 0 ? positional[0] : null,
+    args: positional.slice(1),
+    options: options,
+  }
+}
+
+function createScanner(options) {
+  if (options.simulate) {
+    const { createSimulatedScanner } = require("./AM43Simulator")
+    return createSimulatedScanner([{ position: 50, light: 30 }])
+  }
+  // noble is only loaded when it is needed, so the simulated motor can be used without Bluetooth.
+  const noble = require("@abandonware/noble")
+  const { AM43NobleScanner } = require("./AM43NobleTransport")
+  return new AM43NobleScanner(noble)
+}
+
+// In AM43 Devices 100% means fully closed, the CLI uses the HomeKit convention where 100% means fully opened.
+function describePosition(position) {
+  return `${100 - position}% open (${position}% closed)`
+}
+
+class AM43CLI {
+  constructor(options) {
+    options = options || {}
+    this.output = options.output || ((line) => console.log(line))
+    this.errorOutput = options.errorOutput || ((line) => console.error(line))
+    this.createScanner = options.createScanner || createScanner
+    // Resolves when the user wants to stop watching, by default when Ctrl+C is pressed.
+    this.waitForInterruptAsync =
+      options.waitForInterruptAsync ||
+      (() => new Promise((resolve) => process.once("SIGINT", resolve)))
+    this.scanner = null
+    this.options = null
+  }
+
+  async runAsync(argv) {
+    let parsed
+    try {
+      parsed = parseArguments(argv)
+    } catch (error) {
+      this.errorOutput(`${error.message}\n\n${usage}`)
+      return StaticVariables.EXIT_CODE_USAGE
+    }
+    if (parsed.options.version) {
+      this.output(packageJSON.version)
+      return StaticVariables.EXIT_CODE_SUCCESS
+    }
+    if (parsed.options.help || parsed.command == null) {
+      ;(parsed.options.help ? this.output : this.errorOutput)(usage)
+      return parsed.options.help
+        ? StaticVariables.EXIT_CODE_SUCCESS
+        : StaticVariables.EXIT_CODE_USAGE
+    }
+    const command = Object.prototype.hasOwnProperty.call(
+      commands,
+      parsed.command
+    )
+      ? commands[parsed.command]
+      : null
+    if (command == null) {
+      this.errorOutput(`Unknown command '${parsed.command}'\n\n${usage}`)
+      return StaticVariables.EXIT_CODE_USAGE
+    }
+    if (parsed.args.length != command.argumentCount) {
+      this.errorOutput(
+        `'${parsed.command}' takes ${command.argumentCount} argument(s)\n\n${usage}`
+      )
+      return StaticVariables.EXIT_CODE_USAGE
+    }
+
+    this.options = parsed.options
+    this.scanner = this.createScanner(parsed.options)
+    try {
+      await command.run(this, parsed.args)
+      return StaticVariables.EXIT_CODE_SUCCESS
+    } catch (error) {
+      this.errorOutput(`Error: ${error.message}`)
+      return error instanceof AM43UsageError
+        ? StaticVariables.EXIT_CODE_USAGE
+        : StaticVariables.EXIT_CODE_FAILURE
+    }
+  }
+
+  // Scans for the configured time, or until the predicate returns true for a discovered motor.
+  scanAsync(predicate) {
+    return new Promise((resolve, reject) => {
+      const transports = []
+      let timer = null
+      const finish = () => {
+        clearTimeout(timer)
+        this.scanner.removeListener("discover", onDiscover)
+        this.scanner.stopScanning(() => {})
+        resolve(transports)
+      }
+      const onDiscover = (transport) => {
+        if (!transports.includes(transport)) {
+          transports.push(transport)
+        }
+        if (predicate && predicate(transport)) {
+          finish()
+        }
+      }
+      this.scanner.on("discover", onDiscover)
+      timer = setTimeout(finish, this.options.timeout * 1000)
+      this.scanner.startScanning((error) => {
+        if (error) {
+          clearTimeout(timer)
+          this.scanner.removeListener("discover", onDiscover)
+          reject(error)
+        }
+      })
+    })
+  }
+
+  async connectAsync(identifier) {
+    const matches = (transport) =>
+      AM43Config.identifierMatches(identifier, transport.id, transport.address)
+    const transports = await this.scanAsync(matches)
+    const transport = transports.find(matches)
+    if (!transport) {
+      throw new Error(
+        `No motor found with identifier '${identifier}' within ${this.options.timeout} seconds, use 'scan' to list the motors in range`
+      )
+    }
+    const device = new AM43Device(transport, {
+      password: this.options.password,
+    })
+    device.on("passwordRejected", () => {
+      this.errorOutput(`The motor ${device.description} rejected the password`)
+    })
+    await device.connectAsync()
+    return device
+  }
+
+  async withDeviceAsync(identifier, callback) {
+    const device = await this.connectAsync(identifier)
+    try {
+      return await callback(device)
+    } finally {
+      await device.disconnectAsync().catch(() => {})
+    }
+  }
+
+  async scanCommandAsync() {
+    this.output(`Scanning for ${this.options.timeout} seconds...`)
+    const transports = await this.scanAsync()
+    if (transports.length == 0) {
+      this.output("No motors found")
+      return
+    }
+    const rows = transports
+      .slice()
+      .sort((a, b) => (b.rssi || -Infinity) - (a.rssi || -Infinity))
+      .map((transport) => [
+        transport.id || "",
+        transport.address || "",
+        transport.rssi != null ? String(transport.rssi) : "",
+        transport.name || "",
+      ])
+    this.outputTable([["ID", "ADDRESS", "RSSI", "NAME"], ...rows])
+  }
+
+  async statusCommandAsync(identifier) {
+    await this.withDeviceAsync(identifier, async (device) => {
+      await device.updatePositionAsync()
+      await device.updateBatteryStatusAsync()
+      await device.updateLightSensorAsync()
+      this.outputTable([
+        ["Name:", device.name],
+        ["ID:", device.id],
+        ["Address:", device.address || ""],
+        [
+          "RSSI:",
+          device.transport.rssi != null ? `${device.transport.rssi} dBm` : "",
+        ],
+        ["Position:", describePosition(device.position)],
+        ["Battery:", `${device.batteryPercentage}%`],
+        ["Light level:", String(device.lightLevel)],
+      ])
+    })
+  }
+
+  async moveCommandAsync(identifier, move) {
+    await this.withDeviceAsync(identifier, async (device) => {
+      if (move == "open") {
+        await device.openAsync()
+      } else if (move == "close") {
+        await device.closeAsync()
+      } else {
+        await device.stopAsync()
+      }
+      this.output(`Sent ${move} to ${device.description}`)
+    })
+  }
+
+  async setCommandAsync(identifier, value) {
+    const percent = Number(value)
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+      throw new AM43UsageError(
+        `Invalid percentage '${value}', it should be a whole number from 0 to 100`
+      )
+    }
+    await this.withDeviceAsync(identifier, async (device) => {
+      await device.setPositionAsync(100 - percent)
+      this.output(
+        `Moving ${device.description} to ${describePosition(100 - percent)}`
+      )
+    })
+  }
+
+  async watchCommandAsync(identifier) {
+    await this.withDeviceAsync(identifier, async (device) => {
+      device.responseParser.on("message", (message) => {
+        const fields = Object.keys(message)
+          .filter((key) => key != "type" && key != "commandID")
+          .map((key) => `${key}=${JSON.stringify(message[key])}`)
+        this.output(
+          `${new Date().toISOString()} ${
+            message.type
+          } 0x${message.commandID.toString(16)} ${fields.join(" ")}`.trim()
+        )
+      })
+      device.responseParser.on("invalidData", (data, reason) => {
+        this.output(
+          `${new Date().toISOString()} invalid ${data.toString(
+            "hex"
+          )}: ${reason}`
+        )
+      })
+      device.transport.on("disconnect", () => {
+        this.output(`${new Date().toISOString()} disconnected`)
+      })
+      this.output(`Watching ${device.description}, press Ctrl+C to stop`)
+      await device.updatePositionAsync()
+      await this.waitForInterruptAsync()
+    })
+  }
+
+  outputTable(rows) {
+    const widths = rows[0].map((_, column) =>
+      Math.max(...rows.map((row) => row[column].length))
+    )
+    rows.forEach((row) => {
+      this.output(
+        row
+          .map((value, column) =>
+            column == row.length - 1 ? value : value.padEnd(widths[column])
+          )
+          .join("  ")
+      )
+    })
+  }
+}
+
+module.exports = {
+  AM43CLI: AM43CLI,
+  AM43UsageError: AM43UsageError,
+  parseArguments: parseArguments,
+  StaticVariables: StaticVariables,
+  usage: usage,
+}
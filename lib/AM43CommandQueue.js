@@ -0,0 +1,240 @@
+const StaticVariables = {
+  DEFAULT_RESPONSE_TIMEOUT: 5000, // The time to wait for the motor to answer a command. In milliseconds
+  DEFAULT_WRITE_RETRIES: 2, // The number of times a failed write is retried after reconnecting
+  ERROR_CODE_NACK: "NACK",
+  ERROR_CODE_TIMEOUT: "TIMEOUT",
+  ERROR_CODE_WRITE_FAILED: "WRITE_FAILED",
+  ERROR_CODE_CANCELLED: "CANCELLED",
+  ERROR_CODE_SUPERSEDED: "SUPERSEDED",
+  ERROR_CODE_DISCONNECTED: "DISCONNECTED",
+  ERROR_CODE_PASSWORD_REJECTED: "PASSWORD_REJECTED",
+}
+
+class AM43CommandError extends Error {
+  constructor(message, commandID, code) {
+    super(message)
+    this.name = "AM43CommandError"
+    this.commandID = commandID
+    this.code = code
+  }
+}
+
+// Sends one command at a time and matches the reply to the command by its command ID.
+class AM43CommandQueue {
+  constructor(options) {
+    this.writeAsync = options.writeAsync
+    this.reconnectAsync = options.reconnectAsync
+    this.debugLog = options.debugLog || (() => {})
+    this.responseTimeout =
+      options.responseTimeout != undefined
+        ? options.responseTimeout
+        : StaticVariables.DEFAULT_RESPONSE_TIMEOUT
+    this.writeRetries =
+      options.writeRetries != undefined
+        ? options.writeRetries
+        : StaticVariables.DEFAULT_WRITE_RETRIES
+
+    this.pendingCommands = []
+    this.currentCommand = null
+  }
+
+  get length() {
+    return this.pendingCommands.length + (this.currentCommand ? 1 : 0)
+  }
+
+  enqueue(commandID, buffer) {
+    return new Promise((resolve, reject) => {
+      this.pendingCommands.push({
+        commandID: commandID,
+        buffer: buffer,
+        resolve: resolve,
+        reject: reject,
+      })
+      this.processNext()
+    })
+  }
+
+  async processNext() {
+    if (this.currentCommand != null || this.pendingCommands.length == 0) {
+      return
+    }
+    const command = this.pendingCommands.shift()
+    this.currentCommand = command
+    try {
+      const response = await this.performCommandAsync(command)
+      command.resolve(response)
+    } catch (error) {
+      command.reject(error)
+    } finally {
+      this.currentCommand = null
+    }
+    this.processNext()
+  }
+
+  async performCommandAsync(command) {
+    let attempt = 0
+    for (;;) {
+      const response = this.waitForResponse(command)
+      try {
+        try {
+          await this.writeAsync(command.buffer)
+        } catch (error) {
+          this.settleCommand(command, null, null)
+          if (error.code == StaticVariables.ERROR_CODE_PASSWORD_REJECTED) {
+            // Retrying won't help until the password is fixed.
+            throw error
+          }
+          const writeError = new AM43CommandError(
+            `Failed to write command 0x${command.commandID.toString(16)}: ${
+              error.message
+            }`,
+            command.commandID,
+            StaticVariables.ERROR_CODE_WRITE_FAILED
+          )
+          writeError.cause = error // For example the motor couldn't be reached.
+          throw writeError
+        }
+        return await response
+      } catch (error) {
+        const isRetryable =
+          error.code == StaticVariables.ERROR_CODE_WRITE_FAILED ||
+          error.code == StaticVariables.ERROR_CODE_DISCONNECTED
+        if (!isRetryable || attempt >= this.writeRetries) {
+          throw error
+        }
+        attempt++
+        this.debugLog(`${error.message}, reconnecting for attempt ${attempt}`)
+        try {
+          await this.reconnectAsync()
+        } catch (reconnectError) {
+          this.debugLog(`Reconnecting failed: ${reconnectError.message}`)
+        }
+      }
+    }
+  }
+
+  waitForResponse(command) {
+    const promise = new Promise((resolve, reject) => {
+      command.settle = (error, value) =>
+        error ? reject(error) : resolve(value)
+    })
+    command.timer = setTimeout(() => {
+      this.settleCommand(
+        command,
+        new AM43CommandError(
+          `No response to command 0x${command.commandID.toString(16)} within ${
+            this.responseTimeout
+          }ms`,
+          command.commandID,
+          StaticVariables.ERROR_CODE_TIMEOUT
+        )
+      )
+    }, this.responseTimeout)
+    // A rejection is handled by performCommandAsync once the write succeeded, this prevents an unhandled rejection before that.
+    promise.catch(() => {})
+    return promise
+  }
+
+  settleCommand(command, error, value) {
+    clearTimeout(command.timer)
+    const settle = command.settle
+    command.settle = null
+    if (settle) settle(error, value)
+  }
+
+  // Resolves the outstanding command with the given command ID, returns false when no command was waiting for it.
+  resolveCommand(commandID, value) {
+    const command = this.currentCommand
+    if (command == null || command.commandID != commandID || !command.settle) {
+      return false
+    }
+    this.settleCommand(command, null, value)
+    return true
+  }
+
+  // Rejects the outstanding command because the motor answered with a NACK.
+  rejectCommand(commandID) {
+    const command = this.currentCommand
+    if (command == null || command.commandID != commandID || !command.settle) {
+      return false
+    }
+    this.settleCommand(
+      command,
+      new AM43CommandError(
+        `Command 0x${commandID.toString(16)} was rejected by the motor`,
+        commandID,
+        StaticVariables.ERROR_CODE_NACK
+      )
+    )
+    return true
+  }
+
+  // Fails the outstanding command when the connection drops before the motor answered, the command is then retried.
+  handleDisconnect() {
+    const command = this.currentCommand
+    if (command == null || !command.settle) {
+      return
+    }
+    this.settleCommand(
+      command,
+      new AM43CommandError(
+        `Disconnected while waiting for a response to command 0x${command.commandID.toString(
+          16
+        )}`,
+        command.commandID,
+        StaticVariables.ERROR_CODE_DISCONNECTED
+      )
+    )
+  }
+
+  // Rejects the queued commands with one of the given command IDs that haven't been sent yet, because a newer command replaces them.
+  cancelPending(commandIDs, message) {
+    const cancelled = this.pendingCommands.filter((command) =>
+      commandIDs.includes(command.commandID)
+    )
+    this.pendingCommands = this.pendingCommands.filter(
+      (command) => !cancelled.includes(command)
+    )
+    cancelled.forEach((command) =>
+      command.reject(
+        new AM43CommandError(
+          message,
+          command.commandID,
+          StaticVariables.ERROR_CODE_SUPERSEDED
+        )
+      )
+    )
+    return cancelled.length
+  }
+
+  // Rejects the outstanding and all queued commands, for example when the device is no longer used.
+  clear(message) {
+    const commands = this.pendingCommands
+    this.pendingCommands = []
+    commands.forEach((command) =>
+      command.reject(
+        new AM43CommandError(
+          message,
+          command.commandID,
+          StaticVariables.ERROR_CODE_CANCELLED
+        )
+      )
+    )
+    if (this.currentCommand != null) {
+      this.settleCommand(
+        this.currentCommand,
+        new AM43CommandError(
+          message,
+          this.currentCommand.commandID,
+          StaticVariables.ERROR_CODE_CANCELLED
+        )
+      )
+    }
+  }
+}
+
+module.exports = {
+  AM43CommandQueue: AM43CommandQueue,
+  AM43CommandError: AM43CommandError,
+  StaticVariables: StaticVariables,
+}
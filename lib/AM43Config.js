@@ -0,0 +1,525 @@
+const ProtocolVariables = require("./AM43Protocol").StaticVariables
+
+const StaticVariables = {
+  CONFIG_KEY_DEVICES: "devices",
+  DEVICE_CONFIG_KEY_IDENTIFIER: "identifier",
+  DEVICE_CONFIG_KEY_NAME: "name",
+  DEVICE_CONFIG_KEY_REVERSED: "reversed",
+  DEVICE_CONFIG_KEY_POLL_INTERVAL: "poll_interval",
+  DEVICE_CONFIG_KEY_HAP_INTERACTION_TIMEOUT: "hap_interaction_timeout",
+  DEVICE_CONFIG_KEY_LOW_BATTERY_THRESHOLD: "low_battery_threshold",
+  DEVICE_CONFIG_KEY_LIGHT_SENSOR: "light_sensor",
+  DEVICE_CONFIG_KEY_BATTERY_SERVICE: "battery_service",
+  DEVICE_CONFIG_KEY_BATTERY_SAVING: "battery_saving",
+  DEVICE_CONFIG_KEY_RETRY_OBSTRUCTED_MOVES: "retry_obstructed_moves",
+  DEVICE_CONFIG_KEY_MANUAL_OVERRIDE_DURATION: "manual_override_duration",
+  DEVICE_CONFIG_KEY_PASSWORD: "password",
+  DEVICE_CONFIG_KEY_ADAPTER: "adapter",
+  DEVICE_CONFIG_KEY_SWITCHES: "switches",
+  DEVICE_CONFIG_KEY_STEP_SIZE: "step_size",
+  DEVICE_CONFIG_KEY_PRESETS: "presets",
+  DEVICE_CONFIG_KEY_SUN_PROTECTION: "sun_protection",
+  SUN_PROTECTION_CONFIG_KEY_POSITION: "position",
+  SUN_PROTECTION_CONFIG_KEY_THRESHOLD: "threshold",
+  SUN_PROTECTION_CONFIG_KEY_HYSTERESIS: "hysteresis",
+  SUN_PROTECTION_CONFIG_KEY_DELAY: "delay",
+  SUN_PROTECTION_CONFIG_KEY_MINIMUM_INTERVAL: "minimum_interval",
+  DEVICE_CONFIG_KEY_SYNC_CLOCK: "sync_clock",
+  DEVICE_CONFIG_KEY_MOTOR_TIMERS: "motor_timers",
+  MOTOR_TIMER_CONFIG_KEY_TIME: "time",
+  MOTOR_TIMER_CONFIG_KEY_DAYS: "days",
+  MOTOR_TIMER_CONFIG_KEY_POSITION: "position",
+  CONFIG_KEY_PRESET_TOLERANCE: "preset_tolerance",
+  PRESET_CONFIG_KEY_NAME: "name",
+  PRESET_CONFIG_KEY_POSITION: "position",
+  SWITCH_OPEN: "open",
+  SWITCH_CLOSE: "close",
+  SWITCH_STOP: "stop",
+  SWITCH_STEP_UP: "step_up",
+  SWITCH_STEP_DOWN: "step_down",
+
+  CONFIG_KEY_BLUETOOTH_ADAPTERS: "bluetooth_adapters",
+
+  CONFIG_KEY_GROUPS: "groups",
+  GROUP_CONFIG_KEY_NAME: "name",
+  GROUP_CONFIG_KEY_MEMBERS: "members",
+  GROUP_CONFIG_KEY_AGGREGATION: "aggregation",
+  GROUP_CONFIG_KEY_PRESETS: "presets",
+  AGGREGATION_AVERAGE: "average",
+  AGGREGATION_MINIMUM: "min",
+  AGGREGATION_MAXIMUM: "max",
+
+  CONFIG_KEY_LOCATION: "location",
+  LOCATION_CONFIG_KEY_LATITUDE: "latitude",
+  LOCATION_CONFIG_KEY_LONGITUDE: "longitude",
+
+  CONFIG_KEY_SCHEDULES: "schedules",
+  SCHEDULE_CONFIG_KEY_NAME: "name",
+  SCHEDULE_CONFIG_KEY_CRON: "cron",
+  SCHEDULE_CONFIG_KEY_SUN: "sun",
+  SCHEDULE_CONFIG_KEY_OFFSET: "offset",
+  SCHEDULE_CONFIG_KEY_NOT_BEFORE: "not_before",
+  SCHEDULE_CONFIG_KEY_NOT_AFTER: "not_after",
+  SCHEDULE_CONFIG_KEY_DAYS: "days",
+  SCHEDULE_CONFIG_KEY_TARGETS: "targets",
+  SCHEDULE_CONFIG_KEY_POSITION: "position",
+  SCHEDULE_CONFIG_KEY_RUN_ON_HOLIDAYS: "run_on_holidays",
+}
+
+// The identifier shown to users, depending on the platform noble reports either a MAC address or an ID for a motor.
+function identifierForDevice(device) {
+  return device.address != null ? device.address : device.id
+}
+
+// Identifiers are compared without case and separators, so "02:86:68:35:3C:51" matches "02-86-68-35-3c-51".
+function normalizeIdentifier(identifier) {
+  return String(identifier)
+    .toLowerCase()
+    .replace(/[-:\s]/g, "")
+}
+
+function identifierMatches(identifier, id, address) {
+  if (identifier == null) {
+    return false
+  }
+  const normalized = normalizeIdentifier(identifier)
+  return [id, address]
+    .filter((value) => value != null && value !== "")
+    .some((value) => normalizeIdentifier(value) == normalized)
+}
+
+function identifierMatchesDevice(identifier, device) {
+  return identifierMatches(identifier, device.id, device.address)
+}
+
+// The password is the PIN of up to 4 digits set in the Blinds Engine app, it can be configured as a number or a string. Returns null when not set or invalid.
+function parsePassword(value) {
+  if (value == undefined || value === "") {
+    return null
+  }
+  if (!/^\d{1,4}$/.test(String(value))) {
+    return null
+  }
+  return Number(value)
+}
+
+// Parses a local time like "19:00" into minutes since midnight. Returns null when not set or invalid.
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value != undefined ? value : "")
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null
+  }
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+function findDeviceConfig(devicesConfig, id, address) {
+  if (!Array.isArray(devicesConfig)) {
+    return null
+  }
+  const deviceConfig = devicesConfig.find((deviceConfig) =>
+    identifierMatches(
+      deviceConfig[StaticVariables.DEVICE_CONFIG_KEY_IDENTIFIER],
+      id,
+      address
+    )
+  )
+  return deviceConfig || null
+}
+
+// Returns the problems with the devices list, an empty list means it is valid.
+function validateDevicesConfig(devicesConfig) {
+  if (devicesConfig == undefined) {
+    return []
+  }
+  if (!Array.isArray(devicesConfig)) {
+    return [
+      `'${StaticVariables.CONFIG_KEY_DEVICES}' should be an array of device objects`,
+    ]
+  }
+  const problems = []
+  const seenIdentifiers = []
+  devicesConfig.forEach((deviceConfig, index) => {
+    const identifier =
+      deviceConfig != null
+        ? deviceConfig[StaticVariables.DEVICE_CONFIG_KEY_IDENTIFIER]
+        : null
+    if (typeof identifier !== "string" || identifier.length == 0) {
+      problems.push(
+        `Device ${index + 1} in '${
+          StaticVariables.CONFIG_KEY_DEVICES
+        }' has no '${StaticVariables.DEVICE_CONFIG_KEY_IDENTIFIER}'`
+      )
+      return
+    }
+    const password = deviceConfig[StaticVariables.DEVICE_CONFIG_KEY_PASSWORD]
+    if (
+      password != undefined &&
+      password !== "" &&
+      parsePassword(password) == null
+    ) {
+      problems.push(
+        `The '${StaticVariables.DEVICE_CONFIG_KEY_PASSWORD}' of device '${identifier}' should be a PIN of up to 4 digits`
+      )
+    }
+    const adapter = deviceConfig[StaticVariables.DEVICE_CONFIG_KEY_ADAPTER]
+    if (adapter != undefined && !isAdapterID(adapter)) {
+      problems.push(
+        `The '${StaticVariables.DEVICE_CONFIG_KEY_ADAPTER}' of device '${identifier}' should be the number of a Bluetooth adapter, like 0 for hci0`
+      )
+    }
+    validateDeviceSettingsConfig(
+      deviceConfig,
+      `device '${identifier}'`
+    ).forEach((problem) => problems.push(problem))
+    validateSwitchesConfig(
+      deviceConfig,
+      `device '${identifier}'`
+    ).forEach((problem) => problems.push(problem))
+    validatePresetsConfig(
+      deviceConfig[StaticVariables.DEVICE_CONFIG_KEY_PRESETS],
+      `device '${identifier}'`
+    ).forEach((problem) => problems.push(problem))
+    validateMotorTimersConfig(
+      deviceConfig[StaticVariables.DEVICE_CONFIG_KEY_MOTOR_TIMERS],
+      `device '${identifier}'`
+    ).forEach((problem) => problems.push(problem))
+    validateSunProtectionConfig(
+      deviceConfig[StaticVariables.DEVICE_CONFIG_KEY_SUN_PROTECTION],
+      `device '${identifier}'`
+    ).forEach((problem) => problems.push(problem))
+    const normalized = normalizeIdentifier(identifier)
+    if (seenIdentifiers.includes(normalized)) {
+      problems.push(
+        `Device '${identifier}' is listed more than once in '${StaticVariables.CONFIG_KEY_DEVICES}'`
+      )
+    }
+    seenIdentifiers.push(normalized)
+  })
+  return problems
+}
+
+// The settings that can be set for the platform and for a single device, with a check of their value and a description of a valid value.
+const deviceSettings = {
+  [StaticVariables.DEVICE_CONFIG_KEY_REVERSED]: [
+    (value) => typeof value === "boolean",
+    "true or false",
+  ],
+  [StaticVariables.DEVICE_CONFIG_KEY_POLL_INTERVAL]: [
+    (value) => typeof value === "number" && value >= 0,
+    "a number of seconds",
+  ],
+  [StaticVariables.DEVICE_CONFIG_KEY_HAP_INTERACTION_TIMEOUT]: [
+    (value) => typeof value === "number",
+    "a number of seconds, 0 keeps the connection open",
+  ],
+  [StaticVariables.DEVICE_CONFIG_KEY_LOW_BATTERY_THRESHOLD]: [
+    (value) => Number.isInteger(value) && value >= 0 && value <= 100,
+    "a battery percentage from 0 to 100",
+  ],
+}
+
+// Whether the value of a setting is valid, settings that aren't checked are always valid.
+function isValidDeviceSetting(key, value) {
+  return deviceSettings[key] == undefined || deviceSettings[key][0](value)
+}
+
+// Returns the problems with the reversing, polling, disconnecting and low battery settings of the global configuration or of a device, where names it in the problems.
+function validateDeviceSettingsConfig(config, where) {
+  const problems = []
+  Object.keys(deviceSettings).forEach((key) => {
+    const value = config[key]
+    if (value != undefined && !isValidDeviceSetting(key, value)) {
+      problems.push(
+        `The '${key}' of ${where} should be ${deviceSettings[key][1]}`
+      )
+    }
+  })
+  return problems
+}
+
+const switchNames = [
+  StaticVariables.SWITCH_OPEN,
+  StaticVariables.SWITCH_CLOSE,
+  StaticVariables.SWITCH_STOP,
+  StaticVariables.SWITCH_STEP_UP,
+  StaticVariables.SWITCH_STEP_DOWN,
+]
+
+// Returns the problems with the switches and step size of the global configuration or of a device, where names it in the problems.
+function validateSwitchesConfig(config, where) {
+  const problems = []
+  const switches = config[StaticVariables.DEVICE_CONFIG_KEY_SWITCHES]
+  if (
+    switches != undefined &&
+    (!Array.isArray(switches) ||
+      !switches.every((name) => switchNames.includes(name)))
+  ) {
+    problems.push(
+      `The '${
+        StaticVariables.DEVICE_CONFIG_KEY_SWITCHES
+      }' of ${where} should be a list of: ${switchNames.join(", ")}`
+    )
+  }
+  const stepSize = config[StaticVariables.DEVICE_CONFIG_KEY_STEP_SIZE]
+  if (
+    stepSize != undefined &&
+    (!Number.isInteger(stepSize) || stepSize < 1 || stepSize > 100)
+  ) {
+    problems.push(
+      `The '${StaticVariables.DEVICE_CONFIG_KEY_STEP_SIZE}' of ${where} should be a percentage from 1 to 100`
+    )
+  }
+  return problems
+}
+
+// Returns the problems with the presets of a device or group, where names it in the problems.
+function validatePresetsConfig(presetsConfig, where) {
+  if (presetsConfig == undefined) {
+    return []
+  }
+  if (!Array.isArray(presetsConfig)) {
+    return [
+      `The '${StaticVariables.DEVICE_CONFIG_KEY_PRESETS}' of ${where} should be an array of preset objects`,
+    ]
+  }
+  const problems = []
+  const seenNames = []
+  presetsConfig.forEach((presetConfig, index) => {
+    const name =
+      presetConfig != null
+        ? presetConfig[StaticVariables.PRESET_CONFIG_KEY_NAME]
+        : null
+    if (typeof name !== "string" || name.length == 0) {
+      problems.push(
+        `Preset ${index + 1} of ${where} has no '${
+          StaticVariables.PRESET_CONFIG_KEY_NAME
+        }'`
+      )
+      return
+    }
+    if (seenNames.includes(name)) {
+      problems.push(`Preset '${name}' is listed more than once for ${where}`)
+    }
+    seenNames.push(name)
+    const position = presetConfig[StaticVariables.PRESET_CONFIG_KEY_POSITION]
+    if (!Number.isInteger(position) || position < 0 || position > 100) {
+      problems.push(
+        `Preset '${name}' of ${where} should have a '${StaticVariables.PRESET_CONFIG_KEY_POSITION}' from 0 (closed) to 100 (open)`
+      )
+    }
+  })
+  return problems
+}
+
+// Returns the problems with the timers that are stored on a motor, where names the motor in the problems.
+function validateMotorTimersConfig(motorTimersConfig, where) {
+  if (motorTimersConfig == undefined) {
+    return []
+  }
+  if (!Array.isArray(motorTimersConfig)) {
+    return [
+      `The '${StaticVariables.DEVICE_CONFIG_KEY_MOTOR_TIMERS}' of ${where} should be an array of timer objects`,
+    ]
+  }
+  if (motorTimersConfig.length > ProtocolVariables.AM43_MAXIMUM_TIMERS) {
+    return [
+      `The '${StaticVariables.DEVICE_CONFIG_KEY_MOTOR_TIMERS}' of ${where} has ${motorTimersConfig.length} timers, a motor can store up to ${ProtocolVariables.AM43_MAXIMUM_TIMERS}`,
+    ]
+  }
+  const problems = []
+  motorTimersConfig.forEach((timerConfig, index) => {
+    timerConfig = timerConfig || {}
+    const timer = `Timer ${index + 1} of ${where}`
+    if (
+      parseTimeOfDay(
+        timerConfig[StaticVariables.MOTOR_TIMER_CONFIG_KEY_TIME]
+      ) == null
+    ) {
+      problems.push(
+        `${timer} should have a '${StaticVariables.MOTOR_TIMER_CONFIG_KEY_TIME}' like "07:30"`
+      )
+    }
+    const days = timerConfig[StaticVariables.MOTOR_TIMER_CONFIG_KEY_DAYS]
+    if (
+      days != undefined &&
+      (!Array.isArray(days) ||
+        days.length == 0 ||
+        !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))
+    ) {
+      problems.push(
+        `The '${StaticVariables.MOTOR_TIMER_CONFIG_KEY_DAYS}' of timer ${
+          index + 1
+        } of ${where} should be a list of weekdays from 0 (Sunday) to 6 (Saturday)`
+      )
+    }
+    const position =
+      timerConfig[StaticVariables.MOTOR_TIMER_CONFIG_KEY_POSITION]
+    if (!Number.isInteger(position) || position < 0 || position > 100) {
+      problems.push(
+        `${timer} should have a '${StaticVariables.MOTOR_TIMER_CONFIG_KEY_POSITION}' from 0 (closed) to 100 (open)`
+      )
+    }
+  })
+  return problems
+}
+
+// Returns the problems with the sun protection of a device, where names the device in the problems.
+function validateSunProtectionConfig(sunProtectionConfig, where) {
+  if (sunProtectionConfig == undefined) {
+    return []
+  }
+  if (
+    typeof sunProtectionConfig !== "object" ||
+    Array.isArray(sunProtectionConfig)
+  ) {
+    return [
+      `The '${StaticVariables.DEVICE_CONFIG_KEY_SUN_PROTECTION}' of ${where} should be an object`,
+    ]
+  }
+  const problems = []
+  ;[
+    [
+      StaticVariables.SUN_PROTECTION_CONFIG_KEY_POSITION,
+      100,
+      "an open percentage",
+    ],
+    [StaticVariables.SUN_PROTECTION_CONFIG_KEY_THRESHOLD, 100, "a light level"],
+    [
+      StaticVariables.SUN_PROTECTION_CONFIG_KEY_HYSTERESIS,
+      100,
+      "a light level",
+    ],
+  ].forEach(([key, maximum, description]) => {
+    const value = sunProtectionConfig[key]
+    if (
+      value != undefined &&
+      (!Number.isInteger(value) || value < 0 || value > maximum)
+    ) {
+      problems.push(
+        `The '${key}' of the sun protection of ${where} should be ${description} from 0 to ${maximum}`
+      )
+    }
+  })
+  ;[
+    StaticVariables.SUN_PROTECTION_CONFIG_KEY_DELAY,
+    StaticVariables.SUN_PROTECTION_CONFIG_KEY_MINIMUM_INTERVAL,
+  ].forEach((key) => {
+    const value = sunProtectionConfig[key]
+    if (value != undefined && (typeof value !== "number" || value < 0)) {
+      problems.push(
+        `The '${key}' of the sun protection of ${where} should be a number of minutes`
+      )
+    }
+  })
+  return problems
+}
+
+// Bluetooth adapters are identified by the number of their HCI device, 0 for hci0.
+function isAdapterID(adapter) {
+  return Number.isInteger(adapter) && adapter >= 0
+}
+
+// Returns the problems with the list of Bluetooth adapters, an empty list means it is valid.
+function validateBluetoothAdaptersConfig(adaptersConfig) {
+  if (adaptersConfig == undefined) {
+    return []
+  }
+  if (
+    !Array.isArray(adaptersConfig) ||
+    !adaptersConfig.every((adapter) => isAdapterID(adapter))
+  ) {
+    return [
+      `'${StaticVariables.CONFIG_KEY_BLUETOOTH_ADAPTERS}' should be a list of adapter numbers, like [0, 1] for hci0 and hci1`,
+    ]
+  }
+  if (new Set(adaptersConfig).size != adaptersConfig.length) {
+    return [
+      `'${StaticVariables.CONFIG_KEY_BLUETOOTH_ADAPTERS}' lists an adapter more than once`,
+    ]
+  }
+  return []
+}
+
+// Returns the problems with the groups list, an empty list means it is valid.
+function validateGroupsConfig(groupsConfig) {
+  if (groupsConfig == undefined) {
+    return []
+  }
+  if (!Array.isArray(groupsConfig)) {
+    return [
+      `'${StaticVariables.CONFIG_KEY_GROUPS}' should be an array of group objects`,
+    ]
+  }
+  const aggregations = [
+    StaticVariables.AGGREGATION_AVERAGE,
+    StaticVariables.AGGREGATION_MINIMUM,
+    StaticVariables.AGGREGATION_MAXIMUM,
+  ]
+  const problems = []
+  const seenNames = []
+  groupsConfig.forEach((groupConfig, index) => {
+    const name =
+      groupConfig != null
+        ? groupConfig[StaticVariables.GROUP_CONFIG_KEY_NAME]
+        : null
+    if (typeof name !== "string" || name.length == 0) {
+      problems.push(
+        `Group ${index + 1} in '${StaticVariables.CONFIG_KEY_GROUPS}' has no '${
+          StaticVariables.GROUP_CONFIG_KEY_NAME
+        }'`
+      )
+      return
+    }
+    if (seenNames.includes(name)) {
+      problems.push(
+        `Group '${name}' is listed more than once in '${StaticVariables.CONFIG_KEY_GROUPS}'`
+      )
+    }
+    seenNames.push(name)
+    const members = groupConfig[StaticVariables.GROUP_CONFIG_KEY_MEMBERS]
+    if (
+      !Array.isArray(members) ||
+      members.length == 0 ||
+      !members.every((member) => typeof member === "string")
+    ) {
+      problems.push(
+        `Group '${name}' should have a list of '${StaticVariables.GROUP_CONFIG_KEY_MEMBERS}' with the identifiers of its motors`
+      )
+    }
+    validatePresetsConfig(
+      groupConfig[StaticVariables.GROUP_CONFIG_KEY_PRESETS],
+      `group '${name}'`
+    ).forEach((problem) => problems.push(problem))
+    const aggregation =
+      groupConfig[StaticVariables.GROUP_CONFIG_KEY_AGGREGATION]
+    if (aggregation != undefined && !aggregations.includes(aggregation)) {
+      problems.push(
+        `The '${
+          StaticVariables.GROUP_CONFIG_KEY_AGGREGATION
+        }' of group '${name}' should be one of: ${aggregations.join(", ")}`
+      )
+    }
+  })
+  return problems
+}
+
+module.exports = {
+  findDeviceConfig: findDeviceConfig,
+  identifierForDevice: identifierForDevice,
+  identifierMatches: identifierMatches,
+  identifierMatchesDevice: identifierMatchesDevice,
+  isValidDeviceSetting: isValidDeviceSetting,
+  normalizeIdentifier: normalizeIdentifier,
+  parsePassword: parsePassword,
+  parseTimeOfDay: parseTimeOfDay,
+  validateBluetoothAdaptersConfig: validateBluetoothAdaptersConfig,
+  validateDeviceSettingsConfig: validateDeviceSettingsConfig,
+  validateDevicesConfig: validateDevicesConfig,
+  validateGroupsConfig: validateGroupsConfig,
+  validateMotorTimersConfig: validateMotorTimersConfig,
+  validatePresetsConfig: validatePresetsConfig,
+  validateSunProtectionConfig: validateSunProtectionConfig,
+  validateSwitchesConfig: validateSwitchesConfig,
+  switchNames: switchNames,
+  StaticVariables: StaticVariables,
+}
@@ -0,0 +1,320 @@
+const EventEmitter = require("events").EventEmitter
+
+const StaticVariables = {
+  STATE_DISCONNECTED: "disconnected",
+  STATE_SCANNING: "scanning", // The motor couldn't be reached several times, the platform is scanning to find it again
+  STATE_CONNECTING: "connecting",
+  STATE_DISCOVERING: "discovering", // Connected, looking up the AM43 characteristic and verifying the password
+  STATE_READY: "ready",
+  STATE_FAILED: "failed", // The last attempt failed, the next attempt is delayed by the backoff
+
+  DEFAULT_CONNECT_TIMEOUT: 20 * 1000, // The time a connection attempt may take before it is considered failed. In milliseconds
+  DEFAULT_INITIAL_BACKOFF: 1000, // The delay after the first failed attempt. In milliseconds
+  DEFAULT_MAXIMUM_BACKOFF: 5 * 60 * 1000, // The backoff doubles with every failed attempt up to this delay. In milliseconds
+  BACKOFF_MULTIPLIER: 2,
+  DEFAULT_RESCAN_AFTER_FAILURES: 3, // The number of failed attempts after which the motor is searched for again, it might have disappeared
+
+  ERROR_CODE_UNREACHABLE: "UNREACHABLE",
+  ERROR_CODE_CONNECT_TIMEOUT: "CONNECT_TIMEOUT",
+}
+
+class AM43ConnectionError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = "AM43ConnectionError"
+    this.code = code
+  }
+}
+
+// Owns the connection of a single motor: it runs every connection attempt, backs off after failures and tracks whether the motor can be reached.
+// Emits "stateChange" with the new and previous state, "unreachable" with the error when an attempt fails after a successful one and "reachable" when the motor can be reached again.
+class AM43ConnectionManager extends EventEmitter {
+  constructor(transport, options) {
+    super()
+
+    options = options || {}
+
+    this.transport = transport
+    this.establishAsync = options.establishAsync // Connects the transport and prepares the connection for commands.
+    this.rescanAsync = options.rescanAsync || null // Searches for the motor again, without it the motor is never rescanned.
+    this.acquireConnectionAsync =
+      options.acquireConnectionAsync || (() => Promise.resolve()) // Resolves once the motor may connect, the connection is held until the motor disconnects.
+    this.releaseConnection = options.releaseConnection || (() => {}) // Hands the connection back once the motor disconnected or failed to connect.
+    this.debugLog = options.debugLog || (() => {})
+    this.keepConnected = options.keepConnected == true // Reconnects when the connection drops, instead of waiting for the next command.
+    this.connectTimeout =
+      options.connectTimeout != undefined
+        ? options.connectTimeout
+        : StaticVariables.DEFAULT_CONNECT_TIMEOUT
+    this.initialBackoff =
+      options.initialBackoff != undefined
+        ? options.initialBackoff
+        : StaticVariables.DEFAULT_INITIAL_BACKOFF
+    this.maximumBackoff =
+      options.maximumBackoff != undefined
+        ? options.maximumBackoff
+        : StaticVariables.DEFAULT_MAXIMUM_BACKOFF
+    this.rescanAfterFailures =
+      options.rescanAfterFailures != undefined
+        ? options.rescanAfterFailures
+        : StaticVariables.DEFAULT_RESCAN_AFTER_FAILURES
+
+    this.state = transport.isConnected
+      ? StaticVariables.STATE_READY
+      : StaticVariables.STATE_DISCONNECTED
+    this.consecutiveFailures = 0
+    this.lastError = null
+    this.lastConnected = null
+    this.nextAttempt = null // The time before which no new attempt is made. In milliseconds since the epoch
+    this.connectingPromise = null
+    this.isDisconnectRequested = false
+    this.reconnectTimer = null
+
+    this.transport.on("connect", () => {
+      if (this.state == StaticVariables.STATE_CONNECTING) {
+        this.setState(StaticVariables.STATE_DISCOVERING)
+      }
+    })
+    this.transport.on("disconnect", () => {
+      this.releaseConnection()
+      this.handleTransportDisconnect()
+    })
+  }
+
+  get isReady() {
+    return this.state == StaticVariables.STATE_READY
+  }
+
+  // A motor is reachable until an attempt to connect to it fails, and again once it connects or is found by a scan.
+  get isReachable() {
+    return this.consecutiveFailures == 0
+  }
+
+  get health() {
+    return {
+      state: this.state,
+      reachable: this.isReachable,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError != null ? this.lastError.message : null,
+      lastConnected: this.lastConnected,
+      nextAttempt: this.nextAttempt,
+    }
+  }
+
+  setState(state) {
+    if (state == this.state) {
+      return
+    }
+    const previousState = this.state
+    this.state = state
+    this.debugLog(`Connection state: ${previousState} -> ${state}`)
+    this.emit("stateChange", state, previousState)
+  }
+
+  // Resolves once the motor is ready for commands. Fails immediately while the backoff of a failed attempt hasn't passed.
+  connectAsync() {
+    if (this.isReady && this.transport.isConnected) {
+      return Promise.resolve()
+    }
+    if (this.connectingPromise != null) {
+      return this.connectingPromise
+    }
+    if (this.state == StaticVariables.STATE_SCANNING) {
+      return Promise.reject(
+        this.unreachableError("it is being searched for again")
+      )
+    }
+    const delay = this.nextAttempt != null ? this.nextAttempt - Date.now() : 0
+    if (delay > 0) {
+      return Promise.reject(
+        this.unreachableError(
+          `retrying in ${Math.ceil(delay / 1000)} second(s)`
+        )
+      )
+    }
+    this.connectingPromise = this.performConnectAsync()
+    const clear = () => {
+      this.connectingPromise = null
+    }
+    this.connectingPromise.then(clear, clear)
+    return this.connectingPromise
+  }
+
+  async performConnectAsync() {
+    this.cancelReconnect()
+    this.isDisconnectRequested = false
+    // Waiting for a connection isn't part of the attempt, it doesn't count towards the timeout or the backoff.
+    await this.acquireConnectionAsync()
+    this.setState(
+      this.transport.isConnected
+        ? StaticVariables.STATE_DISCOVERING
+        : StaticVariables.STATE_CONNECTING
+    )
+    try {
+      await this.withTimeoutAsync(this.establishAsync())
+    } catch (error) {
+      if (!this.transport.isConnected) {
+        this.releaseConnection()
+      }
+      this.handleConnectFailure(error)
+      throw error
+    }
+    const wasReachable = this.isReachable
+    this.consecutiveFailures = 0
+    this.lastError = null
+    this.nextAttempt = null
+    this.lastConnected = Date.now()
+    this.setState(StaticVariables.STATE_READY)
+    if (!wasReachable) {
+      this.emit("reachable")
+    }
+  }
+
+  withTimeoutAsync(promise) {
+    if (!(this.connectTimeout > 0)) {
+      return promise
+    }
+    let timer = null
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        // Cancels the attempt, noble keeps trying to connect to a peripheral that is gone.
+        this.transport.disconnectAsync().catch(() => {})
+        reject(
+          new AM43ConnectionError(
+            `Connecting took longer than ${this.connectTimeout}ms`,
+            StaticVariables.ERROR_CODE_CONNECT_TIMEOUT
+          )
+        )
+      }, this.connectTimeout)
+    })
+    // The attempt can still fail after the timeout, that error is no longer of interest.
+    promise.catch(() => {})
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+  }
+
+  handleConnectFailure(error) {
+    this.consecutiveFailures++
+    this.lastError = error
+    const backoff = Math.min(
+      this.initialBackoff *
+        Math.pow(
+          StaticVariables.BACKOFF_MULTIPLIER,
+          this.consecutiveFailures - 1
+        ),
+      this.maximumBackoff
+    )
+    this.nextAttempt = Date.now() + backoff
+    this.debugLog(
+      `Connection attempt ${this.consecutiveFailures} failed: ${error.message}, backing off for ${backoff}ms`
+    )
+    this.setState(StaticVariables.STATE_FAILED)
+    if (this.consecutiveFailures == 1) {
+      this.emit("unreachable", error)
+    }
+
+    if (
+      this.rescanAsync != null &&
+      this.rescanAfterFailures > 0 &&
+      this.consecutiveFailures % this.rescanAfterFailures == 0
+    ) {
+      this.rescan()
+    } else if (this.keepConnected) {
+      this.scheduleReconnect(backoff)
+    }
+  }
+
+  // The peripheral might have disappeared or changed, for example after the motor restarted, so the platform searches for it again.
+  rescan() {
+    this.setState(StaticVariables.STATE_SCANNING)
+    this.rescanAsync()
+      .catch((error) => this.debugLog(`Rescanning failed: ${error}`))
+      .then(() => {
+        if (this.state != StaticVariables.STATE_SCANNING) {
+          return
+        }
+        // Not found, keep backing off.
+        this.setState(StaticVariables.STATE_FAILED)
+        if (this.keepConnected) {
+          this.scheduleReconnect(Math.max(0, this.nextAttempt - Date.now()))
+        }
+      })
+  }
+
+  // Called when a scan found the motor, it is advertising again so the backoff no longer applies.
+  handleDiscovered() {
+    if (
+      this.state != StaticVariables.STATE_FAILED &&
+      this.state != StaticVariables.STATE_SCANNING
+    ) {
+      return
+    }
+    this.debugLog("Found again, resetting the backoff")
+    this.consecutiveFailures = 0
+    this.nextAttempt = null
+    this.setState(StaticVariables.STATE_DISCONNECTED)
+    this.emit("reachable")
+    if (this.keepConnected) {
+      this.scheduleReconnect(0)
+    }
+  }
+
+  handleTransportDisconnect() {
+    if (
+      this.state == StaticVariables.STATE_CONNECTING ||
+      this.state == StaticVariables.STATE_DISCOVERING
+    ) {
+      // The attempt that is in progress decides the state.
+      return
+    }
+    if (this.state != StaticVariables.STATE_READY) {
+      return
+    }
+    this.setState(StaticVariables.STATE_DISCONNECTED)
+    if (!this.isDisconnectRequested) {
+      this.debugLog("Connection dropped unexpectedly")
+      if (this.keepConnected) {
+        this.scheduleReconnect(this.initialBackoff)
+      }
+    }
+  }
+
+  scheduleReconnect(delay) {
+    this.cancelReconnect()
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.connectAsync().catch((error) => {
+        this.debugLog(`Reconnecting failed: ${error.message}`)
+      })
+    }, delay)
+  }
+
+  cancelReconnect() {
+    if (this.reconnectTimer != null) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+  }
+
+  async disconnectAsync() {
+    this.isDisconnectRequested = true
+    this.cancelReconnect()
+    await this.transport.disconnectAsync()
+  }
+
+  unreachableError(reason) {
+    const lastError =
+      this.lastError != null
+        ? ` The last attempt failed: ${this.lastError.message}`
+        : ""
+    return new AM43ConnectionError(
+      `The motor can't be reached, ${reason}.${lastError}`,
+      StaticVariables.ERROR_CODE_UNREACHABLE
+    )
+  }
+}
+
+module.exports = {
+  AM43ConnectionError: AM43ConnectionError,
+  AM43ConnectionManager: AM43ConnectionManager,
+  StaticVariables: StaticVariables,
+}
@@ -1,200 +1,414 @@
 const EventEmitter = require("events").EventEmitter
 const debug = require("debug")("AM43")
+const {
+  AM43CommandQueue,
+  AM43CommandError,
+  StaticVariables: CommandQueueVariables,
+} = require("./AM43CommandQueue")
+const AM43ConnectionManager = require("./AM43ConnectionManager")
+  .AM43ConnectionManager
+const AM43Protocol = require("./AM43Protocol")
+const AM43PositionEstimator = require("./AM43PositionEstimator")
+  .AM43PositionEstimator
+const ProtocolVariables = AM43Protocol.StaticVariables
 
 const StaticVariables = {
   AM43_SERVICE_ID: "fe50",
   AM43_CHARACTERISTIC_ID: "fe51",
-
-  AM43_COMMAND_PREFIX: Uint8Array.from([0x00, 0xff, 0x00, 0x00, 0x9a]),
-  AM43_COMMAND_ID_SET_MOVE: 0x0a,
-
-  AM43_MOVE_OPEN: 0xdd,
-  AM43_MOVE_CLOSE: 0xee,
-  AM43_MOVE_STOP: 0xcc,
-
-  AM43_COMMAND_ID_SET_POSITION: 0x0d,
-  AM43_COMMAND_ID_GET_POSITION: 0xa7,
-  AM43_COMMAND_ID_GET_LIGHTSENSOR: 0xaa,
-  AM43_COMMAND_ID_GET_BATTERYSTATUS: 0xa2,
-
-  AM43_RESPONSE_ACK: 0x5a,
-  AM43_RESPONSE_NACK: 0xa5,
-
-  AM43_NOTIFY_POSITION: 0xa1,
+  // The standard Bluetooth services the name, manufacturer, model and versions of the motor are read from.
+  GENERIC_ACCESS_SERVICE_ID: "1800",
+  DEVICE_NAME_CHARACTERISTIC_ID: "2a00",
+  DEVICE_INFORMATION_SERVICE_ID: "180a",
+  MODEL_NUMBER_CHARACTERISTIC_ID: "2a24",
+  FIRMWARE_REVISION_CHARACTERISTIC_ID: "2a26",
+  HARDWARE_REVISION_CHARACTERISTIC_ID: "2a27",
+  MANUFACTURER_NAME_CHARACTERISTIC_ID: "2a29",
 
   POSITION_HISTORY_LENGTH: 5,
+  ARRIVAL_TOLERANCE: 1, // A motor that stops this close to its target has arrived, further away it is obstructed. In percent
+  TRACKING_INTERVAL: 1000, // The time between two steps of following a move. In milliseconds
+  MOVING_POLL_INTERVAL: 5000, // The time between position requests during a move, when the position can be estimated in between. In milliseconds
+  MANUAL_MOVEMENT_TIMEOUT: 3000, // A move started outside of the plugin has ended when the motor reported no new position for this long. In milliseconds
+  MANUAL_MOVEMENT_GRACE_PERIOD: 2000, // Position changes this soon after a move of the plugin ended still belong to that move, the motor can report a last step after stopping. In milliseconds
 }
 
 class AM43Device extends EventEmitter {
-  constructor(peripheral) {
+  constructor(transport, options) {
     super()
 
-    this.peripheral = peripheral
-    if (peripheral.localName) {
-      this.name = peripheral.localName
-    } else if (peripheral.advertisement.localName) {
-      this.name = peripheral.advertisement.localName
-    } else if (peripheral.address) {
-      this.name = peripheral.address
+    options = options || {}
+
+    this.transport = transport
+    if (transport.name) {
+      this.name = transport.name
+    } else if (transport.address) {
+      this.name = transport.address
     } else {
       let name = "AM43 Blind"
-      if (peripheral.id) {
+      if (transport.id) {
         name += " "
-        name += peripheral.id
+        name += transport.id
       }
       this.name = name
     }
-    if (peripheral.id) {
-      this.id = peripheral.id
-    } else if (peripheral.uuid) {
-      this.id = peripheral.uuid
-    } else if (peripheral.address) {
-      this.id = peripheral.address
-    } else {
-      this.id = this.name
-    }
-    this.address = peripheral.address
+    this.id = transport.id ? transport.id : this.name
+    this.address = transport.address
 
     let addressDesc =
-      this.peripheral.address != null
-        ? this.peripheral.address
-        : this.peripheral.id
+      this.transport.address != null
+        ? this.transport.address
+        : this.transport.id
     this.description = this.name + " (" + addressDesc + ")"
 
-    this.isConnected = false
-    this.peripheral.on("connect", () => {
+    this.isConnected = this.transport.isConnected == true
+    this.transport.on("connect", () => {
       this.debugLog(`Device connected: ${this.id}`)
       this.isConnected = true
+      this.emit("connect")
     })
-    this.peripheral.on("disconnect", () => {
+    this.transport.on("disconnect", () => {
       this.debugLog(`Device disconnected: ${this.id}`)
-      this.connectingPromise = null
-      this.discoveringPromise = null
-      this.blindsControlCharacteristic = null
       this.isConnected = false
+      this.isAuthenticated = false
+      this.responseParser.reset()
+      this.authenticationQueue.handleDisconnect()
+      this.commandQueue.handleDisconnect()
+      this.emit("disconnect")
+    })
+    this.transport.on("data", (data) => {
+      this.handleNotification(data)
+    })
+
+    this.responseParser = new AM43Protocol.AM43ResponseParser()
+    this.responseParser.on("message", (message) => {
+      this.handleMessage(message)
+    })
+    this.responseParser.on("invalidData", (data, reason) => {
+      this.debugLog(`Ignoring invalid data ${data.toString("hex")}: ${reason}`)
     })
-    this.blindsControlCharacteristic = null
     this.position = 0
     this.targetPosition = null
     this.direction = 2 // 0: Down/Decreating, 1: Up/Increasing, 2: Stopped
     this.batteryPercentage = 50
+    this.lightLevel = null
+    this.settings = null // The speed, direction, limits and device type the motor reports with its position.
+    this.deviceInformation = null // The manufacturer, model and versions the motor reports over Bluetooth, once they have been read.
+    this.timers = null // The timers stored on the motor, once they have been read.
 
     this.positionHistory = []
+
+    this.positionEstimator = new AM43PositionEstimator(options.travelTimes)
+    this.estimatedPosition = null // The estimated position while moving, between the real readings in position.
+    this.lastTrackingPoll = null
+    this.isTracking = false // Set while the tracking loop follows a move.
+    this.trackingTimer = null
+
+    this.isMovingManually = false // Set while the motor moves without a command of the plugin, for example by its remote.
+    this.manualMovementTimer = null
+    this.lastMoveEnd = null // The time the last move of the plugin ended.
+
+    this.isObstructed = false // Set when the last move stopped short of its target, cleared when a move reaches its target.
+    this.retryObstructedMoves = options.retryObstructedMoves == true // Moves the motor to its target once more before an obstruction is reported.
+    this.isRetryingMove = false
+
+    this.password = options.password != undefined ? options.password : null
+    this.isAuthenticated = false
+    this.isPasswordRejected = false // Set when the motor rejected the password, no commands are sent until the device is recreated with another password.
+
+    this.connectionManager = new AM43ConnectionManager(transport, {
+      establishAsync: () => this.establishConnectionAsync(),
+      rescanAsync: options.rescanAsync,
+      acquireConnectionAsync:
+        options.bleScheduler != undefined
+          ? () => options.bleScheduler.acquireConnectionAsync(this.id, this)
+          : undefined,
+      releaseConnection:
+        options.bleScheduler != undefined
+          ? () => options.bleScheduler.releaseConnection(this.id)
+          : undefined,
+      keepConnected: options.keepConnected,
+      connectTimeout: options.connectTimeout,
+      initialBackoff: options.initialBackoff,
+      maximumBackoff: options.maximumBackoff,
+      debugLog: (info) => this.debugLog(info),
+    })
+
+    this.commandQueue = new AM43CommandQueue({
+      writeAsync: async (buffer) => {
+        this.checkPasswordRejected()
+        if (!this.isConnected || !this.isAuthenticated) {
+          await this.connectAsync()
+        }
+        await this.transport.writeAsync(buffer)
+      },
+      reconnectAsync: async () => {
+        if (this.isConnected) {
+          await this.disconnectAsync()
+        }
+        await this.connectAsync()
+      },
+      debugLog: (info) => this.debugLog(info),
+      responseTimeout: options.responseTimeout,
+      writeRetries: options.writeRetries,
+    })
+    // The password has to be verified as part of connecting, before the commands waiting in the command queue are sent.
+    this.authenticationQueue = new AM43CommandQueue({
+      writeAsync: (buffer) => this.transport.writeAsync(buffer),
+      reconnectAsync: async () => {},
+      debugLog: (info) => this.debugLog(info),
+      responseTimeout: options.responseTimeout,
+      writeRetries: 0,
+    })
   }
 
   debugLog(info) {
     debug(`${this.description}: ${info}`)
   }
 
-  setBlindsControlCharacteristic(characteristic) {
-    this.blindsControlCharacteristic = characteristic
-    this.blindsControlCharacteristic.on("data", (data) => {
-      this.debugLog("--------Notification--------")
-      const dataArray = new Uint8Array(data)
-      this.debugLog(`Data received:` + dataArray)
-      let percentage = null
-
-      switch (data[1]) {
-        case StaticVariables.AM43_COMMAND_ID_GET_POSITION:
-          this.debugLog("Position update received")
-          percentage = parseInt(dataArray[5])
-          this.debugLog(`Closed Percentage ${percentage}`)
-          this.position = percentage
-
-          this.positionHistory.unshift(percentage)
-          this.positionHistory.length = Math.min(
-            StaticVariables.POSITION_HISTORY_LENGTH,
-            this.positionHistory.length
-          )
-
-          this.emit("position", this.position)
-          break
-
-        case StaticVariables.AM43_COMMAND_ID_GET_LIGHTSENSOR:
-          this.debugLog("light sensor update received")
-          percentage = parseInt(dataArray[4])
-          this.debugLog(`Light level ${percentage}`)
-          this.emit("lightLevel", percentage)
-          break
-
-        case StaticVariables.AM43_COMMAND_ID_GET_BATTERYSTATUS:
-          this.debugLog("Battery Status update received")
-          percentage = parseInt(dataArray[7])
-          this.debugLog(`Battery Percentage ${percentage}`)
-          this.batteryPercentage = percentage
-          this.emit("batteryPercentage", this.batteryPercentage)
-          break
-
-        case StaticVariables.AM43_NOTIFY_POSITION:
-          this.debugLog("Position notify received")
-          percentage = parseInt(dataArray[4])
-          this.debugLog(`Closed Percentage ${percentage}`)
-          this.position = percentage
-
-          this.positionHistory.unshift(percentage)
-          this.positionHistory.length = Math.min(
-            StaticVariables.POSITION_HISTORY_LENGTH,
-            this.positionHistory.length
-          )
-
-          this.emit("position", this.position)
-          break
-
-        case StaticVariables.AM43_COMMAND_ID_SET_MOVE:
-          this.debugLog("Set move notify received")
-          if (dataArray[3] == StaticVariables.AM43_RESPONSE_ACK) {
-            this.debugLog("Set move acknowledged")
-          } else if (dataArray[3] == AM43_RESPONSE_NACK) {
-            this.debugLog("Set move denied")
-          }
-          break
-
-        case StaticVariables.AM43_COMMAND_ID_SET_POSITION:
-          this.debugLog("Set position notify received")
-          if (dataArray[3] == StaticVariables.AM43_RESPONSE_ACK) {
-            this.debugLog("Set position acknowledged")
-          } else if (dataArray[3] == StaticVariables.AM43_RESPONSE_NACK) {
-            this.debugLog("Set position denied")
-          }
-          break
+  handleNotification(data) {
+    this.debugLog("--------Notification--------")
+    this.debugLog(`Data received: ${Buffer.from(data).toString("hex")}`)
+    this.responseParser.push(data)
+  }
 
-        default:
-          break
+  handleMessage(message) {
+    switch (message.type) {
+      case ProtocolVariables.MESSAGE_TYPE_POSITION:
+        this.debugLog("Position update received")
+        this.debugLog(`Closed Percentage ${message.position}`)
+        if (message.settings) {
+          this.settings = message.settings
+          this.emit("settings", this.settings)
+        }
+        this.updatePosition(message.position)
+        this.commandQueue.resolveCommand(message.commandID, message.position)
+        break
+
+      case ProtocolVariables.MESSAGE_TYPE_POSITION_NOTIFICATION: {
+        this.debugLog("Position notify received")
+        this.debugLog(`Closed Percentage ${message.position}`)
+        // Only a position that was read before shows which way the motor moves.
+        const previousPosition =
+          this.positionHistory.length > 0 ? this.position : null
+        this.updatePosition(message.position)
+        this.detectManualMovement(previousPosition, message.position)
+        break
       }
 
-      if (this.targetPosition != null && this.position != null) {
-        let direction = this.targetPosition < this.position ? 1 : 0
-        let targetPosition = this.targetPosition
-        if (this.position == this.targetPosition || this.checkIfStopped()) {
+      case ProtocolVariables.MESSAGE_TYPE_LIGHT_LEVEL:
+        this.debugLog("light sensor update received")
+        this.debugLog(`Light level ${message.lightLevel}`)
+        this.lightLevel = message.lightLevel
+        this.emit("lightLevel", this.lightLevel)
+        this.commandQueue.resolveCommand(message.commandID, message.lightLevel)
+        break
+
+      case ProtocolVariables.MESSAGE_TYPE_BATTERY:
+        this.debugLog("Battery Status update received")
+        this.debugLog(`Battery Percentage ${message.batteryPercentage}`)
+        this.batteryPercentage = message.batteryPercentage
+        this.emit("batteryPercentage", this.batteryPercentage)
+        this.commandQueue.resolveCommand(
+          message.commandID,
+          message.batteryPercentage
+        )
+        break
+
+      case ProtocolVariables.MESSAGE_TYPE_TIMERS:
+        this.debugLog(`Timers received: ${message.timers.length}`)
+        this.timers = message.timers
+        this.emit("timers", this.timers)
+        this.commandQueue.resolveCommand(message.commandID, this.timers)
+        break
+
+      case ProtocolVariables.MESSAGE_TYPE_COMMAND_RESULT:
+        if (
+          message.commandID == ProtocolVariables.AM43_COMMAND_ID_VERIFY_PASSWORD
+        ) {
+          if (message.acknowledged) {
+            this.authenticationQueue.resolveCommand(message.commandID)
+          } else {
+            this.authenticationQueue.rejectCommand(message.commandID)
+          }
+        } else if (message.acknowledged) {
           this.debugLog(
-            `Target position ${this.targetPosition} reached @ ${this.position}`
+            `Command 0x${message.commandID.toString(16)} acknowledged`
           )
-          targetPosition = null
-        }
-        if (targetPosition == null) {
-          direction = 2
+          this.commandQueue.resolveCommand(message.commandID)
+        } else {
+          this.debugLog(`Command 0x${message.commandID.toString(16)} denied`)
+          this.commandQueue.rejectCommand(message.commandID)
         }
-        if (direction != this.direction) {
-          this.direction = direction
-          this.emit("direction", this.direction)
-        }
-        if (targetPosition != this.targetPosition) {
-          this.targetPosition = targetPosition
-          this.emit("targetPosition", this.targetPosition)
-        }
-      }
-    })
+        break
 
-    this.blindsControlCharacteristic.subscribe((error) => {
-      if (error) {
-        this.debugLog("Failed to subsribe to notifications")
-      } else {
-        this.debugLog("Subscribed to notifications")
+      default:
+        this.debugLog(
+          `Unknown notification 0x${message.commandID.toString(16)} received`
+        )
+        break
+    }
+
+    if (this.targetPosition != null && this.position != null) {
+      let direction = this.targetPosition < this.position ? 1 : 0
+      let targetPosition = this.targetPosition
+      if (this.position == this.targetPosition) {
+        this.handleArrival()
+        targetPosition = null
+      } else if (this.checkIfStopped()) {
+        targetPosition = this.handleStall()
       }
-    })
+      if (targetPosition == null) {
+        direction = 2
+      }
+      if (direction != this.direction) {
+        this.direction = direction
+        this.emit("direction", this.direction)
+      }
+      if (targetPosition == null) {
+        this.positionEstimator.stop()
+        this.estimatedPosition = null
+        this.lastMoveEnd = Date.now()
+      }
+      if (targetPosition != this.targetPosition) {
+        this.targetPosition = targetPosition
+        this.emit("targetPosition", this.targetPosition)
+      }
+    }
+  }
+
+  handleArrival() {
+    this.debugLog(
+      `Target position ${this.targetPosition} reached @ ${this.position}`
+    )
+    this.setObstructed(false)
+  }
 
-    this.connectingPromise = null
-    this.discoveringPromise = null
+  // Handles a motor that stopped moving before it reported its target position. Returns the target position that remains.
+  handleStall() {
+    if (
+      Math.abs(this.position - this.targetPosition) <=
+      StaticVariables.ARRIVAL_TOLERANCE
+    ) {
+      this.handleArrival()
+      return null
+    }
+    if (this.retryObstructedMoves && !this.isRetryingMove) {
+      this.debugLog(
+        `Stopped @ ${this.position} before reaching ${this.targetPosition}, retrying the move`
+      )
+      this.isRetryingMove = true
+      this.positionHistory = []
+      this.positionEstimator.start(this.position, this.targetPosition)
+      this.sendCommandAsync(
+        AM43Protocol.commands.setPosition(this.targetPosition)
+      ).catch((error) => {
+        this.debugLog(`Failed to retry the move: ${error}`)
+      })
+      return this.targetPosition
+    }
+    this.debugLog(
+      `Stopped @ ${this.position} before reaching ${this.targetPosition}, the blind is obstructed`
+    )
+    this.setObstructed(true)
+    this.emit("obstruction", this.position, this.targetPosition)
+    return null
+  }
+
+  setObstructed(isObstructed) {
+    if (isObstructed != this.isObstructed) {
+      this.isObstructed = isObstructed
+      this.emit("obstructionDetected", this.isObstructed)
+    }
+  }
+
+  // The motor sends its position while it moves, also when it was moved by its remote, its chain or the Blinds Engine app.
+  // A changing position while the plugin didn't move the motor is reported as a manual movement.
+  detectManualMovement(previousPosition, position) {
+    if (
+      this.targetPosition != null ||
+      previousPosition == null ||
+      position == previousPosition ||
+      (this.lastMoveEnd != null &&
+        Date.now() - this.lastMoveEnd <
+          StaticVariables.MANUAL_MOVEMENT_GRACE_PERIOD)
+    ) {
+      return
+    }
+    const direction = position > previousPosition ? 0 : 1
+    clearTimeout(this.manualMovementTimer)
+    this.manualMovementTimer = null
+    if (!this.isMovingManually || direction != this.direction) {
+      this.debugLog(
+        `Moved outside of the plugin from ${previousPosition} to ${position}`
+      )
+      this.isMovingManually = true
+      this.direction = direction
+      this.emit("direction", this.direction)
+      this.emit("manualMovement", this.direction, position)
+    }
+    if (position == 0 || position == 100) {
+      this.endManualMovement()
+      return
+    }
+    this.manualMovementTimer = setTimeout(
+      () => this.endManualMovement(),
+      StaticVariables.MANUAL_MOVEMENT_TIMEOUT
+    )
+  }
+
+  endManualMovement() {
+    clearTimeout(this.manualMovementTimer)
+    this.manualMovementTimer = null
+    if (!this.isMovingManually) {
+      return
+    }
+    this.debugLog(`Manual movement ended @ ${this.position}`)
+    this.isMovingManually = false
+    this.direction = 2
+    this.emit("direction", this.direction)
+  }
+
+  // A command of the plugin takes over from a manual movement.
+  cancelManualMovement() {
+    clearTimeout(this.manualMovementTimer)
+    this.manualMovementTimer = null
+    this.isMovingManually = false
+  }
+
+  // Forgets the readings of the previous move, so a motor that hasn't started moving yet isn't seen as stopped.
+  startMove(targetPosition) {
+    this.cancelManualMovement()
+    this.positionHistory = []
+    this.isRetryingMove = false
+    this.positionEstimator.start(this.position, targetPosition)
+  }
+
+  // The best known position, estimated while the motor moves.
+  get currentPosition() {
+    return this.estimatedPosition != null
+      ? this.estimatedPosition
+      : this.position
+  }
+
+  updatePosition(position) {
+    this.position = position
+    this.estimatedPosition = null
+    const travelTime = this.positionEstimator.handleReading(position)
+    if (travelTime != null) {
+      this.debugLog(`Learned travel time: ${travelTime}ms`)
+      this.emit(
+        "travelTimes",
+        Object.assign({}, this.positionEstimator.travelTimes)
+      )
+    }
+
+    this.positionHistory.unshift(position)
+    this.positionHistory.length = Math.min(
+      StaticVariables.POSITION_HISTORY_LENGTH,
+      this.positionHistory.length
+    )
+
+    this.emit("position", this.position)
   }
 
   async prepareAsync() {
@@ -202,61 +416,196 @@ class AM43Device extends EventEmitter {
       await this.connectAsync()
     }
     await this.updatePositionAsync()
+    if (this.deviceInformation == null) {
+      try {
+        await this.updateDeviceInformationAsync()
+      } catch (error) {
+        // Not every motor offers the information, the motor works without it.
+        this.debugLog(`Failed to read the device information: ${error}`)
+      }
+    }
+  }
+
+  // Reads the configured name, manufacturer, model and versions from the standard Bluetooth services of the motor.
+  // Values the motor doesn't report are null. The device type is part of the settings that come with the position.
+  async updateDeviceInformationAsync() {
+    await this.connectAsync()
+    const information = await this.transport.readDeviceInformationAsync()
+    if (information.name && information.name != this.name) {
+      this.name = information.name
+      this.emit("name", this.name)
+    }
+    this.deviceInformation = {
+      manufacturer: information.manufacturer || null,
+      model: information.model || null,
+      firmwareRevision: information.firmwareRevision || null,
+      hardwareRevision: information.hardwareRevision || null,
+    }
+    this.emit("deviceInformation", this.deviceInformation)
+    return this.deviceInformation
   }
 
   async connectAsync() {
-    if (!this.isConnected) {
-      if (this.connectingPromise == null) {
-        this.connectingPromise = this.peripheral.connectAsync()
+    this.checkPasswordRejected()
+    if (this.transport.isConnected && this.isAuthenticated) {
+      return
+    }
+    await this.connectionManager.connectAsync()
+  }
+
+  // Performs a connection attempt for the connection manager.
+  async establishConnectionAsync() {
+    if (!this.transport.isConnected) {
+      await this.transport.connectAsync()
+    }
+    if (this.password != null && !this.isAuthenticated) {
+      await this.authenticateAsync()
+    }
+    this.isAuthenticated = true
+  }
+
+  async authenticateAsync() {
+    this.debugLog("Verifying password")
+    try {
+      await this.authenticationQueue.enqueue(
+        ProtocolVariables.AM43_COMMAND_ID_VERIFY_PASSWORD,
+        AM43Protocol.commands.verifyPassword(this.password)
+      )
+    } catch (error) {
+      if (error.code != CommandQueueVariables.ERROR_CODE_NACK) {
+        throw error
       }
-      await this.connectingPromise
-      this.connectingPromise = null
+      this.isPasswordRejected = true
+      this.commandQueue.clear(this.passwordRejectedMessage())
+      this.emit("passwordRejected")
+      await this.disconnectAsync()
+      this.checkPasswordRejected()
     }
-    if (this.discoveringPromise == null) {
-      this.discoveringPromise = this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
-        [StaticVariables.AM43_SERVICE_ID],
-        [StaticVariables.AM43_CHARACTERISTIC_ID]
+    this.debugLog("Password accepted")
+  }
+
+  checkPasswordRejected() {
+    if (this.isPasswordRejected) {
+      throw new AM43CommandError(
+        this.passwordRejectedMessage(),
+        ProtocolVariables.AM43_COMMAND_ID_VERIFY_PASSWORD,
+        CommandQueueVariables.ERROR_CODE_PASSWORD_REJECTED
       )
     }
-    const { characteristics } = await this.discoveringPromise
-    this.discoveringPromise = null
-    this.setBlindsControlCharacteristic(characteristics[0])
   }
 
-  async disconnectAsync() {
-    this.isConnected = false
-    this.connectingPromise = null
-    this.discoveringPromise = null
-    this.blindsControlCharacteristic = null
-    await this.peripheral.disconnectAsync()
+  passwordRejectedMessage() {
+    return `The motor ${this.description} rejected the password, no commands are sent until the password is fixed`
   }
 
-  async enableNotificationsAsync() {
-    try {
-      await this.blindsControlCharacteristic.subscribeAsync()
-      this.debugLog("Subscribed to notifications")
-    } catch (e) {
-      this.debugLog("Failed to subsribe to notifications")
-    }
+  async disconnectAsync() {
+    await this.connectionManager.disconnectAsync()
   }
 
   async setPositionAsync(position, trackPosition) {
+    this.cancelSupersededMoves()
     this.targetPosition = position
-    await this.sendCommandAsync(StaticVariables.AM43_COMMAND_ID_SET_POSITION, [
-      position,
-    ])
+    this.startMove(position)
+    try {
+      const isSent = await this.sendMoveCommandAsync(
+        AM43Protocol.commands.setPosition(position)
+      )
+      if (!isSent) {
+        return
+      }
+    } catch (error) {
+      this.targetPosition = null
+      this.positionEstimator.stop()
+      throw error
+    }
     if (trackPosition == true) {
       this.trackCurrentPosition()
     }
   }
 
+  // Drops the moves that are still waiting to be sent, only the latest move is sent to the motor.
+  cancelSupersededMoves() {
+    const count = this.commandQueue.cancelPending(
+      [
+        ProtocolVariables.AM43_COMMAND_ID_SET_MOVE,
+        ProtocolVariables.AM43_COMMAND_ID_SET_POSITION,
+      ],
+      `Move of ${this.description} superseded by a newer move`
+    )
+    if (count > 0) {
+      this.debugLog(`Cancelled ${count} superseded move(s)`)
+    }
+  }
+
+  // Sends a move command, resolves with false when a newer move took over before it was sent. The newer move owns the target position then.
+  async sendMoveCommandAsync(buffer) {
+    try {
+      await this.sendCommandAsync(buffer)
+      return true
+    } catch (error) {
+      if (error.code != CommandQueueVariables.ERROR_CODE_SUPERSEDED) {
+        throw error
+      }
+      this.debugLog(error.message)
+      return false
+    }
+  }
+
+  // Follows a move until the target position is reached. Once the travel time is known the position is estimated between less frequent readings.
+  // There is at most one tracking loop per motor, a move that starts while one runs is followed by that loop.
   trackCurrentPosition() {
-    setTimeout(async () => {
-      await this.updatePositionAsync()
-      if (this.targetPosition != null) {
-        this.trackCurrentPosition()
+    this.lastTrackingPoll = null
+    if (this.isTracking) {
+      return
+    }
+    this.isTracking = true
+    this.scheduleTrackingStep()
+  }
+
+  scheduleTrackingStep() {
+    this.trackingTimer = setTimeout(async () => {
+      const now = Date.now()
+      const estimatedPosition = this.positionEstimator.estimate(now)
+      if (
+        estimatedPosition != null &&
+        estimatedPosition != this.estimatedPosition
+      ) {
+        this.estimatedPosition = estimatedPosition
+        this.emit("estimatedPosition", this.estimatedPosition)
+      }
+      // Polled every step without an estimate and when the motor should have arrived, to notice the arrival in time.
+      if (
+        estimatedPosition == null ||
+        estimatedPosition == this.targetPosition ||
+        this.lastTrackingPoll == null ||
+        now - this.lastTrackingPoll >= StaticVariables.MOVING_POLL_INTERVAL
+      ) {
+        this.lastTrackingPoll = now
+        try {
+          await this.updatePositionAsync()
+        } catch (error) {
+          this.debugLog(`Failed to update position while tracking: ${error}`)
+        }
       }
-    }, 1000)
+      if (this.targetPosition != null && this.isTracking) {
+        this.scheduleTrackingStep()
+      } else {
+        this.trackingTimer = null
+        this.isTracking = false
+      }
+    }, StaticVariables.TRACKING_INTERVAL)
+  }
+
+  // Ends the tracking loop, for example when the device is no longer used.
+  stopTracking() {
+    clearTimeout(this.trackingTimer)
+    this.trackingTimer = null
+    this.isTracking = false
+  }
+
+  // Set while commands are waiting or the tracking loop follows a move, the Bluetooth scheduler doesn't disconnect a busy motor to make room for another.
+  get isBusy() {
+    return this.commandQueue.length > 0 || this.isTracking
   }
 
   checkIfStopped() {
@@ -265,96 +614,234 @@ class AM43Device extends EventEmitter {
     return this.positionHistory.every((v) => v === this.positionHistory[0])
   }
 
-  async openAsync() {
+  async openAsync(trackPosition) {
+    this.cancelSupersededMoves()
     this.targetPosition = 0
     this.direction = 1
-    await this.sendCommandAsync(StaticVariables.AM43_COMMAND_ID_SET_MOVE, [
-      AM43_MOVE_OPEN,
-    ])
+    this.startMove(0)
+    try {
+      const isSent = await this.sendMoveCommandAsync(
+        AM43Protocol.commands.open()
+      )
+      if (!isSent) {
+        return
+      }
+    } catch (error) {
+      this.targetPosition = null
+      this.direction = 2
+      this.positionEstimator.stop()
+      throw error
+    }
+    if (trackPosition == true) {
+      this.trackCurrentPosition()
+    }
     this.emit("direction", this.direction)
     this.emit("targetPosition", this.targetPosition)
   }
 
-  async closeAsync() {
+  async closeAsync(trackPosition) {
+    this.cancelSupersededMoves()
     this.targetPosition = 100
     this.direction = 0
-    await this.sendCommandAsync(StaticVariables.AM43_COMMAND_ID_SET_MOVE, [
-      AM43_MOVE_CLOSE,
-    ])
+    this.startMove(100)
+    try {
+      const isSent = await this.sendMoveCommandAsync(
+        AM43Protocol.commands.close()
+      )
+      if (!isSent) {
+        return
+      }
+    } catch (error) {
+      this.targetPosition = null
+      this.direction = 2
+      this.positionEstimator.stop()
+      throw error
+    }
+    if (trackPosition == true) {
+      this.trackCurrentPosition()
+    }
     this.emit("direction", this.direction)
     this.emit("targetPosition", this.targetPosition)
   }
 
   async stopAsync() {
+    this.cancelSupersededMoves()
+    this.cancelManualMovement()
     this.targetPosition = null
+    this.lastMoveEnd = Date.now()
     this.direction = 2
-    await this.sendCommandAsync(StaticVariables.AM43_COMMAND_ID_SET_MOVE, [
-      AM43_MOVE_STOP,
-    ])
+    this.positionEstimator.stop()
+    this.estimatedPosition = null
+    if (!(await this.sendMoveCommandAsync(AM43Protocol.commands.stop()))) {
+      return
+    }
     this.emit("direction", this.direction)
     this.emit("targetPosition", this.targetPosition)
   }
 
   async updatePositionAsync() {
-    await this.sendCommandAsync(StaticVariables.AM43_COMMAND_ID_GET_POSITION, [
-      0x1,
-    ])
+    return await this.sendCommandAsync(AM43Protocol.commands.getPosition())
   }
 
   async updateBatteryStatusAsync() {
+    return await this.sendCommandAsync(AM43Protocol.commands.getBatteryStatus())
+  }
+
+  async updateLightSensorAsync() {
+    return await this.sendCommandAsync(AM43Protocol.commands.getLightSensor())
+  }
+
+  async updateSettingsAsync() {
+    await this.updatePositionAsync()
+    if (this.settings == null) {
+      throw new Error(
+        `The motor ${this.description} didn't report its settings`
+      )
+    }
+    return this.settings
+  }
+
+  // The motor only accepts all settings at once, so the current settings are read first.
+  async changeSettingsAsync(changes) {
+    const currentSettings = await this.updateSettingsAsync()
+    const settings = Object.assign({}, currentSettings, changes)
+    await this.sendCommandAsync(AM43Protocol.commands.setSettings(settings))
+    this.settings = settings
+    this.emit("settings", this.settings)
+    return this.settings
+  }
+
+  async setSpeedAsync(speed) {
+    return await this.changeSettingsAsync({ speed: speed })
+  }
+
+  async setReverseDirectionAsync(reversed) {
+    return await this.changeSettingsAsync({ reversed: reversed == true })
+  }
+
+  async setDeviceTypeAsync(deviceType) {
+    return await this.changeSettingsAsync({ deviceType: deviceType })
+  }
+
+  async setUpperLimitAsync() {
+    await this.sendCommandAsync(AM43Protocol.commands.setUpperLimit())
+    return await this.updateSettingsAsync()
+  }
+
+  async setLowerLimitAsync() {
+    await this.sendCommandAsync(AM43Protocol.commands.setLowerLimit())
+    return await this.updateSettingsAsync()
+  }
+
+  async resetLimitsAsync() {
+    await this.sendCommandAsync(AM43Protocol.commands.resetLimits())
+    return await this.updateSettingsAsync()
+  }
+
+  // The new name is advertised after the motor restarts its Bluetooth connection.
+  async setBluetoothNameAsync(name) {
+    await this.sendCommandAsync(AM43Protocol.commands.setName(name))
+    this.name = name
+    this.emit("name", this.name)
+  }
+
+  // The motor keeps its own clock to run its timers without Homebridge, it has no notion of dates or time zones.
+  async syncClockAsync(date) {
+    date = date != undefined ? date : new Date()
+    await this.sendCommandAsync(AM43Protocol.commands.syncClock(date))
+    this.debugLog(`Clock set to ${date.toString()}`)
+  }
+
+  async updateTimersAsync() {
+    return await this.sendCommandAsync(AM43Protocol.commands.getTimers())
+  }
+
+  // Stores a timer in the first free slot of the motor. The position is in AM43 percentages, where 100 is closed.
+  async addTimerAsync(timer) {
+    const timers = await this.updateTimersAsync()
+    let index = 0
+    while (timers.some((existingTimer) => existingTimer.index == index)) {
+      index++
+    }
+    if (index >= ProtocolVariables.AM43_MAXIMUM_TIMERS) {
+      throw new RangeError(
+        `The motor ${this.description} already has ${ProtocolVariables.AM43_MAXIMUM_TIMERS} timers`
+      )
+    }
     await this.sendCommandAsync(
-      StaticVariables.AM43_COMMAND_ID_GET_BATTERYSTATUS,
-      [0x1]
+      AM43Protocol.commands.addTimer(
+        Object.assign({ enabled: true }, timer, { index: index })
+      )
     )
+    return await this.updateTimersAsync()
   }
 
-  async updateLightSensorAsync() {
+  // Changes some of the values of a timer, the other values are kept.
+  async updateTimerAsync(index, changes) {
+    const timers = await this.updateTimersAsync()
+    const timer = timers.find((existingTimer) => existingTimer.index == index)
+    if (timer == null) {
+      throw new RangeError(
+        `The motor ${this.description} has no timer ${index}`
+      )
+    }
     await this.sendCommandAsync(
-      StaticVariables.AM43_COMMAND_ID_GET_LIGHTSENSOR,
-      [0x1]
+      AM43Protocol.commands.updateTimer(
+        Object.assign({}, timer, changes, { index: index })
+      )
     )
+    return await this.updateTimersAsync()
   }
 
-  async sendCommandAsync(commandID, data) {
-    if (!this.isConnected) {
-      await this.connectAsync()
+  async deleteTimerAsync(index) {
+    await this.sendCommandAsync(AM43Protocol.commands.deleteTimer(index))
+    return await this.updateTimersAsync()
+  }
+
+  // Replaces all timers of the motor, unless it already has exactly these timers. Returns whether the timers were written.
+  async replaceTimersAsync(timers) {
+    if (timers.length > ProtocolVariables.AM43_MAXIMUM_TIMERS) {
+      throw new RangeError(
+        `A motor can store up to ${ProtocolVariables.AM43_MAXIMUM_TIMERS} timers, got ${timers.length}`
+      )
     }
-    this.debugLog("--------Command--------")
-    this.debugLog(`Sending command to device: ${this.id}`)
-    const bufferArray = new Uint8Array(data.length + 8)
-    const startPackage = StaticVariables.AM43_COMMAND_PREFIX
-    for (let index = 0; index < startPackage.length; index++) {
-      bufferArray[index] = startPackage[index]
-    }
-    bufferArray[5] = commandID
-    const uIntData = Uint8Array.from(data)
-    bufferArray[6] = uIntData.length
-    let bufferIndex = 7
-    for (let index = 0; index < uIntData.length; index++) {
-      bufferArray[bufferIndex] = uIntData[index]
-      bufferIndex++
-    }
-    bufferArray[bufferIndex] = this.calculateCommandChecksum(bufferArray)
-    bufferIndex++
-
-    const buffer = Buffer.from(bufferArray.buffer)
-    let hexString = buffer.toString("hex")
-    this.debugLog(`Sending command: ${hexString}`)
-    this.debugLog(`Blinds characteristic available: ${this.blindsControlCharacteristic !== null && this.blindsControlCharacteristic !== undefined}`)
-    try {
-      await this.blindsControlCharacteristic.writeAsync(buffer, true)
-    } catch (error) {
-      this.debugLog(`Failed write command with error: ${error}`)
+    const existingTimers = await this.updateTimersAsync()
+    const describe = (timer) =>
+      JSON.stringify([
+        timer.enabled != false,
+        timer.position,
+        timer.days.slice().sort(),
+        timer.hour,
+        timer.minute,
+      ])
+    const existing = existingTimers.map(describe).sort()
+    const wanted = timers.map(describe).sort()
+    if (JSON.stringify(existing) == JSON.stringify(wanted)) {
+      return false
+    }
+    for (const timer of existingTimers) {
+      await this.sendCommandAsync(
+        AM43Protocol.commands.deleteTimer(timer.index)
+      )
+    }
+    for (let index = 0; index < timers.length; index++) {
+      await this.sendCommandAsync(
+        AM43Protocol.commands.addTimer(
+          Object.assign({ enabled: true }, timers[index], { index: index })
+        )
+      )
     }
+    await this.updateTimersAsync()
+    return true
   }
 
-  calculateCommandChecksum(bufferArray) {
-    let checksum = 0
-    for (let i = 0; i < bufferArray.length - 1; i++) {
-      checksum = checksum ^ bufferArray[i]
-    }
-    checksum = checksum ^ 0xff
-    return checksum
+  async sendCommandAsync(buffer) {
+    this.checkPasswordRejected()
+    const { commandID } = AM43Protocol.decodeCommand(buffer)
+    this.debugLog("--------Command--------")
+    this.debugLog(`Sending command to device: ${this.id}`)
+    this.debugLog(`Queueing command: ${buffer.toString("hex")}`)
+    return await this.commandQueue.enqueue(commandID, buffer)
   }
 }
 
@@ -0,0 +1,304 @@
+const AM43Config = require("./AM43Config")
+const AM43PresetSwitches = require("./AM43PresetSwitches").AM43PresetSwitches
+const AM43ConfigVariables = AM43Config.StaticVariables
+
+const StaticVariables = {
+  POSITION_STATE_DECREASING: 0,
+  POSITION_STATE_INCREASING: 1,
+  POSITION_STATE_STOPPED: 2,
+}
+
+// Resolves with the first member that succeeds and rejects when every member failed, so one unreachable motor doesn't hold up HomeKit.
+function firstSuccessAsync(promises) {
+  return new Promise((resolve, reject) => {
+    let remaining = promises.length
+    const errors = []
+    if (remaining == 0) {
+      reject(new Error("No members available"))
+      return
+    }
+    promises.forEach((promise) => {
+      promise.then(resolve, (error) => {
+        errors.push(error)
+        remaining--
+        if (remaining == 0) {
+          reject(errors[0])
+        }
+      })
+    })
+  })
+}
+
+// A virtual WindowCovering that moves several motors together, for example the blinds of a bay window.
+// Positions are in HomeKit percentages, the members take care of converting them for their motor.
+class AM43Group {
+  constructor(platform, accessory, groupConfig) {
+    this.platform = platform
+    this.log = platform.log
+    this.accessory = accessory
+    this.name = groupConfig[AM43ConfigVariables.GROUP_CONFIG_KEY_NAME]
+    this.memberIdentifiers =
+      groupConfig[AM43ConfigVariables.GROUP_CONFIG_KEY_MEMBERS] || []
+    this.aggregation =
+      groupConfig[AM43ConfigVariables.GROUP_CONFIG_KEY_AGGREGATION] ||
+      AM43ConfigVariables.AGGREGATION_AVERAGE
+
+    this.Service = platform.Service
+    this.Characteristic = platform.Characteristic
+
+    accessory.context.am43Group = {
+      name: this.name,
+      members: this.memberIdentifiers,
+    }
+    accessory.am43group = this
+    this.configureInformationService()
+    this.configureWindowCoveringService()
+    this.presetSwitches = new AM43PresetSwitches(
+      platform,
+      accessory,
+      groupConfig[AM43ConfigVariables.GROUP_CONFIG_KEY_PRESETS],
+      {
+        tolerance:
+          platform.configJSON[AM43ConfigVariables.CONFIG_KEY_PRESET_TOLERANCE],
+        setPositionAsync: (position) => this.setTargetPositionAsync(position),
+        position: () => this.targetPosition,
+      }
+    )
+  }
+
+  get memberAccessories() {
+    return this.memberIdentifiers
+      .map((identifier) => this.platform.findAccessory(identifier))
+      .filter((accessory) => accessory != null)
+  }
+
+  // The members whose motor has been found, the others can't be moved or report a position.
+  get availableMembers() {
+    return this.memberAccessories.filter(
+      (accessory) => accessory.am43device != null
+    )
+  }
+
+  isMember(accessory) {
+    const context = accessory.context.am43 || {}
+    return this.memberIdentifiers.some((identifier) =>
+      AM43Config.identifierMatches(identifier, context.id, context.address)
+    )
+  }
+
+  // Called by the platform when the motor of a member has been found.
+  addMemberDevice(accessory, device) {
+    ;["position", "targetPosition", "direction"].forEach((event) => {
+      device.on(event, () => {
+        if (accessory.am43device === device) {
+          this.updateCharacteristics()
+        }
+      })
+    })
+    this.updateCharacteristics()
+  }
+
+  aggregate(positions) {
+    if (positions.length == 0) {
+      return null
+    }
+    switch (this.aggregation) {
+      case AM43ConfigVariables.AGGREGATION_MINIMUM:
+        return Math.min(...positions)
+      case AM43ConfigVariables.AGGREGATION_MAXIMUM:
+        return Math.max(...positions)
+      default:
+        return Math.round(
+          positions.reduce((sum, position) => sum + position, 0) /
+            positions.length
+        )
+    }
+  }
+
+  get position() {
+    return this.aggregate(
+      this.availableMembers.map((accessory) =>
+        accessory.toHomeKitPosition(accessory.am43device.position)
+      )
+    )
+  }
+
+  // The position the members are moving to, members that aren't moving count with their current position.
+  get targetPosition() {
+    return this.aggregate(
+      this.availableMembers.map((accessory) => {
+        const device = accessory.am43device
+        return accessory.toHomeKitPosition(
+          device.targetPosition != null
+            ? device.targetPosition
+            : device.position
+        )
+      })
+    )
+  }
+
+  get positionState() {
+    const movingStates = this.availableMembers
+      .map((accessory) =>
+        accessory.toHomeKitPositionState(accessory.am43device.direction)
+      )
+      .filter((state) => state != StaticVariables.POSITION_STATE_STOPPED)
+    if (movingStates.length == 0) {
+      return StaticVariables.POSITION_STATE_STOPPED
+    }
+    if (movingStates.every((state) => state == movingStates[0])) {
+      return movingStates[0]
+    }
+    // Members move in different directions, report the direction of the group as a whole.
+    return this.targetPosition > this.position
+      ? StaticVariables.POSITION_STATE_INCREASING
+      : StaticVariables.POSITION_STATE_DECREASING
+  }
+
+  updateCharacteristics() {
+    const position = this.position
+    if (position == null) {
+      return
+    }
+    this.service
+      .getCharacteristic(this.Characteristic.CurrentPosition)
+      .updateValue(position)
+    this.service
+      .getCharacteristic(this.Characteristic.PositionState)
+      .updateValue(this.positionState)
+    this.service
+      .getCharacteristic(this.Characteristic.TargetPosition)
+      .updateValue(this.targetPosition)
+    this.presetSwitches.update()
+  }
+
+  // Sends the command to every available member at the same time, failures of single members are logged.
+  performOnMembersAsync(description, perform) {
+    const members = this.memberAccessories
+    members
+      .filter((accessory) => accessory.am43device == null)
+      .forEach((accessory) => {
+        this.log.warn(
+          `Group ${this.name}: skipping ${accessory.displayName}, its motor hasn't been found`
+        )
+      })
+    const promises = members
+      .filter((accessory) => accessory.am43device != null)
+      .map((accessory) =>
+        perform(accessory).catch((error) => {
+          this.log.error(
+            `Group ${this.name}: failed to ${description} ${accessory.displayName}: ${error}`
+          )
+          throw error
+        })
+      )
+    return firstSuccessAsync(promises)
+  }
+
+  async setTargetPositionAsync(position) {
+    this.log.debug(`Group ${this.name}: setting target position ${position}`)
+    this.service
+      .getCharacteristic(this.Characteristic.TargetPosition)
+      .updateValue(position)
+    await this.performOnMembersAsync("move", (accessory) =>
+      accessory.setTargetPositionAsync(position)
+    )
+  }
+
+  // Moves the members for automation, members that were moved outside of HomeKit recently are left alone.
+  async moveAutomaticallyAsync(position, reason) {
+    this.log.debug(`Group ${this.name}: moving to ${position} for ${reason}`)
+    await this.performOnMembersAsync("move", (accessory) =>
+      accessory.moveAutomaticallyAsync(position, reason)
+    )
+  }
+
+  async stopAsync() {
+    this.log.debug(`Group ${this.name}: stopping`)
+    await this.performOnMembersAsync("stop", (accessory) =>
+      accessory.stopAsync()
+    )
+  }
+
+  configureInformationService() {
+    const service =
+      this.accessory.getService(this.Service.AccessoryInformation) ||
+      this.accessory.addService(this.Service.AccessoryInformation)
+    service
+      .getCharacteristic(this.Characteristic.Manufacturer)
+      .updateValue("renssies")
+    service
+      .getCharacteristic(this.Characteristic.Model)
+      .updateValue("AM43 Group")
+    service
+      .getCharacteristic(this.Characteristic.SerialNumber)
+      .updateValue(this.name)
+    service
+      .getCharacteristic(this.Characteristic.FirmwareRevision)
+      .updateValue(this.platform.packageJSON.version)
+  }
+
+  configureWindowCoveringService() {
+    const service =
+      this.accessory.getService(this.Service.WindowCovering) ||
+      this.accessory.addService(this.Service.WindowCovering)
+    const group = this
+
+    service
+      .getCharacteristic(this.Characteristic.CurrentPosition)
+      .on("get", function (callback) {
+        const position = group.position
+        if (position == null) {
+          callback("None of the motors in the group have been found", null)
+          return
+        }
+        callback(null, position)
+      })
+
+    service
+      .getCharacteristic(this.Characteristic.TargetPosition)
+      .on("get", function (callback) {
+        const targetPosition = group.targetPosition
+        if (targetPosition == null) {
+          callback("None of the motors in the group have been found", null)
+          return
+        }
+        callback(null, targetPosition)
+      })
+      .on("set", async function (value, callback) {
+        try {
+          await group.setTargetPositionAsync(value)
+          callback(null)
+        } catch (error) {
+          group.log.error(
+            `Failed to set target position of group ${group.name}: ${error}`
+          )
+          callback(error)
+        }
+      })
+
+    service
+      .getCharacteristic(this.Characteristic.PositionState)
+      .on("get", function (callback) {
+        callback(null, group.positionState)
+      })
+
+    service
+      .getCharacteristic(this.Characteristic.HoldPosition)
+      .on("set", async function (value, callback) {
+        try {
+          await group.stopAsync()
+          callback(null)
+        } catch (error) {
+          callback(error)
+        }
+      })
+
+    this.service = service
+  }
+}
+
+module.exports = {
+  AM43Group: AM43Group,
+  StaticVariables: StaticVariables,
+}
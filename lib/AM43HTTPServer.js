@@ -0,0 +1,336 @@
+const http = require("http")
+const crypto = require("crypto")
+const AM43MaintenanceError = require("./AM43Maintenance").AM43MaintenanceError
+const MaintenanceVariables = require("./AM43Maintenance").StaticVariables
+const AM43CommandError = require("./AM43CommandQueue").AM43CommandError
+const AM43ConnectionError = require("./AM43ConnectionManager")
+  .AM43ConnectionError
+
+const StaticVariables = {
+  CONFIG_KEY_HTTP_API: "http_api",
+  CONFIG_KEY_PORT: "port",
+  CONFIG_KEY_BIND_ADDRESS: "bind_address",
+  CONFIG_KEY_TOKEN: "token",
+
+  DEFAULT_BIND_ADDRESS: "127.0.0.1", // Only accept requests from the Homebridge host unless configured otherwise
+  MAXIMUM_BODY_LENGTH: 4096, // Larger request bodies are refused. In bytes
+}
+
+class AM43HTTPError extends Error {
+  constructor(statusCode, message) {
+    super(message)
+    this.name = "AM43HTTPError"
+    this.statusCode = statusCode
+  }
+}
+
+// The status codes for the errors of the layers below the HTTP API.
+const maintenanceErrorStatusCodes = {
+  [MaintenanceVariables.ERROR_CODE_DEVICE_NOT_FOUND]: 404,
+  [MaintenanceVariables.ERROR_CODE_UNKNOWN_OPERATION]: 404,
+  [MaintenanceVariables.ERROR_CODE_INVALID_VALUE]: 400,
+}
+
+// A small REST API to read the state of the blinds and control them without HomeKit. Positions use the HomeKit convention, 100 is fully opened.
+class AM43HTTPServer {
+  constructor(platform, options) {
+    this.platform = platform
+    this.log = platform.log
+    this.port = options.port
+    this.bindAddress =
+      options.bindAddress || StaticVariables.DEFAULT_BIND_ADDRESS
+    this.token = options.token || null
+    this.server = null
+
+    this.routes = [
+      {
+        method: "GET",
+        pattern: /^\/accessories$/,
+        handle: () =>
+          this.platform.accessories.map((a) => this.describeAccessory(a)),
+      },
+      {
+        method: "GET",
+        pattern: /^\/accessories\/([^/]+)$/,
+        handle: (match) =>
+          this.describeAccessory(this.accessoryForMatch(match)),
+      },
+      {
+        method: "POST",
+        pattern: /^\/accessories\/([^/]+)\/(open|close|stop)$/,
+        handle: (match) =>
+          this.moveAsync(this.accessoryForMatch(match), match[2]),
+      },
+      {
+        method: "POST",
+        pattern: /^\/accessories\/([^/]+)\/position$/,
+        handle: (match, body) =>
+          this.setPositionAsync(this.accessoryForMatch(match), body),
+      },
+      {
+        method: "POST",
+        pattern: /^\/accessories\/([^/]+)\/maintenance\/([^/]+)$/,
+        handle: (match, body) =>
+          this.platform.maintenance.performAsync(
+            decodePathSegment(match[1]),
+            decodePathSegment(match[2]),
+            body.value
+          ),
+      },
+    ]
+  }
+
+  startAsync() {
+    if (this.token == null && !isLoopbackAddress(this.bindAddress)) {
+      this.log.warn(
+        `The HTTP API accepts requests from other devices on ${this.bindAddress} without a token, set a '${StaticVariables.CONFIG_KEY_TOKEN}' to protect it.`
+      )
+    }
+    this.server = http.createServer((request, response) => {
+      this.handleRequestAsync(request, response)
+    })
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject)
+      this.server.listen(this.port, this.bindAddress, () => {
+        this.server.removeListener("error", reject)
+        const address = this.server.address()
+        this.log.info(
+          `HTTP API listening on http://${address.address}:${address.port}`
+        )
+        resolve(address)
+      })
+    })
+  }
+
+  stopAsync() {
+    if (this.server == null) {
+      return Promise.resolve()
+    }
+    const server = this.server
+    this.server = null
+    return new Promise((resolve) => server.close(() => resolve()))
+  }
+
+  async handleRequestAsync(request, response) {
+    try {
+      this.authorize(request)
+      const path = request.url.split("?")[0].replace(/\/+$/, "")
+      let pathMatched = false
+      for (const route of this.routes) {
+        const match = route.pattern.exec(path)
+        if (!match) continue
+        pathMatched = true
+        if (route.method != request.method) continue
+
+        const body = route.method == "POST" ? await readJSONBody(request) : null
+        const result = await route.handle(match, body)
+        this.sendJSON(
+          response,
+          200,
+          result != undefined ? result : { ok: true }
+        )
+        return
+      }
+      throw pathMatched
+        ? new AM43HTTPError(405, `Method ${request.method} is not allowed`)
+        : new AM43HTTPError(404, `Nothing found at ${path}`)
+    } catch (error) {
+      this.sendError(response, error)
+    }
+  }
+
+  authorize(request) {
+    if (this.token == null) {
+      return
+    }
+    const header = request.headers["authorization"] || ""
+    const token = header.startsWith("Bearer ") ? header.substring(7) : ""
+    const expected = Buffer.from(this.token)
+    const received = Buffer.from(token)
+    if (
+      expected.length != received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      throw new AM43HTTPError(401, "Missing or invalid token")
+    }
+  }
+
+  accessoryForMatch(match) {
+    const identifier = decodePathSegment(match[1])
+    const accessory = this.platform.findAccessory(identifier)
+    if (accessory == null) {
+      throw new AM43HTTPError(
+        404,
+        `No accessory found with identifier '${identifier}'`
+      )
+    }
+    return accessory
+  }
+
+  deviceForAccessory(accessory) {
+    if (!accessory.am43device) {
+      throw new AM43HTTPError(
+        503,
+        `The motor of ${accessory.displayName} hasn't been found yet`
+      )
+    }
+    return accessory.am43device
+  }
+
+  describeAccessory(accessory) {
+    const context = accessory.context.am43 || {}
+    const device = accessory.am43device
+    const description = {
+      id: context.id,
+      address: context.address,
+      name: accessory.displayName,
+      available: device != null,
+      connected: device != null && device.isConnected,
+      reachable: false,
+      connectionState: null,
+      position: null,
+      targetPosition: null,
+      direction: null,
+      obstructed: false,
+      batteryPercentage: null,
+      charging: false,
+      batteryDaysLeft: null,
+      lightLevel: null,
+    }
+    if (device == null) {
+      return description
+    }
+    description.reachable = device.connectionManager.isReachable
+    description.connectionState = device.connectionManager.state
+    description.position = accessory.toHomeKitPosition(device.position)
+    description.targetPosition =
+      device.targetPosition != null
+        ? accessory.toHomeKitPosition(device.targetPosition)
+        : description.position
+    description.direction = accessory.directionName(device.direction)
+    description.obstructed = device.isObstructed
+    description.batteryPercentage = device.batteryPercentage
+    if (accessory.batteryHistory) {
+      description.charging = accessory.batteryHistory.isCharging()
+      description.batteryDaysLeft = accessory.batteryHistory.estimatedDaysLeft()
+    }
+    description.lightLevel = device.lightLevel
+    return description
+  }
+
+  async moveAsync(accessory, move) {
+    this.deviceForAccessory(accessory)
+    this.log.debug(`HTTP API: ${move} ${accessory.displayName}`)
+    if (move == "open") {
+      await accessory.openAsync()
+    } else if (move == "close") {
+      await accessory.closeAsync()
+    } else {
+      await accessory.stopAsync()
+    }
+    return this.describeAccessory(accessory)
+  }
+
+  async setPositionAsync(accessory, body) {
+    this.deviceForAccessory(accessory)
+    const position = body.position
+    if (!Number.isInteger(position) || position < 0 || position > 100) {
+      throw new AM43HTTPError(
+        400,
+        "The body should contain a 'position' from 0 (closed) to 100 (open)"
+      )
+    }
+    this.log.debug(`HTTP API: set ${accessory.displayName} to ${position}`)
+    await accessory.setTargetPositionAsync(position)
+    return this.describeAccessory(accessory)
+  }
+
+  sendJSON(response, statusCode, value) {
+    const body = JSON.stringify(value)
+    response.writeHead(statusCode, {
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Length": Buffer.byteLength(body),
+    })
+    response.end(body)
+  }
+
+  sendError(response, error) {
+    let statusCode = 500
+    if (error instanceof AM43HTTPError) {
+      statusCode = error.statusCode
+    } else if (error instanceof AM43MaintenanceError) {
+      statusCode = maintenanceErrorStatusCodes[error.code] || 500
+    } else if (
+      error instanceof AM43ConnectionError ||
+      error.cause instanceof AM43ConnectionError
+    ) {
+      // The motor can't be reached right now, it is backing off or being searched for.
+      statusCode = 503
+    } else if (error instanceof AM43CommandError) {
+      // The motor refused the command or couldn't be reached.
+      statusCode = 502
+    }
+    if (statusCode >= 500) {
+      this.log.error(`HTTP API request failed: ${error.message}`)
+    }
+    this.sendJSON(response, statusCode, {
+      error: error.message,
+      code: error.code,
+    })
+  }
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch (error) {
+    throw new AM43HTTPError(400, `Invalid URL encoding in '${segment}'`)
+  }
+}
+
+function isLoopbackAddress(address) {
+  return (
+    address == "localhost" || address == "::1" || address.startsWith("127.")
+  )
+}
+
+function readJSONBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let length = 0
+    request.on("data", (chunk) => {
+      length += chunk.length
+      if (length > StaticVariables.MAXIMUM_BODY_LENGTH) {
+        reject(new AM43HTTPError(413, "The request body is too large"))
+        request.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    request.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8")
+      if (text.trim().length == 0) {
+        resolve({})
+        return
+      }
+      try {
+        const body = JSON.parse(text)
+        if (body == null || typeof body !== "object") {
+          throw new Error("not an object")
+        }
+        resolve(body)
+      } catch (error) {
+        reject(
+          new AM43HTTPError(400, "The request body should be a JSON object")
+        )
+      }
+    })
+    request.on("error", reject)
+  })
+}
+
+module.exports = {
+  AM43HTTPError: AM43HTTPError,
+  AM43HTTPServer: AM43HTTPServer,
+  StaticVariables: StaticVariables,
+}
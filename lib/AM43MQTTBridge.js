@@ -0,0 +1,249 @@
+const AM43Config = require("./AM43Config")
+
+const StaticVariables = {
+  CONFIG_KEY_MQTT: "mqtt",
+  CONFIG_KEY_URL: "url",
+  CONFIG_KEY_USERNAME: "username",
+  CONFIG_KEY_PASSWORD: "password",
+  CONFIG_KEY_BASE_TOPIC: "base_topic",
+  CONFIG_KEY_CLIENT_ID: "client_id",
+
+  DEFAULT_BASE_TOPIC: "am43",
+  BRIDGE_TOPIC: "bridge", // The topic below the base topic for the availability of the plugin itself
+
+  PAYLOAD_ONLINE: "online",
+  PAYLOAD_OFFLINE: "offline",
+  COMMAND_OPEN: "open",
+  COMMAND_CLOSE: "close",
+  COMMAND_STOP: "stop",
+}
+
+// The state topics that are published for every motor, each is updated by the device event with the same name.
+const stateTopics = [
+  "position",
+  "targetPosition",
+  "direction",
+  "batteryPercentage",
+  "lightLevel",
+]
+
+// Publishes the state of the motors to retained topics and moves the motors on messages to their command topics.
+// The topics of a motor are below '<base topic>/<identifier>', where the identifier is its address or ID without separators.
+class AM43MQTTBridge {
+  constructor(platform, options) {
+    this.platform = platform
+    this.log = platform.log
+    this.url = options.url
+    this.username = options.username
+    this.password = options.password
+    this.clientID = options.clientID
+    this.baseTopic = (
+      options.baseTopic || StaticVariables.DEFAULT_BASE_TOPIC
+    ).replace(/\/+$/, "")
+    this.client = null
+    this.accessories = []
+  }
+
+  get bridgeAvailabilityTopic() {
+    return `${this.baseTopic}/${StaticVariables.BRIDGE_TOPIC}/availability`
+  }
+
+  topicIdentifier(accessory) {
+    const context = accessory.context.am43 || {}
+    return AM43Config.normalizeIdentifier(
+      context.address != null && context.address !== ""
+        ? context.address
+        : context.id
+    )
+  }
+
+  deviceTopic(accessory, name) {
+    return `${this.baseTopic}/${this.topicIdentifier(accessory)}/${name}`
+  }
+
+  start() {
+    // mqtt is only loaded when it is needed, the bridge is optional.
+    const mqtt = require("mqtt")
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      clientId: this.clientID,
+      will: {
+        topic: this.bridgeAvailabilityTopic,
+        payload: StaticVariables.PAYLOAD_OFFLINE,
+        retain: true,
+        qos: 1,
+      },
+    })
+    this.client.on("connect", () => {
+      this.log.info(`Connected to the MQTT broker at ${this.url}`)
+      this.client.subscribe([
+        `${this.baseTopic}/+/set`,
+        `${this.baseTopic}/+/position/set`,
+      ])
+      this.publish(this.bridgeAvailabilityTopic, StaticVariables.PAYLOAD_ONLINE)
+      this.accessories.forEach((accessory) => this.publishState(accessory))
+    })
+    this.client.on("message", (topic, payload) => {
+      this.handleMessageAsync(topic, payload.toString("utf8")).catch(
+        (error) => {
+          this.log.error(
+            `Failed to handle MQTT message on ${topic}: ${error.message}`
+          )
+        }
+      )
+    })
+    this.client.on("error", (error) => {
+      this.log.error(`MQTT error: ${error.message}`)
+    })
+  }
+
+  stopAsync() {
+    if (this.client == null) {
+      return Promise.resolve()
+    }
+    const client = this.client
+    this.client = null
+    return new Promise((resolve) => {
+      const end = () => client.end(false, {}, () => resolve())
+      if (!client.connected) {
+        end()
+        return
+      }
+      this.accessories.forEach((accessory) => {
+        client.publish(
+          this.deviceTopic(accessory, "availability"),
+          StaticVariables.PAYLOAD_OFFLINE,
+          { retain: true }
+        )
+      })
+      client.publish(
+        this.bridgeAvailabilityTopic,
+        StaticVariables.PAYLOAD_OFFLINE,
+        { retain: true, qos: 1 },
+        end
+      )
+    })
+  }
+
+  // Called for every motor the platform has found, the motor of an accessory can change when it is found again.
+  addDevice(accessory, device) {
+    if (!this.accessories.includes(accessory)) {
+      this.accessories.push(accessory)
+    }
+    stateTopics.forEach((name) => {
+      device.on(name, () => {
+        if (accessory.am43device === device) {
+          this.publishValue(accessory, name)
+        }
+      })
+    })
+    device.on("connect", () => this.publishAvailability(accessory))
+    device.on("disconnect", () => this.publishAvailability(accessory))
+    this.publishState(accessory)
+  }
+
+  stateValue(accessory, name) {
+    const device = accessory.am43device
+    switch (name) {
+      case "position":
+        return accessory.toHomeKitPosition(device.position)
+      case "targetPosition":
+        return accessory.toHomeKitPosition(
+          device.targetPosition != null
+            ? device.targetPosition
+            : device.position
+        )
+      case "direction":
+        return accessory.directionName(device.direction)
+      default:
+        return device[name]
+    }
+  }
+
+  publishValue(accessory, name) {
+    const value = this.stateValue(accessory, name)
+    this.publish(
+      this.deviceTopic(accessory, name),
+      value != null ? String(value) : ""
+    )
+  }
+
+  publishAvailability(accessory) {
+    const device = accessory.am43device
+    this.publish(
+      this.deviceTopic(accessory, "availability"),
+      device != null && device.isConnected
+        ? StaticVariables.PAYLOAD_ONLINE
+        : StaticVariables.PAYLOAD_OFFLINE
+    )
+  }
+
+  publishState(accessory) {
+    if (!accessory.am43device) {
+      return
+    }
+    stateTopics.forEach((name) => this.publishValue(accessory, name))
+    this.publishAvailability(accessory)
+  }
+
+  publish(topic, payload) {
+    if (this.client == null || !this.client.connected) {
+      return
+    }
+    this.client.publish(topic, payload, { retain: true })
+  }
+
+  async handleMessageAsync(topic, payload) {
+    const parts = topic.substring(this.baseTopic.length + 1).split("/")
+    const accessory = this.accessories.find(
+      (accessory) => this.topicIdentifier(accessory) == parts[0]
+    )
+    if (accessory == null || !accessory.am43device) {
+      this.log.warn(`Ignoring MQTT command for unknown motor '${parts[0]}'`)
+      return
+    }
+    const command = payload.trim().toLowerCase()
+    accessory.lastHAPInteraction = Date.now()
+
+    if (parts[1] == "position") {
+      const position = Number(command)
+      if (
+        command === "" ||
+        !Number.isInteger(position) ||
+        position < 0 ||
+        position > 100
+      ) {
+        this.log.warn(
+          `Ignoring MQTT position '${payload}' for ${accessory.displayName}, it should be from 0 (closed) to 100 (open)`
+        )
+        return
+      }
+      this.log.debug(`MQTT: set ${accessory.displayName} to ${position}`)
+      await accessory.setTargetPositionAsync(position)
+      return
+    }
+
+    this.log.debug(`MQTT: ${command} ${accessory.displayName}`)
+    switch (command) {
+      case StaticVariables.COMMAND_OPEN:
+        await accessory.openAsync()
+        break
+      case StaticVariables.COMMAND_CLOSE:
+        await accessory.closeAsync()
+        break
+      case StaticVariables.COMMAND_STOP:
+        await accessory.stopAsync()
+        break
+      default:
+        this.log.warn(
+          `Ignoring unknown MQTT command '${payload}' for ${accessory.displayName}`
+        )
+    }
+  }
+}
+
+module.exports = {
+  AM43MQTTBridge: AM43MQTTBridge,
+  StaticVariables: StaticVariables,
+}
@@ -0,0 +1,221 @@
+const AM43Config = require("./AM43Config")
+
+const StaticVariables = {
+  ERROR_CODE_DEVICE_NOT_FOUND: "DEVICE_NOT_FOUND",
+  ERROR_CODE_UNKNOWN_OPERATION: "UNKNOWN_OPERATION",
+  ERROR_CODE_INVALID_VALUE: "INVALID_VALUE",
+
+  VALUE_TYPE_INTEGER: "integer",
+  VALUE_TYPE_BOOLEAN: "boolean",
+  VALUE_TYPE_STRING: "string",
+  VALUE_TYPE_OBJECT: "object",
+}
+
+class AM43MaintenanceError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = "AM43MaintenanceError"
+    this.code = code
+  }
+}
+
+// The setup operations that can be performed on a motor. Operations with a value type require a value.
+const operations = {
+  getSettings: {
+    description: "Reads the speed, direction, limits and device type",
+    perform: (device) => device.updateSettingsAsync(),
+  },
+  getDeviceInformation: {
+    description:
+      "Reads the manufacturer, model, firmware and hardware revision",
+    perform: (device) => device.updateDeviceInformationAsync(),
+  },
+  setUpperLimit: {
+    description: "Stores the current position as the fully opened position",
+    perform: (device) => device.setUpperLimitAsync(),
+  },
+  setLowerLimit: {
+    description: "Stores the current position as the fully closed position",
+    perform: (device) => device.setLowerLimitAsync(),
+  },
+  resetLimits: {
+    description: "Clears the upper and lower limits",
+    perform: (device) => device.resetLimitsAsync(),
+  },
+  setSpeed: {
+    description: "Changes the speed of the motor",
+    valueType: StaticVariables.VALUE_TYPE_INTEGER,
+    perform: (device, value) => device.setSpeedAsync(value),
+  },
+  setReverseDirection: {
+    description: "Changes the direction in which the motor turns",
+    valueType: StaticVariables.VALUE_TYPE_BOOLEAN,
+    perform: (device, value) => device.setReverseDirectionAsync(value),
+  },
+  setDeviceType: {
+    description: "Changes the type of blinds the motor is set up for",
+    valueType: StaticVariables.VALUE_TYPE_INTEGER,
+    perform: (device, value) => device.setDeviceTypeAsync(value),
+  },
+  setBluetoothName: {
+    description: "Changes the name the motor advertises over Bluetooth",
+    valueType: StaticVariables.VALUE_TYPE_STRING,
+    perform: (device, value) => device.setBluetoothNameAsync(value),
+  },
+  syncClock: {
+    description:
+      "Sets the clock of the motor to the time of the Homebridge host",
+    perform: (device) => device.syncClockAsync(new Date()),
+  },
+  getTimers: {
+    description: "Reads the timers stored on the motor",
+    perform: (device) => device.updateTimersAsync(),
+  },
+  addTimer: {
+    description: "Stores a timer on the motor",
+    valueType: StaticVariables.VALUE_TYPE_OBJECT,
+    perform: (device, value) => device.addTimerAsync(value),
+  },
+  updateTimer: {
+    description: "Changes the timer with the index in the value",
+    valueType: StaticVariables.VALUE_TYPE_OBJECT,
+    perform: (device, value) => device.updateTimerAsync(value.index, value),
+  },
+  deleteTimer: {
+    description: "Deletes the timer with the index",
+    valueType: StaticVariables.VALUE_TYPE_INTEGER,
+    perform: (device, value) => device.deleteTimerAsync(value),
+  },
+}
+
+// Values can come from the command line or a request body, so strings are converted to the type the operation expects.
+function parseValue(operationName, valueType, value) {
+  const invalidValue = () =>
+    new AM43MaintenanceError(
+      `Operation '${operationName}' requires a ${valueType} value, got '${value}'`,
+      StaticVariables.ERROR_CODE_INVALID_VALUE
+    )
+  switch (valueType) {
+    case StaticVariables.VALUE_TYPE_INTEGER: {
+      const number = typeof value === "string" ? Number(value) : value
+      if (value === "" || !Number.isInteger(number)) {
+        throw invalidValue()
+      }
+      return number
+    }
+    case StaticVariables.VALUE_TYPE_BOOLEAN:
+      if (value === true || value === "true" || value === 1 || value === "1") {
+        return true
+      }
+      if (
+        value === false ||
+        value === "false" ||
+        value === 0 ||
+        value === "0"
+      ) {
+        return false
+      }
+      throw invalidValue()
+    case StaticVariables.VALUE_TYPE_STRING:
+      if (typeof value !== "string") {
+        throw invalidValue()
+      }
+      return value
+    case StaticVariables.VALUE_TYPE_OBJECT: {
+      let object = value
+      if (typeof value === "string") {
+        try {
+          object = JSON.parse(value)
+        } catch (error) {
+          throw invalidValue()
+        }
+      }
+      if (
+        object == null ||
+        typeof object !== "object" ||
+        Array.isArray(object)
+      ) {
+        throw invalidValue()
+      }
+      return object
+    }
+    default:
+      return undefined
+  }
+}
+
+// Gives access to the setup commands of the motors the platform knows about, so motors can be commissioned without the Blinds Engine app.
+class AM43Maintenance {
+  constructor(platform) {
+    this.platform = platform
+  }
+
+  get devices() {
+    return this.platform.accessories
+      .map((accessory) => accessory.am43device)
+      .filter((device) => device != null)
+  }
+
+  findDevice(identifier) {
+    return (
+      this.devices.find((device) =>
+        AM43Config.identifierMatchesDevice(identifier, device)
+      ) || null
+    )
+  }
+
+  async performAsync(identifier, operationName, value) {
+    const operation = Object.prototype.hasOwnProperty.call(
+      operations,
+      operationName
+    )
+      ? operations[operationName]
+      : null
+    if (operation == null) {
+      throw new AM43MaintenanceError(
+        `Unknown operation '${operationName}', use one of: ${Object.keys(
+          operations
+        ).join(", ")}`,
+        StaticVariables.ERROR_CODE_UNKNOWN_OPERATION
+      )
+    }
+    const device = this.findDevice(identifier)
+    if (device == null) {
+      throw new AM43MaintenanceError(
+        `No motor found with identifier '${identifier}'`,
+        StaticVariables.ERROR_CODE_DEVICE_NOT_FOUND
+      )
+    }
+    const parsedValue = parseValue(operationName, operation.valueType, value)
+
+    this.platform.log.info(
+      `Performing '${operationName}' on ${device.description}` +
+        (parsedValue !== undefined
+          ? ` with value '${
+              typeof parsedValue === "object"
+                ? JSON.stringify(parsedValue)
+                : parsedValue
+            }'`
+          : "")
+    )
+    try {
+      return await operation.perform(device, parsedValue)
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new AM43MaintenanceError(
+          error.message,
+          StaticVariables.ERROR_CODE_INVALID_VALUE
+        )
+      }
+      throw error
+    }
+  }
+}
+
+module.exports = {
+  AM43Maintenance: AM43Maintenance,
+  AM43MaintenanceError: AM43MaintenanceError,
+  operations: operations,
+  parseValue: parseValue,
+  StaticVariables: StaticVariables,
+}
@@ -0,0 +1,186 @@
+const EventEmitter = require("events").EventEmitter
+const debug = require("debug")("AM43")
+const AM43Config = require("./AM43Config")
+
+// Exposes a motor that can be seen by several Bluetooth adapters as a single transport.
+// Every connection goes through one adapter: the pinned adapter, or else the adapter that received the strongest signal.
+class AM43MultiAdapterTransport extends EventEmitter {
+  constructor(transport) {
+    super()
+
+    this.id = transport.id
+    this.address = transport.address
+    this.name = transport.name
+    this.pinnedAdapter = null // Set to an adapter ID to only connect through that adapter.
+
+    this.transports = new Map() // The transport of the motor on every adapter that has seen it, by adapter ID.
+    this.readings = new Map() // The last RSSI every adapter received from the motor, by adapter ID.
+    this.activeAdapter = null
+    this.activeTransport = null
+
+    this.forwardConnect = () => this.emit("connect")
+    this.forwardDisconnect = () => this.emit("disconnect")
+    this.forwardData = (data) => this.emit("data", data)
+  }
+
+  get isConnected() {
+    return this.activeTransport != null && this.activeTransport.isConnected
+  }
+
+  get rssi() {
+    const adapter =
+      this.activeAdapter != null ? this.activeAdapter : this.selectAdapter()
+    return adapter != null ? this.readings.get(adapter).rssi : null
+  }
+
+  // Called by the scanner every time an adapter sees the motor.
+  recordDiscovery(adapter, transport) {
+    this.transports.set(adapter, transport)
+    this.readings.set(adapter, { rssi: transport.rssi, time: Date.now() })
+    if (!this.name && transport.name) {
+      this.name = transport.name
+    }
+  }
+
+  // The pinned adapter if it has seen the motor, otherwise the adapter with the strongest signal.
+  selectAdapter() {
+    if (this.pinnedAdapter != null) {
+      return this.transports.has(this.pinnedAdapter) ? this.pinnedAdapter : null
+    }
+    let bestAdapter = null
+    let bestRSSI = -Infinity
+    this.readings.forEach((reading, adapter) => {
+      const rssi = reading.rssi != null ? reading.rssi : -Infinity
+      if (bestAdapter == null || rssi > bestRSSI) {
+        bestAdapter = adapter
+        bestRSSI = rssi
+      }
+    })
+    return bestAdapter
+  }
+
+  useAdapter(adapter) {
+    if (adapter === this.activeAdapter) {
+      return
+    }
+    if (this.activeTransport != null) {
+      this.activeTransport.removeListener("connect", this.forwardConnect)
+      this.activeTransport.removeListener("disconnect", this.forwardDisconnect)
+      this.activeTransport.removeListener("data", this.forwardData)
+    }
+    debug(
+      `${this.address || this.id}: using adapter ${adapter} (RSSI ${
+        this.readings.get(adapter).rssi
+      })`
+    )
+    this.activeAdapter = adapter
+    this.activeTransport = this.transports.get(adapter)
+    this.activeTransport.on("connect", this.forwardConnect)
+    this.activeTransport.on("disconnect", this.forwardDisconnect)
+    this.activeTransport.on("data", this.forwardData)
+  }
+
+  async connectAsync() {
+    if (!this.isConnected) {
+      const adapter = this.selectAdapter()
+      if (adapter == null) {
+        throw new Error(
+          `The motor hasn't been seen by its pinned adapter ${this.pinnedAdapter}`
+        )
+      }
+      this.useAdapter(adapter)
+    }
+    await this.activeTransport.connectAsync()
+  }
+
+  async disconnectAsync() {
+    if (this.activeTransport != null) {
+      await this.activeTransport.disconnectAsync()
+    }
+  }
+
+  async writeAsync(buffer) {
+    if (this.activeTransport == null) {
+      throw new Error("Not connected to an adapter")
+    }
+    await this.activeTransport.writeAsync(buffer)
+  }
+
+  async readDeviceInformationAsync() {
+    if (this.activeTransport == null) {
+      throw new Error("Not connected to an adapter")
+    }
+    return await this.activeTransport.readDeviceInformationAsync()
+  }
+}
+
+// Scans with several scanners at once, one for every Bluetooth adapter, and discovers each motor once.
+// The scanners only need the scanner interface of AM43NobleScanner, so they can be replaced by simulated scanners in tests.
+class AM43MultiAdapterScanner extends EventEmitter {
+  constructor(scanners) {
+    super()
+
+    this.scanners = scanners // The scanner of every adapter, by adapter ID.
+    this.transports = new Map() // The combined transport of every motor, by its normalized identifier.
+    this.stoppedScanners = 0
+
+    this.scanners.forEach((scanner, adapter) => {
+      scanner.on("discover", (transport) => {
+        this.handleDiscover(adapter, transport)
+      })
+      scanner.on("scanStop", () => {
+        this.stoppedScanners++
+        if (this.stoppedScanners == this.scanners.size) {
+          this.emit("scanStop")
+        }
+      })
+    })
+  }
+
+  handleDiscover(adapter, transport) {
+    const key = AM43Config.normalizeIdentifier(
+      transport.address != null && transport.address !== ""
+        ? transport.address
+        : transport.id
+    )
+    if (!this.transports.has(key)) {
+      this.transports.set(key, new AM43MultiAdapterTransport(transport))
+    }
+    const multiAdapterTransport = this.transports.get(key)
+    multiAdapterTransport.recordDiscovery(adapter, transport)
+    this.emit("discover", multiAdapterTransport, adapter)
+  }
+
+  // Calls back with the first error, or without an error once every adapter is scanning.
+  startScanning(callback) {
+    this.stoppedScanners = 0
+    this.forEachScanner("startScanning", callback)
+  }
+
+  stopScanning(callback) {
+    this.forEachScanner("stopScanning", callback)
+  }
+
+  forEachScanner(method, callback) {
+    let remaining = this.scanners.size
+    let failed = false
+    this.scanners.forEach((scanner, adapter) => {
+      scanner[method]((error) => {
+        if (failed) return
+        if (error) {
+          failed = true
+          if (callback)
+            callback(new Error(`Adapter ${adapter}: ${error.message || error}`))
+          return
+        }
+        remaining--
+        if (remaining == 0 && callback) callback(null)
+      })
+    })
+  }
+}
+
+module.exports = {
+  AM43MultiAdapterScanner: AM43MultiAdapterScanner,
+  AM43MultiAdapterTransport: AM43MultiAdapterTransport,
+}
@@ -0,0 +1,168 @@
+const EventEmitter = require("events").EventEmitter
+const AM43DeviceStaticVariables = require("./AM43Device").StaticVariables
+
+// Wraps a noble peripheral and exposes the transport interface used by AM43Device:
+// connectAsync, disconnectAsync, writeAsync, readDeviceInformationAsync and the "connect", "disconnect" and "data" events.
+class AM43NobleTransport extends EventEmitter {
+  constructor(peripheral) {
+    super()
+
+    this.peripheral = peripheral
+    if (peripheral.localName) {
+      this.name = peripheral.localName
+    } else if (peripheral.advertisement && peripheral.advertisement.localName) {
+      this.name = peripheral.advertisement.localName
+    } else {
+      this.name = null
+    }
+    if (peripheral.id) {
+      this.id = peripheral.id
+    } else if (peripheral.uuid) {
+      this.id = peripheral.uuid
+    } else {
+      this.id = peripheral.address
+    }
+    this.address = peripheral.address
+
+    this.isConnected = false
+    this.characteristic = null
+    this.connectingPromise = null
+
+    this.peripheral.on("connect", () => {
+      this.isConnected = true
+      this.emit("connect")
+    })
+    this.peripheral.on("disconnect", () => {
+      this.isConnected = false
+      this.connectingPromise = null
+      this.characteristic = null
+      this.emit("disconnect")
+    })
+  }
+
+  // noble updates the RSSI of the peripheral every time it is discovered.
+  get rssi() {
+    return this.peripheral.rssi
+  }
+
+  async connectAsync() {
+    if (this.isConnected && this.characteristic != null) {
+      return
+    }
+    if (this.connectingPromise == null) {
+      this.connectingPromise = this.performConnectAsync()
+    }
+    try {
+      await this.connectingPromise
+    } finally {
+      this.connectingPromise = null
+    }
+  }
+
+  async performConnectAsync() {
+    if (!this.isConnected) {
+      await this.peripheral.connectAsync()
+    }
+    const {
+      characteristics,
+    } = await this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+      [AM43DeviceStaticVariables.AM43_SERVICE_ID],
+      [AM43DeviceStaticVariables.AM43_CHARACTERISTIC_ID]
+    )
+    if (!characteristics || characteristics.length == 0) {
+      throw new Error("AM43 characteristic not found on peripheral")
+    }
+    const characteristic = characteristics[0]
+    characteristic.on("data", (data) => {
+      this.emit("data", data)
+    })
+    await characteristic.subscribeAsync()
+    this.characteristic = characteristic
+  }
+
+  async disconnectAsync() {
+    this.connectingPromise = null
+    this.characteristic = null
+    await this.peripheral.disconnectAsync()
+  }
+
+  async writeAsync(buffer) {
+    if (this.characteristic == null) {
+      throw new Error("Not connected to peripheral")
+    }
+    await this.characteristic.writeAsync(buffer, true)
+  }
+
+  // Reads the strings of the Generic Access and Device Information services, characteristics the motor doesn't have are left out.
+  async readDeviceInformationAsync() {
+    if (!this.isConnected) {
+      throw new Error("Not connected to peripheral")
+    }
+    const keys = {
+      [AM43DeviceStaticVariables.DEVICE_NAME_CHARACTERISTIC_ID]: "name",
+      [AM43DeviceStaticVariables.MANUFACTURER_NAME_CHARACTERISTIC_ID]:
+        "manufacturer",
+      [AM43DeviceStaticVariables.MODEL_NUMBER_CHARACTERISTIC_ID]: "model",
+      [AM43DeviceStaticVariables.FIRMWARE_REVISION_CHARACTERISTIC_ID]:
+        "firmwareRevision",
+      [AM43DeviceStaticVariables.HARDWARE_REVISION_CHARACTERISTIC_ID]:
+        "hardwareRevision",
+    }
+    const {
+      characteristics,
+    } = await this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+      [
+        AM43DeviceStaticVariables.GENERIC_ACCESS_SERVICE_ID,
+        AM43DeviceStaticVariables.DEVICE_INFORMATION_SERVICE_ID,
+      ],
+      Object.keys(keys)
+    )
+    const information = {}
+    for (const characteristic of characteristics || []) {
+      const key = keys[characteristic.uuid]
+      if (key) {
+        const data = await characteristic.readAsync()
+        // Some firmwares pad the strings with null bytes.
+        information[key] = data.toString("utf8").replace(/\0+$/, "").trim()
+      }
+    }
+    return information
+  }
+}
+
+// Wraps noble's scanning so AM43Platform can discover transports without depending on noble directly.
+class AM43NobleScanner extends EventEmitter {
+  constructor(noble) {
+    super()
+
+    this.noble = noble
+    this.transports = new Map()
+    this.noble.on("discover", (peripheral) => {
+      // noble reuses peripheral objects between scans, so the transports are reused as well.
+      if (!this.transports.has(peripheral)) {
+        this.transports.set(peripheral, new AM43NobleTransport(peripheral))
+      }
+      this.emit("discover", this.transports.get(peripheral))
+    })
+    this.noble.on("scanStop", () => {
+      this.emit("scanStop")
+    })
+  }
+
+  startScanning(callback) {
+    this.noble.startScanning(
+      [AM43DeviceStaticVariables.AM43_SERVICE_ID],
+      false,
+      callback
+    )
+  }
+
+  stopScanning(callback) {
+    this.noble.stopScanning(callback)
+  }
+}
+
+module.exports = {
+  AM43NobleTransport: AM43NobleTransport,
+  AM43NobleScanner: AM43NobleScanner,
+}
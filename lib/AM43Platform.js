@@ -1,22 +1,61 @@
-const AM43DeviceModule = require("./AM43Device")
-const AM43Device = AM43DeviceModule.AM43Device
-const AM43DeviceStaticVariables = AM43DeviceModule.StaticVariables
+const AM43Device = require("./AM43Device").AM43Device
+const AM43Config = require("./AM43Config")
+const AM43ConfigVariables = AM43Config.StaticVariables
+const AM43Maintenance = require("./AM43Maintenance").AM43Maintenance
+const AM43Group = require("./AM43Group").AM43Group
+const AM43BatteryHistory = require("./AM43BatteryHistory").AM43BatteryHistory
+const AM43PresetSwitches = require("./AM43PresetSwitches").AM43PresetSwitches
+const {
+  AM43SunProtection,
+  removeSunProtectionService,
+} = require("./AM43SunProtection")
+const AM43Scheduler = require("./AM43Scheduler").AM43Scheduler
+const AM43Schedule = require("./AM43Schedule")
+const AM43HTTPServer = require("./AM43HTTPServer").AM43HTTPServer
+const HTTPServerVariables = require("./AM43HTTPServer").StaticVariables
+const AM43MQTTBridge = require("./AM43MQTTBridge").AM43MQTTBridge
+const MQTTBridgeVariables = require("./AM43MQTTBridge").StaticVariables
 const packageJSON = require("../package.json")
-const noble = require("@abandonware/noble")
-const poll = require("poll").default
+const {
+  AM43BLEScheduler,
+  StaticVariables: BLESchedulerVariables,
+} = require("./AM43BLEScheduler")
 
 const StaticVariables = {
   CONFIG_KEY_SCANNING_TIMEOUT: "scanning_timeout",
   CONFIG_KEY_POLL_INTERVAL: "poll_interval",
   CONFIG_KEY_HAP_INTERACTION_TIMEOUT: "hap_interaction_timeout",
   CONFIG_KEY_ALLOWED_DEVICES: "allowed_devices",
+  CONFIG_KEY_LIGHT_SENSOR: "light_sensor",
+  CONFIG_KEY_LIGHT_SENSOR_MINIMUM_LUX: "light_sensor_minimum_lux",
+  CONFIG_KEY_LIGHT_SENSOR_MAXIMUM_LUX: "light_sensor_maximum_lux",
+  CONFIG_KEY_MODE: "mode",
+  CONFIG_KEY_SIMULATED_DEVICES: "simulated_devices",
+  CONFIG_KEY_MAXIMUM_CONNECTIONS: "maximum_connections",
+  MODE_BLUETOOTH: "bluetooth",
+  MODE_SIMULATION: "simulation",
   DEFAULT_HAP_INTERACTION_TIMEOUT: 1.5 * 60, // The minimum amount of time since HAP has interacted with the device before it should disconnect. In seconds
   DEFAULT_POLL_INTERVAL: 5 * 60, // The time between polling requests for the position, battery and light sensor. In seconds
   DEFAULT_SCANNING_TIMEOUT: 8, // The time for which the plugin should scan for devices during launch. In seconds
   POSITION_UPDATE_INTERVAL: 2 * 60, // The minimum time between the request for position updates. In seconds
   MISSING_DEVICES_SCANNING_TIMEOUT: 5, // The time for which the plugin should scan for devices when it is missing a device. In seconds
+  MISSING_DEVICES_SCANNING_INTERVAL: 60, // The minimum time between scans for accessories whose motor hasn't been found. In seconds
   HAP_NO_INTERACTION_GRACE_PERIOD: 5, // The grace period that is applied when the HAP interaction timeout has been reached. This is to give HAP some time to interact with the device before disconnection. In seconds
   MINIMUM_POLL_INTERVAL: 5, // The minimum required poll interval. In seconds.
+  DEFAULT_STEP_SIZE: 10, // The amount the step switches move a blind. In percent
+  SWITCH_RESET_DELAY: 1000, // The time after which a switch turns itself off again, so it can be triggered like a button. In milliseconds
+  DEFAULT_LOW_BATTERY_THRESHOLD: 10, // The battery percentage at or below which the battery is reported as low.
+  LOW_BATTERY_POLL_INTERVAL_MULTIPLIER: 4, // While saving battery only one in this many polls is sent to the motor.
+  LOW_BATTERY_HAP_INTERACTION_TIMEOUT: 30, // The longest in-activity timeout while saving battery. In seconds
+  TARGET_POSITION_SETTLE_TIME: 300, // Target positions set within this time of each other, like while dragging a slider, are sent to the motor as one move to the last one. In milliseconds
+  CLOCK_SYNC_INTERVAL: 24 * 60 * 60, // The time after which the clock of a motor is set again, which also picks up changes to daylight saving time. In seconds
+  DEFAULT_LIGHT_SENSOR_MINIMUM_LUX: 0.0001, // The ambient light level reported for a light sensor reading of 0. In lux
+  DEFAULT_LIGHT_SENSOR_MAXIMUM_LUX: 100000, // The ambient light level reported for a light sensor reading of 100. In lux
+  HAP_MINIMUM_LUX: 0.0001, // The lowest ambient light level HomeKit accepts. In lux
+  HAP_MAXIMUM_LUX: 100000, // The highest ambient light level HomeKit accepts. In lux
+  DIRECTION_NAME_CLOSING: "closing",
+  DIRECTION_NAME_OPENING: "opening",
+  DIRECTION_NAME_STOPPED: "stopped",
 }
 
 class AM43Platform {
@@ -27,6 +66,11 @@ class AM43Platform {
 
     this.packageJSON = packageJSON
     this.accessories = []
+    this.groupAccessories = []
+    this.groups = []
+    this.schedulerAccessories = []
+    this.scheduler = null
+    this.maintenance = new AM43Maintenance(this)
 
     this.log.info("Starting AM43 platform")
 
@@ -34,9 +78,26 @@ class AM43Platform {
     this.Characteristic = this.api.hap.Characteristic
 
     this.isScanning = false
+    this.scanningPromise = null // Resolves when the current scan has stopped.
+    this.lastScanStarted = null
 
     this.discoveredDevices = []
 
+    this.mode =
+      this.configJSON[StaticVariables.CONFIG_KEY_MODE] != undefined
+        ? this.configJSON[StaticVariables.CONFIG_KEY_MODE]
+        : StaticVariables.MODE_BLUETOOTH
+    if (this.mode == StaticVariables.MODE_SIMULATION) {
+      this.log.warn(
+        "Running in simulation mode, the AM43 motors are simulated and no Bluetooth adapter is used."
+      )
+    } else if (this.mode != StaticVariables.MODE_BLUETOOTH) {
+      this.log.error(
+        `The config.json defines an unknown '${StaticVariables.CONFIG_KEY_MODE}' '${this.mode}'. Use '${StaticVariables.MODE_BLUETOOTH}' or '${StaticVariables.MODE_SIMULATION}'. Falling back to '${StaticVariables.MODE_BLUETOOTH}'.`
+      )
+      this.mode = StaticVariables.MODE_BLUETOOTH
+    }
+
     let configuredAllowedDevicesList = this.configJSON[
       StaticVariables.CONFIG_KEY_ALLOWED_DEVICES
     ]
@@ -58,6 +119,97 @@ class AM43Platform {
       this.allowedDevices = []
     }
 
+    AM43Config.validateDeviceSettingsConfig(
+      this.configJSON,
+      "the platform"
+    ).forEach((problem) =>
+      this.log.error(`Invalid configuration, using the default: ${problem}`)
+    )
+    AM43Config.validateSwitchesConfig(
+      this.configJSON,
+      "the platform"
+    ).forEach((problem) =>
+      this.log.error(`Invalid switch configuration: ${problem}`)
+    )
+
+    this.devicesConfig = []
+    const devicesConfigProblems = AM43Config.validateDevicesConfig(
+      this.configJSON[AM43ConfigVariables.CONFIG_KEY_DEVICES]
+    )
+    devicesConfigProblems.forEach((problem) =>
+      this.log.error(`Invalid device configuration: ${problem}`)
+    )
+    if (
+      Array.isArray(this.configJSON[AM43ConfigVariables.CONFIG_KEY_DEVICES])
+    ) {
+      this.devicesConfig = this.configJSON[
+        AM43ConfigVariables.CONFIG_KEY_DEVICES
+      ].filter(
+        (deviceConfig) =>
+          deviceConfig != null &&
+          typeof deviceConfig[
+            AM43ConfigVariables.DEVICE_CONFIG_KEY_IDENTIFIER
+          ] === "string"
+      )
+    }
+
+    this.bluetoothAdapters = []
+    const bluetoothAdaptersProblems = AM43Config.validateBluetoothAdaptersConfig(
+      this.configJSON[AM43ConfigVariables.CONFIG_KEY_BLUETOOTH_ADAPTERS]
+    )
+    bluetoothAdaptersProblems.forEach((problem) =>
+      this.log.error(`Invalid Bluetooth adapter configuration: ${problem}`)
+    )
+    if (bluetoothAdaptersProblems.length == 0) {
+      this.bluetoothAdapters =
+        this.configJSON[AM43ConfigVariables.CONFIG_KEY_BLUETOOTH_ADAPTERS] || []
+    }
+    this.devicesConfig
+      .filter(
+        (deviceConfig) =>
+          deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_ADAPTER] !=
+            undefined &&
+          !this.bluetoothAdapters.includes(
+            deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_ADAPTER]
+          )
+      )
+      .forEach((deviceConfig) => {
+        this.log.warn(
+          `Device '${
+            deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_IDENTIFIER]
+          }' is pinned to adapter ${
+            deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_ADAPTER]
+          }, which isn't listed in '${
+            AM43ConfigVariables.CONFIG_KEY_BLUETOOTH_ADAPTERS
+          }'. The pin is ignored.`
+        )
+      })
+
+    this.schedulesConfig = []
+    const schedulesConfigProblems = AM43Schedule.validateSchedulesConfig(
+      this.configJSON[AM43ConfigVariables.CONFIG_KEY_SCHEDULES],
+      this.configJSON[AM43ConfigVariables.CONFIG_KEY_LOCATION]
+    )
+    schedulesConfigProblems.forEach((problem) =>
+      this.log.error(`Invalid schedule configuration: ${problem}`)
+    )
+    if (schedulesConfigProblems.length == 0) {
+      this.schedulesConfig =
+        this.configJSON[AM43ConfigVariables.CONFIG_KEY_SCHEDULES] || []
+    }
+
+    this.groupsConfig = []
+    const groupsConfigProblems = AM43Config.validateGroupsConfig(
+      this.configJSON[AM43ConfigVariables.CONFIG_KEY_GROUPS]
+    )
+    groupsConfigProblems.forEach((problem) =>
+      this.log.error(`Invalid group configuration: ${problem}`)
+    )
+    if (groupsConfigProblems.length == 0) {
+      this.groupsConfig =
+        this.configJSON[AM43ConfigVariables.CONFIG_KEY_GROUPS] || []
+    }
+
     if (
       this.configJSON[StaticVariables.CONFIG_KEY_HAP_INTERACTION_TIMEOUT] !=
         undefined &&
@@ -78,6 +230,62 @@ class AM43Platform {
       )
     }
 
+    let maximumConnections = this.configJSON[
+      StaticVariables.CONFIG_KEY_MAXIMUM_CONNECTIONS
+    ]
+    if (
+      maximumConnections != undefined &&
+      (!Number.isInteger(maximumConnections) || maximumConnections < 1)
+    ) {
+      this.log.error(
+        `The config.json defines an invalid '${StaticVariables.CONFIG_KEY_MAXIMUM_CONNECTIONS}', it should be a number of 1 or higher. Falling back to ${BLESchedulerVariables.DEFAULT_MAXIMUM_CONNECTIONS}.`
+      )
+      maximumConnections = undefined
+    }
+    this.bleScheduler = new AM43BLEScheduler({
+      maximumConnections: maximumConnections,
+      debugLog: (message) => this.log.debug(message),
+    })
+
+    this.httpServer = null
+    const httpAPIConfig = this.configJSON[
+      HTTPServerVariables.CONFIG_KEY_HTTP_API
+    ]
+    if (httpAPIConfig != undefined) {
+      if (
+        !Number.isInteger(httpAPIConfig[HTTPServerVariables.CONFIG_KEY_PORT])
+      ) {
+        this.log.error(
+          `The HTTP API is disabled, '${HTTPServerVariables.CONFIG_KEY_HTTP_API}' requires a '${HTTPServerVariables.CONFIG_KEY_PORT}'.`
+        )
+      } else {
+        this.httpServer = new AM43HTTPServer(this, {
+          port: httpAPIConfig[HTTPServerVariables.CONFIG_KEY_PORT],
+          bindAddress:
+            httpAPIConfig[HTTPServerVariables.CONFIG_KEY_BIND_ADDRESS],
+          token: httpAPIConfig[HTTPServerVariables.CONFIG_KEY_TOKEN],
+        })
+      }
+    }
+
+    this.mqttBridge = null
+    const mqttConfig = this.configJSON[MQTTBridgeVariables.CONFIG_KEY_MQTT]
+    if (mqttConfig != undefined) {
+      if (typeof mqttConfig[MQTTBridgeVariables.CONFIG_KEY_URL] !== "string") {
+        this.log.error(
+          `The MQTT bridge is disabled, '${MQTTBridgeVariables.CONFIG_KEY_MQTT}' requires a '${MQTTBridgeVariables.CONFIG_KEY_URL}'.`
+        )
+      } else {
+        this.mqttBridge = new AM43MQTTBridge(this, {
+          url: mqttConfig[MQTTBridgeVariables.CONFIG_KEY_URL],
+          username: mqttConfig[MQTTBridgeVariables.CONFIG_KEY_USERNAME],
+          password: mqttConfig[MQTTBridgeVariables.CONFIG_KEY_PASSWORD],
+          baseTopic: mqttConfig[MQTTBridgeVariables.CONFIG_KEY_BASE_TOPIC],
+          clientID: mqttConfig[MQTTBridgeVariables.CONFIG_KEY_CLIENT_ID],
+        })
+      }
+    }
+
     api.on("didFinishLaunching", () => {
       this.didFinishedLaunching()
     })
@@ -87,27 +295,123 @@ class AM43Platform {
     })
   }
 
+  createScanner() {
+    if (this.mode == StaticVariables.MODE_SIMULATION) {
+      const {
+        createSimulatedMotors,
+        AM43SimulatedScanner,
+      } = require("./AM43Simulator")
+      const motors = createSimulatedMotors(
+        this.configJSON[StaticVariables.CONFIG_KEY_SIMULATED_DEVICES]
+      )
+      if (this.bluetoothAdapters.length > 0) {
+        return this.createMultiAdapterScanner(
+          (adapter) => new AM43SimulatedScanner(motors, { adapter: adapter })
+        )
+      }
+      return new AM43SimulatedScanner(motors)
+    }
+    // noble is only loaded when it is needed, so the plugin can run without Bluetooth in simulation mode.
+    const { AM43NobleScanner } = require("./AM43NobleTransport")
+    if (this.bluetoothAdapters.length > 0) {
+      const createNoble = require("@abandonware/noble/with-custom-binding")
+      return this.createMultiAdapterScanner(
+        (adapter) => new AM43NobleScanner(createNoble({ deviceId: adapter }))
+      )
+    }
+    const noble = require("@abandonware/noble")
+    return new AM43NobleScanner(noble)
+  }
+
+  // Combines a scanner for every configured adapter, createAdapterScanner creates the scanner of a single adapter.
+  createMultiAdapterScanner(createAdapterScanner) {
+    const { AM43MultiAdapterScanner } = require("./AM43MultiAdapterScanner")
+    this.log.info(
+      `Using Bluetooth adapters ${this.bluetoothAdapters
+        .map((adapter) => "hci" + adapter)
+        .join(", ")}`
+    )
+    return new AM43MultiAdapterScanner(
+      new Map(
+        this.bluetoothAdapters.map((adapter) => [
+          adapter,
+          createAdapterScanner(adapter),
+        ])
+      )
+    )
+  }
+
   didFinishedLaunching() {
-    // Start scanning with noble!
-    noble.on("discover", (peripheral) => {
-      const device = new AM43Device(peripheral)
-      this.discoveredDevices.push(device)
-      if (this.allowedDevices != null) {
-        const deviceIdentifier =
-          peripheral.address != null ? peripheral.address : peripheral.id
-        if (!this.allowedDevices.includes(deviceIdentifier)) {
-          this.log.warn(
-            `Device ${device.description} is not found on the '${StaticVariables.CONFIG_KEY_ALLOWED_DEVICES}' array in config.json and is ignored.`
-          )
-          this.log.warn(
-            `Add it to config.json to be able to use the device, you can use this identifier: '${deviceIdentifier}'. Example: ' "allowed_devices": ["${deviceIdentifier}"] '`
-          )
-          this.log.warn(
-            `Or set '${StaticVariables.CONFIG_KEY_ALLOWED_DEVICES}' to 'null' to allow all devices. Setting 'null' is not recommended!`
-          )
-          return
-        }
+    if (this.httpServer) {
+      this.httpServer.startAsync().catch((error) => {
+        this.log.error(`Failed to start the HTTP API: ${error.message}`)
+      })
+    }
+    if (this.mqttBridge) {
+      this.mqttBridge.start()
+    }
+    this.configureGroups()
+    this.configureScheduler()
+    this.scanner = this.createScanner()
+    this.scanner.on("discover", (transport, adapter) => {
+      if (adapter != undefined) {
+        this.log.debug(
+          `Seen ${
+            transport.address || transport.id
+          } on adapter hci${adapter} with RSSI ${
+            transport.readings.get(adapter).rssi
+          }`
+        )
+      }
+      const knownAccessory = this.accessories.find(
+        (accessory) =>
+          accessory.am43device && accessory.am43device.transport === transport
+      )
+      if (knownAccessory) {
+        // Found again by a rescan, the motor is advertising so it should be reachable.
+        knownAccessory.am43device.connectionManager.handleDiscovered()
+        return
+      }
+      const deviceConfig =
+        AM43Config.findDeviceConfig(
+          this.devicesConfig,
+          transport.id,
+          transport.address
+        ) || {}
+      const pinnedAdapter =
+        deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_ADAPTER]
+      if (
+        adapter != undefined &&
+        pinnedAdapter != undefined &&
+        this.bluetoothAdapters.includes(pinnedAdapter)
+      ) {
+        transport.pinnedAdapter = pinnedAdapter
+      }
+      const device = new AM43Device(transport, {
+        password: AM43Config.parsePassword(
+          deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_PASSWORD]
+        ),
+        rescanAsync: () =>
+          this.startScanningForDevices(
+            StaticVariables.MISSING_DEVICES_SCANNING_TIMEOUT
+          ),
+        bleScheduler: this.bleScheduler,
+      })
+      if (!this.isDeviceAllowed(device)) {
+        const deviceIdentifier = AM43Config.identifierForDevice(device)
+        this.log.warn(
+          `Device ${device.description} is not found on the '${StaticVariables.CONFIG_KEY_ALLOWED_DEVICES}' array or in '${AM43ConfigVariables.CONFIG_KEY_DEVICES}' in config.json and is ignored.`
+        )
+        this.log.warn(
+          `Add it to config.json to be able to use the device, you can use this identifier: '${deviceIdentifier}'. Example: ' "allowed_devices": ["${deviceIdentifier}"] ' or ' "devices": [{ "identifier": "${deviceIdentifier}" }] '`
+        )
+        this.log.warn(
+          `Or set '${StaticVariables.CONFIG_KEY_ALLOWED_DEVICES}' to 'null' to allow all devices. Setting 'null' is not recommended!`
+        )
+        return
       }
+      // Only allowed motors are prepared, the motors of the neighbours aren't connected to.
+      this.discoveredDevices.push(device)
 
       const uuid = this.api.hap.uuid.generate(device.id)
       const existingAccessory = this.accessories.find(
@@ -129,13 +433,28 @@ class AM43Platform {
       }
     })
 
-    noble.on("scanStop", async () => {
+    // The discovered motors are prepared in the background, the Bluetooth scheduler limits how many connect at once.
+    this.scanner.on("scanStop", async () => {
       await new Promise((r) => setTimeout(r, 500))
-      for (let index = 0; index < this.discoveredDevices.length; index++) {
-        const device = this.discoveredDevices[index]
-        device.prepareAsync()
-        await new Promise((r) => setTimeout(r, 500))
-      }
+      this.discoveredDevices.forEach((device) => {
+        this.bleScheduler
+          .runAsync(BLESchedulerVariables.PRIORITY_BACKGROUND, async () => {
+            await device.prepareAsync()
+            const accessory = this.accessories.find(
+              (accessory) => accessory.am43device === device
+            )
+            if (accessory) {
+              await accessory.updateMotorClockAndTimersAsync()
+            }
+          })
+          .catch((error) => {
+            if (error.code != BLESchedulerVariables.ERROR_CODE_STOPPED) {
+              this.log.error(
+                `Failed to prepare ${device.description}: ${error}`
+              )
+            }
+          })
+      })
       this.discoveredDevices = []
     })
 
@@ -147,6 +466,86 @@ class AM43Platform {
     this.startScanningForDevices(scanningTimeout)
   }
 
+  // Creates the accessories of the configured groups and removes the cached accessories of groups that are no longer configured.
+  configureGroups() {
+    this.groups = this.groupsConfig.map((groupConfig) => {
+      const name = groupConfig[AM43ConfigVariables.GROUP_CONFIG_KEY_NAME]
+      const uuid = this.api.hap.uuid.generate("am43-group-" + name)
+      let accessory = this.groupAccessories.find(
+        (accessory) => accessory.UUID == uuid
+      )
+      if (!accessory) {
+        this.log.info("Adding AM43 group: " + name)
+        accessory = new this.api.platformAccessory(name, uuid)
+        this.groupAccessories.push(accessory)
+        this.api.registerPlatformAccessories(
+          "homebridge-am43-blinds",
+          "am43-blinds",
+          [accessory]
+        )
+      }
+      return new AM43Group(this, accessory, groupConfig)
+    })
+
+    const staleAccessories = this.groupAccessories.filter(
+      (accessory) => !this.groups.some((group) => group.accessory === accessory)
+    )
+    if (staleAccessories.length > 0) {
+      this.log.info(
+        "Removing AM43 groups that are no longer configured: " +
+          staleAccessories.map((accessory) => accessory.displayName).join(", ")
+      )
+      this.api.unregisterPlatformAccessories(
+        "homebridge-am43-blinds",
+        "am43-blinds",
+        staleAccessories
+      )
+      this.groupAccessories = this.groupAccessories.filter(
+        (accessory) => !staleAccessories.includes(accessory)
+      )
+    }
+  }
+
+  // The schedules share a single accessory with their switches, it is removed when no schedules are configured.
+  configureScheduler() {
+    const uuid = this.api.hap.uuid.generate("am43-schedules")
+    let accessory = this.schedulerAccessories.find(
+      (accessory) => accessory.UUID == uuid
+    )
+    const staleAccessories = this.schedulerAccessories.filter(
+      (staleAccessory) =>
+        staleAccessory !== accessory || this.schedulesConfig.length == 0
+    )
+    if (staleAccessories.length > 0) {
+      this.api.unregisterPlatformAccessories(
+        "homebridge-am43-blinds",
+        "am43-blinds",
+        staleAccessories
+      )
+    }
+    this.schedulerAccessories = []
+    if (this.schedulesConfig.length == 0) {
+      return
+    }
+    if (!accessory) {
+      this.log.info("Adding AM43 schedules")
+      accessory = new this.api.platformAccessory("Blind Schedules", uuid)
+      this.api.registerPlatformAccessories(
+        "homebridge-am43-blinds",
+        "am43-blinds",
+        [accessory]
+      )
+    }
+    this.schedulerAccessories.push(accessory)
+    this.scheduler = new AM43Scheduler(
+      this,
+      accessory,
+      this.schedulesConfig,
+      this.configJSON[AM43ConfigVariables.CONFIG_KEY_LOCATION]
+    )
+    this.scheduler.start()
+  }
+
   shutdown() {
     this.log.info(
       "Homebridge is shutting down, disconnecting AM43 motors and saving state"
@@ -158,55 +557,240 @@ class AM43Platform {
       accessory.context.am43.lastPosition = accessory.am43device.position
       accessory.context.am43.lastBatteryPercentage =
         accessory.am43device.batteryPercentage
-      accessory.am43device.disconnectAsync()
+      accessory.context.am43.lastLightLevel = accessory.am43device.lightLevel
+      accessory.am43device.stopTracking()
+      accessory.am43device.disconnectAsync().catch((error) => {
+        accessory.log.debug("Failed to disconnect on shutdown: " + error)
+      })
     })
+    this.bleScheduler.stop()
+    if (this.scheduler) {
+      this.scheduler.stop()
+    }
+    if (this.httpServer) {
+      this.httpServer.stopAsync().catch((error) => {
+        this.log.debug("Failed to stop the HTTP API: " + error)
+      })
+    }
+    if (this.mqttBridge) {
+      this.mqttBridge.stopAsync().catch((error) => {
+        this.log.debug("Failed to stop the MQTT bridge: " + error)
+      })
+    }
   }
 
+  // Resolves when the scan has stopped, a scan that is already running is joined instead of starting another.
   startScanningForDevices(timeout) {
-    if (this.isScanning) return
+    if (this.isScanning) return this.scanningPromise
     this.isScanning = true
+    this.lastScanStarted = Date.now()
     this.log.info(
       "Started scanning for AM43 blinds, stopping in " + timeout + " seconds"
     )
-    noble.startScanning(
-      [AM43DeviceStaticVariables.AM43_SERVICE_ID],
-      false,
-      (error) => {
-        if (error) this.log.error(error)
-      }
+    this.scanner.startScanning((error) => {
+      if (error) this.log.error(error)
+    })
+
+    this.scanningPromise = new Promise((resolve) => {
+      setTimeout(() => {
+        this.isScanning = false
+        this.scanner.stopScanning((error) => {
+          resolve()
+          if (!error) {
+            const devices = this.accessories.filter(
+              (accessory) => accessory.am43device != null
+            )
+            this.log.info(
+              "Stopped searching for AM43 Blinds, found " +
+                devices.length +
+                " devices"
+            )
+            return
+          }
+          this.log.error("Failed to stop searching for AM43 blinds")
+        })
+      }, timeout * 1000)
+    })
+    return this.scanningPromise
+  }
+
+  findAccessory(identifier) {
+    return (
+      this.accessories.find((accessory) => {
+        const context = accessory.context.am43 || {}
+        return AM43Config.identifierMatches(
+          identifier,
+          context.id,
+          context.address
+        )
+      }) || null
     )
+  }
 
-    setTimeout(() => {
-      this.isScanning = false
-      noble.stopScanning((error) => {
-        if (!error) {
-          const devices = this.accessories.filter(
-            (accessory) => accessory.am43device != null
-          )
-          this.log.info(
-            "Stopped searching for AM43 Blinds, found " +
-              devices.length +
-              " devices"
+  isDeviceAllowed(device) {
+    if (this.allowedDevices == null) {
+      return true
+    }
+    if (
+      this.allowedDevices.some((identifier) =>
+        AM43Config.identifierMatchesDevice(identifier, device)
+      )
+    ) {
+      return true
+    }
+    return (
+      AM43Config.findDeviceConfig(
+        this.devicesConfig,
+        device.id,
+        device.address
+      ) != null
+    )
+  }
+
+  // Resolves the settings of a single motor, a setting in its 'devices' entry takes precedence over the global setting.
+  deviceConfigForAccessory(accessory) {
+    const context = accessory.context.am43 || {}
+    const deviceConfig =
+      AM43Config.findDeviceConfig(
+        this.devicesConfig,
+        context.id,
+        context.address
+      ) || {}
+    // Invalid settings are logged when the platform starts and ignored here, the global setting or the default is used instead.
+    const isSet = (config, key) =>
+      config[key] != undefined &&
+      AM43Config.isValidDeviceSetting(key, config[key])
+    const configValue = (key, defaultValue) => {
+      if (isSet(deviceConfig, key)) return deviceConfig[key]
+      if (isSet(this.configJSON, key)) return this.configJSON[key]
+      return defaultValue
+    }
+    const where = `device '${context.address || context.id}'`
+    // Invalid switches and step sizes are logged when the platform starts and ignored here.
+    const switches = configValue(
+      AM43ConfigVariables.DEVICE_CONFIG_KEY_SWITCHES,
+      []
+    )
+    const stepSize = configValue(
+      AM43ConfigVariables.DEVICE_CONFIG_KEY_STEP_SIZE,
+      StaticVariables.DEFAULT_STEP_SIZE
+    )
+    // Invalid timers are logged when the platform starts and never stored on the motor, it would move at the wrong time.
+    let motorTimers =
+      deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_MOTOR_TIMERS]
+    if (AM43Config.validateMotorTimersConfig(motorTimers, where).length > 0) {
+      motorTimers = null
+    }
+    // Presets and sun protection that are invalid are left out as a whole.
+    const presets =
+      deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_PRESETS] || []
+    const sunProtection =
+      deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_SUN_PROTECTION] || null
+    return {
+      name: deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_NAME],
+      reversed:
+        deviceConfig[AM43ConfigVariables.DEVICE_CONFIG_KEY_REVERSED] === true,
+      pollInterval: configValue(
+        AM43ConfigVariables.DEVICE_CONFIG_KEY_POLL_INTERVAL,
+        StaticVariables.DEFAULT_POLL_INTERVAL
+      ),
+      hapInteractionTimeout: configValue(
+        AM43ConfigVariables.DEVICE_CONFIG_KEY_HAP_INTERACTION_TIMEOUT,
+        StaticVariables.DEFAULT_HAP_INTERACTION_TIMEOUT
+      ),
+      lowBatteryThreshold: configValue(
+        AM43ConfigVariables.DEVICE_CONFIG_KEY_LOW_BATTERY_THRESHOLD,
+        StaticVariables.DEFAULT_LOW_BATTERY_THRESHOLD
+      ),
+      lightSensor:
+        configValue(
+          AM43ConfigVariables.DEVICE_CONFIG_KEY_LIGHT_SENSOR,
+          false
+        ) == true,
+      batteryService:
+        configValue(
+          AM43ConfigVariables.DEVICE_CONFIG_KEY_BATTERY_SERVICE,
+          true
+        ) != false,
+      batterySaving:
+        configValue(
+          AM43ConfigVariables.DEVICE_CONFIG_KEY_BATTERY_SAVING,
+          false
+        ) == true,
+      switches: Array.isArray(switches)
+        ? switches.filter((name) => AM43Config.switchNames.includes(name))
+        : [],
+      stepSize:
+        Number.isInteger(stepSize) && stepSize >= 1 && stepSize <= 100
+          ? stepSize
+          : StaticVariables.DEFAULT_STEP_SIZE,
+      presets:
+        AM43Config.validatePresetsConfig(presets, where).length == 0
+          ? presets
+          : [],
+      presetTolerance: configValue(
+        AM43ConfigVariables.CONFIG_KEY_PRESET_TOLERANCE,
+        undefined
+      ),
+      retryObstructedMoves:
+        configValue(
+          AM43ConfigVariables.DEVICE_CONFIG_KEY_RETRY_OBSTRUCTED_MOVES,
+          false
+        ) == true,
+      sunProtection:
+        AM43Config.validateSunProtectionConfig(sunProtection, where).length == 0
+          ? sunProtection
+          : null,
+      manualOverrideDuration: Math.max(
+        Number(
+          configValue(
+            AM43ConfigVariables.DEVICE_CONFIG_KEY_MANUAL_OVERRIDE_DURATION,
+            0
           )
-          return
-        }
-        this.log.error("Failed to stop searching for AM43 blinds")
-      })
-    }, timeout * 1000)
+        ) || 0,
+        0
+      ),
+      // The timers of the motor are only changed when they are configured, timers set with the Blinds Engine app are kept otherwise.
+      motorTimers: Array.isArray(motorTimers) ? motorTimers : null,
+      syncClock:
+        configValue(
+          AM43ConfigVariables.DEVICE_CONFIG_KEY_SYNC_CLOCK,
+          Array.isArray(motorTimers)
+        ) == true,
+    }
   }
 
   configureAccessory(accessory) {
+    if (accessory.context.am43Group) {
+      // Group accessories are configured once the groups in config.json are known.
+      this.groupAccessories.push(accessory)
+      return
+    }
+    if (accessory.context.am43Schedules) {
+      this.schedulerAccessories.push(accessory)
+      return
+    }
     accessory.updateReachability(false)
+    accessory.deviceConfig = this.deviceConfigForAccessory(accessory)
     this.configureServicesOnAccessory(accessory)
     this.configurePropertiesOnAccessory(accessory)
     this.accessories.push(accessory)
   }
 
   createAccessory(device, uuid) {
-    const accessory = new this.api.platformAccessory(device.name, uuid)
+    const deviceConfig = this.deviceConfigForAccessory({
+      context: { am43: { id: device.id, address: device.address } },
+    })
+    const accessory = new this.api.platformAccessory(
+      deviceConfig.name || device.name,
+      uuid
+    )
+    accessory.context.am43 = { id: device.id, address: device.address }
+    accessory.deviceConfig = deviceConfig
     accessory.am43device = device
     this.configureServicesOnAccessory(accessory)
     this.configurePropertiesOnAccessory(accessory)
+    this.accessories.push(accessory)
     return accessory
   }
 
@@ -220,11 +804,224 @@ class AM43Platform {
 
     accessory.log = this.log
 
+    // In AM43 Devices 100% means fully closed, but in HomeKit 100% means fully opened. Unless the motor is mounted reversed.
+    accessory.toHomeKitPosition = (position) => {
+      return accessory.deviceConfig.reversed ? position : 100 - position
+    }
+    accessory.toAM43Position = (position) => {
+      return accessory.deviceConfig.reversed ? position : 100 - position
+    }
+    accessory.toHomeKitPositionState = (direction) => {
+      if (accessory.deviceConfig.reversed && direction != 2) {
+        return direction == 0 ? 1 : 0
+      }
+      return direction
+    }
+    // The direction as it is shown outside of HomeKit, for example in the HTTP API.
+    accessory.directionName = (direction) => {
+      switch (accessory.toHomeKitPositionState(direction)) {
+        case 0:
+          return StaticVariables.DIRECTION_NAME_CLOSING
+        case 1:
+          return StaticVariables.DIRECTION_NAME_OPENING
+        default:
+          return StaticVariables.DIRECTION_NAME_STOPPED
+      }
+    }
+    accessory.isBatteryLow = (percentage) => {
+      return percentage <= accessory.deviceConfig.lowBatteryThreshold
+    }
+
+    accessory.batteryHistory = new AM43BatteryHistory(
+      accessory.context.am43 && accessory.context.am43.batteryHistory
+    )
+    accessory.chargingState = () => {
+      return accessory.batteryHistory.isCharging()
+        ? this.Characteristic.ChargingState.CHARGING
+        : this.Characteristic.ChargingState.NOT_CHARGING
+    }
+    // With battery saving enabled a low battery is polled less often and disconnected sooner. Only real readings count, not the assumed percentage.
+    accessory.isSavingBattery = false
+    accessory.updateBatterySaving = () => {
+      const lastReading = accessory.batteryHistory.lastReading
+      const isSavingBattery =
+        accessory.deviceConfig.batterySaving &&
+        lastReading != null &&
+        accessory.isBatteryLow(lastReading.percentage)
+      const configuredTimeout = accessory.deviceConfig.hapInteractionTimeout
+      accessory.hapInteractionTimeout = isSavingBattery
+        ? configuredTimeout > 0
+          ? Math.min(
+              configuredTimeout,
+              StaticVariables.LOW_BATTERY_HAP_INTERACTION_TIMEOUT
+            )
+          : StaticVariables.LOW_BATTERY_HAP_INTERACTION_TIMEOUT
+        : configuredTimeout
+      if (accessory.am43device) {
+        // Without the inactivity disconnect the connection should always be open, so it is restored when it drops.
+        accessory.am43device.connectionManager.keepConnected =
+          accessory.hapInteractionTimeout <= 0
+      }
+      if (isSavingBattery != accessory.isSavingBattery) {
+        accessory.isSavingBattery = isSavingBattery
+        accessory.log.info(
+          isSavingBattery
+            ? `The battery of ${accessory.displayName} is low, polling less often and disconnecting after ${accessory.hapInteractionTimeout} seconds to save power`
+            : `The battery of ${accessory.displayName} is no longer low, battery saving stopped`
+        )
+      }
+    }
+
+    // Moves the blind to a position someone chose, for HomeKit and the other ways of controlling the motor.
+    // The sun protection doesn't move the blind back over their choice.
+    accessory.setTargetPositionAsync = async (position) => {
+      accessory.checkDevice()
+      accessory.overrideSunProtection()
+      await accessory.moveToTargetPositionAsync(position)
+    }
+    accessory.overrideSunProtection = () => {
+      if (accessory.sunProtection) {
+        accessory.sunProtection.handleTargetPosition()
+      }
+    }
+    // Moves the motor to a position in HomeKit percentages.
+    // Positions set in quick succession are coalesced, only the last one is sent once it settled. Every caller resolves when that move was sent.
+    accessory.pendingTargetPosition = null
+    accessory.moveToTargetPositionAsync = async (position) => {
+      accessory.checkDevice()
+      accessory.lastHAPInteraction = Date.now()
+
+      let pending = accessory.pendingTargetPosition
+      if (pending == null) {
+        pending = {}
+        pending.promise = new Promise((resolve, reject) => {
+          pending.resolve = resolve
+          pending.reject = reject
+        })
+        accessory.pendingTargetPosition = pending
+      } else {
+        clearTimeout(pending.timer)
+        accessory.log.debug(
+          `Target position ${pending.position} superseded by ${position}`
+        )
+      }
+      pending.position = position
+      pending.timer = setTimeout(() => {
+        accessory.pendingTargetPosition = null
+        accessory
+          .sendTargetPositionAsync(pending.position)
+          .then(pending.resolve, pending.reject)
+      }, StaticVariables.TARGET_POSITION_SETTLE_TIME)
+      return await pending.promise
+    }
+    // Open, close and stop replace a target position that hasn't been sent yet. Its callers resolve, their move was superseded.
+    accessory.cancelPendingTargetPosition = () => {
+      const pending = accessory.pendingTargetPosition
+      if (pending == null) {
+        return
+      }
+      accessory.pendingTargetPosition = null
+      clearTimeout(pending.timer)
+      accessory.log.debug(`Target position ${pending.position} superseded`)
+      pending.resolve()
+    }
+    accessory.sendTargetPositionAsync = async (position) => {
+      accessory.checkDevice()
+      const targetPosition = accessory.toAM43Position(position)
+      accessory.log.debug("setting target position: " + targetPosition)
+      await accessory.runCommandAsync(() =>
+        accessory.am43device.setPositionAsync(targetPosition, true)
+      )
+      accessory.windowCoveringService
+        .getCharacteristic(this.Characteristic.TargetPosition)
+        .updateValue(position)
+      // Only the last move needs the check, an earlier one would disconnect too soon.
+      clearTimeout(accessory.hapInteractionTimeoutTimer)
+      accessory.hapInteractionTimeoutTimer = setTimeout(() => {
+        accessory.log.debug(
+          "Checking for HAP interaction timeout after setting target position"
+        )
+        accessory.checkForHAPInteractionTimeout()
+      }, accessory.hapInteractionTimeout * 1000 + 500) // Wait until the hap interaction timeout to check.
+    }
+
+    // Moves that weren't asked for by someone, like schedules, leave a blind alone for a while after it was moved outside of HomeKit.
+    accessory.lastManualMovement = null
+    accessory.isAutomationSuspended = () => {
+      return (
+        accessory.deviceConfig.manualOverrideDuration > 0 &&
+        accessory.lastManualMovement != null &&
+        Date.now() - accessory.lastManualMovement <
+          accessory.deviceConfig.manualOverrideDuration * 60 * 1000
+      )
+    }
+    // Resolves with whether the blind was moved.
+    accessory.moveAutomaticallyAsync = async (position, reason) => {
+      if (accessory.isAutomationSuspended()) {
+        accessory.log.info(
+          `Not moving ${
+            accessory.displayName
+          } for ${reason}, it was moved outside of HomeKit ${Math.floor(
+            (Date.now() - accessory.lastManualMovement) / 60000
+          )} minutes ago`
+        )
+        return false
+      }
+      await accessory.moveToTargetPositionAsync(position)
+      return true
+    }
+
+    // Fully opens or closes the blind with the motor's own move commands, in HomeKit terms.
+    accessory.openAsync = async () => {
+      accessory.checkDevice()
+      accessory.lastHAPInteraction = Date.now()
+      accessory.cancelPendingTargetPosition()
+      accessory.overrideSunProtection()
+      await accessory.runCommandAsync(() =>
+        accessory.deviceConfig.reversed
+          ? accessory.am43device.closeAsync(true)
+          : accessory.am43device.openAsync(true)
+      )
+    }
+    accessory.closeAsync = async () => {
+      accessory.checkDevice()
+      accessory.lastHAPInteraction = Date.now()
+      accessory.cancelPendingTargetPosition()
+      accessory.overrideSunProtection()
+      await accessory.runCommandAsync(() =>
+        accessory.deviceConfig.reversed
+          ? accessory.am43device.openAsync(true)
+          : accessory.am43device.closeAsync(true)
+      )
+    }
+    accessory.stopAsync = async () => {
+      accessory.checkDevice()
+      accessory.lastHAPInteraction = Date.now()
+      accessory.cancelPendingTargetPosition()
+      accessory.overrideSunProtection()
+      await accessory.runCommandAsync(() => accessory.am43device.stopAsync())
+    }
+    // Moves the blind further open by a HomeKit percentage, or further closed by a negative one.
+    accessory.stepAsync = async (step) => {
+      accessory.checkDevice()
+      const position = accessory.toHomeKitPosition(
+        accessory.am43device.currentPosition
+      )
+      await accessory.setTargetPositionAsync(
+        Math.min(100, Math.max(0, position + step))
+      )
+    }
+    // Commands someone is waiting for go ahead of the polls of all motors.
+    accessory.runCommandAsync = (command) =>
+      this.bleScheduler.runAsync(BLESchedulerVariables.PRIORITY_USER, command)
+    accessory.checkDevice = () => {
+      if (!accessory.am43device) {
+        throw new Error("No device found please try again")
+      }
+    }
+
     accessory.hapInteractionTimeout =
-      this.configJSON[StaticVariables.CONFIG_KEY_HAP_INTERACTION_TIMEOUT] !=
-      undefined
-        ? this.configJSON[StaticVariables.CONFIG_KEY_HAP_INTERACTION_TIMEOUT]
-        : StaticVariables.DEFAULT_HAP_INTERACTION_TIMEOUT
+      accessory.deviceConfig.hapInteractionTimeout
     accessory.lastHAPInteraction = null // The last time the homekit accessory procotol tried to interact with the device, this is used to disconnect the device to conserve power.
     accessory.secondsSinceLastHAPInteraction = () => {
       return accessory.lastHAPInteraction
@@ -265,27 +1062,133 @@ class AM43Platform {
       }
     }
 
+    // HomeKit reads the characteristics often, so a missing motor is searched for at most once per interval.
     accessory.scanForMissingDevices = () => {
+      if (
+        this.isScanning ||
+        (this.lastScanStarted != null &&
+          Date.now() - this.lastScanStarted <
+            StaticVariables.MISSING_DEVICES_SCANNING_INTERVAL * 1000)
+      ) {
+        return
+      }
       this.startScanningForDevices(
         StaticVariables.MISSING_DEVICES_SCANNING_TIMEOUT
       )
       this.log.debug("Started scan for missing devices")
     }
 
+    // The reason HomeKit can't be given a current value, or null when the motor can be reached.
+    accessory.unavailableReason = () => {
+      if (!accessory.am43device) {
+        accessory.scanForMissingDevices()
+        return "No device found please try again"
+      }
+      const connectionManager = accessory.am43device.connectionManager
+      if (!connectionManager.isReachable) {
+        return `${accessory.displayName} can't be reached: ${connectionManager.lastError.message}`
+      }
+      return null
+    }
+
     accessory.updateInformation = async function () {
       if (!this.am43device) {
         return
       }
       this.log.debug("Updating device information from poll")
-      await new Promise((r) => setTimeout(r, 200))
-      await this.am43device.updatePositionAsync()
-      await new Promise((r) => setTimeout(r, 200))
-      await this.am43device.updateBatteryStatusAsync()
+      try {
+        await new Promise((r) => setTimeout(r, 200))
+        await this.am43device.updatePositionAsync()
+        await new Promise((r) => setTimeout(r, 200))
+        await this.am43device.updateBatteryStatusAsync()
+        if (this.lightSensorService || this.sunProtection) {
+          await new Promise((r) => setTimeout(r, 200))
+          await this.am43device.updateLightSensorAsync()
+        }
+      } catch (error) {
+        this.log.warn(
+          `Failed to update ${this.am43device.description} from poll: ${error}`
+        )
+      }
+      await this.updateMotorClockAndTimersAsync()
+    }
+
+    // Keeps the clock and the timers of the motor in line with config.json, so the motor still moves the blind when Homebridge is down.
+    accessory.areMotorTimersUpdated = false
+    accessory.updateMotorClockAndTimersAsync = async () => {
+      const device = accessory.am43device
+      if (!device) {
+        return
+      }
+      try {
+        const lastClockSync = accessory.context.am43.lastClockSync
+        if (
+          accessory.deviceConfig.syncClock &&
+          (lastClockSync == null ||
+            Date.now() - lastClockSync >=
+              StaticVariables.CLOCK_SYNC_INTERVAL * 1000)
+        ) {
+          await device.syncClockAsync(new Date())
+          accessory.context.am43.lastClockSync = Date.now()
+          this.api.updatePlatformAccessories([accessory])
+          accessory.log.debug(`Set the clock of ${accessory.displayName}`)
+        }
+        if (
+          accessory.deviceConfig.motorTimers != null &&
+          !accessory.areMotorTimersUpdated
+        ) {
+          const timers = accessory.deviceConfig.motorTimers.map(
+            (timerConfig) => {
+              const time = AM43Config.parseTimeOfDay(
+                timerConfig[AM43ConfigVariables.MOTOR_TIMER_CONFIG_KEY_TIME]
+              )
+              return {
+                enabled: true,
+                position: accessory.toAM43Position(
+                  timerConfig[
+                    AM43ConfigVariables.MOTOR_TIMER_CONFIG_KEY_POSITION
+                  ]
+                ),
+                days: timerConfig[
+                  AM43ConfigVariables.MOTOR_TIMER_CONFIG_KEY_DAYS
+                ] || [0, 1, 2, 3, 4, 5, 6],
+                hour: Math.floor(time / 60),
+                minute: time % 60,
+              }
+            }
+          )
+          if (await device.replaceTimersAsync(timers)) {
+            accessory.log.info(
+              `Stored ${timers.length} timers on ${accessory.displayName}`
+            )
+          }
+          accessory.areMotorTimersUpdated = true
+        }
+      } catch (error) {
+        accessory.log.warn(
+          `Failed to update the clock and timers of ${accessory.displayName}: ${error}`
+        )
+      }
     }
   }
 
   configureDeviceOnAccessory(accessory, device) {
     accessory.updateReachability(true)
+    device.connectionManager.on("unreachable", (error) => {
+      if (accessory.am43device !== device) return
+      this.log.warn(`Can't connect to ${device.description}: ${error.message}`)
+      accessory.updateReachability(false)
+    })
+    device.connectionManager.on("reachable", () => {
+      if (accessory.am43device !== device) return
+      this.log.info(`${device.description} can be reached again`)
+      accessory.updateReachability(true)
+    })
+    device.on("passwordRejected", () => {
+      this.log.error(
+        `The motor ${device.description} rejected the configured password. No commands are sent to this motor until the '${AM43ConfigVariables.DEVICE_CONFIG_KEY_PASSWORD}' in its '${AM43ConfigVariables.CONFIG_KEY_DEVICES}' entry in config.json is fixed and Homebridge is restarted.`
+      )
+    })
     accessory.am43device = device
 
     accessory.context.am43 = {
@@ -293,6 +1196,18 @@ class AM43Platform {
       id: device.id,
       address: device.address,
     }
+    accessory.deviceConfig = this.deviceConfigForAccessory(accessory)
+    accessory.updateBatterySaving()
+    device.retryObstructedMoves = accessory.deviceConfig.retryObstructedMoves
+    if (
+      accessory.deviceConfig.name &&
+      accessory.displayName != accessory.deviceConfig.name
+    ) {
+      accessory.displayName = accessory.deviceConfig.name
+      accessory.windowCoveringService
+        .getCharacteristic(this.Characteristic.Name)
+        .updateValue(accessory.deviceConfig.name)
+    }
 
     if (accessory.context.am43.lastPosition) {
       accessory.am43device.position = accessory.context.am43.lastPosition
@@ -301,28 +1216,73 @@ class AM43Platform {
       accessory.am43device.batteryPercentage =
         accessory.context.am43.lastBatteryPercentage
     }
+    if (accessory.context.am43.lastLightLevel != null) {
+      accessory.am43device.lightLevel = accessory.context.am43.lastLightLevel
+    }
+    device.positionEstimator.setTravelTimes(accessory.context.am43.travelTimes)
+
+    // The name, the versions and the device type of the motor change rarely, the settings come with every position reading.
+    const updateDeviceInformation = () => {
+      if (accessory.am43device !== device) return
+      const information = Object.assign({}, device.deviceInformation, {
+        name: device.name,
+        deviceType: device.settings ? device.settings.deviceType : null,
+      })
+      if (
+        JSON.stringify(information) ==
+        JSON.stringify(accessory.context.am43.deviceInformation)
+      ) {
+        return
+      }
+      accessory.context.am43.deviceInformation = information
+      this.updateInformationServiceOnAccessory(accessory)
+    }
+    device.on("deviceInformation", updateDeviceInformation)
+    device.on("name", updateDeviceInformation)
+    device.on("settings", updateDeviceInformation)
 
     device.on("direction", (direction) => {
+      if (accessory.am43device !== device) return
       this.log.debug("Notifying of new direction (0 down, 1 up): " + direction)
       let targetPosition = accessory.am43device.targetPosition
         ? accessory.am43device.targetPosition
         : accessory.am43device.position
       accessory.windowCoveringService
         .getCharacteristic(this.Characteristic.PositionState)
-        .updateValue(direction)
+        .updateValue(accessory.toHomeKitPositionState(direction))
       if (direction == 2) {
         accessory.windowCoveringService
           .getCharacteristic(this.Characteristic.CurrentPosition)
-          .updateValue(100 - accessory.am43device.position)
+          .updateValue(
+            accessory.toHomeKitPosition(accessory.am43device.position)
+          )
         accessory.windowCoveringService
           .getCharacteristic(this.Characteristic.TargetPosition)
-          .updateValue(100 - targetPosition)
+          .updateValue(accessory.toHomeKitPosition(targetPosition))
       }
     })
 
+    // The motor was moved by its remote, its chain or another app. HomeKit shows it moving towards the end of the blind until it stops.
+    device.on("manualMovement", (direction) => {
+      if (accessory.am43device !== device) return
+      this.log.info(
+        `${accessory.displayName} is ${accessory.directionName(
+          direction
+        )} outside of HomeKit`
+      )
+      accessory.lastManualMovement = Date.now()
+      if (accessory.sunProtection) {
+        accessory.sunProtection.handleManualMovement()
+      }
+      accessory.windowCoveringService
+        .getCharacteristic(this.Characteristic.TargetPosition)
+        .updateValue(accessory.toHomeKitPosition(direction == 1 ? 0 : 100))
+    })
+
     device.on("targetPosition", (position) => {
+      if (accessory.am43device !== device) return
       var targetPosition = position ? position : accessory.am43device.position
-      targetPosition = 100 - targetPosition // In AM43 Devices 100% means fully closed, but in HomeKit 100% means fully opened
+      targetPosition = accessory.toHomeKitPosition(targetPosition)
       this.log.debug("Notifying of new target position: " + targetPosition)
       accessory.windowCoveringService
         .getCharacteristic(this.Characteristic.TargetPosition)
@@ -330,7 +1290,8 @@ class AM43Platform {
     })
 
     device.on("position", (position) => {
-      position = 100 - position // In AM43 Devices 100% means fully closed, but in HomeKit 100% means fully opened
+      if (accessory.am43device !== device) return
+      position = accessory.toHomeKitPosition(position)
       this.log.debug("Notifying of new position: " + position)
       accessory.lastPositionUpdate = Date.now()
       accessory.windowCoveringService
@@ -345,26 +1306,128 @@ class AM43Platform {
       accessory.checkForHAPInteractionTimeout()
     })
 
+    device.on("obstruction", (position, targetPosition) => {
+      this.log.warn(
+        `${device.description} stopped at ${accessory.toHomeKitPosition(
+          position
+        )}% before reaching ${accessory.toHomeKitPosition(
+          targetPosition
+        )}%, the blind may be obstructed`
+      )
+    })
+
+    device.on("obstructionDetected", (isObstructed) => {
+      if (accessory.am43device !== device) return
+      accessory.windowCoveringService
+        .getCharacteristic(this.Characteristic.ObstructionDetected)
+        .updateValue(isObstructed)
+    })
+    ;["position", "targetPosition"].forEach((event) => {
+      device.on(event, () => {
+        if (accessory.am43device === device) {
+          accessory.presetSwitches.update()
+        }
+      })
+    })
+
+    device.on("estimatedPosition", (position) => {
+      if (accessory.am43device !== device) return
+      accessory.windowCoveringService
+        .getCharacteristic(this.Characteristic.CurrentPosition)
+        .updateValue(accessory.toHomeKitPosition(position))
+    })
+
+    // The learned travel times are kept with the accessory, so the estimates are right from the first move after a restart.
+    device.on("travelTimes", (travelTimes) => {
+      if (accessory.am43device !== device) return
+      this.log.debug(
+        `Learned travel times of ${device.description}: ${JSON.stringify(
+          travelTimes
+        )}`
+      )
+      accessory.context.am43.travelTimes = travelTimes
+      this.api.updatePlatformAccessories([accessory])
+    })
+
     device.on("batteryPercentage", (percentage) => {
+      if (accessory.am43device !== device) return
       this.log.debug("Notifying of new battery percentage: " + percentage)
-      accessory.batteryService
-        .getCharacteristic(this.Characteristic.BatteryLevel)
-        .updateValue(percentage)
-      accessory.batteryService
-        .getCharacteristic(this.Characteristic.StatusLowBattery)
-        .updateValue(percentage <= 10)
+      if (accessory.batteryHistory.addReading(percentage)) {
+        accessory.context.am43.batteryHistory =
+          accessory.batteryHistory.readings
+        this.api.updatePlatformAccessories([accessory])
+        const daysLeft = accessory.batteryHistory.estimatedDaysLeft()
+        if (daysLeft != null) {
+          this.log.debug(
+            `Estimated battery runtime of ${device.description}: ${daysLeft} days`
+          )
+        }
+      }
+      accessory.updateBatterySaving()
+      if (accessory.batteryService) {
+        accessory.batteryService
+          .getCharacteristic(this.Characteristic.BatteryLevel)
+          .updateValue(percentage)
+        accessory.batteryService
+          .getCharacteristic(this.Characteristic.StatusLowBattery)
+          .updateValue(accessory.isBatteryLow(percentage))
+        accessory.batteryService
+          .getCharacteristic(this.Characteristic.ChargingState)
+          .updateValue(accessory.chargingState())
+      }
 
       accessory.checkForHAPInteractionTimeout()
     })
 
-    const pollInterval =
-      this.configJSON[StaticVariables.CONFIG_KEY_POLL_INTERVAL] != undefined
-        ? this.configJSON[StaticVariables.CONFIG_KEY_POLL_INTERVAL]
-        : StaticVariables.DEFAULT_POLL_INTERVAL
+    device.on("lightLevel", (lightLevel) => {
+      if (accessory.am43device !== device || !accessory.sunProtection) {
+        return
+      }
+      accessory.sunProtection
+        .handleLightLevelAsync(lightLevel)
+        .catch((error) => {
+          this.log.error(
+            `Sun protection failed to move ${accessory.displayName}: ${error}`
+          )
+        })
+    })
+
+    device.on("lightLevel", (lightLevel) => {
+      if (accessory.am43device !== device || !accessory.lightSensorService) {
+        return
+      }
+      const lux = this.luxForLightLevel(lightLevel)
+      this.log.debug(`Notifying of new light level: ${lightLevel} (${lux} lux)`)
+      accessory.lightSensorService
+        .getCharacteristic(this.Characteristic.CurrentAmbientLightLevel)
+        .updateValue(lux)
+
+      accessory.checkForHAPInteractionTimeout()
+    })
+
+    if (this.mqttBridge) {
+      this.mqttBridge.addDevice(accessory, device)
+    }
+    this.groups
+      .filter((group) => group.isMember(accessory))
+      .forEach((group) => group.addMemberDevice(accessory, device))
+
+    // A motor that is found again replaces its poll, the Bluetooth scheduler spreads the polls of all motors over the interval.
+    const pollInterval = accessory.deviceConfig.pollInterval
     if (pollInterval >= StaticVariables.MINIMUM_POLL_INTERVAL) {
-      setTimeout(() => {
-        poll(() => accessory.updateInformation(), pollInterval * 1000)
-      }, pollInterval * 1000)
+      let skippedPolls = 0
+      this.bleScheduler.addPoll(accessory.UUID, pollInterval * 1000, () => {
+        if (
+          accessory.isSavingBattery &&
+          skippedPolls <
+            StaticVariables.LOW_BATTERY_POLL_INTERVAL_MULTIPLIER - 1
+        ) {
+          skippedPolls++
+          return
+        }
+        skippedPolls = 0
+        return accessory.updateInformation()
+      })
     }
   }
 
@@ -372,6 +1435,67 @@ class AM43Platform {
     this.configureWindowCoveringServiceOnAccessory(accessory)
     this.configureInformationServiceOnAccessory(accessory)
     this.configureBatteryServiceOnAccessory(accessory)
+    this.configureLightSensorServiceOnAccessory(accessory)
+    this.configureSwitchServicesOnAccessory(accessory)
+    accessory.presetSwitches = new AM43PresetSwitches(
+      this,
+      accessory,
+      accessory.deviceConfig.presets,
+      {
+        tolerance: accessory.deviceConfig.presetTolerance,
+        setPositionAsync: (position) =>
+          accessory.setTargetPositionAsync(position),
+        position: () => {
+          const device = accessory.am43device
+          if (!device) {
+            return null
+          }
+          return accessory.toHomeKitPosition(
+            device.targetPosition != null
+              ? device.targetPosition
+              : device.position
+          )
+        },
+      }
+    )
+    if (accessory.deviceConfig.sunProtection) {
+      accessory.sunProtection = new AM43SunProtection(
+        this,
+        accessory,
+        accessory.deviceConfig.sunProtection,
+        {
+          moveAsync: (position, reason) =>
+            accessory.moveAutomaticallyAsync(position, reason),
+          position: () =>
+            accessory.am43device
+              ? accessory.toHomeKitPosition(accessory.am43device.position)
+              : null,
+        }
+      )
+    } else {
+      removeSunProtectionService(this, accessory)
+      accessory.sunProtection = null
+    }
+  }
+
+  // Maps the 0-100 reading of the motor's light sensor linearly onto the configured lux range.
+  luxForLightLevel(lightLevel) {
+    const minimumLux =
+      this.configJSON[StaticVariables.CONFIG_KEY_LIGHT_SENSOR_MINIMUM_LUX] !=
+      undefined
+        ? this.configJSON[StaticVariables.CONFIG_KEY_LIGHT_SENSOR_MINIMUM_LUX]
+        : StaticVariables.DEFAULT_LIGHT_SENSOR_MINIMUM_LUX
+    const maximumLux =
+      this.configJSON[StaticVariables.CONFIG_KEY_LIGHT_SENSOR_MAXIMUM_LUX] !=
+      undefined
+        ? this.configJSON[StaticVariables.CONFIG_KEY_LIGHT_SENSOR_MAXIMUM_LUX]
+        : StaticVariables.DEFAULT_LIGHT_SENSOR_MAXIMUM_LUX
+    const level = Math.min(100, Math.max(0, lightLevel))
+    const lux = minimumLux + ((maximumLux - minimumLux) * level) / 100
+    return Math.min(
+      StaticVariables.HAP_MAXIMUM_LUX,
+      Math.max(StaticVariables.HAP_MINIMUM_LUX, lux)
+    )
   }
 
   configureInformationServiceOnAccessory(accessory) {
@@ -379,16 +1503,6 @@ class AM43Platform {
       accessory.getService(this.Service.AccessoryInformation) ||
       accessory.addService(this.Service.AccessoryInformation)
 
-    service
-      .getCharacteristic(this.Characteristic.Manufacturer)
-      .updateValue("renssies")
-
-    service.getCharacteristic(this.Characteristic.Model).updateValue("AM43")
-
-    service
-      .getCharacteristic(this.Characteristic.Name)
-      .updateValue("AM43 Blind Motor")
-
     service
       .getCharacteristic(this.Characteristic.SerialNumber)
       .on("get", function (callback) {
@@ -399,44 +1513,204 @@ class AM43Platform {
         return callback(null, accessory.am43device.id)
       })
 
+    // The firmware revision is the one of the motor, the version of the plugin is shown as the software revision.
     service
-      .getCharacteristic(this.Characteristic.FirmwareRevision)
-      .on("get", (callback) => callback(null, this.packageJSON.version))
+      .getCharacteristic(this.Characteristic.SoftwareRevision)
+      .updateValue(this.packageJSON.version)
 
     accessory.informationService = service
+    this.updateInformationServiceOnAccessory(accessory)
+  }
+
+  // Shows what the motor is, as far as it has been read from the motor. The information is kept with the accessory, so it is shown before the motor is found again after a restart.
+  updateInformationServiceOnAccessory(accessory) {
+    const information =
+      (accessory.context.am43 && accessory.context.am43.deviceInformation) || {}
+    const service = accessory.informationService
+    service
+      .getCharacteristic(this.Characteristic.Manufacturer)
+      .updateValue(information.manufacturer || "renssies")
+    let model = information.model || "AM43"
+    if (information.deviceType != null) {
+      model += ` (type ${information.deviceType})`
+    }
+    service.getCharacteristic(this.Characteristic.Model).updateValue(model)
+    service
+      .getCharacteristic(this.Characteristic.Name)
+      .updateValue(information.name || "AM43 Blind Motor")
+    if (information.firmwareRevision) {
+      service
+        .getCharacteristic(this.Characteristic.FirmwareRevision)
+        .updateValue(information.firmwareRevision)
+    }
+    if (information.hardwareRevision) {
+      service
+        .getCharacteristic(this.Characteristic.HardwareRevision)
+        .updateValue(information.hardwareRevision)
+    }
   }
 
   configureBatteryServiceOnAccessory(accessory) {
+    const existingService = accessory.getService(this.Service.BatteryService)
+    if (!accessory.deviceConfig.batteryService) {
+      if (existingService) {
+        accessory.removeService(existingService)
+      }
+      accessory.batteryService = null
+      return
+    }
+
     const service =
-      accessory.getService(this.Service.BatteryService) ||
-      accessory.addService(this.Service.BatteryService)
+      existingService || accessory.addService(this.Service.BatteryService)
 
     service
       .getCharacteristic(this.Characteristic.BatteryLevel)
       .on("get", function (callback) {
-        if (!accessory.am43device) {
-          callback("No device found please try again", null)
+        const unavailableReason = accessory.unavailableReason()
+        if (unavailableReason) {
+          callback(unavailableReason, null)
           return
         }
-        accessory.am43device.updateBatteryStatusAsync()
+        accessory.am43device.updateBatteryStatusAsync().catch((error) => {
+          accessory.log.debug("Failed to request battery status: " + error)
+        })
         return callback(null, accessory.am43device.batteryPercentage)
       })
 
-    service.getCharacteristic(this.Characteristic.ChargingState).updateValue(0)
+    service
+      .getCharacteristic(this.Characteristic.ChargingState)
+      .on("get", function (callback) {
+        callback(null, accessory.chargingState())
+      })
 
     service
       .getCharacteristic(this.Characteristic.StatusLowBattery)
       .on("get", function (callback) {
-        if (!accessory.am43device) {
-          callback("No device found please try again", null)
+        const unavailableReason = accessory.unavailableReason()
+        if (unavailableReason) {
+          callback(unavailableReason, null)
           return
         }
-        return callback(null, accessory.am43device.batteryPercentage <= 10)
+        return callback(
+          null,
+          accessory.isBatteryLow(accessory.am43device.batteryPercentage)
+        )
       })
 
     accessory.batteryService = service
   }
 
+  configureLightSensorServiceOnAccessory(accessory) {
+    const existingService = accessory.getService(this.Service.LightSensor)
+    if (!accessory.deviceConfig.lightSensor) {
+      if (existingService) {
+        accessory.removeService(existingService)
+      }
+      accessory.lightSensorService = null
+      return
+    }
+
+    const service =
+      existingService || accessory.addService(this.Service.LightSensor)
+
+    service
+      .getCharacteristic(this.Characteristic.CurrentAmbientLightLevel)
+      .on("get", (callback) => {
+        const unavailableReason = accessory.unavailableReason()
+        if (unavailableReason) {
+          callback(unavailableReason, null)
+          return
+        }
+        accessory.am43device.updateLightSensorAsync().catch((error) => {
+          accessory.log.debug("Failed to request light level: " + error)
+        })
+        const lightLevel =
+          accessory.am43device.lightLevel != null
+            ? accessory.am43device.lightLevel
+            : 0
+        return callback(null, this.luxForLightLevel(lightLevel))
+      })
+
+    accessory.lightSensorService = service
+  }
+
+  // Adds a stateless switch for every configured move, so Siri and automations can open, close, stop or step a blind like pressing a button.
+  configureSwitchServicesOnAccessory(accessory) {
+    const switches = {
+      [AM43ConfigVariables.SWITCH_OPEN]: {
+        name: "Open",
+        performAsync: () => accessory.openAsync(),
+      },
+      [AM43ConfigVariables.SWITCH_CLOSE]: {
+        name: "Close",
+        performAsync: () => accessory.closeAsync(),
+      },
+      [AM43ConfigVariables.SWITCH_STOP]: {
+        name: "Stop",
+        performAsync: () => accessory.stopAsync(),
+      },
+      [AM43ConfigVariables.SWITCH_STEP_UP]: {
+        name: "Step Up",
+        performAsync: () =>
+          accessory.stepAsync(accessory.deviceConfig.stepSize),
+      },
+      [AM43ConfigVariables.SWITCH_STEP_DOWN]: {
+        name: "Step Down",
+        performAsync: () =>
+          accessory.stepAsync(-accessory.deviceConfig.stepSize),
+      },
+    }
+    accessory.switchServices = {}
+    Object.keys(switches).forEach((subtype) => {
+      const existingService = accessory.getServiceById(
+        this.Service.Switch,
+        subtype
+      )
+      if (!accessory.deviceConfig.switches.includes(subtype)) {
+        if (existingService) {
+          accessory.removeService(existingService)
+        }
+        return
+      }
+      accessory.switchServices[subtype] = this.configureSwitchService(
+        accessory,
+        existingService ||
+          accessory.addService(
+            this.Service.Switch,
+            `${accessory.displayName} ${switches[subtype].name}`,
+            subtype
+          ),
+        switches[subtype].performAsync
+      )
+    })
+  }
+
+  // Turning the switch on performs the action, after which the switch turns itself off again.
+  configureSwitchService(accessory, service, performAsync) {
+    service
+      .getCharacteristic(this.Characteristic.On)
+      .on("get", (callback) => callback(null, false))
+      .on("set", async (value, callback) => {
+        if (!value) {
+          callback(null)
+          return
+        }
+        try {
+          await performAsync()
+          callback(null)
+        } catch (error) {
+          accessory.log.error(
+            `Failed to move ${accessory.displayName}: ${error}`
+          )
+          callback(error)
+        }
+        setTimeout(() => {
+          service.getCharacteristic(this.Characteristic.On).updateValue(false)
+        }, StaticVariables.SWITCH_RESET_DELAY)
+      })
+    return service
+  }
+
   configureWindowCoveringServiceOnAccessory(accessory) {
     const service =
       accessory.getService(this.Service.WindowCovering) ||
@@ -446,22 +1720,32 @@ class AM43Platform {
       .getCharacteristic(this.Characteristic.CurrentPosition)
       .on("get", function (callback) {
         if (!accessory.am43device) {
-          accessory.scanForMissingDevices()
-          callback("No device found please try again", null)
+          callback(accessory.unavailableReason(), null)
           return
         }
         accessory.lastHAPInteraction = Date.now()
 
+        // Also requested while the motor can't be reached, so it is retried once the backoff has passed.
         if (
           accessory.secondsSinceLastPositionUpdate() >
             StaticVariables.POSITION_UPDATE_INTERVAL ||
           !accessory.am43device.isConnected
         ) {
           accessory.log.debug("Requesting position update")
-          accessory.am43device.updatePositionAsync()
+          accessory.am43device.updatePositionAsync().catch((error) => {
+            accessory.log.debug("Failed to request position update: " + error)
+          })
+        }
+
+        const unavailableReason = accessory.unavailableReason()
+        if (unavailableReason) {
+          callback(unavailableReason, null)
+          return
         }
 
-        const position = 100 - accessory.am43device.position // In AM43 Devices 100% means fully closed, but in HomeKit 100% means fully opened
+        const position = accessory.toHomeKitPosition(
+          accessory.am43device.currentPosition
+        )
         accessory.log.debug("Reporting position: " + position)
         return callback(null, position)
       })
@@ -469,8 +1753,9 @@ class AM43Platform {
     service
       .getCharacteristic(this.Characteristic.TargetPosition)
       .on("get", function (callback) {
-        if (!accessory.am43device) {
-          callback("No device found please try again", null)
+        const unavailableReason = accessory.unavailableReason()
+        if (unavailableReason) {
+          callback(unavailableReason, null)
           return
         }
         accessory.lastHAPInteraction = Date.now()
@@ -478,7 +1763,7 @@ class AM43Platform {
         var targetPosition = accessory.am43device.targetPosition
           ? accessory.am43device.targetPosition
           : accessory.am43device.position
-        targetPosition = 100 - targetPosition
+        targetPosition = accessory.toHomeKitPosition(targetPosition)
         accessory.log.debug("Reporting target position: " + targetPosition)
         return callback(null, targetPosition)
       })
@@ -487,20 +1772,11 @@ class AM43Platform {
           callback("No device found please try again")
           return
         }
-        accessory.lastHAPInteraction = Date.now()
-
-        const targetPosition = 100 - value // In AM43 Devices 100% means fully closed, but in HomeKit 100% means fully opened
-        accessory.log.debug("setting target position: " + targetPosition)
         try {
-          await accessory.am43device.setPositionAsync(targetPosition, true)
-          setTimeout(() => {
-            accessory.log.debug(
-              "Checking for HAP interaction timeout after setting target position"
-            )
-            accessory.checkForHAPInteractionTimeout()
-          }, accessory.hapInteractionTimeout * 1000 + 500) // Wait until the hap interaction timeout to check.
+          await accessory.setTargetPositionAsync(value)
           return callback(null)
         } catch (error) {
+          accessory.log.error("Failed to set target position: " + error)
           callback(error)
         }
       })
@@ -508,13 +1784,28 @@ class AM43Platform {
     service
       .getCharacteristic(this.Characteristic.PositionState)
       .on("get", function (callback) {
-        if (!accessory.am43device) {
-          callback("No device found please try again", null)
+        const unavailableReason = accessory.unavailableReason()
+        if (unavailableReason) {
+          callback(unavailableReason, null)
           return
         }
         accessory.lastHAPInteraction = Date.now()
-        accessory.log.debug("Reporting direction: " + accessory.am43device.direction)
-        callback(null, accessory.am43device.direction)
+        accessory.log.debug(
+          "Reporting direction: " + accessory.am43device.direction
+        )
+        callback(
+          null,
+          accessory.toHomeKitPositionState(accessory.am43device.direction)
+        )
+      })
+
+    service
+      .getCharacteristic(this.Characteristic.ObstructionDetected)
+      .on("get", function (callback) {
+        callback(
+          null,
+          accessory.am43device ? accessory.am43device.isObstructed : false
+        )
       })
 
     service
@@ -524,9 +1815,12 @@ class AM43Platform {
           callback("No device found please try again")
           return
         }
-        accessory.lastHAPInteraction = Date.now()
-        await accessory.am43device.stopAsync()
-        callback(null)
+        try {
+          await accessory.stopAsync()
+          callback(null)
+        } catch (error) {
+          callback(error)
+        }
       })
 
     accessory.windowCoveringService = service
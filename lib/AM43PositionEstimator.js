@@ -0,0 +1,140 @@
+const StaticVariables = {
+  DIRECTION_CLOSING: "closing",
+  DIRECTION_OPENING: "opening",
+
+  MINIMUM_LEARNING_DISTANCE: 20, // Shorter moves are too much affected by the time the motor takes to start to learn from. In percent
+  LEARNING_WEIGHT: 0.5, // The weight of a newly observed travel time compared to the travel time learned before
+  MINIMUM_TRAVEL_TIME: 2 * 1000, // Observed travel times outside of these bounds are ignored. In milliseconds
+  MAXIMUM_TRAVEL_TIME: 10 * 60 * 1000,
+}
+
+// Estimates the position of a moving motor from the time it takes to travel from fully opened to fully closed, in the AM43 positions where 100 is closed.
+// The travel time of each direction is learned from the moves that are observed, every real reading corrects the estimate.
+class AM43PositionEstimator {
+  constructor(travelTimes) {
+    this.travelTimes = {
+      [StaticVariables.DIRECTION_CLOSING]: null,
+      [StaticVariables.DIRECTION_OPENING]: null,
+    }
+    this.setTravelTimes(travelTimes)
+    this.move = null
+  }
+
+  // Restores travel times that were learned before, in milliseconds for a full travel per direction.
+  setTravelTimes(travelTimes) {
+    if (travelTimes == null) {
+      return
+    }
+    Object.keys(this.travelTimes).forEach((direction) => {
+      if (isValidTravelTime(travelTimes[direction])) {
+        this.travelTimes[direction] = travelTimes[direction]
+      }
+    })
+  }
+
+  get isMoving() {
+    return this.move != null
+  }
+
+  directionFor(position, targetPosition) {
+    return targetPosition > position
+      ? StaticVariables.DIRECTION_CLOSING
+      : StaticVariables.DIRECTION_OPENING
+  }
+
+  start(position, targetPosition, time) {
+    if (position == null || position == targetPosition) {
+      this.move = null
+      return
+    }
+    time = time != undefined ? time : Date.now()
+    this.move = {
+      direction: this.directionFor(position, targetPosition),
+      startPosition: position,
+      startTime: time,
+      targetPosition: targetPosition,
+      // The last real reading, the estimate continues from there.
+      readingPosition: position,
+      readingTime: time,
+      lastEstimate: null, // The estimate never moves back against the direction of travel, a reading that lags behind it is caught up with.
+    }
+  }
+
+  stop() {
+    this.move = null
+  }
+
+  // The estimated position at the given time, or null when no move is in progress or the travel time is still unknown.
+  estimate(time) {
+    if (this.move == null) {
+      return null
+    }
+    const travelTime = this.travelTimes[this.move.direction]
+    if (travelTime == null) {
+      return null
+    }
+    time = time != undefined ? time : Date.now()
+    const distance = ((time - this.move.readingTime) * 100) / travelTime
+    const remaining = Math.abs(
+      this.move.targetPosition - this.move.readingPosition
+    )
+    const sign = this.move.targetPosition > this.move.readingPosition ? 1 : -1
+    let estimate = Math.round(
+      this.move.readingPosition +
+        sign * Math.min(Math.max(distance, 0), remaining)
+    )
+    if (this.move.lastEstimate != null) {
+      estimate =
+        this.move.direction == StaticVariables.DIRECTION_CLOSING
+          ? Math.max(estimate, this.move.lastEstimate)
+          : Math.min(estimate, this.move.lastEstimate)
+    }
+    this.move.lastEstimate = estimate
+    return estimate
+  }
+
+  // Handles a real position reading. Returns the updated travel time when the reading completed a move that could be learned from.
+  handleReading(position, time) {
+    if (this.move == null) {
+      return null
+    }
+    time = time != undefined ? time : Date.now()
+    const move = this.move
+    move.readingPosition = position
+    move.readingTime = time
+    if (position != move.targetPosition) {
+      return null
+    }
+    this.move = null
+
+    const distance = Math.abs(move.targetPosition - move.startPosition)
+    if (distance < StaticVariables.MINIMUM_LEARNING_DISTANCE) {
+      return null
+    }
+    const observedTravelTime = ((time - move.startTime) * 100) / distance
+    if (!isValidTravelTime(observedTravelTime)) {
+      return null
+    }
+    const learnedTravelTime = this.travelTimes[move.direction]
+    this.travelTimes[move.direction] = Math.round(
+      learnedTravelTime == null
+        ? observedTravelTime
+        : learnedTravelTime * (1 - StaticVariables.LEARNING_WEIGHT) +
+            observedTravelTime * StaticVariables.LEARNING_WEIGHT
+    )
+    return this.travelTimes[move.direction]
+  }
+}
+
+function isValidTravelTime(travelTime) {
+  return (
+    typeof travelTime === "number" &&
+    travelTime >= StaticVariables.MINIMUM_TRAVEL_TIME &&
+    travelTime <= StaticVariables.MAXIMUM_TRAVEL_TIME
+  )
+}
+
+module.exports = {
+  AM43PositionEstimator: AM43PositionEstimator,
+  StaticVariables: StaticVariables,
+}
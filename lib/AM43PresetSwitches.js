@@ -0,0 +1,125 @@
+const AM43ConfigVariables = require("./AM43Config").StaticVariables
+
+const StaticVariables = {
+  SUBTYPE_PREFIX: "preset-",
+  DEFAULT_TOLERANCE: 2, // The distance from a preset at which a blind still counts as being at the preset. In percent
+  STATE_REFRESH_DELAY: 1000, // The time after which a switch that was turned off shows whether the blind is at the preset again. In milliseconds
+}
+
+// Exposes the preset positions of a blind or a group as switches. Turning a switch on moves to the preset, the switch is on while the blind is at or moving to the preset.
+// Positions are in HomeKit percentages, the owner takes care of converting them for the motors.
+class AM43PresetSwitches {
+  constructor(platform, accessory, presets, options) {
+    this.accessory = accessory
+    this.log = platform.log
+    this.Service = platform.Service
+    this.Characteristic = platform.Characteristic
+
+    this.presets = presets || []
+    this.tolerance =
+      typeof options.tolerance === "number" &&
+      options.tolerance >= 0 &&
+      options.tolerance <= 100
+        ? options.tolerance
+        : StaticVariables.DEFAULT_TOLERANCE
+    this.setPositionAsync = options.setPositionAsync
+    this.position = options.position // The position the blind is moving to, or else its current position. Null when unknown.
+
+    this.services = new Map() // The switch of every preset, by preset name.
+    this.configureServices()
+  }
+
+  subtypeForPreset(preset) {
+    return (
+      StaticVariables.SUBTYPE_PREFIX +
+      preset[AM43ConfigVariables.PRESET_CONFIG_KEY_NAME]
+    )
+  }
+
+  isAtPreset(preset) {
+    const position = this.position()
+    return (
+      position != null &&
+      Math.abs(
+        position - preset[AM43ConfigVariables.PRESET_CONFIG_KEY_POSITION]
+      ) <= this.tolerance
+    )
+  }
+
+  configureServices() {
+    const subtypes = this.presets.map((preset) => this.subtypeForPreset(preset))
+    this.accessory.services
+      .filter(
+        (service) =>
+          service.UUID == this.Service.Switch.UUID &&
+          typeof service.subtype === "string" &&
+          service.subtype.startsWith(StaticVariables.SUBTYPE_PREFIX) &&
+          !subtypes.includes(service.subtype)
+      )
+      .forEach((service) => this.accessory.removeService(service))
+
+    this.presets.forEach((preset) => {
+      const name = preset[AM43ConfigVariables.PRESET_CONFIG_KEY_NAME]
+      const subtype = this.subtypeForPreset(preset)
+      const service =
+        this.accessory.getServiceById(this.Service.Switch, subtype) ||
+        this.accessory.addService(
+          this.Service.Switch,
+          `${this.accessory.displayName} ${name}`,
+          subtype
+        )
+      this.configureService(service, preset)
+      this.services.set(name, service)
+    })
+  }
+
+  configureService(service, preset) {
+    const presetSwitches = this
+    const name = preset[AM43ConfigVariables.PRESET_CONFIG_KEY_NAME]
+    service
+      .getCharacteristic(this.Characteristic.On)
+      .on("get", function (callback) {
+        callback(null, presetSwitches.isAtPreset(preset))
+      })
+      .on("set", async function (value, callback) {
+        if (!value) {
+          // A blind can't be moved away from a preset, the switch shows the actual state again.
+          callback(null)
+          setTimeout(
+            () => presetSwitches.update(),
+            StaticVariables.STATE_REFRESH_DELAY
+          )
+          return
+        }
+        presetSwitches.log.debug(
+          `Moving ${presetSwitches.accessory.displayName} to preset ${name}`
+        )
+        try {
+          await presetSwitches.setPositionAsync(
+            preset[AM43ConfigVariables.PRESET_CONFIG_KEY_POSITION]
+          )
+          callback(null)
+        } catch (error) {
+          presetSwitches.log.error(
+            `Failed to move ${presetSwitches.accessory.displayName} to preset ${name}: ${error}`
+          )
+          callback(error)
+        }
+      })
+  }
+
+  // Called when the position or the target position changed.
+  update() {
+    this.presets.forEach((preset) => {
+      this.services
+        .get(preset[AM43ConfigVariables.PRESET_CONFIG_KEY_NAME])
+        .getCharacteristic(this.Characteristic.On)
+        .updateValue(this.isAtPreset(preset))
+    })
+  }
+}
+
+module.exports = {
+  AM43PresetSwitches: AM43PresetSwitches,
+  StaticVariables: StaticVariables,
+}
@@ -0,0 +1,581 @@
+const EventEmitter = require("events").EventEmitter
+
+const StaticVariables = {
+  AM43_COMMAND_PREFIX: Uint8Array.from([0x00, 0xff, 0x00, 0x00]),
+  AM43_FRAME_HEADER: 0x9a,
+
+  AM43_COMMAND_ID_SET_MOVE: 0x0a,
+  AM43_MOVE_OPEN: 0xdd,
+  AM43_MOVE_CLOSE: 0xee,
+  AM43_MOVE_STOP: 0xcc,
+
+  AM43_COMMAND_ID_SET_POSITION: 0x0d,
+  AM43_COMMAND_ID_GET_POSITION: 0xa7,
+  AM43_COMMAND_ID_GET_LIGHTSENSOR: 0xaa,
+  AM43_COMMAND_ID_GET_BATTERYSTATUS: 0xa2,
+  AM43_COMMAND_ID_VERIFY_PASSWORD: 0x17,
+  AM43_COMMAND_ID_SET_SETTINGS: 0x11,
+  AM43_COMMAND_ID_SET_LIMITS: 0x22,
+  AM43_COMMAND_ID_SET_NAME: 0x35,
+  AM43_COMMAND_ID_SYNC_CLOCK: 0x14,
+  AM43_COMMAND_ID_SET_TIMER: 0x15,
+  AM43_COMMAND_ID_GET_TIMERS: 0xa8,
+
+  AM43_LIMIT_RESET: 0x00, // Clears both limits, the motor refuses to move to a position until they are set again
+  AM43_LIMIT_SET_UPPER: 0x01, // Stores the current position as the fully opened position
+  AM43_LIMIT_SET_LOWER: 0x02, // Stores the current position as the fully closed position
+
+  // The flags in the first byte of the settings
+  AM43_SETTINGS_FLAG_REVERSED: 0x01,
+  AM43_SETTINGS_FLAG_OPERATION_MODE: 0x02,
+  AM43_SETTINGS_FLAG_UPPER_LIMIT_SET: 0x04,
+  AM43_SETTINGS_FLAG_LOWER_LIMIT_SET: 0x08,
+  AM43_SETTINGS_LENGTH: 7, // Flags, speed, position, blind length (2 bytes), diameter and device type
+  AM43_MAXIMUM_NAME_LENGTH: 16,
+
+  AM43_TIMER_ACTION_ADD: 0x00,
+  AM43_TIMER_ACTION_UPDATE: 0x01,
+  AM43_TIMER_ACTION_DELETE: 0x02,
+  AM43_TIMER_LENGTH: 6, // Index, enabled, position, days, hour and minute
+  AM43_MAXIMUM_TIMERS: 4, // The number of timers the motor can store, like in the Blinds Engine app
+
+  AM43_RESPONSE_ACK: 0x5a,
+  AM43_RESPONSE_NACK: 0xa5,
+
+  AM43_NOTIFY_POSITION: 0xa1,
+
+  AM43_MAXIMUM_PASSWORD: 9999, // The password set in the Blinds Engine app is a PIN of up to 4 digits
+
+  MESSAGE_TYPE_POSITION: "position",
+  MESSAGE_TYPE_POSITION_NOTIFICATION: "positionNotification",
+  MESSAGE_TYPE_BATTERY: "battery",
+  MESSAGE_TYPE_LIGHT_LEVEL: "lightLevel",
+  MESSAGE_TYPE_TIMERS: "timers",
+  MESSAGE_TYPE_COMMAND_RESULT: "commandResult",
+  MESSAGE_TYPE_UNKNOWN: "unknown",
+
+  FRAME_OVERHEAD_LENGTH: 4, // The header, command ID, data length and checksum bytes of a frame
+  MAXIMUM_BUFFERED_BYTES: 256, // The amount of unparsed notification data that is kept before it is discarded
+}
+
+class AM43ProtocolError extends Error {
+  constructor(message, frame) {
+    super(message)
+    this.name = "AM43ProtocolError"
+    this.frame = frame
+  }
+}
+
+// The responses the motor sends and how their payload is decoded. The minimum length is the payload length the decoder needs.
+const responseDecoders = {
+  [StaticVariables.AM43_COMMAND_ID_GET_POSITION]: {
+    minimumLength: 3,
+    decode: (payload) => {
+      const message = {
+        type: StaticVariables.MESSAGE_TYPE_POSITION,
+        position: payload[2],
+      }
+      if (payload.length >= StaticVariables.AM43_SETTINGS_LENGTH) {
+        message.settings = decodeSettings(payload)
+      }
+      return message
+    },
+  },
+  [StaticVariables.AM43_NOTIFY_POSITION]: {
+    minimumLength: 2,
+    decode: (payload) => ({
+      type: StaticVariables.MESSAGE_TYPE_POSITION_NOTIFICATION,
+      position: payload[1],
+    }),
+  },
+  [StaticVariables.AM43_COMMAND_ID_GET_BATTERYSTATUS]: {
+    minimumLength: 5,
+    decode: (payload) => ({
+      type: StaticVariables.MESSAGE_TYPE_BATTERY,
+      batteryPercentage: payload[4],
+    }),
+  },
+  [StaticVariables.AM43_COMMAND_ID_GET_LIGHTSENSOR]: {
+    minimumLength: 2,
+    decode: (payload) => ({
+      type: StaticVariables.MESSAGE_TYPE_LIGHT_LEVEL,
+      lightLevel: payload[1],
+    }),
+  },
+  // The number of timers, followed by the timers themselves.
+  [StaticVariables.AM43_COMMAND_ID_GET_TIMERS]: {
+    minimumLength: 1,
+    decode: (payload) => ({
+      type: StaticVariables.MESSAGE_TYPE_TIMERS,
+      timers: decodeTimers(payload),
+    }),
+  },
+  [StaticVariables.AM43_COMMAND_ID_SET_MOVE]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+  [StaticVariables.AM43_COMMAND_ID_SET_POSITION]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+  [StaticVariables.AM43_COMMAND_ID_VERIFY_PASSWORD]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+  [StaticVariables.AM43_COMMAND_ID_SET_SETTINGS]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+  [StaticVariables.AM43_COMMAND_ID_SET_LIMITS]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+  [StaticVariables.AM43_COMMAND_ID_SET_NAME]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+  [StaticVariables.AM43_COMMAND_ID_SYNC_CLOCK]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+  [StaticVariables.AM43_COMMAND_ID_SET_TIMER]: {
+    minimumLength: 1,
+    decode: decodeCommandResult,
+  },
+}
+
+// The motor reports its settings with the position, they are written back in the same layout with the position left out.
+function decodeSettings(payload) {
+  const flags = payload[0]
+  return {
+    reversed: (flags & StaticVariables.AM43_SETTINGS_FLAG_REVERSED) != 0,
+    operationMode:
+      (flags & StaticVariables.AM43_SETTINGS_FLAG_OPERATION_MODE) != 0,
+    upperLimitSet:
+      (flags & StaticVariables.AM43_SETTINGS_FLAG_UPPER_LIMIT_SET) != 0,
+    lowerLimitSet:
+      (flags & StaticVariables.AM43_SETTINGS_FLAG_LOWER_LIMIT_SET) != 0,
+    speed: payload[1],
+    length: (payload[3] << 8) | payload[4],
+    diameter: payload[5],
+    deviceType: payload[6],
+  }
+}
+
+function encodeSettings(settings, position) {
+  let flags = 0
+  if (settings.reversed) flags |= StaticVariables.AM43_SETTINGS_FLAG_REVERSED
+  if (settings.operationMode)
+    flags |= StaticVariables.AM43_SETTINGS_FLAG_OPERATION_MODE
+  if (settings.upperLimitSet)
+    flags |= StaticVariables.AM43_SETTINGS_FLAG_UPPER_LIMIT_SET
+  if (settings.lowerLimitSet)
+    flags |= StaticVariables.AM43_SETTINGS_FLAG_LOWER_LIMIT_SET
+  return [
+    flags,
+    settings.speed,
+    position || 0,
+    (settings.length >> 8) & 0xff,
+    settings.length & 0xff,
+    settings.diameter,
+    settings.deviceType,
+  ]
+}
+
+// The days a timer repeats on are stored as bits, bit 0 is Sunday and bit 6 is Saturday.
+function encodeDays(days) {
+  return days.reduce((bits, day) => bits | (1 << day), 0)
+}
+
+function decodeDays(bits) {
+  const days = []
+  for (let day = 0; day < 7; day++) {
+    if ((bits & (1 << day)) != 0) {
+      days.push(day)
+    }
+  }
+  return days
+}
+
+// A timer moves the motor to a position, in AM43 percentages where 100 is closed, at a time of day on the given days of the week.
+function encodeTimer(timer) {
+  return [
+    timer.index,
+    timer.enabled ? 1 : 0,
+    timer.position,
+    encodeDays(timer.days),
+    timer.hour,
+    timer.minute,
+  ]
+}
+
+function decodeTimers(payload) {
+  const timers = []
+  const count = Math.min(
+    payload[0],
+    Math.floor((payload.length - 1) / StaticVariables.AM43_TIMER_LENGTH)
+  )
+  for (let index = 0; index < count; index++) {
+    const offset = 1 + index * StaticVariables.AM43_TIMER_LENGTH
+    timers.push({
+      index: payload[offset],
+      enabled: payload[offset + 1] != 0,
+      position: payload[offset + 2],
+      days: decodeDays(payload[offset + 3]),
+      hour: payload[offset + 4],
+      minute: payload[offset + 5],
+    })
+  }
+  return timers
+}
+
+function encodeTimers(timers) {
+  return [timers.length].concat(...timers.map((timer) => encodeTimer(timer)))
+}
+
+function validateTimer(timer) {
+  if (timer == null || typeof timer !== "object") {
+    throw new RangeError("Invalid timer, it should be an object")
+  }
+  validateInteger(
+    "timer index",
+    timer.index,
+    0,
+    StaticVariables.AM43_MAXIMUM_TIMERS - 1
+  )
+  validateInteger("timer position", timer.position, 0, 100)
+  validateInteger("timer hour", timer.hour, 0, 23)
+  validateInteger("timer minute", timer.minute, 0, 59)
+  if (
+    !Array.isArray(timer.days) ||
+    timer.days.length == 0 ||
+    !timer.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    throw new RangeError(
+      "Invalid timer days, they should be a list of weekdays from 0 (Sunday) to 6 (Saturday)"
+    )
+  }
+}
+
+function validateInteger(name, value, minimum, maximum) {
+  if (!Number.isInteger(value) || value < minimum || value > maximum) {
+    throw new RangeError(
+      `Invalid ${name} ${value}, it should be between ${minimum} and ${maximum}`
+    )
+  }
+}
+
+function decodeCommandResult(payload) {
+  if (
+    payload[0] != StaticVariables.AM43_RESPONSE_ACK &&
+    payload[0] != StaticVariables.AM43_RESPONSE_NACK
+  ) {
+    throw new AM43ProtocolError(
+      `Unknown command result 0x${payload[0].toString(16)}`
+    )
+  }
+  return {
+    type: StaticVariables.MESSAGE_TYPE_COMMAND_RESULT,
+    acknowledged: payload[0] == StaticVariables.AM43_RESPONSE_ACK,
+  }
+}
+
+function calculateChecksum(bytes) {
+  let checksum = 0
+  for (let i = 0; i < bytes.length; i++) {
+    checksum = checksum ^ bytes[i]
+  }
+  return checksum
+}
+
+// Builds a frame without the command prefix: header, command ID, data length, data and checksum.
+function encodeFrame(commandID, data) {
+  const frame = [
+    StaticVariables.AM43_FRAME_HEADER,
+    commandID,
+    data.length,
+    ...data,
+  ]
+  frame.push(calculateChecksum(frame))
+  return Buffer.from(frame)
+}
+
+// Validates a frame without the command prefix and returns its command ID and data.
+function decodeFrame(buffer) {
+  const frame = Uint8Array.from(buffer)
+  if (frame.length < StaticVariables.FRAME_OVERHEAD_LENGTH) {
+    throw new AM43ProtocolError(
+      `Frame is too short (${frame.length} bytes)`,
+      buffer
+    )
+  }
+  if (frame[0] != StaticVariables.AM43_FRAME_HEADER) {
+    throw new AM43ProtocolError(
+      `Invalid frame header 0x${frame[0].toString(16)}`,
+      buffer
+    )
+  }
+  const dataLength = frame[2]
+  if (frame.length != dataLength + StaticVariables.FRAME_OVERHEAD_LENGTH) {
+    throw new AM43ProtocolError(
+      `Frame length ${frame.length} doesn't match data length ${dataLength}`,
+      buffer
+    )
+  }
+  const checksum = calculateChecksum(frame.slice(0, -1))
+  if (frame[frame.length - 1] != checksum) {
+    throw new AM43ProtocolError(
+      `Invalid checksum 0x${frame[frame.length - 1].toString(
+        16
+      )}, expected 0x${checksum.toString(16)}`,
+      buffer
+    )
+  }
+  return {
+    commandID: frame[1],
+    data: Array.from(frame.slice(3, 3 + dataLength)),
+  }
+}
+
+function encodeCommand(commandID, data) {
+  return Buffer.concat([
+    Buffer.from(StaticVariables.AM43_COMMAND_PREFIX),
+    encodeFrame(commandID, Uint8Array.from(data)),
+  ])
+}
+
+function decodeCommand(buffer) {
+  const prefix = StaticVariables.AM43_COMMAND_PREFIX
+  if (
+    buffer.length < prefix.length ||
+    !prefix.every((byte, index) => buffer[index] == byte)
+  ) {
+    throw new AM43ProtocolError("Missing command prefix", buffer)
+  }
+  return decodeFrame(buffer.slice(prefix.length))
+}
+
+function encodeResponse(commandID, payload) {
+  return encodeFrame(commandID, payload)
+}
+
+function decodeResponse(buffer) {
+  const { commandID, data } = decodeFrame(buffer)
+  const decoder = responseDecoders[commandID]
+  if (!decoder) {
+    return {
+      type: StaticVariables.MESSAGE_TYPE_UNKNOWN,
+      commandID: commandID,
+      payload: data,
+    }
+  }
+  if (data.length < decoder.minimumLength) {
+    throw new AM43ProtocolError(
+      `Response 0x${commandID.toString(16)} is too short (${
+        data.length
+      } bytes)`,
+      buffer
+    )
+  }
+  return Object.assign({ commandID: commandID }, decoder.decode(data))
+}
+
+const commands = {
+  open: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_MOVE, [
+      StaticVariables.AM43_MOVE_OPEN,
+    ]),
+  close: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_MOVE, [
+      StaticVariables.AM43_MOVE_CLOSE,
+    ]),
+  stop: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_MOVE, [
+      StaticVariables.AM43_MOVE_STOP,
+    ]),
+  setPosition: (position) => {
+    if (!Number.isInteger(position) || position < 0 || position > 100) {
+      throw new RangeError(`Invalid position ${position}`)
+    }
+    return encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_POSITION, [
+      position,
+    ])
+  },
+  // The PIN is sent as a big-endian 16 bit number.
+  verifyPassword: (password) => {
+    if (
+      !Number.isInteger(password) ||
+      password < 0 ||
+      password > StaticVariables.AM43_MAXIMUM_PASSWORD
+    ) {
+      throw new RangeError("Invalid password, it should be a PIN of 4 digits")
+    }
+    return encodeCommand(StaticVariables.AM43_COMMAND_ID_VERIFY_PASSWORD, [
+      (password >> 8) & 0xff,
+      password & 0xff,
+    ])
+  },
+  // The motor only accepts the settings as a whole, read them with getPosition first and change the values that should change.
+  setSettings: (settings) => {
+    validateInteger("speed", settings.speed, 1, 0xff)
+    validateInteger("length", settings.length, 0, 0xffff)
+    validateInteger("diameter", settings.diameter, 0, 0xff)
+    validateInteger("device type", settings.deviceType, 0, 0xff)
+    // The limit flags are only reported by the motor, limits are changed with the limit commands.
+    return encodeCommand(
+      StaticVariables.AM43_COMMAND_ID_SET_SETTINGS,
+      encodeSettings(
+        Object.assign({}, settings, {
+          upperLimitSet: false,
+          lowerLimitSet: false,
+        }),
+        0
+      )
+    )
+  },
+  setUpperLimit: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_LIMITS, [
+      StaticVariables.AM43_LIMIT_SET_UPPER,
+    ]),
+  setLowerLimit: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_LIMITS, [
+      StaticVariables.AM43_LIMIT_SET_LOWER,
+    ]),
+  resetLimits: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_LIMITS, [
+      StaticVariables.AM43_LIMIT_RESET,
+    ]),
+  setName: (name) => {
+    if (
+      typeof name !== "string" ||
+      name.length == 0 ||
+      name.length > StaticVariables.AM43_MAXIMUM_NAME_LENGTH ||
+      !/^[\x20-\x7e]+$/.test(name)
+    ) {
+      throw new RangeError(
+        `Invalid name '${name}', it should be 1 to ${StaticVariables.AM43_MAXIMUM_NAME_LENGTH} ASCII characters`
+      )
+    }
+    return encodeCommand(
+      StaticVariables.AM43_COMMAND_ID_SET_NAME,
+      Buffer.from(name, "ascii")
+    )
+  },
+  // Sets the clock the motor runs its timers on to the local time of date.
+  syncClock: (date) =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_SYNC_CLOCK, [
+      date.getDay(),
+      date.getHours(),
+      date.getMinutes(),
+      date.getSeconds(),
+    ]),
+  addTimer: (timer) => {
+    validateTimer(timer)
+    return encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_TIMER, [
+      StaticVariables.AM43_TIMER_ACTION_ADD,
+      ...encodeTimer(timer),
+    ])
+  },
+  updateTimer: (timer) => {
+    validateTimer(timer)
+    return encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_TIMER, [
+      StaticVariables.AM43_TIMER_ACTION_UPDATE,
+      ...encodeTimer(timer),
+    ])
+  },
+  deleteTimer: (index) => {
+    validateInteger(
+      "timer index",
+      index,
+      0,
+      StaticVariables.AM43_MAXIMUM_TIMERS - 1
+    )
+    return encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_TIMER, [
+      StaticVariables.AM43_TIMER_ACTION_DELETE,
+      index,
+    ])
+  },
+  getTimers: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_GET_TIMERS, [0x1]),
+  getPosition: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_GET_POSITION, [0x1]),
+  getBatteryStatus: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_GET_BATTERYSTATUS, [0x1]),
+  getLightSensor: () =>
+    encodeCommand(StaticVariables.AM43_COMMAND_ID_GET_LIGHTSENSOR, [0x1]),
+}
+
+// Reassembles response frames from notifications, a frame can be split over several notifications or several frames can arrive in one.
+class AM43ResponseParser extends EventEmitter {
+  constructor() {
+    super()
+    this.buffer = Buffer.alloc(0)
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0)
+  }
+
+  push(data) {
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(data)])
+    const messages = []
+    for (;;) {
+      const headerIndex = this.buffer.indexOf(StaticVariables.AM43_FRAME_HEADER)
+      if (headerIndex == -1) {
+        this.discard(this.buffer.length, "No frame header found")
+        break
+      }
+      if (headerIndex > 0) {
+        this.discard(headerIndex, "Unexpected data before frame header")
+      }
+      if (this.buffer.length < 3) {
+        break
+      }
+      const frameLength = this.buffer[2] + StaticVariables.FRAME_OVERHEAD_LENGTH
+      if (this.buffer.length < frameLength) {
+        if (this.buffer.length > StaticVariables.MAXIMUM_BUFFERED_BYTES) {
+          this.discard(1, "Incomplete frame exceeds the buffer size")
+          continue
+        }
+        break
+      }
+      const frame = this.buffer.slice(0, frameLength)
+      try {
+        const message = decodeResponse(frame)
+        this.buffer = this.buffer.slice(frameLength)
+        messages.push(message)
+        this.emit("message", message)
+      } catch (error) {
+        // The header byte might have been part of the data of a corrupted frame, look for the next header.
+        this.discard(1, error.message)
+      }
+    }
+    return messages
+  }
+
+  discard(length, reason) {
+    if (length == 0) {
+      return
+    }
+    const discarded = this.buffer.slice(0, length)
+    this.buffer = this.buffer.slice(length)
+    this.emit("invalidData", discarded, reason)
+  }
+}
+
+module.exports = {
+  AM43ProtocolError: AM43ProtocolError,
+  AM43ResponseParser: AM43ResponseParser,
+  calculateChecksum: calculateChecksum,
+  commands: commands,
+  decodeCommand: decodeCommand,
+  decodeResponse: decodeResponse,
+  decodeSettings: decodeSettings,
+  decodeTimers: decodeTimers,
+  encodeCommand: encodeCommand,
+  encodeResponse: encodeResponse,
+  encodeSettings: encodeSettings,
+  encodeTimer: encodeTimer,
+  encodeTimers: encodeTimers,
+  StaticVariables: StaticVariables,
+}
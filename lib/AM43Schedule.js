@@ -0,0 +1,344 @@
+const AM43ConfigVariables = require("./AM43Config").StaticVariables
+const parseTimeOfDay = require("./AM43Config").parseTimeOfDay
+const { sunEventTime, StaticVariables: SunVariables } = require("./AM43Sun")
+
+const StaticVariables = {
+  MAXIMUM_SEARCH_DAYS: 366, // A schedule that doesn't run within this many days never runs.
+  MINUTE: 60 * 1000,
+}
+
+const cronFields = [
+  { name: "minute", minimum: 0, maximum: 59 },
+  { name: "hour", minimum: 0, maximum: 23 },
+  { name: "day of month", minimum: 1, maximum: 31 },
+  { name: "month", minimum: 1, maximum: 12 },
+  { name: "day of week", minimum: 0, maximum: 7 },
+]
+
+// Parses one field of a cron expression: *, a number, a range like 1-5 and steps like */15 or 8-18/2, separated by commas.
+function parseCronField(text, field) {
+  const values = new Set()
+  text.split(",").forEach((part) => {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part)
+    if (!match) {
+      throw new Error(`Invalid ${field.name} '${part}'`)
+    }
+    let start = field.minimum
+    let end = field.maximum
+    if (match[1] != undefined) {
+      start = Number(match[1])
+      if (match[2] != undefined) {
+        end = Number(match[2])
+      } else if (match[3] == undefined) {
+        end = start
+      }
+    }
+    const step = match[3] != undefined ? Number(match[3]) : 1
+    if (
+      start < field.minimum ||
+      end > field.maximum ||
+      start > end ||
+      step < 1
+    ) {
+      throw new Error(`Invalid ${field.name} '${part}'`)
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  })
+  return values
+}
+
+// Parses a cron expression with the 5 standard fields: minute, hour, day of month, month and day of week (0 or 7 is Sunday).
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/)
+  if (parts.length != cronFields.length) {
+    throw new Error(
+      `'${expression}' should have 5 fields: minute, hour, day of month, month and day of week`
+    )
+  }
+  const fields = parts.map((part, index) =>
+    parseCronField(part, cronFields[index])
+  )
+  const sorted = (values) => Array.from(values).sort((a, b) => a - b)
+  const daysOfWeek = fields[4]
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0)
+  }
+  return {
+    minutes: sorted(fields[0]),
+    hours: sorted(fields[1]),
+    daysOfMonth: fields[2],
+    months: fields[3],
+    daysOfWeek: daysOfWeek,
+    // Like cron, a day matches either field when both the day of month and the day of week are restricted.
+    isDayOfMonthRestricted: parts[2] != "*",
+    isDayOfWeekRestricted: parts[4] != "*",
+  }
+}
+
+function cronMatchesDay(cron, day) {
+  if (!cron.months.has(day.getMonth() + 1)) {
+    return false
+  }
+  const dayOfMonthMatches = cron.daysOfMonth.has(day.getDate())
+  const dayOfWeekMatches = cron.daysOfWeek.has(day.getDay())
+  if (cron.isDayOfMonthRestricted && cron.isDayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches
+  }
+  return dayOfMonthMatches && dayOfWeekMatches
+}
+
+function isValidLocation(locationConfig) {
+  if (locationConfig == null) {
+    return false
+  }
+  const latitude =
+    locationConfig[AM43ConfigVariables.LOCATION_CONFIG_KEY_LATITUDE]
+  const longitude =
+    locationConfig[AM43ConfigVariables.LOCATION_CONFIG_KEY_LONGITUDE]
+  return (
+    typeof latitude === "number" &&
+    latitude >= -90 &&
+    latitude <= 90 &&
+    typeof longitude === "number" &&
+    longitude >= -180 &&
+    longitude <= 180
+  )
+}
+
+// A time at which blinds are moved to a position, either from a cron expression or relative to sunrise or sunset.
+// Times are in the local time zone of the host, sunrise and sunset are calculated for the configured location.
+class AM43Schedule {
+  constructor(scheduleConfig, locationConfig) {
+    this.name = scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_NAME]
+    const cron = scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_CRON]
+    this.cron = cron != undefined ? parseCron(cron) : null
+    this.sunEvent =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_SUN] || null
+    this.offset =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_OFFSET] || 0 // In minutes, negative is before the sun event.
+    this.notBefore = parseTimeOfDay(
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_NOT_BEFORE]
+    )
+    this.notAfter = parseTimeOfDay(
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_NOT_AFTER]
+    )
+    this.days =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_DAYS] || null // The days of the week the schedule runs, 0 is Sunday.
+    this.targets =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_TARGETS] || []
+    this.position =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_POSITION]
+    this.runOnHolidays =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_RUN_ON_HOLIDAYS] ==
+      true
+    this.latitude = isValidLocation(locationConfig)
+      ? locationConfig[AM43ConfigVariables.LOCATION_CONFIG_KEY_LATITUDE]
+      : null
+    this.longitude = isValidLocation(locationConfig)
+      ? locationConfig[AM43ConfigVariables.LOCATION_CONFIG_KEY_LONGITUDE]
+      : null
+  }
+
+  // The first time after the given time the schedule runs, or null when it doesn't run in the next year.
+  nextRun(after) {
+    for (
+      let dayOffset = 0;
+      dayOffset <= StaticVariables.MAXIMUM_SEARCH_DAYS;
+      dayOffset++
+    ) {
+      const day = new Date(
+        after.getFullYear(),
+        after.getMonth(),
+        after.getDate() + dayOffset
+      )
+      if (this.days != null && !this.days.includes(day.getDay())) {
+        continue
+      }
+      const times = this.cron ? this.cronTimes(day) : this.sunTimes(day)
+      const run = times
+        .map((time) => this.limitTime(time, day))
+        .find((time) => time > after)
+      if (run) {
+        return run
+      }
+    }
+    return null
+  }
+
+  cronTimes(day) {
+    if (!cronMatchesDay(this.cron, day)) {
+      return []
+    }
+    const times = []
+    this.cron.hours.forEach((hour) => {
+      this.cron.minutes.forEach((minute) => {
+        times.push(
+          new Date(
+            day.getFullYear(),
+            day.getMonth(),
+            day.getDate(),
+            hour,
+            minute
+          )
+        )
+      })
+    })
+    return times
+  }
+
+  sunTimes(day) {
+    if (this.latitude == null) {
+      return []
+    }
+    const eventTime = sunEventTime(
+      this.sunEvent,
+      day,
+      this.latitude,
+      this.longitude
+    )
+    if (eventTime == null) {
+      return []
+    }
+    const time =
+      Math.round(eventTime.getTime() / StaticVariables.MINUTE) *
+        StaticVariables.MINUTE +
+      this.offset * StaticVariables.MINUTE
+    return [new Date(time)]
+  }
+
+  // Moves a time that is earlier than not_before or later than not_after on its day to that limit.
+  limitTime(time, day) {
+    const minutes = time.getHours() * 60 + time.getMinutes()
+    const atMinutes = (minutes) =>
+      new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes)
+    if (this.notBefore != null && minutes < this.notBefore) {
+      return atMinutes(this.notBefore)
+    }
+    if (this.notAfter != null && minutes > this.notAfter) {
+      return atMinutes(this.notAfter)
+    }
+    return time
+  }
+}
+
+// Returns the problems with the schedules list, an empty list means it is valid.
+function validateSchedulesConfig(schedulesConfig, locationConfig) {
+  if (schedulesConfig == undefined) {
+    return []
+  }
+  if (!Array.isArray(schedulesConfig)) {
+    return [
+      `'${AM43ConfigVariables.CONFIG_KEY_SCHEDULES}' should be an array of schedule objects`,
+    ]
+  }
+  const problems = []
+  const seenNames = []
+  schedulesConfig.forEach((scheduleConfig, index) => {
+    const name =
+      scheduleConfig != null
+        ? scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_NAME]
+        : null
+    if (typeof name !== "string" || name.length == 0) {
+      problems.push(
+        `Schedule ${index + 1} in '${
+          AM43ConfigVariables.CONFIG_KEY_SCHEDULES
+        }' has no '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_NAME}'`
+      )
+      return
+    }
+    if (seenNames.includes(name)) {
+      problems.push(
+        `Schedule '${name}' is listed more than once in '${AM43ConfigVariables.CONFIG_KEY_SCHEDULES}'`
+      )
+    }
+    seenNames.push(name)
+
+    const cron = scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_CRON]
+    const sun = scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_SUN]
+    if ((cron == undefined) == (sun == undefined)) {
+      problems.push(
+        `Schedule '${name}' should have either a '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_CRON}' or a '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_SUN}'`
+      )
+    }
+    if (cron != undefined) {
+      try {
+        parseCron(cron)
+      } catch (error) {
+        problems.push(
+          `The cron of schedule '${name}' is invalid: ${error.message}`
+        )
+      }
+    }
+    if (sun != undefined) {
+      if (sun != SunVariables.SUNRISE && sun != SunVariables.SUNSET) {
+        problems.push(
+          `The '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_SUN}' of schedule '${name}' should be '${SunVariables.SUNRISE}' or '${SunVariables.SUNSET}'`
+        )
+      }
+      if (!isValidLocation(locationConfig)) {
+        problems.push(
+          `Schedule '${name}' depends on the sun, which requires a '${AM43ConfigVariables.CONFIG_KEY_LOCATION}' with a '${AM43ConfigVariables.LOCATION_CONFIG_KEY_LATITUDE}' and '${AM43ConfigVariables.LOCATION_CONFIG_KEY_LONGITUDE}'`
+        )
+      }
+    }
+    const offset =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_OFFSET]
+    if (offset != undefined && !Number.isInteger(offset)) {
+      problems.push(
+        `The '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_OFFSET}' of schedule '${name}' should be a number of minutes`
+      )
+    }
+    ;[
+      AM43ConfigVariables.SCHEDULE_CONFIG_KEY_NOT_BEFORE,
+      AM43ConfigVariables.SCHEDULE_CONFIG_KEY_NOT_AFTER,
+    ].forEach((key) => {
+      if (
+        scheduleConfig[key] != undefined &&
+        parseTimeOfDay(scheduleConfig[key]) == null
+      ) {
+        problems.push(
+          `The '${key}' of schedule '${name}' should be a time like "19:00"`
+        )
+      }
+    })
+    const days = scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_DAYS]
+    if (
+      days != undefined &&
+      (!Array.isArray(days) ||
+        !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))
+    ) {
+      problems.push(
+        `The '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_DAYS}' of schedule '${name}' should be a list of weekdays from 0 (Sunday) to 6 (Saturday)`
+      )
+    }
+    const targets =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_TARGETS]
+    if (
+      !Array.isArray(targets) ||
+      targets.length == 0 ||
+      !targets.every((target) => typeof target === "string")
+    ) {
+      problems.push(
+        `Schedule '${name}' should have a list of '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_TARGETS}' with the identifiers of motors or the names of groups`
+      )
+    }
+    const position =
+      scheduleConfig[AM43ConfigVariables.SCHEDULE_CONFIG_KEY_POSITION]
+    if (!Number.isInteger(position) || position < 0 || position > 100) {
+      problems.push(
+        `Schedule '${name}' should have a '${AM43ConfigVariables.SCHEDULE_CONFIG_KEY_POSITION}' from 0 (closed) to 100 (open)`
+      )
+    }
+  })
+  return problems
+}
+
+module.exports = {
+  AM43Schedule: AM43Schedule,
+  parseCron: parseCron,
+  parseTimeOfDay: parseTimeOfDay,
+  validateSchedulesConfig: validateSchedulesConfig,
+  StaticVariables: StaticVariables,
+}
@@ -0,0 +1,229 @@
+const AM43ConfigVariables = require("./AM43Config").StaticVariables
+const AM43Schedule = require("./AM43Schedule").AM43Schedule
+
+const StaticVariables = {
+  MAXIMUM_TIMER_DELAY: 60 * 60 * 1000, // The next runs are recalculated at least this often, so changes of the clock or time zone are picked up. In milliseconds
+  SUBTYPE_HOLIDAY: "holiday",
+  SUBTYPE_SCHEDULE_PREFIX: "schedule-",
+}
+
+// Runs the schedules in config.json inside the plugin, so blinds move on time without a home hub.
+// The schedules accessory has a Holiday switch that skips the schedules while it is on, and a switch per schedule that turns it on or off.
+class AM43Scheduler {
+  constructor(platform, accessory, schedulesConfig, locationConfig) {
+    this.platform = platform
+    this.log = platform.log
+    this.accessory = accessory
+    this.Service = platform.Service
+    this.Characteristic = platform.Characteristic
+
+    this.schedules = schedulesConfig.map(
+      (scheduleConfig) => new AM43Schedule(scheduleConfig, locationConfig)
+    )
+    this.nextRuns = new Map() // The next time of every schedule, by schedule name.
+    this.timer = null
+
+    // The switch states are kept with the accessory, so they survive a restart.
+    accessory.context.am43Schedules = Object.assign(
+      { isHoliday: false, disabledSchedules: [] },
+      accessory.context.am43Schedules
+    )
+    accessory.am43scheduler = this
+    this.configureInformationService()
+    this.configureSwitchServices()
+  }
+
+  get state() {
+    return this.accessory.context.am43Schedules
+  }
+
+  isEnabled(schedule) {
+    return !this.state.disabledSchedules.includes(schedule.name)
+  }
+
+  setEnabled(schedule, isEnabled) {
+    this.state.disabledSchedules = this.state.disabledSchedules.filter(
+      (name) => name != schedule.name
+    )
+    if (!isEnabled) {
+      this.state.disabledSchedules.push(schedule.name)
+    }
+    this.platform.api.updatePlatformAccessories([this.accessory])
+  }
+
+  setHoliday(isHoliday) {
+    this.state.isHoliday = isHoliday
+    this.platform.api.updatePlatformAccessories([this.accessory])
+  }
+
+  start() {
+    this.updateNextRuns(new Date())
+    this.scheduleTimer()
+  }
+
+  stop() {
+    if (this.timer != null) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+
+  updateNextRuns(now) {
+    this.schedules.forEach((schedule) => {
+      const nextRun = schedule.nextRun(now)
+      this.nextRuns.set(schedule.name, nextRun)
+      this.log.debug(
+        `Schedule ${schedule.name}: next run ${
+          nextRun ? nextRun.toString() : "never"
+        }`
+      )
+    })
+  }
+
+  scheduleTimer() {
+    this.stop()
+    const now = Date.now()
+    const nextRuns = Array.from(this.nextRuns.values())
+      .filter((nextRun) => nextRun != null)
+      .map((nextRun) => nextRun.getTime())
+    if (nextRuns.length == 0) {
+      return
+    }
+    const delay = Math.min(
+      Math.max(Math.min(...nextRuns) - now, 0),
+      StaticVariables.MAXIMUM_TIMER_DELAY
+    )
+    this.timer = setTimeout(() => this.handleTimer(), delay)
+  }
+
+  handleTimer() {
+    this.timer = null
+    const now = new Date()
+    this.schedules
+      .filter((schedule) => {
+        const nextRun = this.nextRuns.get(schedule.name)
+        return nextRun != null && nextRun <= now
+      })
+      .forEach((schedule) => this.runSchedule(schedule))
+    this.updateNextRuns(now)
+    this.scheduleTimer()
+  }
+
+  // Moves the targets of a schedule, unless it is turned off or it is a holiday. Resolves once every target has been handled.
+  async runSchedule(schedule) {
+    if (!this.isEnabled(schedule)) {
+      this.log.info(`Schedule ${schedule.name} is turned off, skipping it`)
+      return
+    }
+    if (this.state.isHoliday && !schedule.runOnHolidays) {
+      this.log.info(`Skipping schedule ${schedule.name} on a holiday`)
+      return
+    }
+    this.log.info(
+      `Running schedule ${schedule.name}: moving ${schedule.targets.join(
+        ", "
+      )} to ${schedule.position}%`
+    )
+    await Promise.all(
+      schedule.targets.map(async (target) => {
+        const setTargetPositionAsync = this.targetMover(target, schedule)
+        if (setTargetPositionAsync == null) {
+          this.log.warn(
+            `Schedule ${schedule.name}: '${target}' is not a known motor or group`
+          )
+          return
+        }
+        try {
+          await setTargetPositionAsync(schedule.position)
+        } catch (error) {
+          this.log.error(
+            `Schedule ${schedule.name}: failed to move '${target}': ${error}`
+          )
+        }
+      })
+    )
+  }
+
+  // A target is the name of a group or the identifier of a motor. Blinds that were just moved by hand are skipped.
+  targetMover(target, schedule) {
+    const reason = `schedule ${schedule.name}`
+    const group = this.platform.groups.find((group) => group.name == target)
+    if (group) {
+      return (position) => group.moveAutomaticallyAsync(position, reason)
+    }
+    const accessory = this.platform.findAccessory(target)
+    if (accessory) {
+      return (position) => accessory.moveAutomaticallyAsync(position, reason)
+    }
+    return null
+  }
+
+  configureInformationService() {
+    const service =
+      this.accessory.getService(this.Service.AccessoryInformation) ||
+      this.accessory.addService(this.Service.AccessoryInformation)
+    service
+      .getCharacteristic(this.Characteristic.Manufacturer)
+      .updateValue("renssies")
+    service
+      .getCharacteristic(this.Characteristic.Model)
+      .updateValue("AM43 Schedules")
+    service
+      .getCharacteristic(this.Characteristic.FirmwareRevision)
+      .updateValue(this.platform.packageJSON.version)
+  }
+
+  configureSwitchServices() {
+    const subtypes = [StaticVariables.SUBTYPE_HOLIDAY].concat(
+      this.schedules.map(
+        (schedule) => StaticVariables.SUBTYPE_SCHEDULE_PREFIX + schedule.name
+      )
+    )
+    this.accessory.services
+      .filter(
+        (service) =>
+          service.UUID == this.Service.Switch.UUID &&
+          !subtypes.includes(service.subtype)
+      )
+      .forEach((service) => this.accessory.removeService(service))
+
+    this.holidayService = this.configureSwitchService(
+      StaticVariables.SUBTYPE_HOLIDAY,
+      "Holiday",
+      () => this.state.isHoliday,
+      (value) => this.setHoliday(value)
+    )
+    this.scheduleServices = new Map()
+    this.schedules.forEach((schedule) => {
+      this.scheduleServices.set(
+        schedule.name,
+        this.configureSwitchService(
+          StaticVariables.SUBTYPE_SCHEDULE_PREFIX + schedule.name,
+          `Schedule ${schedule.name}`,
+          () => this.isEnabled(schedule),
+          (value) => this.setEnabled(schedule, value)
+        )
+      )
+    })
+  }
+
+  configureSwitchService(subtype, name, getValue, setValue) {
+    const service =
+      this.accessory.getServiceById(this.Service.Switch, subtype) ||
+      this.accessory.addService(this.Service.Switch, name, subtype)
+    service
+      .getCharacteristic(this.Characteristic.On)
+      .on("get", (callback) => callback(null, getValue()))
+      .on("set", (value, callback) => {
+        setValue(value == true)
+        callback(null)
+      })
+    service.getCharacteristic(this.Characteristic.On).updateValue(getValue())
+    return service
+  }
+}
+
+module.exports = {
+  AM43Scheduler: AM43Scheduler,
+  StaticVariables: StaticVariables,
+}
@@ -0,0 +1,533 @@
+const EventEmitter = require("events").EventEmitter
+const AM43Protocol = require("./AM43Protocol")
+const AM43Config = require("./AM43Config")
+const ProtocolVariables = AM43Protocol.StaticVariables
+
+const StaticVariables = {
+  DEFAULT_TRAVEL_TIME: 30, // The time a simulated motor takes to move from fully open to fully closed. In seconds
+  DEFAULT_CONNECT_DELAY: 200, // The time it takes to connect to a simulated motor. In milliseconds
+  DEFAULT_RESPONSE_DELAY: 50, // The time it takes a simulated motor to answer a command. In milliseconds
+  DEFAULT_SPEED: 100,
+}
+
+// An in-process AM43 motor that answers the fe50/fe51 protocol like the real hardware does.
+class AM43SimulatedMotor extends EventEmitter {
+  constructor(options) {
+    super()
+
+    options = options || {}
+    this.id = options.id
+    this.address = options.address != undefined ? options.address : this.id
+    this.name = options.name != undefined ? options.name : null
+    this.rssi = options.rssi != undefined ? options.rssi : -60
+    this.adapterRSSI =
+      options.adapterRSSI != undefined ? options.adapterRSSI : null // The RSSI received by each simulated adapter, by adapter ID. Adapters that aren't listed can't see the motor.
+    this.position = options.position != undefined ? options.position : 0
+    this.batteryPercentage =
+      options.batteryPercentage != undefined ? options.batteryPercentage : 100
+    this.lightLevel = options.lightLevel != undefined ? options.lightLevel : 0
+    this.travelTime =
+      options.travelTime != undefined
+        ? options.travelTime
+        : StaticVariables.DEFAULT_TRAVEL_TIME * 1000
+    this.connectDelay =
+      options.connectDelay != undefined
+        ? options.connectDelay
+        : StaticVariables.DEFAULT_CONNECT_DELAY
+    this.responseDelay =
+      options.responseDelay != undefined
+        ? options.responseDelay
+        : StaticVariables.DEFAULT_RESPONSE_DELAY
+    this.obstructionPosition =
+      options.obstructionPosition != undefined
+        ? options.obstructionPosition
+        : null // When set, moves across this position stop at it as if the blind got stuck.
+    this.password = options.password != undefined ? options.password : null // When set, commands are refused until the password is verified.
+    this.settings = Object.assign(
+      {
+        reversed: false,
+        operationMode: true,
+        upperLimitSet: true,
+        lowerLimitSet: true,
+        speed: StaticVariables.DEFAULT_SPEED,
+        length: 0,
+        diameter: 0,
+        deviceType: 0,
+      },
+      options.settings
+    )
+
+    this.deviceInformation = Object.assign(
+      {
+        manufacturer: "Simulated",
+        model: "AM43",
+        firmwareRevision: "1.0.0",
+        hardwareRevision: "1.0",
+      },
+      options.deviceInformation
+    ) // What the motor reports in the Device Information service of Bluetooth, besides its name.
+    this.timers = [] // The timers stored on the motor, in the layout of the protocol.
+    this.clock = null // The day of the week and time the clock was last set to, null until it is synced.
+
+    this.isAvailable = true // When false the motor is out of range, it won't advertise or accept connections.
+    this.isConnected = false
+    this.sendsPositionNotifications = true // When false the position can only be read by requesting it.
+    this.rejectedCommands = [] // Command IDs the motor answers with a NACK.
+    this.ignoredCommands = [] // Command IDs the motor never answers.
+    this.receivedCommands = []
+    this.isAuthenticated = false
+
+    this.targetPosition = null
+    this.moveTimer = null
+  }
+
+  get isMoving() {
+    return this.moveTimer != null
+  }
+
+  // The RSSI a simulated adapter receives from the motor, null when the motor is out of range of the adapter.
+  rssiForAdapter(adapter) {
+    if (adapter == null || this.adapterRSSI == null) {
+      return this.rssi
+    }
+    const rssi = this.adapterRSSI[adapter]
+    return rssi != undefined ? rssi : null
+  }
+
+  // A motor without both limits doesn't know its travel range and refuses to move.
+  get hasLimits() {
+    return this.settings.upperLimitSet && this.settings.lowerLimitSet
+  }
+
+  async connectAsync() {
+    await new Promise((r) => setTimeout(r, this.connectDelay))
+    if (!this.isAvailable) {
+      throw new Error(`Simulated motor ${this.id} is out of range`)
+    }
+    if (this.isConnected) {
+      throw new Error(`Simulated motor ${this.id} is already connected`)
+    }
+    this.isConnected = true
+    this.isAuthenticated = false
+    this.emit("connect")
+  }
+
+  disconnect() {
+    if (!this.isConnected) {
+      return
+    }
+    this.isConnected = false
+    this.isAuthenticated = false
+    this.emit("disconnect")
+  }
+
+  receive(buffer) {
+    let command
+    try {
+      command = AM43Protocol.decodeCommand(buffer)
+    } catch (error) {
+      this.emit("malformedCommand", buffer, error)
+      return
+    }
+    const { commandID, data } = command
+    this.receivedCommands.push({ commandID: commandID, data: data })
+    this.emit("command", commandID, data)
+
+    if (this.ignoredCommands.includes(commandID)) {
+      return
+    }
+    if (this.rejectedCommands.includes(commandID)) {
+      this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+      return
+    }
+    if (
+      this.password != null &&
+      !this.isAuthenticated &&
+      commandID != ProtocolVariables.AM43_COMMAND_ID_VERIFY_PASSWORD
+    ) {
+      this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+      return
+    }
+
+    switch (commandID) {
+      case ProtocolVariables.AM43_COMMAND_ID_VERIFY_PASSWORD: {
+        const password = data.length == 2 ? (data[0] << 8) | data[1] : null
+        this.isAuthenticated =
+          this.password == null || password == this.password
+        this.respond(commandID, [
+          this.isAuthenticated
+            ? ProtocolVariables.AM43_RESPONSE_ACK
+            : ProtocolVariables.AM43_RESPONSE_NACK,
+        ])
+        break
+      }
+
+      case ProtocolVariables.AM43_COMMAND_ID_GET_POSITION:
+        this.respond(
+          commandID,
+          AM43Protocol.encodeSettings(this.settings, this.position)
+        )
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_SET_SETTINGS: {
+        if (
+          data.length != ProtocolVariables.AM43_SETTINGS_LENGTH ||
+          data[1] == 0
+        ) {
+          this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+          break
+        }
+        const settings = AM43Protocol.decodeSettings(data)
+        this.settings = Object.assign({}, settings, {
+          upperLimitSet: this.settings.upperLimitSet,
+          lowerLimitSet: this.settings.lowerLimitSet,
+        })
+        this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_ACK])
+        break
+      }
+
+      case ProtocolVariables.AM43_COMMAND_ID_SET_LIMITS:
+        // The limits are stored at the current position, which becomes fully opened or fully closed.
+        if (data[0] == ProtocolVariables.AM43_LIMIT_SET_UPPER) {
+          this.stopMoving()
+          this.settings.upperLimitSet = true
+          this.position = 0
+        } else if (data[0] == ProtocolVariables.AM43_LIMIT_SET_LOWER) {
+          this.stopMoving()
+          this.settings.lowerLimitSet = true
+          this.position = 100
+        } else if (data[0] == ProtocolVariables.AM43_LIMIT_RESET) {
+          this.settings.upperLimitSet = false
+          this.settings.lowerLimitSet = false
+        } else {
+          this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+          break
+        }
+        this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_ACK])
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_SET_NAME:
+        if (
+          data.length == 0 ||
+          data.length > ProtocolVariables.AM43_MAXIMUM_NAME_LENGTH
+        ) {
+          this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+          break
+        }
+        this.name = Buffer.from(data).toString("ascii")
+        this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_ACK])
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_SYNC_CLOCK:
+        if (
+          data.length != 4 ||
+          data[0] > 6 ||
+          data[1] > 23 ||
+          data[2] > 59 ||
+          data[3] > 59
+        ) {
+          this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+          break
+        }
+        this.clock = {
+          day: data[0],
+          hour: data[1],
+          minute: data[2],
+          second: data[3],
+        }
+        this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_ACK])
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_SET_TIMER:
+        this.respond(commandID, [
+          this.changeTimer(data)
+            ? ProtocolVariables.AM43_RESPONSE_ACK
+            : ProtocolVariables.AM43_RESPONSE_NACK,
+        ])
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_GET_TIMERS:
+        this.respond(commandID, AM43Protocol.encodeTimers(this.timers))
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_GET_BATTERYSTATUS:
+        this.respond(commandID, [0, 0, 0, 0, this.batteryPercentage])
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_GET_LIGHTSENSOR:
+        this.respond(commandID, [0, this.lightLevel, 0])
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_SET_POSITION:
+        if (data.length != 1 || data[0] > 100 || !this.hasLimits) {
+          this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+          break
+        }
+        this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_ACK])
+        this.moveTo(data[0])
+        break
+
+      case ProtocolVariables.AM43_COMMAND_ID_SET_MOVE:
+        if (data[0] != ProtocolVariables.AM43_MOVE_STOP && !this.hasLimits) {
+          this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+          break
+        }
+        if (data[0] == ProtocolVariables.AM43_MOVE_OPEN) {
+          this.moveTo(0)
+        } else if (data[0] == ProtocolVariables.AM43_MOVE_CLOSE) {
+          this.moveTo(100)
+        } else if (data[0] == ProtocolVariables.AM43_MOVE_STOP) {
+          this.stopMoving()
+        } else {
+          this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+          break
+        }
+        this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_ACK])
+        break
+
+      default:
+        this.respond(commandID, [ProtocolVariables.AM43_RESPONSE_NACK])
+        break
+    }
+  }
+
+  // Adds, updates or deletes a timer. Returns false when the motor refuses the change.
+  changeTimer(data) {
+    const action = data[0]
+    const index = data[1]
+    const existingTimer = this.timers.find((timer) => timer.index == index)
+    if (index == undefined || index >= ProtocolVariables.AM43_MAXIMUM_TIMERS) {
+      return false
+    }
+    if (action == ProtocolVariables.AM43_TIMER_ACTION_DELETE) {
+      if (existingTimer == null) {
+        return false
+      }
+      this.timers = this.timers.filter((timer) => timer !== existingTimer)
+      return true
+    }
+    if (data.length != ProtocolVariables.AM43_TIMER_LENGTH + 1) {
+      return false
+    }
+    const timer = AM43Protocol.decodeTimers([1].concat(data.slice(1)))[0]
+    if (timer.position > 100 || timer.hour > 23 || timer.minute > 59) {
+      return false
+    }
+    if (action == ProtocolVariables.AM43_TIMER_ACTION_ADD) {
+      if (existingTimer != null) {
+        return false
+      }
+      this.timers.push(timer)
+      this.timers.sort((a, b) => a.index - b.index)
+      return true
+    }
+    if (action == ProtocolVariables.AM43_TIMER_ACTION_UPDATE) {
+      if (existingTimer == null) {
+        return false
+      }
+      this.timers[this.timers.indexOf(existingTimer)] = timer
+      return true
+    }
+    return false
+  }
+
+  respond(commandID, payload) {
+    this.emit("notification", AM43Protocol.encodeResponse(commandID, payload))
+  }
+
+  notifyPosition() {
+    this.respond(ProtocolVariables.AM43_NOTIFY_POSITION, [
+      0,
+      this.position,
+      0,
+      0,
+    ])
+  }
+
+  moveTo(position) {
+    this.stopMoving()
+    if (position == this.position) {
+      return
+    }
+    this.targetPosition = position
+    const step = position > this.position ? 1 : -1
+    const isObstructed =
+      this.obstructionPosition != null &&
+      (this.obstructionPosition - this.position) * step > 0 &&
+      (position - this.obstructionPosition) * step > 0
+    const stopPosition = isObstructed ? this.obstructionPosition : position
+    this.moveTimer = setInterval(() => {
+      this.position += step
+      this.emit("move", this.position)
+      if (this.position == stopPosition) {
+        this.stopMoving()
+      }
+      if (this.isConnected && this.sendsPositionNotifications) {
+        this.notifyPosition()
+      }
+    }, this.travelTime / 100)
+  }
+
+  stopMoving() {
+    if (this.moveTimer != null) {
+      clearInterval(this.moveTimer)
+      this.moveTimer = null
+    }
+    this.targetPosition = null
+  }
+}
+
+// Connects AM43Device to an AM43SimulatedMotor, mirroring the interface of AM43NobleTransport.
+class AM43SimulatedTransport extends EventEmitter {
+  constructor(motor, options) {
+    super()
+
+    options = options || {}
+    this.motor = motor
+    this.adapter = options.adapter != undefined ? options.adapter : null // The simulated adapter the transport belongs to.
+    this.id = motor.id
+    this.address = motor.address
+    this.name = motor.name
+    this.isConnected = false
+    this.connectingPromise = null
+
+    this.motor.on("connect", () => {
+      this.isConnected = true
+      this.emit("connect")
+    })
+    this.motor.on("disconnect", () => {
+      this.isConnected = false
+      this.emit("disconnect")
+    })
+    this.motor.on("notification", (data) => {
+      if (!this.isConnected) {
+        return
+      }
+      setTimeout(() => this.emit("data", data), this.motor.responseDelay)
+    })
+  }
+
+  get rssi() {
+    return this.motor.rssiForAdapter(this.adapter)
+  }
+
+  async connectAsync() {
+    if (this.isConnected) {
+      return
+    }
+    if (this.connectingPromise == null) {
+      this.connectingPromise = this.motor.connectAsync()
+    }
+    try {
+      await this.connectingPromise
+    } finally {
+      this.connectingPromise = null
+    }
+  }
+
+  async disconnectAsync() {
+    this.motor.disconnect()
+  }
+
+  async writeAsync(buffer) {
+    if (!this.isConnected) {
+      throw new Error("Not connected to simulated motor")
+    }
+    setTimeout(() => this.motor.receive(buffer), this.motor.responseDelay)
+  }
+
+  async readDeviceInformationAsync() {
+    if (!this.isConnected) {
+      throw new Error("Not connected to simulated motor")
+    }
+    await new Promise((r) => setTimeout(r, this.motor.responseDelay))
+    return Object.assign(
+      { name: this.motor.name },
+      this.motor.deviceInformation
+    )
+  }
+}
+
+// Discovers simulated motors the same way AM43NobleScanner discovers peripherals.
+// With an adapter option it simulates the scanner of one of several Bluetooth adapters.
+class AM43SimulatedScanner extends EventEmitter {
+  constructor(motors, options) {
+    super()
+
+    options = options || {}
+    this.motors = motors
+    this.adapter = options.adapter != undefined ? options.adapter : null
+    this.transports = new Map()
+    this.isScanning = false
+  }
+
+  transportForMotor(motor) {
+    if (!this.transports.has(motor)) {
+      this.transports.set(
+        motor,
+        new AM43SimulatedTransport(motor, { adapter: this.adapter })
+      )
+    }
+    return this.transports.get(motor)
+  }
+
+  startScanning(callback) {
+    this.isScanning = true
+    setImmediate(() => {
+      // Connected motors stop advertising, just like the real ones.
+      this.motors
+        .filter((motor) => motor.isAvailable && !motor.isConnected)
+        .filter((motor) => motor.rssiForAdapter(this.adapter) != null)
+        .forEach((motor) => {
+          if (this.isScanning) {
+            this.emit("discover", this.transportForMotor(motor))
+          }
+        })
+    })
+    if (callback) callback(null)
+  }
+
+  stopScanning(callback) {
+    this.isScanning = false
+    setImmediate(() => this.emit("scanStop"))
+    if (callback) callback(null)
+  }
+}
+
+// Creates the motors in the 'simulated_devices' format of config.json, a single motor is simulated when none are configured.
+function createSimulatedMotors(motorConfigs) {
+  return (motorConfigs || [{}]).map((motorConfig, index) => {
+    const address =
+      motorConfig.address ||
+      "02-00-00-00-00-" + (index + 1).toString(16).padStart(2, "0")
+    return new AM43SimulatedMotor({
+      id: address.replace(/[-:]/g, ""),
+      address: address,
+      name: motorConfig.name || `Simulated AM43 ${index + 1}`,
+      position: motorConfig.position,
+      batteryPercentage: motorConfig.battery,
+      lightLevel: motorConfig.light,
+      password: AM43Config.parsePassword(motorConfig.password),
+      travelTime:
+        motorConfig.travel_time != undefined
+          ? motorConfig.travel_time * 1000
+          : undefined,
+      adapterRSSI: motorConfig.adapter_rssi,
+      obstructionPosition: motorConfig.obstruction,
+    })
+  })
+}
+
+// Creates a scanner for the motors in the 'simulated_devices' format of config.json.
+function createSimulatedScanner(motorConfigs) {
+  return new AM43SimulatedScanner(createSimulatedMotors(motorConfigs))
+}
+
+module.exports = {
+  createSimulatedMotors: createSimulatedMotors,
+  createSimulatedScanner: createSimulatedScanner,
+  AM43SimulatedMotor: AM43SimulatedMotor,
+  AM43SimulatedTransport: AM43SimulatedTransport,
+  AM43SimulatedScanner: AM43SimulatedScanner,
+  StaticVariables: StaticVariables,
+}
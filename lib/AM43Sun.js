@@ -0,0 +1,65 @@
+const StaticVariables = {
+  SUNRISE: "sunrise",
+  SUNSET: "sunset",
+
+  J2000: 2451545.0, // The Julian day of 2000-01-01 12:00 UTC.
+  UNIX_EPOCH_JULIAN_DAY: 2440587.5,
+  DAY: 24 * 60 * 60 * 1000,
+  EARTH_TILT: 23.4397, // In degrees
+  SUN_ALTITUDE_AT_HORIZON: -0.833, // The altitude of the center of the sun at sunrise and sunset, corrected for refraction and the size of the sun. In degrees
+}
+
+const radians = (degrees) => (degrees * Math.PI) / 180
+const degrees = (radians) => (radians * 180) / Math.PI
+
+// Calculates the time of sunrise or sunset on a day at a location with the sunrise equation, without any network access.
+// The day is the local calendar day of date. Returns null when the sun doesn't rise or set that day, near the poles.
+// The result is accurate to about a minute, which is plenty for moving blinds.
+function sunEventTime(event, date, latitude, longitude) {
+  const noon = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12)
+  const julianDay =
+    noon / StaticVariables.DAY + StaticVariables.UNIX_EPOCH_JULIAN_DAY
+  const day = Math.round(julianDay - StaticVariables.J2000)
+
+  // The mean solar noon at the longitude, then the position of the sun on its orbit.
+  const meanSolarNoon = day - longitude / 360
+  const meanAnomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360
+  const center =
+    1.9148 * Math.sin(radians(meanAnomaly)) +
+    0.02 * Math.sin(radians(2 * meanAnomaly)) +
+    0.0003 * Math.sin(radians(3 * meanAnomaly))
+  const eclipticLongitude = (meanAnomaly + center + 180 + 102.9372) % 360
+  const solarTransit =
+    StaticVariables.J2000 +
+    meanSolarNoon +
+    0.0053 * Math.sin(radians(meanAnomaly)) -
+    0.0069 * Math.sin(radians(2 * eclipticLongitude))
+
+  const declination = Math.asin(
+    Math.sin(radians(eclipticLongitude)) *
+      Math.sin(radians(StaticVariables.EARTH_TILT))
+  )
+  const hourAngleCosine =
+    (Math.sin(radians(StaticVariables.SUN_ALTITUDE_AT_HORIZON)) -
+      Math.sin(radians(latitude)) * Math.sin(declination)) /
+    (Math.cos(radians(latitude)) * Math.cos(declination))
+  if (hourAngleCosine < -1 || hourAngleCosine > 1) {
+    return null
+  }
+  const hourAngle = degrees(Math.acos(hourAngleCosine))
+  const eventJulianDay =
+    event == StaticVariables.SUNRISE
+      ? solarTransit - hourAngle / 360
+      : solarTransit + hourAngle / 360
+  return new Date(
+    Math.round(
+      (eventJulianDay - StaticVariables.UNIX_EPOCH_JULIAN_DAY) *
+        StaticVariables.DAY
+    )
+  )
+}
+
+module.exports = {
+  sunEventTime: sunEventTime,
+  StaticVariables: StaticVariables,
+}
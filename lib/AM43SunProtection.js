@@ -0,0 +1,234 @@
+const AM43ConfigVariables = require("./AM43Config").StaticVariables
+
+const StaticVariables = {
+  SUBTYPE: "sun-protection",
+  DEFAULT_POSITION: 20, // The open percentage a blind is moved to while the sun shines on it.
+  DEFAULT_THRESHOLD: 60, // The light level of the motor, from 0 to 100, above which the sun shines on the blind.
+  DEFAULT_HYSTERESIS: 10, // How far the light level has to drop below the threshold before the blind is restored.
+  DEFAULT_DELAY: 10, // How long the light level has to stay above or below the threshold before the blind is moved. In minutes
+  DEFAULT_MINIMUM_INTERVAL: 30, // The shortest time between two moves, so passing clouds don't keep moving the blind. In minutes
+  MINUTE: 60 * 1000,
+}
+
+// Closes a blind to a position while the light sensor of its motor sees bright sunlight, and restores it once the light drops.
+// A switch turns the mode on or off. Positions are in HomeKit percentages, the owner takes care of converting them for the motor.
+class AM43SunProtection {
+  constructor(platform, accessory, sunProtectionConfig, options) {
+    this.platform = platform
+    this.accessory = accessory
+    this.log = platform.log
+    this.Service = platform.Service
+    this.Characteristic = platform.Characteristic
+
+    const configValue = (key, defaultValue) =>
+      sunProtectionConfig[key] != undefined
+        ? sunProtectionConfig[key]
+        : defaultValue
+    this.position = configValue(
+      AM43ConfigVariables.SUN_PROTECTION_CONFIG_KEY_POSITION,
+      StaticVariables.DEFAULT_POSITION
+    )
+    this.threshold = configValue(
+      AM43ConfigVariables.SUN_PROTECTION_CONFIG_KEY_THRESHOLD,
+      StaticVariables.DEFAULT_THRESHOLD
+    )
+    this.hysteresis = configValue(
+      AM43ConfigVariables.SUN_PROTECTION_CONFIG_KEY_HYSTERESIS,
+      StaticVariables.DEFAULT_HYSTERESIS
+    )
+    this.delay =
+      configValue(
+        AM43ConfigVariables.SUN_PROTECTION_CONFIG_KEY_DELAY,
+        StaticVariables.DEFAULT_DELAY
+      ) * StaticVariables.MINUTE
+    this.minimumInterval =
+      configValue(
+        AM43ConfigVariables.SUN_PROTECTION_CONFIG_KEY_MINIMUM_INTERVAL,
+        StaticVariables.DEFAULT_MINIMUM_INTERVAL
+      ) * StaticVariables.MINUTE
+    this.moveAsync = options.moveAsync // Moves the blind unless it was moved by hand recently, resolves with whether it moved.
+    this.currentPosition = options.position // The current position of the blind, null when unknown.
+
+    this.brightSince = null // The first reading of the light level above the threshold, in a row.
+    this.darkSince = null // The first reading below the threshold minus the hysteresis, in a row.
+    this.lastMove = null
+    this.isOverridden = false // Set when someone moved the blind, the sun protection leaves it alone until the sun is gone.
+
+    // Whether the mode is on and the position to restore are kept with the accessory, so they survive a restart.
+    accessory.context.am43SunProtection = Object.assign(
+      { isEnabled: true, restorePosition: null },
+      accessory.context.am43SunProtection
+    )
+    this.configureService()
+  }
+
+  get state() {
+    return this.accessory.context.am43SunProtection
+  }
+
+  // Whether the blind has been moved to the protection position and will be restored.
+  get isProtecting() {
+    return this.state.restorePosition != null
+  }
+
+  setEnabled(isEnabled) {
+    this.state.isEnabled = isEnabled
+    if (!isEnabled) {
+      // The blind stays where it is, it isn't restored when the mode is off.
+      this.state.restorePosition = null
+      this.brightSince = null
+      this.darkSince = null
+      this.isOverridden = false
+    }
+    this.log.info(
+      `Sun protection of ${this.accessory.displayName} turned ${
+        isEnabled ? "on" : "off"
+      }`
+    )
+    this.save()
+  }
+
+  save() {
+    this.platform.api.updatePlatformAccessories([this.accessory])
+  }
+
+  // Someone moved the blind by hand, it isn't restored or closed again over their choice.
+  handleManualMovement() {
+    this.override("by hand")
+  }
+
+  // Someone chose a position in HomeKit or another way of controlling the blind, it isn't restored or closed again over their choice.
+  handleTargetPosition() {
+    this.override("from HomeKit")
+  }
+
+  // The sun protection backs off until the light has dropped for the delay, the next sunny period protects the blind again.
+  override(how) {
+    if (!this.state.isEnabled) {
+      return
+    }
+    this.isOverridden = true
+    this.brightSince = null
+    this.darkSince = null
+    if (this.isProtecting) {
+      this.log.info(
+        `${this.accessory.displayName} was moved ${how}, it won't be restored after the sun protection`
+      )
+      this.state.restorePosition = null
+      this.save()
+    }
+  }
+
+  // Called with every light level reading of the motor.
+  async handleLightLevelAsync(lightLevel, time) {
+    time = time != undefined ? time : Date.now()
+    if (!this.state.isEnabled || lightLevel == null) {
+      return
+    }
+    if (lightLevel >= this.threshold) {
+      this.darkSince = null
+      this.brightSince = this.brightSince != null ? this.brightSince : time
+    } else if (lightLevel <= this.threshold - this.hysteresis) {
+      this.brightSince = null
+      this.darkSince = this.darkSince != null ? this.darkSince : time
+    } else {
+      this.brightSince = null
+      this.darkSince = null
+    }
+    if (this.isOverridden) {
+      if (this.darkSince != null && time - this.darkSince >= this.delay) {
+        this.isOverridden = false
+      }
+      return
+    }
+    if (this.lastMove != null && time - this.lastMove < this.minimumInterval) {
+      return
+    }
+    if (
+      !this.isProtecting &&
+      this.brightSince != null &&
+      time - this.brightSince >= this.delay
+    ) {
+      await this.protectAsync(time)
+    } else if (
+      this.isProtecting &&
+      this.darkSince != null &&
+      time - this.darkSince >= this.delay
+    ) {
+      await this.restoreAsync(time)
+    }
+  }
+
+  async protectAsync(time) {
+    const position = this.currentPosition()
+    if (position == null || position <= this.position) {
+      // Already closed at least as far, there is nothing to protect or restore.
+      return
+    }
+    this.log.info(
+      `Sun protection: closing ${this.accessory.displayName} to ${this.position}%`
+    )
+    if (await this.moveAsync(this.position, "sun protection")) {
+      this.lastMove = time
+      this.state.restorePosition = position
+      this.save()
+    }
+  }
+
+  async restoreAsync(time) {
+    const position = this.state.restorePosition
+    this.log.info(
+      `Sun protection: restoring ${this.accessory.displayName} to ${position}%`
+    )
+    if (await this.moveAsync(position, "sun protection")) {
+      this.lastMove = time
+      this.state.restorePosition = null
+      this.save()
+    }
+  }
+
+  configureService() {
+    const sunProtection = this
+    const service =
+      this.accessory.getServiceById(
+        this.Service.Switch,
+        StaticVariables.SUBTYPE
+      ) ||
+      this.accessory.addService(
+        this.Service.Switch,
+        `${this.accessory.displayName} Sun Protection`,
+        StaticVariables.SUBTYPE
+      )
+    service
+      .getCharacteristic(this.Characteristic.On)
+      .on("get", function (callback) {
+        callback(null, sunProtection.state.isEnabled)
+      })
+      .on("set", function (value, callback) {
+        sunProtection.setEnabled(value == true)
+        callback(null)
+      })
+    service
+      .getCharacteristic(this.Characteristic.On)
+      .updateValue(this.state.isEnabled)
+    this.service = service
+  }
+}
+
+// Removes the switch of a blind whose sun protection is no longer configured.
+function removeSunProtectionService(platform, accessory) {
+  const service = accessory.getServiceById(
+    platform.Service.Switch,
+    StaticVariables.SUBTYPE
+  )
+  if (service) {
+    accessory.removeService(service)
+  }
+  delete accessory.context.am43SunProtection
+}
+
+module.exports = {
+  AM43SunProtection: AM43SunProtection,
+  removeSunProtectionService: removeSunProtectionService,
+  StaticVariables: StaticVariables,
+}
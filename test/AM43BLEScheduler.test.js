@@ -0,0 +1,196 @@
+const assert = require("assert")
+const { AM43BLEScheduler, StaticVariables } = require("../lib/AM43BLEScheduler")
+const { delay } = require("./helpers/wait")
+
+describe("AM43BLEScheduler", function () {
+  let scheduler
+
+  afterEach(function () {
+    scheduler.stop()
+  })
+
+  // A task that runs until it is finished by hand, recording when it started.
+  function blockingTask(started, name) {
+    let finish
+    const task = () =>
+      new Promise((resolve) => {
+        started.push(name)
+        finish = resolve
+      })
+    return { task: task, finish: () => finish(name) }
+  }
+
+  it("runs at most the maximum number of tasks at the same time", async function () {
+    scheduler = new AM43BLEScheduler({ maximumConnections: 2 })
+    const started = []
+    const tasks = ["a", "b", "c"].map((name) => blockingTask(started, name))
+    const results = tasks.map((task) =>
+      scheduler.runAsync(StaticVariables.PRIORITY_BACKGROUND, task.task)
+    )
+    await delay(5)
+    assert.deepStrictEqual(started, ["a", "b"])
+
+    tasks[0].finish()
+    assert.strictEqual(await results[0], "a")
+    await delay(5)
+    assert.deepStrictEqual(started, ["a", "b", "c"])
+    tasks[1].finish()
+    tasks[2].finish()
+    assert.deepStrictEqual(await Promise.all(results), ["a", "b", "c"])
+  })
+
+  it("runs waiting user commands before background work", async function () {
+    scheduler = new AM43BLEScheduler({ maximumConnections: 1 })
+    const started = []
+    const running = blockingTask(started, "poll 1")
+    scheduler.runAsync(StaticVariables.PRIORITY_BACKGROUND, running.task)
+    const waiting = [
+      ["poll 2", StaticVariables.PRIORITY_BACKGROUND],
+      ["move 1", StaticVariables.PRIORITY_USER],
+      ["move 2", StaticVariables.PRIORITY_USER],
+    ].map(([name, priority]) =>
+      scheduler.runAsync(priority, async () => started.push(name))
+    )
+    await delay(5)
+    running.finish()
+    await Promise.all(waiting)
+    assert.deepStrictEqual(started, ["poll 1", "move 1", "move 2", "poll 2"])
+  })
+
+  it("passes on the failure of a task and continues with the next", async function () {
+    scheduler = new AM43BLEScheduler({ maximumConnections: 1 })
+    const failing = scheduler.runAsync(
+      StaticVariables.PRIORITY_USER,
+      async () => {
+        throw new Error("no motor")
+      }
+    )
+    const next = scheduler.runAsync(
+      StaticVariables.PRIORITY_USER,
+      async () => 42
+    )
+    await assert.rejects(failing, { message: "no motor" })
+    assert.strictEqual(await next, 42)
+  })
+
+  // A motor for the connections of the scheduler, it records when it is disconnected.
+  function fakeMotor(disconnected, id, isBusy) {
+    return {
+      isBusy: isBusy,
+      disconnectAsync: async () => {
+        disconnected.push(id)
+        scheduler.releaseConnection(id)
+      },
+    }
+  }
+
+  it("waits for a connection while the connected motors are busy", async function () {
+    scheduler = new AM43BLEScheduler({ maximumConnections: 2 })
+    const disconnected = []
+    const motors = ["a", "b", "c"].map((id) =>
+      fakeMotor(disconnected, id, true)
+    )
+    await scheduler.acquireConnectionAsync("a", motors[0])
+    await scheduler.acquireConnectionAsync("b", motors[1])
+    // A motor that holds a connection doesn't wait for another.
+    await scheduler.acquireConnectionAsync("a", motors[0])
+
+    let isConnected = false
+    const connecting = scheduler
+      .acquireConnectionAsync("c", motors[2])
+      .then(() => (isConnected = true))
+    await delay(5)
+    assert.strictEqual(isConnected, false)
+
+    scheduler.releaseConnection("b")
+    await connecting
+    assert.deepStrictEqual(Array.from(scheduler.connections.keys()), ["a", "c"])
+    assert.deepStrictEqual(disconnected, [])
+  })
+
+  it("disconnects the idle motor connected the longest to make room", async function () {
+    scheduler = new AM43BLEScheduler({ maximumConnections: 2 })
+    const disconnected = []
+    const motors = ["a", "b", "c", "d"].map((id) =>
+      fakeMotor(disconnected, id, false)
+    )
+    await scheduler.acquireConnectionAsync("a", motors[0])
+    await scheduler.acquireConnectionAsync("b", motors[1])
+    await scheduler.acquireConnectionAsync("c", motors[2])
+    assert.deepStrictEqual(disconnected, ["a"])
+
+    // A busy motor keeps its connection until it is idle again.
+    motors[1].isBusy = true
+    motors[2].isBusy = true
+    let isConnected = false
+    const connecting = scheduler
+      .acquireConnectionAsync("d", motors[3])
+      .then(() => (isConnected = true))
+    await delay(5)
+    assert.strictEqual(isConnected, false)
+    motors[2].isBusy = false
+    await connecting
+    assert.deepStrictEqual(disconnected, ["a", "c"])
+    assert.deepStrictEqual(Array.from(scheduler.connections.keys()), ["b", "d"])
+  })
+
+  it("spreads the polls evenly over their interval", async function () {
+    scheduler = new AM43BLEScheduler()
+    const runs = []
+    const start = Date.now()
+    ;["a", "b", "c", "d"].forEach((id) =>
+      scheduler.addPoll(id, 200, () => runs.push([id, Date.now() - start]))
+    )
+    await delay(230)
+    assert.deepStrictEqual(
+      runs.map(([id]) => id),
+      ["a", "b", "c", "d"]
+    )
+    // The polls run about 50ms apart instead of at the same moment.
+    assert.ok(runs[1][1] - runs[0][1] >= 40, JSON.stringify(runs))
+    assert.ok(runs[3][1] - runs[2][1] >= 40, JSON.stringify(runs))
+
+    // Adding a poll again replaces it.
+    scheduler.addPoll("a", 1000, () => runs.push(["replaced", 0]))
+    scheduler.removePoll("b")
+    await delay(230)
+    assert.ok(!runs.some(([id]) => id == "replaced"))
+    assert.strictEqual(runs.filter(([id]) => id == "b").length, 1)
+  })
+
+  it("stops polling and rejects the waiting tasks when it is stopped", async function () {
+    scheduler = new AM43BLEScheduler({ maximumConnections: 1 })
+    let polls = 0
+    scheduler.addPoll("a", 20, () => polls++)
+    const started = []
+    const running = blockingTask(started, "running")
+    const result = scheduler.runAsync(
+      StaticVariables.PRIORITY_USER,
+      running.task
+    )
+    const waiting = scheduler.runAsync(
+      StaticVariables.PRIORITY_BACKGROUND,
+      async () => "never"
+    )
+    const busyMotor = { isBusy: true, disconnectAsync: async () => {} }
+    await scheduler.acquireConnectionAsync("a", busyMotor)
+    const waitingConnection = scheduler.acquireConnectionAsync("b", busyMotor)
+    scheduler.stop()
+    await assert.rejects(waiting, {
+      code: StaticVariables.ERROR_CODE_STOPPED,
+    })
+    await assert.rejects(waitingConnection, {
+      code: StaticVariables.ERROR_CODE_STOPPED,
+    })
+    await assert.rejects(
+      scheduler.runAsync(StaticVariables.PRIORITY_USER, async () => 1),
+      { code: StaticVariables.ERROR_CODE_STOPPED }
+    )
+
+    // The running task finishes.
+    running.finish()
+    assert.strictEqual(await result, "running")
+    await delay(60)
+    assert.strictEqual(polls, 0)
+  })
+})
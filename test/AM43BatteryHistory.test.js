@@ -0,0 +1,74 @@
+const assert = require("assert")
+const {
+  AM43BatteryHistory,
+  StaticVariables,
+} = require("../lib/AM43BatteryHistory")
+
+const HOUR = 60 * 60 * 1000
+const DAY = StaticVariables.DAY
+
+describe("AM43BatteryHistory", function () {
+  it("only stores an unchanged percentage once per interval", function () {
+    const history = new AM43BatteryHistory()
+    assert.strictEqual(history.addReading(80, 0), true)
+    assert.strictEqual(history.addReading(80, HOUR / 2), false)
+    assert.strictEqual(history.addReading(79, HOUR / 2), true)
+    assert.strictEqual(history.addReading(79, 2 * HOUR), true)
+    assert.strictEqual(history.readings.length, 3)
+  })
+
+  it("forgets old readings", function () {
+    const history = new AM43BatteryHistory([
+      { time: 0, percentage: 90 },
+      { time: 10 * DAY, percentage: 85 },
+    ])
+    history.addReading(80, 35 * DAY)
+    assert.deepStrictEqual(
+      history.readings.map((reading) => reading.percentage),
+      [85, 80]
+    )
+  })
+
+  it("restores only valid readings", function () {
+    const history = new AM43BatteryHistory([
+      { time: 0, percentage: 90 },
+      { time: "yesterday", percentage: 85 },
+      null,
+    ])
+    assert.strictEqual(history.readings.length, 1)
+    assert.strictEqual(new AM43BatteryHistory({}).readings.length, 0)
+  })
+
+  it("is charging while the percentage rose recently", function () {
+    const history = new AM43BatteryHistory()
+    history.addReading(60, 0)
+    assert.strictEqual(history.isCharging(0), false)
+    history.addReading(62, HOUR)
+    history.addReading(62, 3 * HOUR)
+    assert.strictEqual(history.isCharging(3 * HOUR), true)
+    assert.strictEqual(history.isCharging(8 * HOUR), false)
+    history.addReading(61, 4 * HOUR)
+    assert.strictEqual(history.isCharging(4 * HOUR), false)
+  })
+
+  it("estimates the runtime from the drain rate", function () {
+    const history = new AM43BatteryHistory()
+    history.addReading(90, 0)
+    history.addReading(88, 12 * HOUR)
+    assert.strictEqual(history.drainRate(), null)
+    assert.strictEqual(history.estimatedDaysLeft(), null)
+
+    history.addReading(86, 2 * DAY)
+    assert.strictEqual(history.drainRate(), 2)
+    assert.strictEqual(history.estimatedDaysLeft(), 43)
+  })
+
+  it("doesn't estimate a runtime when the solar panel keeps up", function () {
+    const history = new AM43BatteryHistory()
+    history.addReading(70, 0)
+    history.addReading(65, DAY)
+    history.addReading(72, 2 * DAY)
+    assert.ok(history.drainRate() < 0)
+    assert.strictEqual(history.estimatedDaysLeft(), null)
+  })
+})
@@ -0,0 +1,145 @@
+const assert = require("assert")
+const { AM43CLI, parseArguments } = require("../lib/AM43CLI")
+const {
+  AM43SimulatedMotor,
+  AM43SimulatedScanner,
+} = require("../lib/AM43Simulator")
+const { waitFor } = require("./helpers/wait")
+
+describe("AM43CLI", function () {
+  let motors
+  let lines
+  let errors
+
+  function createCLI(options) {
+    return new AM43CLI(
+      Object.assign(
+        {
+          output: (line) => lines.push(line),
+          errorOutput: (line) => errors.push(line),
+          createScanner: () => new AM43SimulatedScanner(motors),
+        },
+        options
+      )
+    )
+  }
+
+  beforeEach(function () {
+    lines = []
+    errors = []
+    motors = [
+      new AM43SimulatedMotor({
+        id: "020000000001",
+        address: "02-00-00-00-00-01",
+        name: "Kitchen",
+        rssi: -80,
+        position: 30,
+        batteryPercentage: 55,
+        lightLevel: 20,
+        connectDelay: 5,
+        responseDelay: 5,
+        travelTime: 300,
+      }),
+      new AM43SimulatedMotor({
+        id: "020000000002",
+        address: "02-00-00-00-00-02",
+        name: "Bedroom",
+        rssi: -50,
+        connectDelay: 5,
+        responseDelay: 5,
+      }),
+    ]
+  })
+
+  afterEach(function () {
+    motors.forEach((motor) => motor.stopMoving())
+  })
+
+  it("parses commands and options", function () {
+    assert.deepStrictEqual(
+      parseArguments(["set", "02-00", "40", "--timeout", "2", "--simulate"]),
+      {
+        command: "set",
+        args: ["02-00", "40"],
+        options: {
+          timeout: 2,
+          password: null,
+          simulate: true,
+          help: false,
+          version: false,
+        },
+      }
+    )
+    assert.throws(() => parseArguments(["scan", "--timeout"]))
+    assert.throws(() => parseArguments(["scan", "--password", "abc"]))
+  })
+
+  it("lists the motors in range sorted by RSSI", async function () {
+    const exitCode = await createCLI().runAsync(["scan", "--timeout", "0.05"])
+    assert.strictEqual(exitCode, 0)
+    assert.match(lines[1], /^ID\s+ADDRESS\s+RSSI\s+NAME$/)
+    assert.match(lines[2], /^020000000002\s+02-00-00-00-00-02\s+-50\s+Bedroom$/)
+    assert.match(lines[3], /^020000000001\s+02-00-00-00-00-01\s+-80\s+Kitchen$/)
+  })
+
+  it("shows the status of a motor", async function () {
+    const exitCode = await createCLI().runAsync([
+      "status",
+      "02:00:00:00:00:01",
+      "--timeout",
+      "1",
+    ])
+    assert.strictEqual(exitCode, 0)
+    assert.ok(lines.includes("Position:     70% open (30% closed)"))
+    assert.ok(lines.includes("Battery:      55%"))
+    assert.ok(lines.includes("Light level:  20"))
+    assert.strictEqual(motors[0].isConnected, false)
+  })
+
+  it("moves a motor to a percentage", async function () {
+    const exitCode = await createCLI().runAsync(["set", "020000000001", "100"])
+    assert.strictEqual(exitCode, 0)
+    await waitFor(() => motors[0].position == 0)
+
+    assert.strictEqual(await createCLI().runAsync(["close", "020000000001"]), 0)
+    await waitFor(() => motors[0].position == 100)
+  })
+
+  it("streams the notifications of a motor", async function () {
+    const cli = createCLI({
+      waitForInterruptAsync: async () => {
+        motors[0].moveTo(33)
+        await waitFor(() =>
+          lines.some((line) =>
+            line.includes("positionNotification 0xa1 position=33")
+          )
+        )
+      },
+    })
+    assert.strictEqual(await cli.runAsync(["watch", "02-00-00-00-00-01"]), 0)
+    assert.ok(lines.some((line) => line.includes("position 0xa7 position=30")))
+  })
+
+  it("fails when the motor isn't found", async function () {
+    const exitCode = await createCLI().runAsync([
+      "status",
+      "02-00-00-00-00-03",
+      "--timeout",
+      "0.05",
+    ])
+    assert.strictEqual(exitCode, 1)
+    assert.match(
+      errors[0],
+      /No motor found with identifier '02-00-00-00-00-03'/
+    )
+  })
+
+  it("explains the usage", async function () {
+    assert.strictEqual(await createCLI().runAsync([]), 2)
+    assert.strictEqual(await createCLI().runAsync(["lift", "02-00"]), 2)
+    assert.strictEqual(await createCLI().runAsync(["set", "02-00"]), 2)
+    assert.strictEqual(await createCLI().runAsync(["set", "02-00", "101"]), 2)
+    assert.strictEqual(await createCLI().runAsync(["--help"]), 0)
+    assert.match(lines[0], /^Usage: am43/)
+  })
+})
@@ -0,0 +1,111 @@
+const assert = require("assert")
+const { AM43CommandQueue, StaticVariables } = require("../lib/AM43CommandQueue")
+const { delay } = require("./helpers/wait")
+
+describe("AM43CommandQueue", function () {
+  let writes
+  let reconnects
+  let queue
+
+  beforeEach(function () {
+    writes = []
+    reconnects = 0
+    queue = new AM43CommandQueue({
+      writeAsync: async (buffer) => writes.push(buffer),
+      reconnectAsync: async () => reconnects++,
+      responseTimeout: 50,
+    })
+  })
+
+  it("sends one command at a time", async function () {
+    const first = queue.enqueue(0xa7, "first")
+    const second = queue.enqueue(0xa2, "second")
+    await delay(5)
+    assert.deepStrictEqual(writes, ["first"])
+
+    queue.resolveCommand(0xa7, 40)
+    assert.strictEqual(await first, 40)
+    await delay(5)
+    assert.deepStrictEqual(writes, ["first", "second"])
+
+    queue.resolveCommand(0xa2, 80)
+    assert.strictEqual(await second, 80)
+  })
+
+  it("ignores replies for other commands", async function () {
+    const command = queue.enqueue(0x0d, "set")
+    await delay(5)
+    assert.strictEqual(queue.resolveCommand(0xa7, 10), false)
+    assert.strictEqual(queue.resolveCommand(0x0d), true)
+    await command
+  })
+
+  it("rejects a command that is answered with a NACK", async function () {
+    const command = queue.enqueue(0x0d, "set")
+    await delay(5)
+    queue.rejectCommand(0x0d)
+    await assert.rejects(command, { code: StaticVariables.ERROR_CODE_NACK })
+  })
+
+  it("rejects a command that isn't answered and continues with the next", async function () {
+    const first = queue.enqueue(0xa7, "first")
+    const second = queue.enqueue(0xa2, "second")
+    await assert.rejects(first, { code: StaticVariables.ERROR_CODE_TIMEOUT })
+    await delay(5)
+    queue.resolveCommand(0xa2, 1)
+    assert.strictEqual(await second, 1)
+  })
+
+  it("cancels queued commands that a newer command replaces", async function () {
+    const current = queue.enqueue(0x0d, "current")
+    const queued = queue.enqueue(0x0d, "queued")
+    const other = queue.enqueue(0xa7, "other")
+    await delay(5)
+    assert.strictEqual(queue.cancelPending([0x0d, 0x0a], "superseded"), 1)
+    await assert.rejects(queued, {
+      code: StaticVariables.ERROR_CODE_SUPERSEDED,
+    })
+
+    queue.resolveCommand(0x0d)
+    await current
+    await delay(5)
+    assert.deepStrictEqual(writes, ["current", "other"])
+    queue.resolveCommand(0xa7, 1)
+    assert.strictEqual(await other, 1)
+  })
+
+  it("reconnects and retries when a write fails", async function () {
+    let failures = 2
+    queue.writeAsync = async (buffer) => {
+      if (failures-- > 0) throw new Error("write failed")
+      writes.push(buffer)
+    }
+    const command = queue.enqueue(0xa7, "retried")
+    await delay(5)
+    queue.resolveCommand(0xa7, 5)
+    assert.strictEqual(await command, 5)
+    assert.strictEqual(reconnects, 2)
+    assert.deepStrictEqual(writes, ["retried"])
+  })
+
+  it("gives up after the configured number of retries", async function () {
+    queue.writeAsync = async () => {
+      throw new Error("write failed")
+    }
+    await assert.rejects(queue.enqueue(0xa7, "lost"), {
+      code: StaticVariables.ERROR_CODE_WRITE_FAILED,
+    })
+    assert.strictEqual(reconnects, StaticVariables.DEFAULT_WRITE_RETRIES)
+  })
+
+  it("retries a command when the connection drops before the reply", async function () {
+    const command = queue.enqueue(0xa7, "dropped")
+    await delay(5)
+    queue.handleDisconnect()
+    await delay(5)
+    assert.strictEqual(reconnects, 1)
+    assert.deepStrictEqual(writes, ["dropped", "dropped"])
+    queue.resolveCommand(0xa7, 3)
+    assert.strictEqual(await command, 3)
+  })
+})
@@ -0,0 +1,240 @@
+const assert = require("assert")
+const AM43Config = require("../lib/AM43Config")
+
+describe("AM43Config", function () {
+  it("matches identifiers regardless of case and separators", function () {
+    assert.ok(
+      AM43Config.identifierMatches(
+        "02:86:68:35:3C:51",
+        "028668353c51",
+        "02-86-68-35-3c-51"
+      )
+    )
+    assert.ok(AM43Config.identifierMatches("028668353C51", "028668353c51"))
+    assert.ok(
+      !AM43Config.identifierMatches("02-86-68-35-3c-52", "028668353c51")
+    )
+    assert.ok(!AM43Config.identifierMatches(null, "028668353c51"))
+  })
+
+  it("prefers the address as the identifier of a device", function () {
+    assert.strictEqual(
+      AM43Config.identifierForDevice({ id: "abc", address: "02-00" }),
+      "02-00"
+    )
+    assert.strictEqual(
+      AM43Config.identifierForDevice({ id: "abc", address: null }),
+      "abc"
+    )
+  })
+
+  it("finds the configuration of a device by its id or address", function () {
+    const devices = [
+      { identifier: "02-86-68-35-3c-51", name: "Bedroom" },
+      { identifier: "abcdef", name: "Kitchen" },
+    ]
+    assert.strictEqual(
+      AM43Config.findDeviceConfig(devices, "028668353c51", null).name,
+      "Bedroom"
+    )
+    assert.strictEqual(
+      AM43Config.findDeviceConfig(devices, "ABCDEF", "").name,
+      "Kitchen"
+    )
+    assert.strictEqual(AM43Config.findDeviceConfig(devices, "other"), null)
+    assert.strictEqual(AM43Config.findDeviceConfig(undefined, "abcdef"), null)
+  })
+
+  it("reports invalid device configurations", function () {
+    assert.deepStrictEqual(AM43Config.validateDevicesConfig(undefined), [])
+    assert.deepStrictEqual(
+      AM43Config.validateDevicesConfig([{ identifier: "02-00" }]),
+      []
+    )
+    assert.strictEqual(AM43Config.validateDevicesConfig({}).length, 1)
+
+    const problems = AM43Config.validateDevicesConfig([
+      { identifier: "02-00" },
+      { name: "No identifier" },
+      { identifier: "02:00" },
+    ])
+    assert.strictEqual(problems.length, 2)
+    assert.ok(problems[0].includes("Device 2"))
+    assert.ok(problems[1].includes("more than once"))
+  })
+  it("reports invalid device settings", function () {
+    assert.deepStrictEqual(
+      AM43Config.validateDeviceSettingsConfig(
+        {
+          reversed: true,
+          poll_interval: 60,
+          hap_interaction_timeout: 0,
+          low_battery_threshold: 20,
+        },
+        "the platform"
+      ),
+      []
+    )
+    const problems = AM43Config.validateDevicesConfig([
+      {
+        identifier: "02-00",
+        reversed: "yes",
+        poll_interval: "60",
+        hap_interaction_timeout: null,
+        low_battery_threshold: 120,
+      },
+    ])
+    assert.strictEqual(problems.length, 3)
+    assert.ok(problems[0].includes("'reversed' of device '02-00'"))
+    assert.ok(problems[1].includes("poll_interval"))
+    assert.ok(problems[2].includes("low_battery_threshold"))
+    assert.strictEqual(
+      AM43Config.isValidDeviceSetting("low_battery_threshold", 120),
+      false
+    )
+    assert.strictEqual(AM43Config.isValidDeviceSetting("name", 1), true)
+  })
+  it("reports invalid group configurations", function () {
+    assert.deepStrictEqual(AM43Config.validateGroupsConfig(undefined), [])
+    assert.deepStrictEqual(
+      AM43Config.validateGroupsConfig([
+        { name: "Bay Window", members: ["02-00"], aggregation: "min" },
+      ]),
+      []
+    )
+    assert.strictEqual(AM43Config.validateGroupsConfig({}).length, 1)
+
+    const problems = AM43Config.validateGroupsConfig([
+      { members: ["02-00"] },
+      { name: "Bay Window", members: [] },
+      { name: "Bay Window", members: ["02-00"], aggregation: "median" },
+    ])
+    assert.strictEqual(problems.length, 4)
+    assert.ok(problems[0].includes("Group 1"))
+    assert.ok(problems[1].includes("members"))
+    assert.ok(problems[2].includes("more than once"))
+    assert.ok(problems[3].includes("aggregation"))
+  })
+  it("reports invalid Bluetooth adapter configurations", function () {
+    assert.deepStrictEqual(
+      AM43Config.validateBluetoothAdaptersConfig(undefined),
+      []
+    )
+    assert.deepStrictEqual(
+      AM43Config.validateBluetoothAdaptersConfig([0, 1]),
+      []
+    )
+    assert.strictEqual(
+      AM43Config.validateBluetoothAdaptersConfig(["hci0"]).length,
+      1
+    )
+    assert.strictEqual(
+      AM43Config.validateBluetoothAdaptersConfig([1, 1]).length,
+      1
+    )
+    assert.strictEqual(
+      AM43Config.validateDevicesConfig([{ identifier: "a", adapter: -1 }])
+        .length,
+      1
+    )
+  })
+  it("reports invalid switch configurations", function () {
+    assert.deepStrictEqual(
+      AM43Config.validateSwitchesConfig(
+        { switches: ["open", "step_up"], step_size: 5 },
+        "the platform"
+      ),
+      []
+    )
+    const problems = AM43Config.validateSwitchesConfig(
+      { switches: ["open", "toggle"], step_size: 0 },
+      "the platform"
+    )
+    assert.strictEqual(problems.length, 2)
+    assert.ok(problems[0].includes("switches"))
+    assert.ok(problems[1].includes("step_size"))
+    assert.strictEqual(
+      AM43Config.validateDevicesConfig([{ identifier: "a", switches: "open" }])
+        .length,
+      1
+    )
+  })
+  it("reports invalid presets", function () {
+    assert.deepStrictEqual(
+      AM43Config.validateDevicesConfig([
+        { identifier: "a", presets: [{ name: "Privacy", position: 30 }] },
+      ]),
+      []
+    )
+    const problems = AM43Config.validateDevicesConfig([
+      {
+        identifier: "a",
+        presets: [
+          { position: 30 },
+          { name: "Glare", position: 101 },
+          { name: "Glare", position: 40 },
+        ],
+      },
+    ])
+    assert.strictEqual(problems.length, 3)
+    assert.ok(problems[0].includes("Preset 1"))
+    assert.ok(problems[1].includes("position"))
+    assert.ok(problems[2].includes("more than once"))
+    assert.strictEqual(
+      AM43Config.validateGroupsConfig([
+        { name: "Bay", members: ["a"], presets: {} },
+      ]).length,
+      1
+    )
+  })
+  it("reports invalid motor timers", function () {
+    const validate = (motorTimers) =>
+      AM43Config.validateDevicesConfig([
+        { identifier: "02-00-00-00-00-01", motor_timers: motorTimers },
+      ])
+    assert.deepStrictEqual(
+      validate([
+        { time: "07:30", days: [1, 2, 3, 4, 5], position: 100 },
+        { time: "22:00", position: 0 },
+      ]),
+      []
+    )
+    assert.strictEqual(validate({}).length, 1)
+    assert.ok(validate([{}, {}, {}, {}, {}])[0].includes("up to 4"))
+    const problems = validate([{ time: "7.30", days: [7], position: 101 }])
+    assert.strictEqual(problems.length, 3)
+    assert.ok(problems[0].includes("'time'"))
+    assert.ok(problems[1].includes("'days'"))
+    assert.ok(problems[2].includes("'position'"))
+  })
+
+  it("reports invalid sun protection", function () {
+    const validate = (sunProtection) =>
+      AM43Config.validateDevicesConfig([
+        { identifier: "02-00-00-00-00-01", sun_protection: sunProtection },
+      ])
+    assert.deepStrictEqual(validate({}), [])
+    assert.deepStrictEqual(
+      validate({ position: 20, threshold: 70, delay: 5, minimum_interval: 0 }),
+      []
+    )
+    assert.strictEqual(validate(true).length, 1)
+    const problems = validate({ position: 120, threshold: "high", delay: -1 })
+    assert.strictEqual(problems.length, 3)
+    assert.ok(problems[0].includes("'position'"))
+    assert.ok(problems[1].includes("'threshold'"))
+    assert.ok(problems[2].includes("'delay'"))
+  })
+
+  it("parses passwords", function () {
+    assert.strictEqual(AM43Config.parsePassword("0123"), 123)
+    assert.strictEqual(AM43Config.parsePassword(8888), 8888)
+    assert.strictEqual(AM43Config.parsePassword(""), null)
+    assert.strictEqual(AM43Config.parsePassword("12345"), null)
+    assert.strictEqual(
+      AM43Config.validateDevicesConfig([{ identifier: "a", password: "abc" }])
+        .length,
+      1
+    )
+  })
+})
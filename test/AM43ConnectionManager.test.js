@@ -0,0 +1,192 @@
+const assert = require("assert")
+const {
+  AM43SimulatedMotor,
+  AM43SimulatedTransport,
+} = require("../lib/AM43Simulator")
+const { AM43Device } = require("../lib/AM43Device")
+const { StaticVariables } = require("../lib/AM43ConnectionManager")
+const { AM43BLEScheduler } = require("../lib/AM43BLEScheduler")
+const { waitFor, delay } = require("./helpers/wait")
+
+describe("AM43ConnectionManager", function () {
+  let motor
+  let device
+  let connectionManager
+  let states
+
+  function createDevice(options) {
+    device = new AM43Device(
+      new AM43SimulatedTransport(motor),
+      Object.assign({ initialBackoff: 40, maximumBackoff: 100 }, options)
+    )
+    connectionManager = device.connectionManager
+    states = []
+    connectionManager.on("stateChange", (state) => states.push(state))
+  }
+
+  beforeEach(function () {
+    motor = new AM43SimulatedMotor({
+      id: "020000000001",
+      address: "02-00-00-00-00-01",
+      position: 50,
+      connectDelay: 5,
+      responseDelay: 5,
+    })
+  })
+
+  afterEach(async function () {
+    await device.disconnectAsync()
+  })
+
+  it("moves through the connection states", async function () {
+    createDevice()
+    assert.strictEqual(
+      connectionManager.state,
+      StaticVariables.STATE_DISCONNECTED
+    )
+    await device.connectAsync()
+    assert.deepStrictEqual(states, [
+      StaticVariables.STATE_CONNECTING,
+      StaticVariables.STATE_DISCOVERING,
+      StaticVariables.STATE_READY,
+    ])
+    assert.strictEqual(connectionManager.health.reachable, true)
+
+    await device.disconnectAsync()
+    assert.strictEqual(
+      connectionManager.state,
+      StaticVariables.STATE_DISCONNECTED
+    )
+  })
+
+  it("backs off after a failed attempt", async function () {
+    createDevice()
+    motor.isAvailable = false
+    const unreachable = []
+    connectionManager.on("unreachable", (error) => unreachable.push(error))
+
+    await assert.rejects(device.connectAsync(), /out of range/)
+    assert.strictEqual(connectionManager.state, StaticVariables.STATE_FAILED)
+    assert.strictEqual(connectionManager.isReachable, false)
+    assert.strictEqual(unreachable.length, 1)
+
+    // The next attempt isn't made until the backoff has passed.
+    await assert.rejects(device.connectAsync(), (error) => {
+      assert.strictEqual(error.code, StaticVariables.ERROR_CODE_UNREACHABLE)
+      return true
+    })
+    assert.strictEqual(connectionManager.consecutiveFailures, 1)
+
+    await delay(50)
+    await assert.rejects(device.connectAsync(), /out of range/)
+    assert.strictEqual(connectionManager.consecutiveFailures, 2)
+    assert.strictEqual(unreachable.length, 1)
+    const backoff = connectionManager.nextAttempt - Date.now()
+    assert.ok(backoff > 40 && backoff <= 80, `backoff was ${backoff}ms`)
+  })
+
+  it("limits the backoff to the maximum", async function () {
+    createDevice()
+    motor.isAvailable = false
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await waitFor(() => Date.now() >= (connectionManager.nextAttempt || 0))
+      await assert.rejects(device.connectAsync())
+    }
+    assert.ok(connectionManager.nextAttempt - Date.now() <= 100)
+  })
+
+  it("becomes reachable again after a successful attempt", async function () {
+    createDevice()
+    motor.isAvailable = false
+    await assert.rejects(device.connectAsync())
+    let reachable = false
+    connectionManager.on("reachable", () => (reachable = true))
+
+    motor.isAvailable = true
+    await delay(50)
+    await device.updatePositionAsync()
+    assert.strictEqual(reachable, true)
+    assert.strictEqual(connectionManager.state, StaticVariables.STATE_READY)
+    assert.strictEqual(connectionManager.health.lastError, null)
+  })
+
+  it("gives up on an attempt that takes too long", async function () {
+    createDevice({ connectTimeout: 30 })
+    motor.connectDelay = 200
+    await assert.rejects(device.connectAsync(), (error) => {
+      assert.strictEqual(error.code, StaticVariables.ERROR_CODE_CONNECT_TIMEOUT)
+      return true
+    })
+    assert.strictEqual(connectionManager.state, StaticVariables.STATE_FAILED)
+  })
+
+  it("holds a connection of the Bluetooth scheduler until it disconnects", async function () {
+    const bleScheduler = new AM43BLEScheduler({ maximumConnections: 1 })
+    createDevice({ bleScheduler: bleScheduler })
+    await device.connectAsync()
+    assert.ok(bleScheduler.connections.has(device.id))
+
+    motor.disconnect()
+    assert.strictEqual(bleScheduler.connections.size, 0)
+
+    motor.isAvailable = false
+    await assert.rejects(device.connectAsync(), /out of range/)
+    assert.strictEqual(bleScheduler.connections.size, 0)
+    bleScheduler.stop()
+  })
+
+  it("rescans after several failed attempts and resets once found", async function () {
+    let rescans = 0
+    createDevice({
+      rescanAsync: async () => {
+        rescans++
+        connectionManager.handleDiscovered()
+      },
+    })
+    motor.isAvailable = false
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await waitFor(() => Date.now() >= (connectionManager.nextAttempt || 0))
+      await assert.rejects(device.connectAsync())
+    }
+    assert.strictEqual(rescans, 1)
+    assert.ok(states.includes(StaticVariables.STATE_SCANNING))
+    assert.strictEqual(
+      connectionManager.state,
+      StaticVariables.STATE_DISCONNECTED
+    )
+    assert.strictEqual(connectionManager.consecutiveFailures, 0)
+  })
+
+  it("keeps backing off when a rescan doesn't find the motor", async function () {
+    createDevice({ rescanAsync: () => delay(10) })
+    connectionManager.rescanAfterFailures = 1
+    motor.isAvailable = false
+    await assert.rejects(device.connectAsync())
+    assert.strictEqual(connectionManager.state, StaticVariables.STATE_SCANNING)
+    await assert.rejects(device.connectAsync(), /searched for again/)
+    await waitFor(() => connectionManager.state == StaticVariables.STATE_FAILED)
+  })
+
+  it("reconnects when the connection drops and it should be kept", async function () {
+    createDevice({ keepConnected: true })
+    await device.connectAsync()
+    motor.disconnect()
+    assert.strictEqual(
+      connectionManager.state,
+      StaticVariables.STATE_DISCONNECTED
+    )
+    await waitFor(() => connectionManager.isReady && device.isConnected)
+  })
+
+  it("doesn't reconnect after a requested disconnect", async function () {
+    createDevice({ keepConnected: true })
+    await device.connectAsync()
+    await device.disconnectAsync()
+    await delay(80)
+    assert.strictEqual(
+      connectionManager.state,
+      StaticVariables.STATE_DISCONNECTED
+    )
+    assert.strictEqual(motor.isConnected, false)
+  })
+})
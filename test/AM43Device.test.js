@@ -0,0 +1,448 @@
+const assert = require("assert")
+const { once } = require("events")
+const {
+  AM43SimulatedMotor,
+  AM43SimulatedTransport,
+} = require("../lib/AM43Simulator")
+const { AM43Device } = require("../lib/AM43Device")
+const AM43Protocol = require("../lib/AM43Protocol")
+const { waitFor } = require("./helpers/wait")
+
+describe("AM43Device", function () {
+  let motor
+  let device
+
+  beforeEach(function () {
+    motor = new AM43SimulatedMotor({
+      id: "020000000001",
+      address: "02-00-00-00-00-01",
+      name: "Living Room",
+      position: 50,
+      batteryPercentage: 64,
+      lightLevel: 12,
+      connectDelay: 5,
+      responseDelay: 5,
+      travelTime: 500,
+    })
+    device = new AM43Device(new AM43SimulatedTransport(motor))
+  })
+
+  afterEach(function () {
+    motor.stopMoving()
+  })
+
+  it("takes its identity from the transport", function () {
+    assert.strictEqual(device.id, "020000000001")
+    assert.strictEqual(device.address, "02-00-00-00-00-01")
+    assert.strictEqual(device.name, "Living Room")
+    assert.strictEqual(device.description, "Living Room (02-00-00-00-00-01)")
+  })
+
+  it("connects when a command is sent", async function () {
+    assert.strictEqual(device.isConnected, false)
+    const position = once(device, "position")
+    await device.updatePositionAsync()
+    assert.strictEqual(device.isConnected, true)
+    assert.deepStrictEqual(await position, [50])
+  })
+
+  it("reports battery and light sensor readings", async function () {
+    const battery = once(device, "batteryPercentage")
+    await device.updateBatteryStatusAsync()
+    assert.deepStrictEqual(await battery, [64])
+    assert.strictEqual(device.batteryPercentage, 64)
+
+    const light = once(device, "lightLevel")
+    await device.updateLightSensorAsync()
+    assert.deepStrictEqual(await light, [12])
+  })
+
+  it("reads what the motor is when it is prepared", async function () {
+    motor.deviceInformation = {
+      manufacturer: "A-OK",
+      model: "AM43-0.45/40",
+      firmwareRevision: "V2.3",
+    }
+    motor.name = "Kitchen"
+    const names = []
+    device.on("name", (name) => names.push(name))
+    await device.prepareAsync()
+    assert.deepStrictEqual(device.deviceInformation, {
+      manufacturer: "A-OK",
+      model: "AM43-0.45/40",
+      firmwareRevision: "V2.3",
+      hardwareRevision: null,
+    })
+    assert.strictEqual(device.name, "Kitchen")
+    assert.deepStrictEqual(names, ["Kitchen"])
+  })
+
+  it("tracks a move until the target position is reached", async function () {
+    await device.updatePositionAsync()
+    await waitFor(() => device.position == 50)
+    const directions = []
+    device.on("direction", (direction) => directions.push(direction))
+    await device.setPositionAsync(40, true)
+    await waitFor(() => device.targetPosition == null, 3000)
+    assert.strictEqual(device.position, 40)
+    assert.strictEqual(motor.position, 40)
+    assert.deepStrictEqual(directions, [1, 2])
+  })
+
+  it("reports an obstruction when the motor stops short of its target", async function () {
+    this.timeout(15000)
+    motor.obstructionPosition = 30
+    await device.updatePositionAsync()
+    const obstruction = once(device, "obstruction")
+    await device.setPositionAsync(0, true)
+    assert.deepStrictEqual(await obstruction, [30, 0])
+    assert.strictEqual(device.isObstructed, true)
+    assert.strictEqual(device.targetPosition, null)
+    assert.strictEqual(device.direction, 2)
+
+    // Reaching the next target clears the obstruction.
+    await device.setPositionAsync(40, true)
+    await waitFor(() => device.targetPosition == null, 3000)
+    assert.strictEqual(device.isObstructed, false)
+  })
+
+  it("doesn't see stopping right next to the target as an obstruction", async function () {
+    this.timeout(15000)
+    motor.obstructionPosition = 1
+    await device.updatePositionAsync()
+    let obstructed = false
+    device.on("obstruction", () => (obstructed = true))
+    await device.setPositionAsync(0, true)
+    await waitFor(() => device.targetPosition == null, 10000)
+    assert.strictEqual(obstructed, false)
+    assert.strictEqual(device.position, 1)
+  })
+
+  it("retries an obstructed move once", async function () {
+    this.timeout(15000)
+    motor.obstructionPosition = 30
+    device.retryObstructedMoves = true
+    await device.updatePositionAsync()
+    let obstructed = false
+    device.on("obstruction", () => (obstructed = true))
+    await device.setPositionAsync(0, true)
+
+    // The obstruction is gone by the time the move is retried.
+    await waitFor(() => motor.position == 30 && !motor.isMoving)
+    motor.obstructionPosition = null
+    await waitFor(() => device.targetPosition == null, 10000)
+    assert.strictEqual(obstructed, false)
+    assert.strictEqual(motor.position, 0)
+    assert.strictEqual(
+      motor.receivedCommands.filter((command) => command.commandID == 0x0d)
+        .length,
+      2
+    )
+  })
+
+  it("learns the travel time from a move", async function () {
+    motor.travelTime = 2500
+    await device.updatePositionAsync()
+    const travelTimes = once(device, "travelTimes")
+    await device.setPositionAsync(0, true)
+    const [learned] = await travelTimes
+    assert.strictEqual(learned.closing, null)
+    assert.ok(
+      learned.opening >= 2500 && learned.opening < 3500,
+      `learned ${learned.opening}ms`
+    )
+  })
+
+  it("estimates the position between readings once the travel time is known", async function () {
+    this.timeout(10000)
+    motor.travelTime = 5000
+    motor.position = 100
+    motor.sendsPositionNotifications = false
+    device = new AM43Device(new AM43SimulatedTransport(motor), {
+      travelTimes: { opening: 5000 },
+    })
+    await device.updatePositionAsync()
+    const estimates = []
+    device.on("estimatedPosition", (position) => estimates.push(position))
+    motor.receivedCommands = []
+
+    await device.setPositionAsync(0, true)
+    await waitFor(() => device.targetPosition == null, 8000)
+    const positionRequests = motor.receivedCommands.filter(
+      (command) => command.commandID == 0xa7
+    )
+    assert.ok(
+      positionRequests.length <= 3,
+      `${positionRequests.length} requests`
+    )
+    assert.ok(estimates.length >= 3, `${estimates.length} estimates`)
+    assert.ok(
+      estimates.every(
+        (position, index) => index == 0 || position < estimates[index - 1]
+      )
+    )
+    assert.strictEqual(device.currentPosition, 0)
+  })
+
+  it("sets the clock of the motor", async function () {
+    await device.syncClockAsync(new Date(2024, 5, 19, 7, 30, 15))
+    assert.deepStrictEqual(motor.clock, {
+      day: 3,
+      hour: 7,
+      minute: 30,
+      second: 15,
+    })
+  })
+
+  it("reads, adds, updates and deletes the timers of the motor", async function () {
+    assert.deepStrictEqual(await device.updateTimersAsync(), [])
+    let timers = await device.addTimerAsync({
+      position: 100,
+      days: [1, 2, 3, 4, 5],
+      hour: 22,
+      minute: 0,
+    })
+    timers = await device.addTimerAsync({
+      position: 0,
+      days: [0, 6],
+      hour: 9,
+      minute: 30,
+    })
+    assert.deepStrictEqual(
+      timers.map((timer) => [timer.index, timer.enabled, timer.hour]),
+      [
+        [0, true, 22],
+        [1, true, 9],
+      ]
+    )
+
+    timers = await device.updateTimerAsync(0, { enabled: false, minute: 15 })
+    assert.deepStrictEqual(timers[0], {
+      index: 0,
+      enabled: false,
+      position: 100,
+      days: [1, 2, 3, 4, 5],
+      hour: 22,
+      minute: 15,
+    })
+    timers = await device.deleteTimerAsync(0)
+    assert.deepStrictEqual(
+      timers.map((timer) => timer.index),
+      [1]
+    )
+    assert.deepStrictEqual(device.timers, timers)
+    await assert.rejects(() => device.updateTimerAsync(0, {}), RangeError)
+    await assert.rejects(() => device.deleteTimerAsync(0), { code: "NACK" })
+  })
+
+  it("only replaces the timers of the motor when they differ", async function () {
+    const timers = [
+      { position: 100, days: [1, 2, 3, 4, 5], hour: 22, minute: 0 },
+      { position: 0, days: [0, 6], hour: 9, minute: 30 },
+    ]
+    await device.addTimerAsync({ position: 50, days: [0], hour: 12, minute: 0 })
+    assert.strictEqual(await device.replaceTimersAsync(timers), true)
+    assert.deepStrictEqual(
+      motor.timers.map((timer) => [timer.position, timer.hour]),
+      [
+        [100, 22],
+        [0, 9],
+      ]
+    )
+    motor.receivedCommands = []
+    assert.strictEqual(
+      await device.replaceTimersAsync(timers.slice().reverse()),
+      false
+    )
+    assert.ok(
+      motor.receivedCommands.every((command) => command.commandID != 0x15)
+    )
+    await assert.rejects(
+      () => device.replaceTimersAsync(timers.concat(timers, timers)),
+      RangeError
+    )
+  })
+
+  it("reports a move started outside of the plugin", async function () {
+    this.timeout(10000)
+    await device.updatePositionAsync()
+    const manualMovements = []
+    const directions = []
+    device.on("manualMovement", (direction, position) =>
+      manualMovements.push([direction, position])
+    )
+    device.on("direction", (direction) => directions.push(direction))
+
+    // Like the remote of the motor
+    motor.moveTo(70)
+    await waitFor(() => manualMovements.length > 0)
+    assert.deepStrictEqual(manualMovements[0], [0, 51])
+    assert.strictEqual(device.isMovingManually, true)
+    assert.strictEqual(device.targetPosition, null)
+    await waitFor(() => device.direction == 2, 5000)
+    assert.strictEqual(device.position, 70)
+    assert.deepStrictEqual(directions, [0, 2])
+    assert.strictEqual(manualMovements.length, 1)
+    assert.strictEqual(device.isObstructed, false)
+
+    // The end of the blind ends the movement right away.
+    motor.moveTo(0)
+    await waitFor(() => device.position == 0 && device.direction == 2, 1000)
+    assert.deepStrictEqual(manualMovements[1], [1, 69])
+  })
+
+  it("doesn't report its own moves as manual movements", async function () {
+    await device.updatePositionAsync()
+    let manualMovements = 0
+    device.on("manualMovement", () => manualMovements++)
+    await device.setPositionAsync(80, true)
+    await waitFor(() => device.targetPosition == null, 3000)
+    await device.closeAsync()
+    await device.stopAsync()
+    await new Promise((r) => setTimeout(r, 200))
+    assert.strictEqual(manualMovements, 0)
+  })
+
+  it("only sends the latest of the moves waiting to be sent", async function () {
+    const moves = [
+      device.setPositionAsync(40, true),
+      device.setPositionAsync(30, true),
+      device.setPositionAsync(20, true),
+    ]
+    await Promise.all(moves)
+    assert.strictEqual(device.targetPosition, 20)
+    assert.deepStrictEqual(
+      motor.receivedCommands
+        .filter((command) => command.commandID == 0x0d)
+        .map((command) => command.data[0]),
+      [40, 20]
+    )
+    await waitFor(() => device.targetPosition == null, 3000)
+    assert.strictEqual(motor.position, 20)
+  })
+
+  it("follows overlapping moves with a single tracking loop", async function () {
+    await device.updatePositionAsync()
+    let polls = 0
+    const updatePositionAsync = device.updatePositionAsync.bind(device)
+    device.updatePositionAsync = () => {
+      polls++
+      return updatePositionAsync()
+    }
+    await device.setPositionAsync(0, true)
+    await device.setPositionAsync(10, true)
+    await device.closeAsync(true)
+    await new Promise((r) => setTimeout(r, 1100))
+    assert.strictEqual(polls, 1)
+    await device.stopAsync()
+    await waitFor(() => !device.isTracking, 2000)
+  })
+
+  it("rejects a position the motor refuses", async function () {
+    motor.rejectedCommands.push(0x0d)
+    await assert.rejects(device.setPositionAsync(40, true), { code: "NACK" })
+    assert.strictEqual(device.targetPosition, null)
+    assert.strictEqual(motor.position, 50)
+  })
+
+  it("doesn't keep moving after the motor refuses to open or close", async function () {
+    motor.rejectedCommands.push(0x0a)
+    await assert.rejects(device.openAsync(true), { code: "NACK" })
+    assert.strictEqual(device.targetPosition, null)
+    assert.strictEqual(device.direction, 2)
+    assert.strictEqual(device.positionEstimator.move, null)
+
+    await assert.rejects(device.closeAsync(true), { code: "NACK" })
+    assert.strictEqual(device.targetPosition, null)
+    assert.strictEqual(device.direction, 2)
+    assert.strictEqual(device.positionEstimator.move, null)
+    assert.strictEqual(motor.position, 50)
+  })
+
+  it("times out when the motor doesn't answer", async function () {
+    device = new AM43Device(new AM43SimulatedTransport(motor), {
+      responseTimeout: 100,
+    })
+    motor.ignoredCommands.push(0x0d)
+    await assert.rejects(device.setPositionAsync(40), { code: "TIMEOUT" })
+  })
+
+  it("reconnects and retries a command when the connection drops", async function () {
+    await device.connectAsync()
+    motor.once("command", () => motor.disconnect())
+    assert.strictEqual(await device.updatePositionAsync(), 50)
+    assert.strictEqual(device.isConnected, true)
+    assert.strictEqual(motor.receivedCommands.length, 2)
+  })
+
+  it("ignores notifications with an invalid checksum", function () {
+    const positions = []
+    device.on("position", (position) => positions.push(position))
+    const frame = AM43Protocol.encodeResponse(0xa1, [0, 30, 0, 0])
+    device.transport.emit(
+      "data",
+      Buffer.concat([frame.slice(0, -1), Buffer.from([0])])
+    )
+    device.transport.emit(
+      "data",
+      AM43Protocol.encodeResponse(0xa1, [0, 31, 0, 0])
+    )
+    assert.deepStrictEqual(positions, [31])
+  })
+
+  it("notices when the motor disconnects", async function () {
+    await device.connectAsync()
+    assert.strictEqual(device.isConnected, true)
+    motor.disconnect()
+    assert.strictEqual(device.isConnected, false)
+  })
+  describe("with a password", function () {
+    beforeEach(function () {
+      motor.password = 1234
+    })
+
+    it("verifies the password before sending commands", async function () {
+      device = new AM43Device(new AM43SimulatedTransport(motor), {
+        password: 1234,
+      })
+      assert.strictEqual(await device.updatePositionAsync(), 50)
+      assert.deepStrictEqual(
+        motor.receivedCommands.map((command) => command.commandID),
+        [0x17, 0xa7]
+      )
+
+      motor.disconnect()
+      await device.updatePositionAsync()
+      assert.strictEqual(motor.receivedCommands[2].commandID, 0x17)
+    })
+
+    it("stops sending commands when the password is rejected", async function () {
+      device = new AM43Device(new AM43SimulatedTransport(motor), {
+        password: 4321,
+        responseTimeout: 500,
+      })
+      const rejected = once(device, "passwordRejected")
+      await assert.rejects(() => device.updatePositionAsync(), {
+        code: "PASSWORD_REJECTED",
+      })
+      await rejected
+      assert.strictEqual(device.isPasswordRejected, true)
+      await waitFor(() => !motor.isConnected)
+
+      await assert.rejects(() => device.setPositionAsync(20), {
+        code: "PASSWORD_REJECTED",
+      })
+      await assert.rejects(() => device.connectAsync(), {
+        code: "PASSWORD_REJECTED",
+      })
+      assert.deepStrictEqual(
+        motor.receivedCommands.map((command) => command.commandID),
+        [0x17]
+      )
+    })
+
+    it("is refused by the motor without the password", async function () {
+      await assert.rejects(() => device.setPositionAsync(20), { code: "NACK" })
+    })
+  })
+})
@@ -0,0 +1,195 @@
+const assert = require("assert")
+const AM43Platform = require("../lib/AM43Platform")
+const { FakeAPI, createLog } = require("./helpers/homebridge")
+const { waitFor } = require("./helpers/wait")
+
+function createPlatform(groupConfig) {
+  const api = new FakeAPI()
+  const log = createLog()
+  const platform = new AM43Platform(
+    log,
+    {
+      platform: "am43-blinds",
+      mode: "simulation",
+      allowed_devices: null,
+      scanning_timeout: 0.05,
+      poll_interval: 0,
+      hap_interaction_timeout: 0,
+      simulated_devices: [
+        { position: 100, travel_time: 0.5 },
+        { position: 60, travel_time: 0.5 },
+      ],
+      groups: [
+        Object.assign(
+          {
+            name: "Bay Window",
+            members: ["02-00-00-00-00-01", "02-00-00-00-00-02"],
+          },
+          groupConfig
+        ),
+      ],
+    },
+    api
+  )
+  return { api, log, platform }
+}
+
+// Waits until both motors are found and their positions have been read.
+async function launch(api, platform) {
+  api.emit("didFinishLaunching")
+  await waitFor(
+    () =>
+      platform.accessories.length == 2 &&
+      platform.accessories.every(
+        (accessory) => accessory.am43device.positionHistory.length > 0
+      )
+  )
+  return platform.groups[0]
+}
+
+describe("AM43Group", function () {
+  let platform
+  let api
+
+  afterEach(function () {
+    if (platform.scanner) {
+      platform.scanner.motors.forEach((motor) => motor.stopMoving())
+    }
+    api.emit("shutdown")
+  })
+
+  it("registers a group accessory next to the motors", async function () {
+    ;({ api, platform } = createPlatform())
+    const group = await launch(api, platform)
+    assert.strictEqual(group.accessory.displayName, "Bay Window")
+    assert.ok(api.registeredAccessories.includes(group.accessory))
+    assert.strictEqual(api.registeredAccessories.length, 3)
+    assert.strictEqual(group.availableMembers.length, 2)
+  })
+
+  it("aggregates the positions of its members", async function () {
+    ;({ api, platform } = createPlatform())
+    const group = await launch(api, platform)
+    const characteristic = group.service.getCharacteristic(
+      api.hap.Characteristic.CurrentPosition
+    )
+    assert.strictEqual(await characteristic.getValueAsync(), 20)
+
+    group.aggregation = "min"
+    assert.strictEqual(await characteristic.getValueAsync(), 0)
+    group.aggregation = "max"
+    assert.strictEqual(await characteristic.getValueAsync(), 40)
+  })
+
+  it("moves every member to the target position", async function () {
+    ;({ api, platform } = createPlatform())
+    const group = await launch(api, platform)
+    const motors = platform.scanner.motors
+
+    await group.service
+      .getCharacteristic(api.hap.Characteristic.TargetPosition)
+      .setValueAsync(80)
+    await waitFor(
+      () => motors.every((motor) => motor.targetPosition == null),
+      3000
+    )
+    assert.strictEqual(motors[0].position, 20)
+    assert.strictEqual(motors[1].position, 20)
+    await waitFor(
+      () =>
+        group.service.getCharacteristic(api.hap.Characteristic.PositionState)
+          .value == 2
+    )
+    assert.strictEqual(
+      group.service.getCharacteristic(api.hap.Characteristic.CurrentPosition)
+        .value,
+      80
+    )
+  })
+
+  it("moves every member to a preset of the group", async function () {
+    ;({ api, platform } = createPlatform({
+      presets: [{ name: "Glare", position: 60 }],
+    }))
+    const group = await launch(api, platform)
+    const motors = platform.scanner.motors
+    const glare = group.accessory
+      .getServiceById(api.hap.Service.Switch, "preset-Glare")
+      .getCharacteristic(api.hap.Characteristic.On)
+    assert.strictEqual(glare.value, false)
+
+    await glare.setValueAsync(true)
+    await waitFor(
+      () => motors.every((motor) => motor.targetPosition == null),
+      3000
+    )
+    assert.strictEqual(motors[0].position, 40)
+    assert.strictEqual(motors[1].position, 40)
+    await waitFor(() => group.positionState == 2)
+    assert.strictEqual(glare.value, true)
+  })
+
+  it("moves the reachable members when another member fails", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform({
+      members: ["02-00-00-00-00-01", "02-00-00-00-00-02", "02-00-00-00-00-09"],
+    }))
+    const group = await launch(api, platform)
+    const motors = platform.scanner.motors
+    motors[1].rejectedCommands.push(0x0d)
+
+    await group.service
+      .getCharacteristic(api.hap.Characteristic.TargetPosition)
+      .setValueAsync(50)
+    await waitFor(() => motors[0].position == 50, 3000)
+    assert.strictEqual(motors[1].position, 60)
+    assert.ok(
+      log.messages.some(
+        (m) => m.level == "error" && m.message.includes("failed to move")
+      )
+    )
+  })
+
+  it("reports an error when no member could be moved", async function () {
+    ;({ api, platform } = createPlatform())
+    const group = await launch(api, platform)
+    platform.scanner.motors.forEach((motor) =>
+      motor.rejectedCommands.push(0x0d)
+    )
+
+    await assert.rejects(
+      group.service
+        .getCharacteristic(api.hap.Characteristic.TargetPosition)
+        .setValueAsync(50)
+    )
+  })
+
+  it("stops every member on HoldPosition", async function () {
+    ;({ api, platform } = createPlatform())
+    const group = await launch(api, platform)
+    const motors = platform.scanner.motors
+
+    await group.service
+      .getCharacteristic(api.hap.Characteristic.TargetPosition)
+      .setValueAsync(100)
+    await waitFor(() => motors.every((motor) => motor.targetPosition != null))
+    await group.service
+      .getCharacteristic(api.hap.Characteristic.HoldPosition)
+      .setValueAsync(true)
+    assert.ok(motors.every((motor) => motor.targetPosition == null))
+    assert.ok(motors.every((motor) => motor.position > 0))
+  })
+
+  it("removes cached groups that are no longer configured", function () {
+    ;({ api, platform } = createPlatform())
+    const cached = new api.platformAccessory("Old Group", "old-group-uuid")
+    cached.context.am43Group = { name: "Old Group", members: [] }
+    platform.configureAccessory(cached)
+    api.registeredAccessories.push(cached)
+
+    platform.configureGroups()
+    assert.ok(!api.registeredAccessories.includes(cached))
+    assert.strictEqual(platform.groupAccessories.length, 1)
+    assert.strictEqual(platform.accessories.length, 0)
+  })
+})
@@ -0,0 +1,240 @@
+const assert = require("assert")
+const http = require("http")
+const AM43Platform = require("../lib/AM43Platform")
+const { FakeAPI, createLog } = require("./helpers/homebridge")
+const { waitFor } = require("./helpers/wait")
+
+function request(port, method, path, options) {
+  options = options || {}
+  return new Promise((resolve, reject) => {
+    const headers = {}
+    if (options.token) {
+      headers["Authorization"] = `Bearer ${options.token}`
+    }
+    const body =
+      options.body !== undefined ? JSON.stringify(options.body) : undefined
+    const req = http.request(
+      { host: "127.0.0.1", port, method, path, headers },
+      (response) => {
+        const chunks = []
+        response.on("data", (chunk) => chunks.push(chunk))
+        response.on("end", () => {
+          resolve({
+            statusCode: response.statusCode,
+            body: JSON.parse(Buffer.concat(chunks).toString("utf8")),
+          })
+        })
+      }
+    )
+    req.on("error", reject)
+    req.end(body)
+  })
+}
+
+describe("AM43HTTPServer", function () {
+  let api
+  let platform
+  let port
+
+  async function launch(httpAPIConfig, platformConfig) {
+    api = new FakeAPI()
+    platform = new AM43Platform(
+      createLog(),
+      Object.assign(
+        {
+          platform: "am43-blinds",
+          mode: "simulation",
+          allowed_devices: null,
+          scanning_timeout: 0.05,
+          poll_interval: 0,
+          hap_interaction_timeout: 0,
+          simulated_devices: [
+            { position: 100, battery: 70, light: 10, travel_time: 0.5 },
+          ],
+          http_api: Object.assign({ port: 0 }, httpAPIConfig),
+        },
+        platformConfig
+      ),
+      api
+    )
+    api.emit("didFinishLaunching")
+    await waitFor(
+      () =>
+        api.registeredAccessories.length > 0 &&
+        platform.httpServer.server != null &&
+        platform.httpServer.server.listening
+    )
+    // Wait until the position of the motor has been read
+    await waitFor(
+      () => platform.accessories[0].am43device.positionHistory.length > 0
+    )
+    port = platform.httpServer.server.address().port
+  }
+
+  afterEach(async function () {
+    platform.scanner.motors.forEach((motor) => motor.stopMoving())
+    api.emit("shutdown")
+    await waitFor(() => platform.httpServer.server == null)
+  })
+
+  it("lists the accessories with their state", async function () {
+    await launch()
+    const response = await request(port, "GET", "/accessories")
+    assert.strictEqual(response.statusCode, 200)
+    assert.deepStrictEqual(response.body, [
+      {
+        id: "020000000001",
+        address: "02-00-00-00-00-01",
+        name: "Simulated AM43 1",
+        available: true,
+        connected: true,
+        reachable: true,
+        connectionState: "ready",
+        position: 0,
+        targetPosition: 0,
+        direction: "stopped",
+        obstructed: false,
+        batteryPercentage: 50,
+        charging: false,
+        batteryDaysLeft: null,
+        lightLevel: null,
+      },
+    ])
+
+    const single = await request(port, "GET", "/accessories/020000000001")
+    assert.strictEqual(single.body.address, "02-00-00-00-00-01")
+  })
+
+  it("moves a motor to a position", async function () {
+    await launch()
+    const motor = platform.scanner.motors[0]
+    const response = await request(
+      port,
+      "POST",
+      "/accessories/02-00-00-00-00-01/position",
+      { body: { position: 70 } }
+    )
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body.targetPosition, 70)
+    await waitFor(() => motor.position == 30, 3000)
+    assert.strictEqual(
+      platform.accessories[0].windowCoveringService.getCharacteristic(
+        api.hap.Characteristic.TargetPosition
+      ).value,
+      70
+    )
+  })
+
+  it("opens, closes and stops a motor", async function () {
+    await launch()
+    const motor = platform.scanner.motors[0]
+    let response = await request(port, "POST", "/accessories/020000000001/open")
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body.direction, "opening")
+    await waitFor(() => motor.position < 100)
+    response = await request(port, "POST", "/accessories/020000000001/stop")
+    assert.strictEqual(response.body.direction, "stopped")
+    assert.strictEqual(motor.isMoving, false)
+  })
+
+  it("opens a reversed motor in the reversed direction", async function () {
+    await launch(
+      {},
+      {
+        simulated_devices: [{ position: 0, travel_time: 0.5 }],
+        devices: [{ identifier: "02-00-00-00-00-01", reversed: true }],
+      }
+    )
+    const motor = platform.scanner.motors[0]
+    const response = await request(
+      port,
+      "POST",
+      "/accessories/020000000001/open"
+    )
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body.direction, "opening")
+    await waitFor(() => motor.position > 0)
+  })
+
+  it("performs maintenance operations", async function () {
+    await launch()
+    let response = await request(
+      port,
+      "POST",
+      "/accessories/020000000001/maintenance/setSpeed",
+      { body: { value: 40 } }
+    )
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body.speed, 40)
+
+    response = await request(
+      port,
+      "POST",
+      "/accessories/020000000001/maintenance/explode",
+      { body: {} }
+    )
+    assert.strictEqual(response.statusCode, 404)
+    assert.strictEqual(response.body.code, "UNKNOWN_OPERATION")
+  })
+
+  it("rejects invalid requests", async function () {
+    await launch()
+    const invalidPosition = await request(
+      port,
+      "POST",
+      "/accessories/020000000001/position",
+      { body: { position: 101 } }
+    )
+    assert.strictEqual(invalidPosition.statusCode, 400)
+    const unknown = await request(port, "GET", "/accessories/020000000009")
+    assert.strictEqual(unknown.statusCode, 404)
+    const wrongMethod = await request(port, "DELETE", "/accessories")
+    assert.strictEqual(wrongMethod.statusCode, 405)
+    const malformed = await request(port, "GET", "/accessories/%E0")
+    assert.strictEqual(malformed.statusCode, 400)
+  })
+
+  it("reports a motor that can't be reached", async function () {
+    await launch()
+    const motor = platform.scanner.motors[0]
+    motor.isAvailable = false
+    motor.disconnect()
+    const moved = await request(port, "POST", "/accessories/020000000001/open")
+    assert.strictEqual(moved.statusCode, 503)
+    const information = await request(
+      port,
+      "POST",
+      "/accessories/020000000001/maintenance/getDeviceInformation",
+      { body: {} }
+    )
+    assert.strictEqual(information.statusCode, 503)
+    assert.strictEqual(information.body.code, "UNREACHABLE")
+  })
+
+  it("reports a refused command", async function () {
+    await launch()
+    platform.scanner.motors[0].rejectedCommands.push(0x0d)
+    const response = await request(
+      port,
+      "POST",
+      "/accessories/020000000001/position",
+      { body: { position: 10 } }
+    )
+    assert.strictEqual(response.statusCode, 502)
+    assert.strictEqual(response.body.code, "NACK")
+  })
+
+  it("requires the configured token", async function () {
+    await launch({ token: "secret" })
+    const unauthorized = await request(port, "GET", "/accessories")
+    assert.strictEqual(unauthorized.statusCode, 401)
+    const wrongToken = await request(port, "GET", "/accessories", {
+      token: "guess",
+    })
+    assert.strictEqual(wrongToken.statusCode, 401)
+    const authorized = await request(port, "GET", "/accessories", {
+      token: "secret",
+    })
+    assert.strictEqual(authorized.statusCode, 200)
+  })
+})
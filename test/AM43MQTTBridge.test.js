@@ -0,0 +1,155 @@
+const assert = require("assert")
+const net = require("net")
+const aedes = require("aedes")
+const mqtt = require("mqtt")
+const AM43Platform = require("../lib/AM43Platform")
+const { FakeAPI, createLog } = require("./helpers/homebridge")
+const { waitFor } = require("./helpers/wait")
+
+describe("AM43MQTTBridge", function () {
+  let broker
+  let server
+  let url
+  let api
+  let platform
+  let client
+  let messages
+
+  beforeEach(async function () {
+    broker = aedes()
+    server = net.createServer(broker.handle)
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+    url = `mqtt://127.0.0.1:${server.address().port}`
+
+    api = new FakeAPI()
+    platform = new AM43Platform(
+      createLog(),
+      {
+        platform: "am43-blinds",
+        mode: "simulation",
+        allowed_devices: null,
+        scanning_timeout: 0.05,
+        poll_interval: 0,
+        hap_interaction_timeout: 0,
+        simulated_devices: [
+          { position: 100, battery: 70, light: 10, travel_time: 0.5 },
+          { position: 0, travel_time: 0.5 },
+        ],
+        devices: [{ identifier: "02-00-00-00-00-02", reversed: true }],
+        mqtt: { url: url, base_topic: "home/blinds" },
+      },
+      api
+    )
+
+    messages = {}
+    client = mqtt.connect(url)
+    client.on("message", (topic, payload) => {
+      messages[topic] = payload.toString()
+    })
+    await new Promise((resolve) => client.on("connect", resolve))
+    await new Promise((resolve) => client.subscribe("home/blinds/#", resolve))
+
+    api.emit("didFinishLaunching")
+    await waitFor(
+      () =>
+        platform.accessories.length == 2 && platform.mqttBridge.client.connected
+    )
+  })
+
+  afterEach(async function () {
+    platform.scanner.motors.forEach((motor) => motor.stopMoving())
+    api.emit("shutdown")
+    await new Promise((resolve) => client.end(false, {}, resolve))
+    await new Promise((resolve) => broker.close(resolve))
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  it("publishes the state of a motor to retained topics", async function () {
+    await waitFor(() => messages["home/blinds/020000000001/position"] == "0")
+    await platform.accessories[0].am43device.updateBatteryStatusAsync()
+    await platform.accessories[0].am43device.updateLightSensorAsync()
+    await waitFor(
+      () =>
+        messages["home/blinds/020000000001/batteryPercentage"] == "70" &&
+        messages["home/blinds/020000000001/lightLevel"] == "10"
+    )
+    assert.strictEqual(
+      messages["home/blinds/020000000001/direction"],
+      "stopped"
+    )
+    assert.strictEqual(
+      messages["home/blinds/020000000001/availability"],
+      "online"
+    )
+    assert.strictEqual(messages["home/blinds/bridge/availability"], "online")
+
+    // A client that subscribes later receives the retained state
+    const retained = {}
+    const lateClient = mqtt.connect(url)
+    lateClient.on("message", (topic, payload) => {
+      retained[topic] = payload.toString()
+    })
+    lateClient.subscribe("home/blinds/020000000001/+")
+    await waitFor(
+      () => retained["home/blinds/020000000001/batteryPercentage"] == "70"
+    )
+    await new Promise((resolve) => lateClient.end(false, {}, resolve))
+  })
+
+  it("moves a motor on position commands", async function () {
+    const motor = platform.scanner.motors[0]
+    await waitFor(() => messages["home/blinds/020000000001/position"] == "0")
+    client.publish("home/blinds/020000000001/position/set", "60")
+    await waitFor(
+      () => messages["home/blinds/020000000001/targetPosition"] == "60"
+    )
+    await waitFor(() => motor.position == 40, 3000)
+    await waitFor(() => messages["home/blinds/020000000001/position"] == "60")
+    assert.strictEqual(
+      platform.accessories[0].windowCoveringService.getCharacteristic(
+        api.hap.Characteristic.TargetPosition
+      ).value,
+      60
+    )
+  })
+
+  it("opens and stops a motor on commands", async function () {
+    const motor = platform.scanner.motors[0]
+    await waitFor(() => messages["home/blinds/020000000001/position"] == "0")
+    client.publish("home/blinds/020000000001/set", "OPEN")
+    await waitFor(
+      () => messages["home/blinds/020000000001/direction"] == "opening"
+    )
+    await waitFor(() => motor.position < 95)
+    client.publish("home/blinds/020000000001/set", "stop")
+    await waitFor(() => !motor.isMoving)
+  })
+
+  it("opens a reversed motor in the reversed direction", async function () {
+    const motor = platform.scanner.motors[1]
+    await waitFor(() => messages["home/blinds/020000000002/position"] == "0")
+    client.publish("home/blinds/020000000002/set", "OPEN")
+    await waitFor(
+      () => messages["home/blinds/020000000002/direction"] == "opening"
+    )
+    await waitFor(() => motor.position > 5)
+  })
+
+  it("publishes the availability of a motor", async function () {
+    await waitFor(
+      () => messages["home/blinds/020000000001/availability"] == "online"
+    )
+    platform.scanner.motors[0].disconnect()
+    await waitFor(
+      () => messages["home/blinds/020000000001/availability"] == "offline"
+    )
+  })
+
+  it("marks the bridge offline on shutdown", async function () {
+    await waitFor(() => messages["home/blinds/bridge/availability"] == "online")
+    await platform.mqttBridge.stopAsync()
+    await waitFor(
+      () => messages["home/blinds/bridge/availability"] == "offline"
+    )
+  })
+})
@@ -0,0 +1,179 @@
+const assert = require("assert")
+const {
+  AM43SimulatedMotor,
+  AM43SimulatedTransport,
+} = require("../lib/AM43Simulator")
+const { AM43Device } = require("../lib/AM43Device")
+const { AM43Maintenance, parseValue } = require("../lib/AM43Maintenance")
+const { createLog } = require("./helpers/homebridge")
+
+describe("AM43Maintenance", function () {
+  let motor
+  let maintenance
+
+  beforeEach(function () {
+    motor = new AM43SimulatedMotor({
+      id: "020000000001",
+      address: "02-00-00-00-00-01",
+      position: 40,
+      connectDelay: 5,
+      responseDelay: 5,
+      travelTime: 500,
+    })
+    const device = new AM43Device(new AM43SimulatedTransport(motor))
+    maintenance = new AM43Maintenance({
+      log: createLog(),
+      accessories: [{ am43device: device }, {}],
+    })
+  })
+
+  afterEach(function () {
+    motor.stopMoving()
+  })
+
+  it("finds motors by their identifier", function () {
+    assert.ok(maintenance.findDevice("02:00:00:00:00:01"))
+    assert.strictEqual(maintenance.findDevice("02-00-00-00-00-02"), null)
+  })
+
+  it("reads and changes the settings of a motor", async function () {
+    let settings = await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "getSettings"
+    )
+    assert.strictEqual(settings.speed, 100)
+    assert.strictEqual(settings.reversed, false)
+    const information = await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "getDeviceInformation"
+    )
+    assert.strictEqual(information.firmwareRevision, "1.0.0")
+
+    settings = await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "setSpeed",
+      "30"
+    )
+    assert.strictEqual(settings.speed, 30)
+    await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "setReverseDirection",
+      "true"
+    )
+    await maintenance.performAsync("02-00-00-00-00-01", "setDeviceType", 3)
+    assert.strictEqual(motor.settings.speed, 30)
+    assert.strictEqual(motor.settings.reversed, true)
+    assert.strictEqual(motor.settings.deviceType, 3)
+  })
+
+  it("sets and resets the limits of a motor", async function () {
+    let settings = await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "resetLimits"
+    )
+    assert.strictEqual(settings.upperLimitSet, false)
+    assert.strictEqual(settings.lowerLimitSet, false)
+    // A motor without limits refuses to move
+    await assert.rejects(
+      () => maintenance.findDevice("02-00-00-00-00-01").setPositionAsync(20),
+      { code: "NACK" }
+    )
+
+    await maintenance.performAsync("02-00-00-00-00-01", "setUpperLimit")
+    settings = await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "setLowerLimit"
+    )
+    assert.strictEqual(settings.upperLimitSet, true)
+    assert.strictEqual(settings.lowerLimitSet, true)
+    assert.strictEqual(motor.position, 100)
+  })
+
+  it("changes the Bluetooth name of a motor", async function () {
+    await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "setBluetoothName",
+      "Kitchen"
+    )
+    assert.strictEqual(motor.name, "Kitchen")
+    assert.strictEqual(
+      maintenance.findDevice("02-00-00-00-00-01").name,
+      "Kitchen"
+    )
+  })
+
+  it("sets the clock and manages the timers of a motor", async function () {
+    await maintenance.performAsync("02-00-00-00-00-01", "syncClock")
+    assert.notStrictEqual(motor.clock, null)
+
+    let timers = await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "addTimer",
+      '{ "position": 100, "days": [1, 2, 3, 4, 5], "hour": 22, "minute": 0 }'
+    )
+    assert.strictEqual(timers.length, 1)
+    timers = await maintenance.performAsync(
+      "02-00-00-00-00-01",
+      "updateTimer",
+      { index: 0, enabled: false }
+    )
+    assert.strictEqual(timers[0].enabled, false)
+    assert.deepStrictEqual(
+      await maintenance.performAsync("02-00-00-00-00-01", "getTimers"),
+      timers
+    )
+    await maintenance.performAsync("02-00-00-00-00-01", "deleteTimer", "0")
+    assert.deepStrictEqual(motor.timers, [])
+
+    await assert.rejects(
+      () =>
+        maintenance.performAsync("02-00-00-00-00-01", "addTimer", {
+          position: 100,
+          days: [],
+          hour: 22,
+          minute: 0,
+        }),
+      { code: "INVALID_VALUE" }
+    )
+  })
+
+  it("reports unknown motors, operations and invalid values", async function () {
+    await assert.rejects(
+      () => maintenance.performAsync("02-00-00-00-00-02", "getSettings"),
+      { code: "DEVICE_NOT_FOUND" }
+    )
+    await assert.rejects(
+      () => maintenance.performAsync("02-00-00-00-00-01", "toString"),
+      { code: "UNKNOWN_OPERATION" }
+    )
+    await assert.rejects(
+      () => maintenance.performAsync("02-00-00-00-00-01", "setSpeed", "fast"),
+      { code: "INVALID_VALUE" }
+    )
+    await assert.rejects(
+      () => maintenance.performAsync("02-00-00-00-00-01", "setSpeed", 0),
+      { code: "INVALID_VALUE" }
+    )
+  })
+
+  it("converts values to the type of the operation", function () {
+    assert.strictEqual(parseValue("setSpeed", "integer", "25"), 25)
+    assert.strictEqual(parseValue("setReverseDirection", "boolean", "0"), false)
+    assert.throws(() => parseValue("setReverseDirection", "boolean", "yes"), {
+      code: "INVALID_VALUE",
+    })
+    assert.deepStrictEqual(parseValue("addTimer", "object", '{"hour":7}'), {
+      hour: 7,
+    })
+    assert.throws(() => parseValue("addTimer", "object", "{hour"), {
+      code: "INVALID_VALUE",
+    })
+    assert.throws(() => parseValue("addTimer", "object", "[]"), {
+      code: "INVALID_VALUE",
+    })
+    assert.strictEqual(
+      parseValue("getSettings", undefined, "ignored"),
+      undefined
+    )
+  })
+})
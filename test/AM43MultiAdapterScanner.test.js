@@ -0,0 +1,131 @@
+const assert = require("assert")
+const {
+  AM43SimulatedMotor,
+  AM43SimulatedScanner,
+} = require("../lib/AM43Simulator")
+const { AM43MultiAdapterScanner } = require("../lib/AM43MultiAdapterScanner")
+const { AM43Device } = require("../lib/AM43Device")
+const { waitFor } = require("./helpers/wait")
+
+function createMotor(index, adapterRSSI) {
+  return new AM43SimulatedMotor({
+    id: "02000000000" + index,
+    address: "02-00-00-00-00-0" + index,
+    position: 50,
+    connectDelay: 5,
+    responseDelay: 5,
+    adapterRSSI: adapterRSSI,
+  })
+}
+
+// Scans with two simulated adapters and resolves with the combined transports that were discovered.
+async function scan(scanner) {
+  const discovered = []
+  scanner.on("discover", (transport, adapter) =>
+    discovered.push({ transport, adapter })
+  )
+  scanner.startScanning()
+  await new Promise((r) => setImmediate(r))
+  const stopped = new Promise((r) => scanner.once("scanStop", r))
+  scanner.stopScanning()
+  await stopped
+  return discovered
+}
+
+describe("AM43MultiAdapterScanner", function () {
+  let motors
+  let scanner
+
+  beforeEach(function () {
+    motors = [
+      createMotor(1, { 0: -85, 1: -55 }),
+      createMotor(2, { 0: -60 }), // Out of range of adapter 1
+    ]
+    scanner = new AM43MultiAdapterScanner(
+      new Map([
+        [0, new AM43SimulatedScanner(motors, { adapter: 0 })],
+        [1, new AM43SimulatedScanner(motors, { adapter: 1 })],
+      ])
+    )
+  })
+
+  afterEach(function () {
+    motors.forEach((motor) => motor.disconnect())
+  })
+
+  it("records the RSSI of every adapter for a motor", async function () {
+    const discovered = await scan(scanner)
+    assert.deepStrictEqual(
+      discovered.map(({ transport, adapter }) => [transport.address, adapter]),
+      [
+        ["02-00-00-00-00-01", 0],
+        ["02-00-00-00-00-02", 0],
+        ["02-00-00-00-00-01", 1],
+      ]
+    )
+    assert.strictEqual(discovered[0].transport, discovered[2].transport)
+
+    const transport = discovered[0].transport
+    assert.strictEqual(transport.readings.get(0).rssi, -85)
+    assert.strictEqual(transport.readings.get(1).rssi, -55)
+    assert.strictEqual(transport.rssi, -55)
+    assert.deepStrictEqual(
+      Array.from(discovered[1].transport.readings.keys()),
+      [0]
+    )
+  })
+
+  it("connects through the adapter with the strongest signal", async function () {
+    const discovered = await scan(scanner)
+    const transport = discovered[0].transport
+    const device = new AM43Device(transport)
+    assert.strictEqual(await device.updatePositionAsync(), 50)
+    assert.strictEqual(transport.activeAdapter, 1)
+    assert.strictEqual(device.isConnected, true)
+
+    motors[0].disconnect()
+    assert.strictEqual(device.isConnected, false)
+  })
+
+  it("reads the device information through the active adapter", async function () {
+    const discovered = await scan(scanner)
+    const device = new AM43Device(discovered[0].transport)
+    await device.prepareAsync()
+    assert.deepStrictEqual(device.deviceInformation, {
+      manufacturer: "Simulated",
+      model: "AM43",
+      firmwareRevision: "1.0.0",
+      hardwareRevision: "1.0",
+    })
+  })
+
+  it("connects through the pinned adapter", async function () {
+    const discovered = await scan(scanner)
+    const transport = discovered[0].transport
+    transport.pinnedAdapter = 0
+    const device = new AM43Device(transport)
+    await device.updatePositionAsync()
+    assert.strictEqual(transport.activeAdapter, 0)
+  })
+
+  it("fails when the pinned adapter hasn't seen the motor", async function () {
+    const discovered = await scan(scanner)
+    const transport = discovered[1].transport
+    transport.pinnedAdapter = 1
+    await assert.rejects(transport.connectAsync(), /pinned adapter 1/)
+  })
+
+  it("switches adapters when the signal changes", async function () {
+    const discovered = await scan(scanner)
+    const transport = discovered[0].transport
+    await transport.connectAsync()
+    assert.strictEqual(transport.activeAdapter, 1)
+    await transport.disconnectAsync()
+
+    motors[0].adapterRSSI = { 0: -50, 1: -90 }
+    await scan(scanner)
+    await transport.connectAsync()
+    assert.strictEqual(transport.activeAdapter, 0)
+    await waitFor(() => motors[0].isConnected)
+  })
+})
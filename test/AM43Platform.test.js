@@ -0,0 +1,786 @@
+const assert = require("assert")
+const AM43Platform = require("../lib/AM43Platform")
+const { AM43Device } = require("../lib/AM43Device")
+const { AM43SimulatedTransport } = require("../lib/AM43Simulator")
+const { FakeAPI, createLog } = require("./helpers/homebridge")
+const { waitFor } = require("./helpers/wait")
+
+function createPlatform(config) {
+  const api = new FakeAPI()
+  const log = createLog()
+  const platform = new AM43Platform(
+    log,
+    Object.assign(
+      {
+        platform: "am43-blinds",
+        mode: "simulation",
+        allowed_devices: null,
+        scanning_timeout: 0.05,
+        poll_interval: 0,
+        hap_interaction_timeout: 0,
+        simulated_devices: [{ position: 100, travel_time: 0.5 }],
+      },
+      config
+    ),
+    api
+  )
+  return { api, log, platform }
+}
+
+async function launch(api) {
+  api.emit("didFinishLaunching")
+  await waitFor(() => api.registeredAccessories.length > 0)
+  return api.registeredAccessories[0]
+}
+
+describe("AM43Platform", function () {
+  let platform
+  let api
+
+  afterEach(function () {
+    // The motors of a multi-adapter scanner are never moved.
+    if (platform.scanner && platform.scanner.motors) {
+      platform.scanner.motors.forEach((motor) => motor.stopMoving())
+    }
+    api.emit("shutdown")
+  })
+
+  it("registers simulated motors in simulation mode", async function () {
+    ;({ api, platform } = createPlatform())
+    const accessory = await launch(api)
+    assert.strictEqual(accessory.displayName, "Simulated AM43 1")
+    assert.strictEqual(accessory.context.am43.address, "02-00-00-00-00-01")
+  })
+
+  it("ignores simulated motors that are not allowed", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform({
+      allowed_devices: ["02-00-00-00-00-02"],
+    }))
+    api.emit("didFinishLaunching")
+    await waitFor(() =>
+      log.messages.some((m) => m.message.includes("'02-00-00-00-00-01'"))
+    )
+    assert.strictEqual(api.registeredAccessories.length, 0)
+  })
+
+  it("shows the information the motor reports in HomeKit", async function () {
+    ;({ api, platform } = createPlatform())
+    const accessory = await launch(api)
+    const Characteristic = api.hap.Characteristic
+    const service = accessory.getService(api.hap.Service.AccessoryInformation)
+    Object.assign(platform.scanner.motors[0].deviceInformation, {
+      manufacturer: "A-OK",
+      firmwareRevision: "2.3",
+    })
+    platform.scanner.motors[0].settings.deviceType = 3
+
+    await accessory.am43device.prepareAsync()
+    await accessory.am43device.updateDeviceInformationAsync()
+    assert.strictEqual(
+      service.getCharacteristic(Characteristic.Manufacturer).value,
+      "A-OK"
+    )
+    assert.strictEqual(
+      service.getCharacteristic(Characteristic.Model).value,
+      "AM43 (type 3)"
+    )
+    assert.strictEqual(
+      service.getCharacteristic(Characteristic.Name).value,
+      "Simulated AM43 1"
+    )
+    assert.strictEqual(
+      service.getCharacteristic(Characteristic.FirmwareRevision).value,
+      "2.3"
+    )
+    assert.strictEqual(
+      service.getCharacteristic(Characteristic.HardwareRevision).value,
+      "1.0"
+    )
+    assert.strictEqual(
+      service.getCharacteristic(Characteristic.SoftwareRevision).value,
+      platform.packageJSON.version
+    )
+    assert.strictEqual(
+      accessory.context.am43.deviceInformation.firmwareRevision,
+      "2.3"
+    )
+  })
+
+  it("moves a simulated motor through the WindowCovering service", async function () {
+    ;({ api, platform } = createPlatform())
+    const accessory = await launch(api)
+    const service = accessory.windowCoveringService
+    const motor = platform.scanner.motors[0]
+
+    await service
+      .getCharacteristic(api.hap.Characteristic.TargetPosition)
+      .setValueAsync(80)
+    await waitFor(() => accessory.am43device.targetPosition == null, 3000)
+    assert.strictEqual(motor.position, 20)
+    assert.strictEqual(
+      service.getCharacteristic(api.hap.Characteristic.CurrentPosition).value,
+      80
+    )
+    assert.strictEqual(
+      service.getCharacteristic(api.hap.Characteristic.PositionState).value,
+      2
+    )
+  })
+  it("sends only the last of the target positions set while dragging a slider", async function () {
+    ;({ api, platform } = createPlatform())
+    const accessory = await launch(api)
+    const characteristic = accessory.windowCoveringService.getCharacteristic(
+      api.hap.Characteristic.TargetPosition
+    )
+    const motor = platform.scanner.motors[0]
+
+    await Promise.all(
+      [10, 20, 30, 40].map((position) => characteristic.setValueAsync(position))
+    )
+    assert.deepStrictEqual(
+      motor.receivedCommands
+        .filter((command) => command.commandID == 0x0d)
+        .map((command) => command.data[0]),
+      [60]
+    )
+    assert.strictEqual(characteristic.value, 40)
+
+    // Stopping replaces a target position that hasn't been sent yet.
+    const superseded = accessory.setTargetPositionAsync(90)
+    await accessory.stopAsync()
+    await superseded
+    await new Promise((r) => setTimeout(r, 400))
+    assert.strictEqual(
+      motor.receivedCommands.filter((command) => command.commandID == 0x0d)
+        .length,
+      1
+    )
+  })
+
+  it("polls the motors through the Bluetooth scheduler until shutdown", async function () {
+    ;({ api, platform } = createPlatform({
+      poll_interval: 300,
+      maximum_connections: 1,
+    }))
+    const accessory = await launch(api)
+    assert.strictEqual(platform.bleScheduler.maximumConnections, 1)
+    await waitFor(() => platform.bleScheduler.polls.has(accessory.UUID))
+
+    api.emit("shutdown")
+    assert.strictEqual(platform.bleScheduler.polls.size, 0)
+  })
+
+  it("keeps at most the maximum number of motors connected", async function () {
+    this.timeout(10000)
+    ;({ api, platform } = createPlatform({
+      maximum_connections: 2,
+      simulated_devices: [
+        { position: 0, travel_time: 1 },
+        { position: 0, travel_time: 1 },
+        { position: 0, travel_time: 1 },
+      ],
+    }))
+    api.emit("didFinishLaunching")
+    await waitFor(
+      () =>
+        platform.accessories.length == 3 &&
+        platform.accessories.every(
+          (accessory) => accessory.am43device.deviceInformation != null
+        ),
+      3000
+    )
+    const motors = platform.scanner.motors
+    const connectedMotors = () =>
+      motors.filter((motor) => motor.isConnected).length
+    let mostConnectedMotors = connectedMotors()
+    platform.accessories.forEach((accessory) =>
+      accessory.am43device.on("connect", () => {
+        mostConnectedMotors = Math.max(mostConnectedMotors, connectedMotors())
+      })
+    )
+
+    // Two motors keep their connections while they move, the third waits for one of them.
+    const [first, second, third] = platform.accessories
+    await first.closeAsync()
+    await second.closeAsync()
+    const reading = third.am43device.updatePositionAsync()
+    await new Promise((r) => setTimeout(r, 300))
+    assert.strictEqual(third.am43device.isConnected, false)
+    assert.strictEqual(connectedMotors(), 2)
+
+    assert.strictEqual(await reading, 0)
+    assert.strictEqual(third.am43device.isConnected, true)
+    assert.ok(!first.am43device.isConnected || !second.am43device.isConnected)
+    assert.ok(mostConnectedMotors <= 2, `${mostConnectedMotors} connected`)
+  })
+
+  it("logs a motor that fails to disconnect on shutdown", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform())
+    const accessory = await launch(api)
+    await waitFor(() => accessory.am43device.positionHistory.length > 0)
+    accessory.am43device.disconnectAsync = async () => {
+      throw new Error("adapter gone")
+    }
+
+    api.emit("shutdown")
+    await waitFor(() =>
+      log.messages.some(
+        (m) => m.level == "debug" && m.message.includes("adapter gone")
+      )
+    )
+  })
+
+  it("reports an obstructed blind to HomeKit", async function () {
+    this.timeout(15000)
+    let log
+    ;({ api, platform, log } = createPlatform({
+      simulated_devices: [{ position: 100, travel_time: 0.5, obstruction: 60 }],
+    }))
+    const accessory = await launch(api)
+    const obstructionDetected = accessory.windowCoveringService.getCharacteristic(
+      api.hap.Characteristic.ObstructionDetected
+    )
+    assert.strictEqual(await obstructionDetected.getValueAsync(), false)
+    await accessory.am43device.updatePositionAsync()
+
+    await accessory.windowCoveringService
+      .getCharacteristic(api.hap.Characteristic.TargetPosition)
+      .setValueAsync(100)
+    await waitFor(() => obstructionDetected.value === true, 10000)
+    assert.ok(
+      log.messages.some(
+        (m) => m.level == "warn" && m.message.includes("stopped at 40%")
+      )
+    )
+  })
+
+  it("adds switches that open, stop and step a blind", async function () {
+    this.timeout(10000)
+    ;({ api, platform } = createPlatform({
+      switches: ["open", "stop", "step_down"],
+      devices: [{ identifier: "02-00-00-00-00-01", step_size: 25 }],
+    }))
+    const accessory = await launch(api)
+    const motor = platform.scanner.motors[0]
+    assert.deepStrictEqual(Object.keys(accessory.switchServices), [
+      "open",
+      "stop",
+      "step_down",
+    ])
+    assert.strictEqual(
+      accessory.switchServices.open.displayName,
+      "Simulated AM43 1 Open"
+    )
+
+    const open = accessory.switchServices.open.getCharacteristic(
+      api.hap.Characteristic.On
+    )
+    await accessory.am43device.updatePositionAsync()
+    await open.setValueAsync(true)
+    assert.strictEqual(
+      motor.receivedCommands.some(
+        (command) => command.commandID == 0x0a && command.data[0] == 0xdd
+      ),
+      true
+    )
+    await waitFor(() => accessory.am43device.targetPosition == null, 3000)
+    assert.strictEqual(motor.position, 0)
+    await waitFor(() => open.value === false)
+
+    await accessory.switchServices.step_down
+      .getCharacteristic(api.hap.Characteristic.On)
+      .setValueAsync(true)
+    await waitFor(() => accessory.am43device.targetPosition == null, 3000)
+    assert.strictEqual(motor.position, 25)
+  })
+
+  it("moves a blind to a preset and reports when it is there", async function () {
+    ;({ api, platform } = createPlatform({
+      preset_tolerance: 3,
+      devices: [
+        {
+          identifier: "02-00-00-00-00-01",
+          presets: [{ name: "Privacy", position: 30 }],
+        },
+      ],
+    }))
+    const accessory = await launch(api)
+    const motor = platform.scanner.motors[0]
+    const privacy = accessory
+      .getServiceById(api.hap.Service.Switch, "preset-Privacy")
+      .getCharacteristic(api.hap.Characteristic.On)
+    await accessory.am43device.updatePositionAsync()
+    assert.strictEqual(privacy.value, false)
+
+    await privacy.setValueAsync(true)
+    await waitFor(() => accessory.am43device.targetPosition == null, 3000)
+    assert.strictEqual(motor.position, 70)
+    assert.strictEqual(privacy.value, true)
+
+    motor.position = 72
+    await accessory.am43device.updatePositionAsync()
+    assert.strictEqual(privacy.value, true)
+    motor.position = 80
+    await accessory.am43device.updatePositionAsync()
+    assert.strictEqual(privacy.value, false)
+  })
+
+  it("reports a refused target position as an error", async function () {
+    ;({ api, platform } = createPlatform())
+    const accessory = await launch(api)
+    const motor = platform.scanner.motors[0]
+    motor.rejectedCommands.push(0x0d)
+
+    await assert.rejects(
+      accessory.windowCoveringService
+        .getCharacteristic(api.hap.Characteristic.TargetPosition)
+        .setValueAsync(80),
+      { code: "NACK" }
+    )
+    assert.strictEqual(motor.position, 100)
+  })
+  it("adds a light sensor that reports the light level in lux", async function () {
+    ;({ api, platform } = createPlatform({
+      light_sensor: true,
+      light_sensor_minimum_lux: 0,
+      light_sensor_maximum_lux: 1000,
+      simulated_devices: [{ light: 40 }],
+    }))
+    const accessory = await launch(api)
+    const characteristic = accessory
+      .getService(api.hap.Service.LightSensor)
+      .getCharacteristic(api.hap.Characteristic.CurrentAmbientLightLevel)
+
+    await accessory.am43device.updateLightSensorAsync()
+    assert.strictEqual(characteristic.value, 400)
+
+    platform.scanner.motors[0].lightLevel = 0
+    await accessory.updateInformation()
+    // HomeKit doesn't accept 0 lux
+    assert.strictEqual(characteristic.value, 0.0001)
+  })
+
+  it("doesn't add a light sensor unless configured", async function () {
+    ;({ api, platform } = createPlatform())
+    const accessory = await launch(api)
+    assert.strictEqual(
+      accessory.getService(api.hap.Service.LightSensor),
+      undefined
+    )
+  })
+  it("closes a blind for the sun when its light sensor sees bright light", async function () {
+    ;({ api, platform } = createPlatform({
+      devices: [
+        {
+          identifier: "02-00-00-00-00-01",
+          sun_protection: { position: 20, delay: 0, minimum_interval: 0 },
+        },
+      ],
+      simulated_devices: [{ position: 0, light: 90, travel_time: 0.5 }],
+    }))
+    const accessory = await launch(api)
+    const service = accessory.getServiceById(
+      api.hap.Service.Switch,
+      "sun-protection"
+    )
+    assert.strictEqual(
+      service.displayName,
+      `${accessory.displayName} Sun Protection`
+    )
+
+    await accessory.am43device.updatePositionAsync()
+    await accessory.updateInformation()
+    await waitFor(() => accessory.am43device.position == 80, 3000)
+    assert.strictEqual(accessory.sunProtection.isProtecting, true)
+    assert.strictEqual(
+      accessory.windowCoveringService.getCharacteristic(
+        api.hap.Characteristic.TargetPosition
+      ).value,
+      20
+    )
+
+    // A position chosen in HomeKit overrides the sun protection.
+    await accessory.setTargetPositionAsync(60)
+    assert.strictEqual(accessory.sunProtection.isProtecting, false)
+    await waitFor(() => accessory.am43device.position == 40, 3000)
+    // The sun still shines, the blind stays where it was put.
+    await accessory.updateInformation()
+    await new Promise((r) => setTimeout(r, 500))
+    assert.strictEqual(accessory.am43device.position, 40)
+    assert.strictEqual(accessory.sunProtection.isProtecting, false)
+  })
+
+  it("never connects to motors that are not allowed", async function () {
+    ;({ api, platform } = createPlatform({
+      allowed_devices: ["02-00-00-00-00-01"],
+      simulated_devices: [{ position: 100 }, { position: 100 }],
+    }))
+    const accessory = await launch(api)
+    await waitFor(() => accessory.am43device.deviceInformation != null, 3000)
+    await new Promise((r) => setTimeout(r, 300))
+    assert.strictEqual(api.registeredAccessories.length, 1)
+    const ignoredMotor = platform.scanner.motors[1]
+    assert.strictEqual(ignoredMotor.isConnected, false)
+    assert.deepStrictEqual(ignoredMotor.receivedCommands, [])
+  })
+
+  it("ignores the events of a motor that was replaced by a rescan", async function () {
+    ;({ api, platform } = createPlatform())
+    const accessory = await launch(api)
+    const staleDevice = accessory.am43device
+    await staleDevice.updatePositionAsync()
+    const service = accessory.windowCoveringService
+    const Characteristic = api.hap.Characteristic
+    const values = () => [
+      service.getCharacteristic(Characteristic.CurrentPosition).value,
+      service.getCharacteristic(Characteristic.TargetPosition).value,
+      service.getCharacteristic(Characteristic.PositionState).value,
+      accessory.batteryService.getCharacteristic(Characteristic.BatteryLevel)
+        .value,
+    ]
+    const before = values()
+
+    platform.configureDeviceOnAccessory(
+      accessory,
+      new AM43Device(new AM43SimulatedTransport(platform.scanner.motors[0]))
+    )
+    staleDevice.emit("position", 30)
+    staleDevice.emit("targetPosition", 30)
+    staleDevice.emit("direction", 1)
+    staleDevice.emit("batteryPercentage", 3)
+    assert.deepStrictEqual(values(), before)
+  })
+
+  it("allows motors that are listed in the devices configuration", async function () {
+    ;({ api, platform } = createPlatform({
+      allowed_devices: [],
+      devices: [{ identifier: "02:00:00:00:00:01", name: "Bedroom Blinds" }],
+    }))
+    const accessory = await launch(api)
+    assert.strictEqual(accessory.displayName, "Bedroom Blinds")
+  })
+
+  it("logs devices without an identifier", function () {
+    let log
+    ;({ api, platform, log } = createPlatform({
+      devices: [{ name: "Bedroom Blinds" }],
+    }))
+    assert.ok(
+      log.messages.some(
+        (m) => m.level == "error" && m.message.includes("'identifier'")
+      )
+    )
+  })
+
+  it("doesn't invert the position of a reversed motor", async function () {
+    ;({ api, platform } = createPlatform({
+      devices: [{ identifier: "02-00-00-00-00-01", reversed: true }],
+      simulated_devices: [{ position: 0, travel_time: 0.5 }],
+    }))
+    const accessory = await launch(api)
+    const service = accessory.windowCoveringService
+    const motor = platform.scanner.motors[0]
+
+    await service
+      .getCharacteristic(api.hap.Characteristic.TargetPosition)
+      .setValueAsync(20)
+    await waitFor(() => accessory.am43device.targetPosition == null, 3000)
+    assert.strictEqual(motor.position, 20)
+    assert.strictEqual(
+      service.getCharacteristic(api.hap.Characteristic.CurrentPosition).value,
+      20
+    )
+    assert.strictEqual(accessory.toHomeKitPositionState(0), 1)
+    assert.strictEqual(accessory.toHomeKitPositionState(2), 2)
+  })
+
+  it("uses the low battery threshold of a device", async function () {
+    ;({ api, platform } = createPlatform({
+      low_battery_threshold: 5,
+      devices: [{ identifier: "02-00-00-00-00-01", low_battery_threshold: 30 }],
+      simulated_devices: [{ battery: 25 }],
+    }))
+    const accessory = await launch(api)
+    await accessory.am43device.updateBatteryStatusAsync()
+    assert.strictEqual(
+      accessory.batteryService.getCharacteristic(
+        api.hap.Characteristic.StatusLowBattery
+      ).value,
+      true
+    )
+  })
+
+  it("ignores invalid settings of a device", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform({
+      low_battery_threshold: 30,
+      devices: [
+        {
+          identifier: "02-00-00-00-00-01",
+          reversed: "yes",
+          low_battery_threshold: 120,
+          poll_interval: "often",
+          presets: [{ name: "Privacy", position: 130 }],
+          sun_protection: { position: "closed" },
+        },
+      ],
+    }))
+    const accessory = await launch(api)
+    assert.deepStrictEqual(
+      {
+        reversed: accessory.deviceConfig.reversed,
+        lowBatteryThreshold: accessory.deviceConfig.lowBatteryThreshold,
+        pollInterval: accessory.deviceConfig.pollInterval,
+        presets: accessory.deviceConfig.presets,
+        sunProtection: accessory.deviceConfig.sunProtection,
+      },
+      {
+        reversed: false,
+        lowBatteryThreshold: 30,
+        pollInterval: 0,
+        presets: [],
+        sunProtection: null,
+      }
+    )
+    assert.strictEqual(
+      accessory.getServiceById(api.hap.Service.Switch, "preset-Privacy"),
+      undefined
+    )
+    assert.strictEqual(
+      accessory.getServiceById(api.hap.Service.Switch, "sun-protection"),
+      undefined
+    )
+    assert.strictEqual(
+      log.messages.filter(
+        (m) =>
+          m.level == "error" &&
+          m.message.startsWith("Invalid device configuration")
+      ).length,
+      5
+    )
+  })
+
+  it("reports a rising battery percentage as charging and keeps the history", async function () {
+    ;({ api, platform } = createPlatform({
+      simulated_devices: [{ battery: 40 }],
+    }))
+    const accessory = await launch(api)
+    const motor = platform.scanner.motors[0]
+    const chargingState = accessory.batteryService.getCharacteristic(
+      api.hap.Characteristic.ChargingState
+    )
+    await accessory.am43device.updateBatteryStatusAsync()
+    assert.strictEqual(await chargingState.getValueAsync(), 0)
+
+    motor.batteryPercentage = 45
+    await accessory.am43device.updateBatteryStatusAsync()
+    assert.strictEqual(chargingState.value, 1)
+    assert.deepStrictEqual(
+      accessory.context.am43.batteryHistory.map(
+        (reading) => reading.percentage
+      ),
+      [40, 45]
+    )
+  })
+
+  it("saves power while the battery is low when battery saving is enabled", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform({
+      battery_saving: true,
+      simulated_devices: [{ battery: 5 }],
+    }))
+    const accessory = await launch(api)
+    assert.strictEqual(accessory.hapInteractionTimeout, 0)
+    await accessory.am43device.updateBatteryStatusAsync()
+    assert.strictEqual(accessory.isSavingBattery, true)
+    assert.strictEqual(accessory.hapInteractionTimeout, 30)
+    assert.strictEqual(
+      accessory.am43device.connectionManager.keepConnected,
+      false
+    )
+    assert.ok(log.messages.some((m) => m.message.includes("battery of")))
+
+    platform.scanner.motors[0].batteryPercentage = 60
+    await accessory.am43device.updateBatteryStatusAsync()
+    assert.strictEqual(accessory.isSavingBattery, false)
+    assert.strictEqual(accessory.hapInteractionTimeout, 0)
+  })
+
+  it("removes the battery service when it is disabled for a device", async function () {
+    ;({ api, platform } = createPlatform({
+      devices: [{ identifier: "02-00-00-00-00-01", battery_service: false }],
+    }))
+    const accessory = await launch(api)
+    assert.strictEqual(
+      accessory.getService(api.hap.Service.BatteryService),
+      undefined
+    )
+    await accessory.am43device.updateBatteryStatusAsync()
+  })
+  it("sets the clock and stores the configured timers on a motor", async function () {
+    ;({ api, platform } = createPlatform({
+      devices: [
+        {
+          identifier: "02-00-00-00-00-01",
+          motor_timers: [
+            { time: "07:30", days: [1, 2, 3, 4, 5], position: 100 },
+            { time: "22:15", position: 20 },
+          ],
+        },
+      ],
+    }))
+    const accessory = await launch(api)
+    const motor = platform.scanner.motors[0]
+    await waitFor(() => motor.timers.length == 2, 3000)
+    assert.notStrictEqual(motor.clock, null)
+    assert.ok(accessory.context.am43.lastClockSync <= Date.now())
+    // The positions are converted to the motor, where 100 is closed.
+    assert.deepStrictEqual(motor.timers, [
+      {
+        index: 0,
+        enabled: true,
+        position: 0,
+        days: [1, 2, 3, 4, 5],
+        hour: 7,
+        minute: 30,
+      },
+      {
+        index: 1,
+        enabled: true,
+        position: 80,
+        days: [0, 1, 2, 3, 4, 5, 6],
+        hour: 22,
+        minute: 15,
+      },
+    ])
+  })
+
+  it("doesn't store timers with an invalid time on a motor", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform({
+      devices: [
+        {
+          identifier: "02-00-00-00-00-01",
+          motor_timers: [
+            { time: "07:30", position: 100 },
+            { time: "7.30", position: 20 },
+          ],
+        },
+      ],
+    }))
+    const accessory = await launch(api)
+    const motor = platform.scanner.motors[0]
+    await waitFor(() => accessory.am43device.deviceInformation != null, 3000)
+    await new Promise((r) => setTimeout(r, 300))
+    assert.strictEqual(accessory.deviceConfig.motorTimers, null)
+    assert.deepStrictEqual(motor.timers, [])
+    assert.ok(
+      log.messages.some(
+        (m) => m.level == "error" && m.message.includes("Timer 2")
+      )
+    )
+  })
+
+  it("shows a move started outside of HomeKit and leaves the blind alone for a while", async function () {
+    this.timeout(8000)
+    let log
+    ;({ api, platform, log } = createPlatform({ manual_override_duration: 10 }))
+    const accessory = await launch(api)
+    const service = accessory.windowCoveringService
+    const Characteristic = api.hap.Characteristic
+    const motor = platform.scanner.motors[0]
+    await accessory.am43device.updatePositionAsync()
+
+    motor.moveTo(40)
+    await waitFor(
+      () =>
+        service.getCharacteristic(Characteristic.PositionState).value == 1 &&
+        service.getCharacteristic(Characteristic.TargetPosition).value == 100
+    )
+    assert.ok(log.messages.some((m) => m.message.includes("is opening")))
+    await waitFor(
+      () => service.getCharacteristic(Characteristic.PositionState).value == 2,
+      5000
+    )
+    assert.strictEqual(
+      service.getCharacteristic(Characteristic.TargetPosition).value,
+      60
+    )
+    assert.strictEqual(accessory.isAutomationSuspended(), true)
+
+    await accessory.moveAutomaticallyAsync(0, "a test")
+    assert.ok(log.messages.some((m) => m.message.includes("for a test")))
+    assert.strictEqual(accessory.am43device.targetPosition, null)
+  })
+
+  it("logs an error when a motor rejects the password", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform({
+      devices: [{ identifier: "02-00-00-00-00-01", password: "1111" }],
+      simulated_devices: [{ password: "2222" }],
+    }))
+    api.emit("didFinishLaunching")
+    await waitFor(() =>
+      log.messages.some(
+        (m) =>
+          m.level == "error" &&
+          m.message.includes("rejected the configured password")
+      )
+    )
+  })
+
+  it("reports an error to HomeKit while a motor can't be reached", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform())
+    const accessory = await launch(api)
+    await waitFor(() => accessory.am43device.positionHistory.length > 0)
+    const motor = platform.scanner.motors[0]
+    motor.isAvailable = false
+    motor.disconnect()
+
+    const characteristic = accessory.windowCoveringService.getCharacteristic(
+      api.hap.Characteristic.CurrentPosition
+    )
+    await characteristic.getValueAsync()
+    await waitFor(() => !accessory.am43device.connectionManager.isReachable)
+    await assert.rejects(characteristic.getValueAsync(), /can't be reached/)
+    assert.strictEqual(accessory.reachable, false)
+    assert.ok(
+      log.messages.some(
+        (m) => m.level == "warn" && m.message.includes("Can't connect")
+      )
+    )
+
+    // A scan that finds the motor again makes it reachable without waiting for the backoff.
+    motor.isAvailable = true
+    platform.startScanningForDevices(0.05)
+    await waitFor(() => accessory.am43device.connectionManager.isReachable)
+    assert.strictEqual(accessory.reachable, true)
+    assert.strictEqual(await characteristic.getValueAsync(), 0)
+  })
+
+  it("connects a motor through the best or the pinned adapter", async function () {
+    ;({ api, platform } = createPlatform({
+      bluetooth_adapters: [0, 1],
+      simulated_devices: [
+        { position: 100, adapter_rssi: { 0: -80, 1: -50 } },
+        { position: 100, adapter_rssi: { 0: -80, 1: -50 } },
+      ],
+      devices: [{ identifier: "02-00-00-00-00-02", adapter: 0 }],
+    }))
+    api.emit("didFinishLaunching")
+    await waitFor(
+      () =>
+        platform.accessories.length == 2 &&
+        platform.accessories.every(
+          (accessory) => accessory.am43device.isConnected
+        )
+    )
+    const adapters = platform.accessories.map(
+      (accessory) => accessory.am43device.transport.activeAdapter
+    )
+    assert.deepStrictEqual(adapters, [1, 0])
+  })
+})
@@ -0,0 +1,77 @@
+const assert = require("assert")
+const { AM43PositionEstimator } = require("../lib/AM43PositionEstimator")
+
+describe("AM43PositionEstimator", function () {
+  it("doesn't estimate without a travel time", function () {
+    const estimator = new AM43PositionEstimator()
+    estimator.start(0, 100, 0)
+    assert.strictEqual(estimator.estimate(1000), null)
+  })
+
+  it("interpolates between readings with the travel time of the direction", function () {
+    const estimator = new AM43PositionEstimator({
+      closing: 10000,
+      opening: 20000,
+    })
+    estimator.start(20, 80, 0)
+    assert.strictEqual(estimator.estimate(0), 20)
+    assert.strictEqual(estimator.estimate(3000), 50)
+    assert.strictEqual(estimator.estimate(60000), 80)
+
+    estimator.start(80, 20, 0)
+    assert.strictEqual(estimator.estimate(4000), 60)
+  })
+
+  it("continues from the last reading", function () {
+    const estimator = new AM43PositionEstimator({ closing: 10000 })
+    estimator.start(0, 100, 0)
+    assert.strictEqual(estimator.handleReading(10, 2000), null)
+    assert.strictEqual(estimator.estimate(3000), 20)
+  })
+
+  it("doesn't move the estimate back when a reading lags behind it", function () {
+    const estimator = new AM43PositionEstimator({ opening: 10000 })
+    estimator.start(100, 0, 0)
+    assert.strictEqual(estimator.estimate(3000), 70)
+    // The motor reports a position it passed a moment ago.
+    estimator.handleReading(80, 3000)
+    assert.strictEqual(estimator.estimate(3500), 70)
+    assert.strictEqual(estimator.estimate(5000), 60)
+  })
+
+  it("learns the travel time from a completed move", function () {
+    const estimator = new AM43PositionEstimator()
+    estimator.start(0, 50, 0)
+    assert.strictEqual(estimator.handleReading(25, 3000), null)
+    assert.strictEqual(estimator.handleReading(50, 6000), 12000)
+    assert.deepStrictEqual(estimator.travelTimes, {
+      closing: 12000,
+      opening: null,
+    })
+    assert.strictEqual(estimator.isMoving, false)
+
+    // Later moves are averaged with what was learned.
+    estimator.start(0, 100, 0)
+    assert.strictEqual(estimator.handleReading(100, 14000), 13000)
+  })
+
+  it("doesn't learn from short or implausible moves", function () {
+    const estimator = new AM43PositionEstimator()
+    estimator.start(40, 50, 0)
+    assert.strictEqual(estimator.handleReading(50, 1000), null)
+    estimator.start(0, 100, 0)
+    assert.strictEqual(estimator.handleReading(100, 100), null)
+    assert.deepStrictEqual(estimator.travelTimes, {
+      closing: null,
+      opening: null,
+    })
+  })
+
+  it("ignores invalid stored travel times", function () {
+    const estimator = new AM43PositionEstimator({ closing: "fast", opening: 1 })
+    assert.deepStrictEqual(estimator.travelTimes, {
+      closing: null,
+      opening: null,
+    })
+  })
+})
@@ -0,0 +1,97 @@
+const assert = require("assert")
+const { AM43PresetSwitches } = require("../lib/AM43PresetSwitches")
+const {
+  FakeAPI,
+  FakePlatformAccessory,
+  createLog,
+} = require("./helpers/homebridge")
+
+describe("AM43PresetSwitches", function () {
+  let api
+  let platform
+  let accessory
+  let position
+  let movedTo
+
+  function createPresetSwitches(presets, tolerance) {
+    return new AM43PresetSwitches(platform, accessory, presets, {
+      tolerance: tolerance,
+      setPositionAsync: async (target) => {
+        movedTo.push(target)
+        position = target
+      },
+      position: () => position,
+    })
+  }
+
+  function isOn(name) {
+    return accessory
+      .getServiceById(api.hap.Service.Switch, "preset-" + name)
+      .getCharacteristic(api.hap.Characteristic.On)
+  }
+
+  beforeEach(function () {
+    api = new FakeAPI()
+    platform = {
+      log: createLog(),
+      Service: api.hap.Service,
+      Characteristic: api.hap.Characteristic,
+    }
+    accessory = new FakePlatformAccessory("Bedroom", "uuid")
+    position = 100
+    movedTo = []
+  })
+
+  it("adds a named switch for every preset", function () {
+    createPresetSwitches([
+      { name: "Privacy", position: 30 },
+      { name: "Glare", position: 60 },
+    ])
+    assert.deepStrictEqual(
+      accessory.services
+        .filter((service) => service.UUID == api.hap.Service.Switch.UUID)
+        .map((service) => service.displayName),
+      ["Bedroom Privacy", "Bedroom Glare"]
+    )
+  })
+
+  it("moves to the preset when turned on", async function () {
+    const presetSwitches = createPresetSwitches([
+      { name: "Privacy", position: 30 },
+    ])
+    assert.strictEqual(await isOn("Privacy").getValueAsync(), false)
+    await isOn("Privacy").setValueAsync(true)
+    assert.deepStrictEqual(movedTo, [30])
+    presetSwitches.update()
+    assert.strictEqual(isOn("Privacy").value, true)
+  })
+
+  it("is on while the position is within the tolerance", async function () {
+    const presetSwitches = createPresetSwitches(
+      [{ name: "Privacy", position: 30 }],
+      5
+    )
+    position = 34
+    presetSwitches.update()
+    assert.strictEqual(isOn("Privacy").value, true)
+    position = 36
+    presetSwitches.update()
+    assert.strictEqual(isOn("Privacy").value, false)
+    position = null
+    assert.strictEqual(await isOn("Privacy").getValueAsync(), false)
+  })
+
+  it("removes the switches of presets that are no longer configured", function () {
+    createPresetSwitches([
+      { name: "Privacy", position: 30 },
+      { name: "Glare", position: 60 },
+    ])
+    createPresetSwitches([{ name: "Glare", position: 60 }])
+    assert.deepStrictEqual(
+      accessory.services
+        .filter((service) => service.UUID == api.hap.Service.Switch.UUID)
+        .map((service) => service.subtype),
+      ["preset-Glare"]
+    )
+  })
+})
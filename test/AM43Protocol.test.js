@@ -0,0 +1,321 @@
+const assert = require("assert")
+const AM43Protocol = require("../lib/AM43Protocol")
+const StaticVariables = AM43Protocol.StaticVariables
+
+function hex(buffer) {
+  return buffer.toString("hex")
+}
+
+describe("AM43Protocol", function () {
+  describe("commands", function () {
+    it("encodes the known commands", function () {
+      const commands = AM43Protocol.commands
+      assert.strictEqual(hex(commands.getPosition()), "00ff00009aa701013d")
+      assert.strictEqual(hex(commands.getBatteryStatus()), "00ff00009aa2010138")
+      assert.strictEqual(hex(commands.getLightSensor()), "00ff00009aaa010130")
+      assert.strictEqual(hex(commands.open()), "00ff00009a0a01dd4c")
+      assert.strictEqual(hex(commands.close()), "00ff00009a0a01ee7f")
+      assert.strictEqual(hex(commands.stop()), "00ff00009a0a01cc5d")
+      assert.strictEqual(hex(commands.setPosition(50)), "00ff00009a0d0132a4")
+    })
+
+    it("refuses positions outside of 0-100", function () {
+      assert.throws(() => AM43Protocol.commands.setPosition(101), RangeError)
+      assert.throws(() => AM43Protocol.commands.setPosition(-1), RangeError)
+      assert.throws(() => AM43Protocol.commands.setPosition(2.5), RangeError)
+    })
+
+    it("encodes the setup commands", function () {
+      const commands = AM43Protocol.commands
+      assert.strictEqual(hex(commands.setUpperLimit()), "00ff00009a220101b8")
+      assert.strictEqual(hex(commands.setLowerLimit()), "00ff00009a220102bb")
+      assert.strictEqual(hex(commands.resetLimits()), "00ff00009a220100b9")
+      assert.strictEqual(hex(commands.setName("AB")), "00ff00009a35024142ae")
+      // The limit flags are left out, the motor only reports them
+      assert.strictEqual(
+        hex(
+          commands.setSettings({
+            reversed: true,
+            operationMode: true,
+            upperLimitSet: true,
+            lowerLimitSet: true,
+            speed: 30,
+            length: 0x0102,
+            diameter: 40,
+            deviceType: 2,
+          })
+        ),
+        "00ff00009a1107031e0001022802b8"
+      )
+      assert.throws(() => commands.setName(""), RangeError)
+      assert.throws(() => commands.setName("Blinds ünicode"), RangeError)
+      assert.throws(
+        () =>
+          commands.setSettings({
+            speed: 0,
+            length: 0,
+            diameter: 0,
+            deviceType: 0,
+          }),
+        RangeError
+      )
+    })
+
+    it("encodes the clock and timer commands", function () {
+      const commands = AM43Protocol.commands
+      // Wednesday 2024-06-19 07:30:15 local time
+      assert.strictEqual(
+        hex(commands.syncClock(new Date(2024, 5, 19, 7, 30, 15))),
+        "00ff00009a140403071e0f9f"
+      )
+      const timer = {
+        index: 1,
+        enabled: true,
+        position: 100,
+        days: [1, 2, 3, 4, 5],
+        hour: 22,
+        minute: 5,
+      }
+      assert.deepStrictEqual(
+        AM43Protocol.decodeCommand(commands.addTimer(timer)),
+        { commandID: 0x15, data: [0x00, 1, 1, 100, 0x3e, 22, 5] }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeCommand(
+          commands.updateTimer(Object.assign({}, timer, { enabled: false }))
+        ),
+        { commandID: 0x15, data: [0x01, 1, 0, 100, 0x3e, 22, 5] }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeCommand(commands.deleteTimer(3)),
+        { commandID: 0x15, data: [0x02, 3] }
+      )
+      assert.strictEqual(hex(commands.getTimers()), "00ff00009aa8010132")
+      assert.throws(() => commands.deleteTimer(4), RangeError)
+      assert.throws(
+        () => commands.addTimer(Object.assign({}, timer, { hour: 24 })),
+        RangeError
+      )
+      assert.throws(
+        () => commands.addTimer(Object.assign({}, timer, { days: [7] })),
+        RangeError
+      )
+    })
+
+    it("encodes the password as a 16 bit number", function () {
+      assert.strictEqual(
+        hex(AM43Protocol.commands.verifyPassword(1234)),
+        "00ff00009a170204d259"
+      )
+      assert.throws(
+        () => AM43Protocol.commands.verifyPassword(10000),
+        RangeError
+      )
+    })
+
+    it("decodes commands", function () {
+      assert.deepStrictEqual(
+        AM43Protocol.decodeCommand(AM43Protocol.commands.setPosition(50)),
+        { commandID: StaticVariables.AM43_COMMAND_ID_SET_POSITION, data: [50] }
+      )
+      assert.throws(
+        () => AM43Protocol.decodeCommand(Buffer.from("9a0d01325e", "hex")),
+        AM43Protocol.AM43ProtocolError
+      )
+    })
+  })
+
+  describe("responses", function () {
+    it("decodes position, battery and light sensor responses", function () {
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(
+          AM43Protocol.encodeResponse(0xa7, [0x0e, 0x64, 35, 0, 0, 0, 0])
+        ),
+        {
+          commandID: 0xa7,
+          type: "position",
+          position: 35,
+          settings: {
+            reversed: false,
+            operationMode: true,
+            upperLimitSet: true,
+            lowerLimitSet: true,
+            speed: 100,
+            length: 0,
+            diameter: 0,
+            deviceType: 0,
+          },
+        }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(
+          AM43Protocol.encodeResponse(0xa7, [0, 0, 35])
+        ),
+        { commandID: 0xa7, type: "position", position: 35 }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(
+          AM43Protocol.encodeResponse(0xa2, [0, 0, 0, 0, 88])
+        ),
+        { commandID: 0xa2, type: "battery", batteryPercentage: 88 }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(
+          AM43Protocol.encodeResponse(0xaa, [0, 61, 0])
+        ),
+        { commandID: 0xaa, type: "lightLevel", lightLevel: 61 }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(
+          AM43Protocol.encodeResponse(0xa1, [0, 12, 0, 0])
+        ),
+        { commandID: 0xa1, type: "positionNotification", position: 12 }
+      )
+    })
+
+    it("decodes the timers", function () {
+      const timers = [
+        {
+          index: 0,
+          enabled: true,
+          position: 0,
+          days: [0, 6],
+          hour: 8,
+          minute: 0,
+        },
+        {
+          index: 2,
+          enabled: false,
+          position: 100,
+          days: [1, 2, 3, 4, 5],
+          hour: 21,
+          minute: 45,
+        },
+      ]
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(
+          AM43Protocol.encodeResponse(0xa8, AM43Protocol.encodeTimers(timers))
+        ),
+        { commandID: 0xa8, type: "timers", timers: timers }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(AM43Protocol.encodeResponse(0xa8, [0])),
+        { commandID: 0xa8, type: "timers", timers: [] }
+      )
+    })
+
+    it("decodes acknowledgements", function () {
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(Buffer.from("9a0d015acc", "hex")),
+        { commandID: 0x0d, type: "commandResult", acknowledged: true }
+      )
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(AM43Protocol.encodeResponse(0x0a, [0xa5])),
+        { commandID: 0x0a, type: "commandResult", acknowledged: false }
+      )
+    })
+
+    it("decodes unknown responses", function () {
+      assert.deepStrictEqual(
+        AM43Protocol.decodeResponse(AM43Protocol.encodeResponse(0xf0, [1, 2])),
+        { commandID: 0xf0, type: "unknown", payload: [1, 2] }
+      )
+    })
+
+    it("rejects malformed frames", function () {
+      const valid = AM43Protocol.encodeResponse(0xa2, [0, 0, 0, 0, 88])
+      const wrongChecksum = Buffer.from(valid)
+      wrongChecksum[wrongChecksum.length - 1] ^= 0xff
+      const wrongHeader = Buffer.from(valid)
+      wrongHeader[0] = 0x9b
+      const truncated = valid.slice(0, valid.length - 2)
+      const tooShort = AM43Protocol.encodeResponse(0xa2, [0, 0])
+      ;[
+        wrongChecksum,
+        wrongHeader,
+        truncated,
+        tooShort,
+        Buffer.from([0x9a]),
+      ].forEach((frame) => {
+        assert.throws(
+          () => AM43Protocol.decodeResponse(frame),
+          AM43Protocol.AM43ProtocolError
+        )
+      })
+    })
+  })
+
+  describe("AM43ResponseParser", function () {
+    let parser
+    let messages
+    let invalid
+
+    beforeEach(function () {
+      parser = new AM43Protocol.AM43ResponseParser()
+      messages = []
+      invalid = []
+      parser.on("message", (message) => messages.push(message))
+      parser.on("invalidData", (data, reason) => invalid.push(reason))
+    })
+
+    it("reassembles a frame split over several notifications", function () {
+      const frame = AM43Protocol.encodeResponse(0xa7, [
+        0x0e,
+        0x64,
+        35,
+        0,
+        0,
+        0,
+        0,
+      ])
+      parser.push(frame.slice(0, 2))
+      parser.push(frame.slice(2, 6))
+      assert.strictEqual(messages.length, 0)
+      parser.push(frame.slice(6))
+      assert.strictEqual(messages.length, 1)
+      assert.strictEqual(messages[0].position, 35)
+    })
+
+    it("splits several frames that arrive in one notification", function () {
+      const data = Buffer.concat([
+        AM43Protocol.encodeResponse(0x0d, [0x5a]),
+        AM43Protocol.encodeResponse(0xa1, [0, 20, 0, 0]),
+        AM43Protocol.encodeResponse(0xa1, [0, 21, 0, 0]),
+      ])
+      const parsed = parser.push(data)
+      assert.deepStrictEqual(
+        parsed.map((message) => message.type),
+        ["commandResult", "positionNotification", "positionNotification"]
+      )
+      assert.strictEqual(invalid.length, 0)
+    })
+
+    it("skips garbage and corrupted frames", function () {
+      const corrupted = AM43Protocol.encodeResponse(0xa1, [0, 20, 0, 0])
+      corrupted[4] = 99
+      parser.push(
+        Buffer.concat([
+          Buffer.from([0x01, 0x02]),
+          corrupted,
+          AM43Protocol.encodeResponse(0xa1, [0, 21, 0, 0]),
+        ])
+      )
+      assert.deepStrictEqual(
+        messages.map((message) => message.position),
+        [21]
+      )
+      assert.ok(invalid.length >= 2)
+    })
+
+    it("drops incomplete data on reset", function () {
+      const frame = AM43Protocol.encodeResponse(0xa1, [0, 20, 0, 0])
+      parser.push(frame.slice(0, 3))
+      parser.reset()
+      parser.push(AM43Protocol.encodeResponse(0xa1, [0, 21, 0, 0]))
+      assert.deepStrictEqual(
+        messages.map((message) => message.position),
+        [21]
+      )
+    })
+  })
+})
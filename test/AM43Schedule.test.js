@@ -0,0 +1,150 @@
+const assert = require("assert")
+const {
+  AM43Schedule,
+  parseCron,
+  parseTimeOfDay,
+  validateSchedulesConfig,
+} = require("../lib/AM43Schedule")
+
+const amsterdam = { latitude: 52.37, longitude: 4.89 }
+
+function schedule(config) {
+  return new AM43Schedule(
+    Object.assign({ name: "Test", targets: ["a"], position: 0 }, config),
+    amsterdam
+  )
+}
+
+describe("AM43Schedule", function () {
+  it("parses cron expressions", function () {
+    const cron = parseCron("*/15 7-9,18 * * 1-5")
+    assert.deepStrictEqual(cron.minutes, [0, 15, 30, 45])
+    assert.deepStrictEqual(cron.hours, [7, 8, 9, 18])
+    assert.deepStrictEqual(Array.from(cron.daysOfWeek), [1, 2, 3, 4, 5])
+    assert.ok(parseCron("0 7 * * 7").daysOfWeek.has(0))
+    assert.throws(() => parseCron("0 7 * *"), /5 fields/)
+    assert.throws(() => parseCron("0 25 * * *"), /hour/)
+    assert.throws(() => parseCron("0 7 * * mon"), /day of week/)
+  })
+
+  it("parses times of day", function () {
+    assert.strictEqual(parseTimeOfDay("19:00"), 19 * 60)
+    assert.strictEqual(parseTimeOfDay("7:05"), 7 * 60 + 5)
+    assert.strictEqual(parseTimeOfDay("24:00"), null)
+    assert.strictEqual(parseTimeOfDay(undefined), null)
+  })
+
+  it("finds the next run of a cron schedule", function () {
+    const weekdays = schedule({ cron: "30 7 * * 1-5" })
+    // Friday 2024-06-21 08:00, the next weekday is Monday.
+    assert.deepStrictEqual(
+      weekdays.nextRun(new Date(2024, 5, 21, 8, 0)),
+      new Date(2024, 5, 24, 7, 30)
+    )
+    assert.deepStrictEqual(
+      weekdays.nextRun(new Date(2024, 5, 21, 7, 0)),
+      new Date(2024, 5, 21, 7, 30)
+    )
+    // A day matches either field when both are restricted.
+    const firstOrSunday = schedule({ cron: "0 9 1 * 0" })
+    assert.deepStrictEqual(
+      firstOrSunday.nextRun(new Date(2024, 5, 21, 12, 0)),
+      new Date(2024, 5, 23, 9, 0)
+    )
+    assert.strictEqual(
+      schedule({ cron: "0 9 31 2 *" }).nextRun(new Date(2024, 0, 1)),
+      null
+    )
+  })
+
+  it("finds the next run relative to sunset", function () {
+    const run = schedule({ sun: "sunset", offset: 30 }).nextRun(
+      new Date(2024, 5, 21, 12, 0)
+    )
+    const expected = Date.UTC(2024, 5, 21, 20, 36)
+    assert.ok(Math.abs(run.getTime() - expected) <= 2 * 60 * 1000)
+    assert.strictEqual(run.getSeconds(), 0)
+  })
+
+  it("keeps a run between not_before and not_after", function () {
+    const notBefore = schedule({ sun: "sunset", not_before: "23:30" })
+    assert.deepStrictEqual(
+      notBefore.nextRun(new Date(2024, 11, 21, 12, 0)),
+      new Date(2024, 11, 21, 23, 30)
+    )
+    const notAfter = schedule({ sun: "sunrise", not_after: "00:30" })
+    assert.deepStrictEqual(
+      notAfter.nextRun(new Date(2024, 5, 21, 12, 0)),
+      new Date(2024, 5, 22, 0, 30)
+    )
+  })
+
+  it("only runs on the configured days", function () {
+    const sundays = schedule({ cron: "0 9 * * *", days: [0] })
+    assert.deepStrictEqual(
+      sundays.nextRun(new Date(2024, 5, 21, 12, 0)),
+      new Date(2024, 5, 23, 9, 0)
+    )
+  })
+
+  it("skips days without a sunrise", function () {
+    const polar = new AM43Schedule(
+      { name: "Polar", sun: "sunrise", targets: ["a"], position: 0 },
+      { latitude: 78.2, longitude: 15.6 }
+    )
+    const run = polar.nextRun(new Date(2024, 11, 1))
+    assert.ok(run.getMonth() == 1 || run.getMonth() == 2, run.toString())
+  })
+
+  it("reports invalid schedule configurations", function () {
+    assert.deepStrictEqual(validateSchedulesConfig(undefined), [])
+    assert.deepStrictEqual(
+      validateSchedulesConfig(
+        [
+          { name: "Morning", cron: "0 7 * * *", targets: ["a"], position: 100 },
+          { name: "Evening", sun: "sunset", targets: ["a"], position: 0 },
+        ],
+        amsterdam
+      ),
+      []
+    )
+    assert.strictEqual(validateSchedulesConfig({}).length, 1)
+
+    const problems = validateSchedulesConfig([
+      { targets: ["a"], position: 0 },
+      {
+        name: "Both",
+        cron: "0 7 * * *",
+        sun: "sunrise",
+        targets: ["a"],
+        position: 0,
+      },
+      { name: "Cron", cron: "61 7 * * *", targets: ["a"], position: 0 },
+      { name: "Sun", sun: "noon", targets: ["a"], position: 0 },
+      {
+        name: "Limits",
+        cron: "0 7 * * *",
+        not_before: "7pm",
+        days: [7],
+        targets: [],
+        position: 101,
+      },
+    ])
+    ;[
+      "Schedule 1",
+      "either",
+      "minute",
+      "'sunrise' or 'sunset'",
+      "location",
+      "not_before",
+      "days",
+      "targets",
+      "position",
+    ].forEach((text) =>
+      assert.ok(
+        problems.some((problem) => problem.includes(text)),
+        `No problem mentions ${text}`
+      )
+    )
+  })
+})
@@ -0,0 +1,155 @@
+const assert = require("assert")
+const AM43Platform = require("../lib/AM43Platform")
+const { FakeAPI, createLog } = require("./helpers/homebridge")
+const { waitFor } = require("./helpers/wait")
+
+function createPlatform(config) {
+  const api = new FakeAPI()
+  const log = createLog()
+  const platform = new AM43Platform(
+    log,
+    Object.assign(
+      {
+        platform: "am43-blinds",
+        mode: "simulation",
+        allowed_devices: null,
+        scanning_timeout: 0.05,
+        poll_interval: 0,
+        hap_interaction_timeout: 0,
+        simulated_devices: [
+          { position: 100, travel_time: 0.5 },
+          { position: 100, travel_time: 0.5 },
+        ],
+        groups: [{ name: "Bay Window", members: ["02-00-00-00-00-02"] }],
+        location: { latitude: 52.37, longitude: 4.89 },
+        schedules: [
+          {
+            name: "Morning",
+            cron: "0 7 * * *",
+            targets: ["02-00-00-00-00-01", "Bay Window"],
+            position: 100,
+          },
+          {
+            name: "Evening",
+            sun: "sunset",
+            offset: 30,
+            targets: ["02-00-00-00-00-01"],
+            position: 0,
+            run_on_holidays: true,
+          },
+        ],
+      },
+      config
+    ),
+    api
+  )
+  return { api, log, platform }
+}
+
+// Waits until both motors are found and their positions have been read.
+async function launch(api, platform) {
+  api.emit("didFinishLaunching")
+  await waitFor(
+    () =>
+      platform.accessories.length == 2 &&
+      platform.accessories.every(
+        (accessory) => accessory.am43device.positionHistory.length > 0
+      )
+  )
+  return platform.scheduler
+}
+
+describe("AM43Scheduler", function () {
+  let platform
+  let api
+
+  afterEach(function () {
+    if (platform.scanner) {
+      platform.scanner.motors.forEach((motor) => motor.stopMoving())
+    }
+    api.emit("shutdown")
+  })
+
+  it("adds an accessory with a holiday switch and a switch per schedule", async function () {
+    ;({ api, platform } = createPlatform())
+    const scheduler = await launch(api, platform)
+    assert.ok(api.registeredAccessories.includes(scheduler.accessory))
+    assert.deepStrictEqual(
+      scheduler.accessory.services
+        .filter((service) => service.UUID == api.hap.Service.Switch.UUID)
+        .map((service) => service.subtype),
+      ["holiday", "schedule-Morning", "schedule-Evening"]
+    )
+    const nextMorning = scheduler.nextRuns.get("Morning")
+    assert.strictEqual(nextMorning.getHours(), 7)
+    assert.ok(nextMorning > new Date())
+    assert.ok(scheduler.nextRuns.get("Evening") > new Date())
+  })
+
+  it("moves the motors and groups of a schedule when it is due", async function () {
+    ;({ api, platform } = createPlatform())
+    const scheduler = await launch(api, platform)
+    const motors = platform.scanner.motors
+
+    scheduler.nextRuns.set("Morning", new Date(Date.now() + 20))
+    scheduler.scheduleTimer()
+    await waitFor(() => motors.every((motor) => motor.position == 0), 3000)
+    assert.ok(scheduler.nextRuns.get("Morning") > new Date())
+  })
+
+  it("skips schedules on holidays and when they are turned off", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform())
+    const scheduler = await launch(api, platform)
+    const [morning, evening] = scheduler.schedules
+    const motors = platform.scanner.motors
+
+    await scheduler.holidayService
+      .getCharacteristic(api.hap.Characteristic.On)
+      .setValueAsync(true)
+    await scheduler.runSchedule(morning)
+    assert.ok(log.messages.some((m) => m.message.includes("on a holiday")))
+
+    await scheduler.scheduleServices
+      .get("Evening")
+      .getCharacteristic(api.hap.Characteristic.On)
+      .setValueAsync(false)
+    await scheduler.runSchedule(evening)
+    assert.ok(log.messages.some((m) => m.message.includes("turned off")))
+    assert.deepStrictEqual(scheduler.accessory.context.am43Schedules, {
+      isHoliday: true,
+      disabledSchedules: ["Evening"],
+    })
+    assert.ok(
+      motors.every((motor) =>
+        motor.receivedCommands.every((command) => command.commandID != 0x0d)
+      )
+    )
+  })
+
+  it("skips blinds that were just moved by hand", async function () {
+    let log
+    ;({ api, platform, log } = createPlatform({ manual_override_duration: 30 }))
+    const scheduler = await launch(api, platform)
+    const [first, second] = platform.accessories
+    first.lastManualMovement = Date.now()
+
+    await scheduler.runSchedule(scheduler.schedules[0])
+    assert.ok(
+      log.messages.some((m) =>
+        m.message.includes(
+          `Not moving ${first.displayName} for schedule Morning`
+        )
+      )
+    )
+    assert.strictEqual(first.am43device.targetPosition, null)
+    assert.strictEqual(second.am43device.targetPosition, 0)
+  })
+
+  it("removes the schedules accessory when no schedules are configured", async function () {
+    ;({ api, platform } = createPlatform({ schedules: [] }))
+    api.emit("didFinishLaunching")
+    assert.strictEqual(platform.scheduler, null)
+    assert.strictEqual(platform.schedulerAccessories.length, 0)
+  })
+})
@@ -0,0 +1,151 @@
+const assert = require("assert")
+const { once } = require("events")
+const {
+  AM43SimulatedMotor,
+  AM43SimulatedTransport,
+  AM43SimulatedScanner,
+} = require("../lib/AM43Simulator")
+const AM43Protocol = require("../lib/AM43Protocol")
+const StaticVariables = AM43Protocol.StaticVariables
+const { waitFor } = require("./helpers/wait")
+
+function createMotor(options) {
+  return new AM43SimulatedMotor(
+    Object.assign(
+      {
+        id: "020000000001",
+        address: "02-00-00-00-00-01",
+        connectDelay: 5,
+        responseDelay: 5,
+        travelTime: 500,
+      },
+      options
+    )
+  )
+}
+
+describe("AM43Simulator", function () {
+  let motor
+  let transport
+
+  beforeEach(async function () {
+    motor = createMotor({ position: 20, batteryPercentage: 77, lightLevel: 42 })
+    transport = new AM43SimulatedTransport(motor)
+    await transport.connectAsync()
+  })
+
+  afterEach(function () {
+    motor.stopMoving()
+  })
+
+  it("answers position requests", async function () {
+    await transport.writeAsync(
+      AM43Protocol.encodeCommand(StaticVariables.AM43_COMMAND_ID_GET_POSITION, [
+        0x01,
+      ])
+    )
+    const [data] = await once(transport, "data")
+    assert.strictEqual(data[0], 0x9a)
+    assert.strictEqual(data[1], StaticVariables.AM43_COMMAND_ID_GET_POSITION)
+    assert.strictEqual(data[5], 20)
+  })
+
+  it("answers battery and light sensor requests", async function () {
+    await transport.writeAsync(
+      AM43Protocol.encodeCommand(
+        StaticVariables.AM43_COMMAND_ID_GET_BATTERYSTATUS,
+        [0x01]
+      )
+    )
+    let [data] = await once(transport, "data")
+    assert.strictEqual(data[7], 77)
+
+    await transport.writeAsync(
+      AM43Protocol.encodeCommand(
+        StaticVariables.AM43_COMMAND_ID_GET_LIGHTSENSOR,
+        [0x01]
+      )
+    )
+    ;[data] = await once(transport, "data")
+    assert.strictEqual(data[4], 42)
+  })
+
+  it("acknowledges a position command and moves with a realistic travel time", async function () {
+    const start = Date.now()
+    await transport.writeAsync(
+      AM43Protocol.encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_POSITION, [
+        30,
+      ])
+    )
+    const [ack] = await once(transport, "data")
+    assert.strictEqual(ack[1], StaticVariables.AM43_COMMAND_ID_SET_POSITION)
+    assert.strictEqual(ack[3], StaticVariables.AM43_RESPONSE_ACK)
+
+    const notifications = []
+    transport.on("data", (data) => notifications.push(data))
+    await waitFor(() => motor.position == 30 && !motor.isMoving)
+    // 10% of a 500ms full travel time
+    assert.ok(Date.now() - start >= 45)
+    await waitFor(() => notifications.length == 10)
+    notifications.forEach((data) => {
+      assert.strictEqual(data[1], StaticVariables.AM43_NOTIFY_POSITION)
+    })
+    assert.strictEqual(notifications[9][4], 30)
+  })
+
+  it("rejects commands with a NACK", async function () {
+    motor.rejectedCommands.push(StaticVariables.AM43_COMMAND_ID_SET_POSITION)
+    await transport.writeAsync(
+      AM43Protocol.encodeCommand(StaticVariables.AM43_COMMAND_ID_SET_POSITION, [
+        30,
+      ])
+    )
+    const [data] = await once(transport, "data")
+    assert.strictEqual(data[3], StaticVariables.AM43_RESPONSE_NACK)
+    assert.strictEqual(motor.isMoving, false)
+  })
+
+  it("ignores frames with an invalid checksum", async function () {
+    const frame = AM43Protocol.encodeCommand(
+      StaticVariables.AM43_COMMAND_ID_GET_POSITION,
+      [0x01]
+    )
+    frame[frame.length - 1] ^= 0x01
+    const malformed = once(motor, "malformedCommand")
+    await transport.writeAsync(frame)
+    await malformed
+    assert.strictEqual(motor.receivedCommands.length, 0)
+  })
+
+  it("disconnects and refuses connections when out of range", async function () {
+    const disconnected = once(transport, "disconnect")
+    motor.isAvailable = false
+    motor.disconnect()
+    await disconnected
+    assert.strictEqual(transport.isConnected, false)
+    await assert.rejects(() =>
+      transport.writeAsync(
+        AM43Protocol.encodeCommand(
+          StaticVariables.AM43_COMMAND_ID_GET_POSITION,
+          [0x01]
+        )
+      )
+    )
+    await assert.rejects(() => transport.connectAsync(), /out of range/)
+  })
+
+  it("only discovers motors that are advertising", async function () {
+    const other = createMotor({
+      id: "020000000002",
+      address: "02-00-00-00-00-02",
+    })
+    const scanner = new AM43SimulatedScanner([motor, other])
+    const discovered = []
+    scanner.on("discover", (transport) => discovered.push(transport.address))
+    scanner.startScanning()
+    await new Promise((r) => setImmediate(r))
+    scanner.stopScanning()
+    await once(scanner, "scanStop")
+    assert.deepStrictEqual(discovered, ["02-00-00-00-00-02"])
+  })
+})
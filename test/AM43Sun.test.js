@@ -0,0 +1,54 @@
+const assert = require("assert")
+const { sunEventTime } = require("../lib/AM43Sun")
+
+const MINUTE = 60 * 1000
+
+function assertAbout(actual, expected) {
+  assert.ok(
+    Math.abs(actual.getTime() - expected) <= 2 * MINUTE,
+    `${actual.toISOString()} should be about ${new Date(
+      expected
+    ).toISOString()}`
+  )
+}
+
+describe("AM43Sun", function () {
+  it("calculates sunrise and sunset", function () {
+    // Amsterdam on the longest and the shortest day.
+    assertAbout(
+      sunEventTime("sunrise", new Date(2024, 5, 21), 52.37, 4.89),
+      Date.UTC(2024, 5, 21, 3, 18)
+    )
+    assertAbout(
+      sunEventTime("sunset", new Date(2024, 5, 21), 52.37, 4.89),
+      Date.UTC(2024, 5, 21, 20, 6)
+    )
+    assertAbout(
+      sunEventTime("sunrise", new Date(2024, 11, 21), 52.37, 4.89),
+      Date.UTC(2024, 11, 21, 7, 48)
+    )
+    assertAbout(
+      sunEventTime("sunset", new Date(2024, 11, 21), 52.37, 4.89),
+      Date.UTC(2024, 11, 21, 15, 29)
+    )
+  })
+
+  it("calculates sunrise and sunset west of Greenwich", function () {
+    // San Francisco
+    assertAbout(
+      sunEventTime("sunrise", new Date(2024, 2, 1), 37.77, -122.42),
+      Date.UTC(2024, 2, 1, 14, 41)
+    )
+    assertAbout(
+      sunEventTime("sunset", new Date(2024, 2, 1), 37.77, -122.42),
+      Date.UTC(2024, 2, 2, 2, 4)
+    )
+  })
+
+  it("has no sunrise during the polar night", function () {
+    assert.strictEqual(
+      sunEventTime("sunrise", new Date(2024, 11, 21), 78.2, 15.6),
+      null
+    )
+  })
+})
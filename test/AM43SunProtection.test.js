@@ -0,0 +1,173 @@
+const assert = require("assert")
+const {
+  AM43SunProtection,
+  removeSunProtectionService,
+} = require("../lib/AM43SunProtection")
+const {
+  FakeAPI,
+  FakePlatformAccessory,
+  createLog,
+} = require("./helpers/homebridge")
+
+const MINUTE = 60 * 1000
+
+describe("AM43SunProtection", function () {
+  let api
+  let platform
+  let accessory
+  let position
+  let movedTo
+  let isSuspended
+
+  function createSunProtection(config) {
+    return new AM43SunProtection(
+      platform,
+      accessory,
+      Object.assign(
+        { position: 20, threshold: 60, hysteresis: 10, delay: 10 },
+        config
+      ),
+      {
+        moveAsync: async (target) => {
+          if (isSuspended) {
+            return false
+          }
+          movedTo.push(target)
+          position = target
+          return true
+        },
+        position: () => position,
+      }
+    )
+  }
+
+  function switchOn() {
+    return accessory
+      .getServiceById(api.hap.Service.Switch, "sun-protection")
+      .getCharacteristic(api.hap.Characteristic.On)
+  }
+
+  // Feeds a light level reading every 5 minutes, starting at the given minute.
+  async function readings(sunProtection, startMinute, levels) {
+    for (let index = 0; index < levels.length; index++) {
+      await sunProtection.handleLightLevelAsync(
+        levels[index],
+        (startMinute + index * 5) * MINUTE
+      )
+    }
+  }
+
+  beforeEach(function () {
+    api = new FakeAPI()
+    platform = {
+      api: api,
+      log: createLog(),
+      Service: api.hap.Service,
+      Characteristic: api.hap.Characteristic,
+    }
+    accessory = new FakePlatformAccessory("Bedroom", "uuid")
+    position = 100
+    movedTo = []
+    isSuspended = false
+  })
+
+  it("adds a switch that is on by default", async function () {
+    createSunProtection()
+    assert.strictEqual(
+      accessory.getServiceById(api.hap.Service.Switch, "sun-protection")
+        .displayName,
+      "Bedroom Sun Protection"
+    )
+    assert.strictEqual(await switchOn().getValueAsync(), true)
+  })
+
+  it("closes the blind once the light stays above the threshold and restores it when it drops", async function () {
+    const sunProtection = createSunProtection({ minimum_interval: 0 })
+    await readings(sunProtection, 0, [70, 80])
+    assert.deepStrictEqual(movedTo, [])
+    await readings(sunProtection, 10, [65])
+    assert.deepStrictEqual(movedTo, [20])
+    assert.strictEqual(accessory.context.am43SunProtection.restorePosition, 100)
+
+    // Within the hysteresis the blind stays protected.
+    await readings(sunProtection, 15, [55, 52, 51, 50])
+    assert.deepStrictEqual(movedTo, [20])
+    await readings(sunProtection, 35, [40, 30, 20])
+    assert.deepStrictEqual(movedTo, [20, 100])
+    assert.strictEqual(sunProtection.isProtecting, false)
+  })
+
+  it("doesn't move again within the minimum interval", async function () {
+    const sunProtection = createSunProtection({ minimum_interval: 60 })
+    await readings(sunProtection, 0, [70, 70, 70])
+    assert.deepStrictEqual(movedTo, [20])
+    await readings(sunProtection, 15, [10, 10, 10, 10, 10])
+    assert.deepStrictEqual(movedTo, [20])
+    await readings(sunProtection, 70, [10])
+    assert.deepStrictEqual(movedTo, [20, 100])
+  })
+
+  it("leaves a blind alone that is already closed far enough", async function () {
+    position = 10
+    const sunProtection = createSunProtection()
+    await readings(sunProtection, 0, [70, 70, 70])
+    assert.deepStrictEqual(movedTo, [])
+    assert.strictEqual(sunProtection.isProtecting, false)
+  })
+
+  it("backs off after the blind was moved by hand", async function () {
+    const sunProtection = createSunProtection({ minimum_interval: 0 })
+    isSuspended = true
+    await readings(sunProtection, 0, [70, 70, 70])
+    assert.deepStrictEqual(movedTo, [])
+
+    isSuspended = false
+    await readings(sunProtection, 15, [70])
+    assert.deepStrictEqual(movedTo, [20])
+    // Moved by hand while protected, the blind isn't closed again or restored over it.
+    sunProtection.handleManualMovement()
+    position = 100
+    await readings(sunProtection, 20, [70, 70, 70])
+    assert.deepStrictEqual(movedTo, [20])
+    await readings(sunProtection, 35, [10, 10, 10])
+    assert.deepStrictEqual(movedTo, [20])
+
+    // Once the sun was gone, the next sunny period protects the blind again.
+    await readings(sunProtection, 50, [70, 70, 70])
+    assert.deepStrictEqual(movedTo, [20, 20])
+  })
+
+  it("isn't restored over a position chosen in HomeKit", async function () {
+    const sunProtection = createSunProtection({ minimum_interval: 0 })
+    await readings(sunProtection, 0, [70, 70, 70])
+    assert.deepStrictEqual(movedTo, [20])
+
+    sunProtection.handleTargetPosition()
+    position = 50
+    assert.strictEqual(sunProtection.isProtecting, false)
+    await readings(sunProtection, 15, [70, 10, 10, 10])
+    assert.deepStrictEqual(movedTo, [20])
+  })
+
+  it("does nothing while it is turned off", async function () {
+    const sunProtection = createSunProtection()
+    await switchOn().setValueAsync(false)
+    await readings(sunProtection, 0, [70, 70, 70])
+    assert.deepStrictEqual(movedTo, [])
+    assert.strictEqual(accessory.context.am43SunProtection.isEnabled, false)
+
+    // The switch state is restored with the accessory.
+    createSunProtection()
+    assert.strictEqual(switchOn().value, false)
+  })
+
+  it("removes the switch when it is no longer configured", function () {
+    createSunProtection()
+    removeSunProtectionService(platform, accessory)
+    assert.strictEqual(
+      accessory.getServiceById(api.hap.Service.Switch, "sun-protection"),
+      undefined
+    )
+    assert.strictEqual(accessory.context.am43SunProtection, undefined)
+  })
+})
@@ -0,0 +1,212 @@
+const EventEmitter = require("events").EventEmitter
+const crypto = require("crypto")
+
+// A minimal stand-in for the parts of the Homebridge API and HAP that AM43Platform uses.
+
+const characteristicConstants = {
+  PositionState: { DECREASING: 0, INCREASING: 1, STOPPED: 2 },
+  ChargingState: { NOT_CHARGING: 0, CHARGING: 1, NOT_CHARGEABLE: 2 },
+  StatusLowBattery: { BATTERY_LEVEL_NORMAL: 0, BATTERY_LEVEL_LOW: 1 },
+}
+
+function namedTypes(constants) {
+  const types = {}
+  return new Proxy(types, {
+    get(target, name) {
+      if (typeof name !== "string") return undefined
+      if (!target[name]) {
+        target[name] = Object.assign(
+          { UUID: name, name: name },
+          constants[name]
+        )
+      }
+      return target[name]
+    },
+  })
+}
+
+class FakeCharacteristic extends EventEmitter {
+  constructor(type) {
+    super()
+    this.type = type
+    this.UUID = type.UUID
+    this.value = null
+    this.props = {}
+  }
+
+  updateValue(value) {
+    this.value = value
+    return this
+  }
+
+  setValue(value) {
+    return this.updateValue(value)
+  }
+
+  setProps(props) {
+    this.props = Object.assign({}, this.props, props)
+    return this
+  }
+
+  getValueAsync() {
+    if (this.listenerCount("get") == 0) {
+      return Promise.resolve(this.value)
+    }
+    return new Promise((resolve, reject) => {
+      this.emit("get", (error, value) => {
+        if (error) {
+          reject(error)
+          return
+        }
+        this.value = value
+        resolve(value)
+      })
+    })
+  }
+
+  setValueAsync(value) {
+    if (this.listenerCount("set") == 0) {
+      this.value = value
+      return Promise.resolve()
+    }
+    return new Promise((resolve, reject) => {
+      this.emit("set", value, (error) => {
+        if (error) {
+          reject(error)
+          return
+        }
+        this.value = value
+        resolve()
+      })
+    })
+  }
+}
+
+class FakeService {
+  constructor(type, displayName, subtype) {
+    this.type = type
+    this.UUID = type.UUID
+    this.displayName = displayName
+    this.subtype = subtype
+    this.characteristics = []
+  }
+
+  getCharacteristic(type) {
+    let characteristic = this.characteristics.find((c) => c.UUID == type.UUID)
+    if (!characteristic) {
+      characteristic = new FakeCharacteristic(type)
+      this.characteristics.push(characteristic)
+    }
+    return characteristic
+  }
+
+  testCharacteristic(type) {
+    return this.characteristics.some((c) => c.UUID == type.UUID)
+  }
+
+  setCharacteristic(type, value) {
+    this.getCharacteristic(type).updateValue(value)
+    return this
+  }
+}
+
+class FakePlatformAccessory extends EventEmitter {
+  constructor(displayName, UUID) {
+    super()
+    this.displayName = displayName
+    this.UUID = UUID
+    this.context = {}
+    this.services = []
+    this.reachable = false
+    this.addService(Service.AccessoryInformation)
+  }
+
+  addService(type, displayName, subtype) {
+    const service =
+      type instanceof FakeService
+        ? type
+        : new FakeService(type, displayName || this.displayName, subtype)
+    this.services.push(service)
+    return service
+  }
+
+  removeService(service) {
+    this.services = this.services.filter((s) => s !== service)
+  }
+
+  getService(typeOrName) {
+    if (typeof typeOrName === "string") {
+      return this.services.find(
+        (s) => s.displayName == typeOrName || s.subtype == typeOrName
+      )
+    }
+    return this.services.find((s) => s.UUID == typeOrName.UUID)
+  }
+
+  getServiceById(type, subtype) {
+    return this.services.find(
+      (s) => s.UUID == type.UUID && s.subtype == subtype
+    )
+  }
+
+  updateReachability(reachable) {
+    this.reachable = reachable
+  }
+}
+
+const Service = namedTypes({})
+const Characteristic = namedTypes(characteristicConstants)
+
+class FakeAPI extends EventEmitter {
+  constructor() {
+    super()
+    this.hap = {
+      Service: Service,
+      Characteristic: Characteristic,
+      uuid: {
+        generate: (data) => {
+          const hash = crypto.createHash("sha1").update(data).digest("hex")
+          return [
+            hash.substring(0, 8),
+            hash.substring(8, 12),
+            hash.substring(12, 16),
+            hash.substring(16, 20),
+            hash.substring(20, 32),
+          ].join("-")
+        },
+      },
+    }
+    this.platformAccessory = FakePlatformAccessory
+    this.registeredAccessories = []
+  }
+
+  registerPlatformAccessories(pluginName, platformName, accessories) {
+    this.registeredAccessories.push(...accessories)
+  }
+
+  updatePlatformAccessories() {}
+
+  unregisterPlatformAccessories(pluginName, platformName, accessories) {
+    this.registeredAccessories = this.registeredAccessories.filter(
+      (accessory) => !accessories.includes(accessory)
+    )
+  }
+}
+
+function createLog() {
+  const messages = []
+  const log = (...args) =>
+    messages.push({ level: "info", message: args.join(" ") })
+  ;["info", "warn", "error", "debug"].forEach((level) => {
+    log[level] = (...args) =>
+      messages.push({ level: level, message: args.join(" ") })
+  })
+  log.messages = messages
+  return log
+}
+
+module.exports = {
+  FakeAPI: FakeAPI,
+  FakePlatformAccessory: FakePlatformAccessory,
+  createLog: createLog,
+}
@@ -0,0 +1,26 @@
+// Resolves once the predicate returns a truthy value, rejects when it doesn't within the timeout.
+function waitFor(predicate, timeout = 2000, interval = 10) {
+  const start = Date.now()
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const result = predicate()
+      if (result) {
+        resolve(result)
+      } else if (Date.now() - start > timeout) {
+        reject(new Error("Timed out waiting for condition"))
+      } else {
+        setTimeout(check, interval)
+      }
+    }
+    check()
+  })
+}
+
+function delay(ms) {
+  return new Promise((r) => setTimeout(r, ms))
+}
+
+module.exports = {
+  waitFor: waitFor,
+  delay: delay,
+}